@@ -0,0 +1,241 @@
+// backend/controllers/adminUserController.js
+
+const userModel = require('../models/userModel');
+const orderModel = require('../models/orderModel');
+const sessionModel = require('../models/sessionModel');
+const twoFactorModel = require('../models/twoFactorModel');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ROLES = ['user', 'admin'];
+const STATUSES = ['active', 'disabled'];
+
+/**
+ * Shapes a user row for a response.
+ */
+const formatUser = (user) => ({
+  ...user,
+  password_reset_required: Boolean(user.password_reset_required),
+});
+
+/**
+ * Fetches the user named in the route, or throws a 404.
+ */
+const findUser = async (userId, connection) => {
+  const user = await userModel.getUserById(userId, connection);
+  if (!user) {
+    throw httpError(404, 'User not found.');
+  }
+  return user;
+};
+
+/**
+ * Throws if a change would leave the store without an enabled admin account.
+ * @param {object} user - The user being changed.
+ * @param {object} connection - The transaction's database connection.
+ */
+const assertNotLastAdmin = async (user, connection) => {
+  if (user.role === 'admin' && !user.disabled_at && await userModel.countActiveAdminsForUpdate(connection) <= 1) {
+    throw httpError(409, 'This is the only active admin account; promote another admin first.');
+  }
+};
+
+// --- Admin User Management ---
+
+/**
+ * Lists users, newest first. Query: search (name or email), role, status ('active' or 'disabled'), page, limit.
+ */
+exports.getUsers = async (req, res) => {
+  const { search, role, status } = req.query;
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'Page must be a positive whole number.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+  }
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+  }
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const { users, total } = await userModel.searchUsers({
+      search: typeof search === 'string' ? search.trim() : '', role, status, page, limit
+    });
+    res.status(200).json({
+      users: users.map(formatUser),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Failed to fetch users.' });
+  }
+};
+
+/**
+ * Fetches one user with their saved addresses.
+ */
+exports.getUser = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  try {
+    const user = await findUser(userId);
+    const addresses = await userModel.getAddresses(userId);
+    res.status(200).json({ ...formatUser(user), addresses });
+  } catch (error) {
+    console.error(`Error fetching user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch user.', ...error.details });
+  }
+};
+
+/**
+ * Lists a user's orders, newest first.
+ */
+exports.getUserOrders = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  try {
+    await findUser(userId);
+    const rows = await orderModel.getOrderSummariesForUser(userId);
+    const orders = rows.map(row => ({
+      ...row,
+      total_amount: parseFloat(row.total_amount),
+      refunded_amount: parseFloat(row.refunded_amount),
+      units: parseInt(row.units, 10),
+      shipping_address: typeof row.shipping_address === 'string' ? JSON.parse(row.shipping_address) : row.shipping_address,
+    }));
+    res.status(200).json(orders);
+  } catch (error) {
+    console.error(`Error fetching orders of user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch orders.', ...error.details });
+  }
+};
+
+/**
+ * Lists a user's saved addresses.
+ */
+exports.getUserAddresses = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  try {
+    await findUser(userId);
+    const addresses = await userModel.getAddresses(userId);
+    res.status(200).json(addresses);
+  } catch (error) {
+    console.error(`Error fetching addresses of user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch addresses.', ...error.details });
+  }
+};
+
+/**
+ * Changes a user's role. Admins can't change their own role, and the last active admin can't be demoted.
+ */
+exports.updateUserRole = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  const { role } = req.body;
+
+  // 1. Validate input
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+  }
+  if (userId === req.user.id) {
+    return res.status(400).json({ message: 'You cannot change your own role.' });
+  }
+
+  try {
+    // 2. Change the role, keeping at least one admin
+    const user = await withTransaction(async connection => {
+      const current = await findUser(userId, connection);
+      if (current.role !== role && role !== 'admin') {
+        await assertNotLastAdmin(current, connection);
+      }
+      await userModel.updateRole(userId, role, connection);
+      return findUser(userId, connection);
+    });
+
+    res.status(200).json({ message: `User is now ${role === 'admin' ? 'an admin' : 'a customer'}.`, user: formatUser(user) });
+  } catch (error) {
+    console.error(`Error changing role of user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to change role.', ...error.details });
+  }
+};
+
+/**
+ * Disables or re-enables a user's account. A disabled user can't log in, and their sessions are ended.
+ * Admins can't disable themselves, and the last active admin can't be disabled.
+ * @param {boolean} disabled - True to disable the account, false to enable it.
+ */
+const setUserDisabled = (disabled) => async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  if (disabled && userId === req.user.id) {
+    return res.status(400).json({ message: 'You cannot disable your own account.' });
+  }
+
+  try {
+    const user = await withTransaction(async connection => {
+      const current = await findUser(userId, connection);
+      if (disabled) {
+        await assertNotLastAdmin(current, connection);
+      }
+      await userModel.setDisabled(userId, disabled, connection);
+      if (disabled) {
+        await sessionModel.revokeUserSessions(userId, 'account_disabled', connection);
+      }
+      return findUser(userId, connection);
+    });
+
+    res.status(200).json({ message: `Account ${disabled ? 'disabled' : 'enabled'}.`, user: formatUser(user) });
+  } catch (error) {
+    console.error(`Error ${disabled ? 'disabling' : 'enabling'} user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update account.', ...error.details });
+  }
+};
+
+exports.disableUser = setUserDisabled(true);
+exports.enableUser = setUserDisabled(false);
+
+/**
+ * Makes a user change their password. Until they do, they can only reach the password-change route.
+ */
+exports.forcePasswordReset = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  try {
+    await findUser(userId);
+    await userModel.setPasswordResetRequired(userId, true);
+    res.status(200).json({ message: 'The user will have to change their password before continuing.' });
+  } catch (error) {
+    console.error(`Error forcing password reset for user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to force a password reset.', ...error.details });
+  }
+};
+
+/**
+ * Turns off two-factor authentication for a user who has lost both their device and their recovery codes,
+ * and ends their sessions. They can set it up again after logging in.
+ */
+exports.resetTwoFactor = async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  if (userId === req.user.id) {
+    return res.status(400).json({ message: 'Use your own two-factor settings to change your two-factor authentication.' });
+  }
+
+  try {
+    await withTransaction(async connection => {
+      const user = await findUser(userId, connection);
+      if (!user.two_factor_enabled_at) {
+        throw httpError(409, 'This user does not have two-factor authentication on.');
+      }
+      await twoFactorModel.disable(userId, connection);
+      await sessionModel.revokeUserSessions(userId, 'two_factor_reset', connection);
+    });
+    res.status(200).json({ message: 'Two-factor authentication has been reset for this user.' });
+  } catch (error) {
+    console.error(`Error resetting two-factor authentication for user ${userId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to reset two-factor authentication.', ...error.details });
+  }
+};
@@ -0,0 +1,125 @@
+// backend/controllers/analyticsController.js
+
+const analyticsModel = require('../models/analyticsModel');
+const analyticsService = require('../services/analyticsService');
+const { roundMoney } = require('../utils/money');
+
+// Every report takes a date range in the query string: from and to ('YYYY-MM-DD', inclusive),
+// defaulting to the last 30 days. Figures are aggregated in SQL.
+
+// --- Admin Analytics ---
+
+/**
+ * Fetches revenue, order count and average order value per day, week or month.
+ * Query: from, to, interval ('day', 'week' or 'month'; default 'day').
+ */
+exports.getSalesReport = async (req, res) => {
+  try {
+    const range = analyticsService.parseDateRange(req.query);
+    const report = await analyticsService.getSalesReport(range, req.query.interval || 'day');
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error fetching sales report:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch sales report.', ...error.details });
+  }
+};
+
+/**
+ * Fetches the best-selling products. Query: from, to, by ('revenue' or 'units'), limit.
+ */
+exports.getTopProducts = async (req, res) => {
+  try {
+    const range = analyticsService.parseDateRange(req.query);
+    const { rankBy, limit } = analyticsService.parseTopQuery(req.query);
+    const rows = await analyticsModel.getTopProducts({ from: range.from, to: range.toExclusive }, rankBy, limit);
+    const products = rows.map(row => ({
+      ...row,
+      units: parseInt(row.units, 10),
+      revenue: roundMoney(parseFloat(row.revenue)),
+    }));
+    res.status(200).json({ from: range.from, to: range.to, by: rankBy, products });
+  } catch (error) {
+    console.error('Error fetching top products:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch top products.', ...error.details });
+  }
+};
+
+/**
+ * Fetches the best-selling categories. Query: from, to, by ('revenue' or 'units'), limit.
+ */
+exports.getTopCategories = async (req, res) => {
+  try {
+    const range = analyticsService.parseDateRange(req.query);
+    const { rankBy, limit } = analyticsService.parseTopQuery(req.query);
+    const rows = await analyticsModel.getTopCategories({ from: range.from, to: range.toExclusive }, rankBy, limit);
+    const categories = rows.map(row => ({
+      ...row,
+      units: parseInt(row.units, 10),
+      revenue: roundMoney(parseFloat(row.revenue)),
+    }));
+    res.status(200).json({ from: range.from, to: range.to, by: rankBy, categories });
+  } catch (error) {
+    console.error('Error fetching top categories:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch top categories.', ...error.details });
+  }
+};
+
+/**
+ * Fetches how many of the customers who ordered in the range were new, and how many had ordered before.
+ * Query: from, to.
+ */
+exports.getCustomerReport = async (req, res) => {
+  try {
+    const range = analyticsService.parseDateRange(req.query);
+    const rows = await analyticsModel.getCustomerSplit({ from: range.from, to: range.toExclusive });
+    const report = { from: range.from, to: range.to };
+    ['new', 'returning'].forEach(type => {
+      const row = rows.find(customerRow => customerRow.customer_type === type);
+      report[type] = {
+        customers: row ? parseInt(row.customers, 10) : 0,
+        orders: row ? parseInt(row.orders, 10) : 0,
+        revenue: row ? roundMoney(parseFloat(row.revenue)) : 0,
+      };
+    });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error fetching customer report:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch customer report.', ...error.details });
+  }
+};
+
+/**
+ * Fetches the cancellation and return rates of the orders placed in the range. Query: from, to.
+ */
+exports.getOrderRates = async (req, res) => {
+  try {
+    const range = analyticsService.parseDateRange(req.query);
+    const report = await analyticsService.getOrderRates(range);
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error fetching order rates:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to fetch order rates.', ...error.details });
+  }
+};
+
+/**
+ * Fetches the value of the stock on hand at current prices, by category.
+ */
+exports.getInventoryValue = async (req, res) => {
+  try {
+    const rows = await analyticsModel.getInventoryValue();
+    const categories = rows.map(row => ({
+      ...row,
+      units: parseInt(row.units, 10),
+      value: roundMoney(parseFloat(row.value)),
+    }));
+    res.status(200).json({
+      units: categories.reduce((sum, category) => sum + category.units, 0),
+      value: roundMoney(categories.reduce((sum, category) => sum + category.value, 0)),
+      categories,
+    });
+  } catch (error) {
+    console.error('Error fetching inventory value:', error);
+    res.status(500).json({ message: 'Failed to fetch inventory value.' });
+  }
+};
@@ -2,22 +2,50 @@
 
 const db = require('../db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const authTokenService = require('../services/authTokenService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const rateLimitService = require('../services/rateLimitService');
+const mailService = require('../services/mailService');
+const twoFactorService = require('../services/twoFactorService');
+const twoFactorModel = require('../models/twoFactorModel');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+// The columns of a user that the login responses need.
+const LOGIN_COLUMNS = 'id, username, email, password, role, email_verified_at, two_factor_enabled_at, disabled_at, password_reset_required, created_at';
+
+/**
+ * Shapes the user data sent back after logging in (excluding password).
+ * @param {object} user - The user row.
+ */
+const formatLoginUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  email_verified_at: user.email_verified_at,
+  two_factor_enabled: Boolean(user.two_factor_enabled_at),
+  // Admins without two-factor authentication must set it up before they can use admin routes
+  two_factor_setup_required: user.role === 'admin' && !user.two_factor_enabled_at && twoFactorService.getTwoFactorSettings().requiredForAdmins,
+  password_reset_required: Boolean(user.password_reset_required),
+  created_at: user.created_at,
+});
 
 /**
- * Generates a JSON Web Token (JWT) for a user.
- * @param {number} id - The user's ID.
- * @param {string} username - The user's name.
- * @param {string} email - The user's email.
- * @param {string} role - The user's role (e.g., 'user', 'admin').
- * @returns {string} The generated JWT.
+ * Tells a user that their account has been locked after repeated failed logins, in case it wasn't them.
+ * @param {object} user - The user: `{ id, username, email }`.
+ * @param {number} lockoutMinutes - How long the account is locked for.
  */
-const signToken = (id, username, email, role) => {
-  // CORRECTED: Added a fallback default value for expiresIn.
-  // This makes the function more robust if the .env variable is not found.
-  return jwt.sign({ id, username, email, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-  });
+const notifyAccountLocked = (user, lockoutMinutes) => {
+  mailService.sendMail({
+    to: user.email,
+    subject: 'Your Tulunad Store account has been temporarily locked',
+    text: `Hello ${user.username},\n\n`
+      + `There were too many failed attempts to log in to your account, so we have locked it for ${lockoutMinutes} minutes.\n\n`
+      + 'If this was you, you can try again once the lock expires, or reset your password. '
+      + "If it wasn't, someone may be trying to guess your password; we recommend resetting it.",
+  }).catch(error => console.error(`Failed to send the lockout notification to user ${user.id}:`, error));
 };
 
 // --- User Registration ---
@@ -47,16 +75,21 @@ exports.signup = async (req, res) => {
     const [result] = await db.query(sql, [username, email, hashedPassword, role]);
 
     // 5. Fetch the newly created user's data (without the password)
-    const [newUserRows] = await db.query('SELECT id, username, email, role, created_at FROM users WHERE id = ?', [result.insertId]);
+    const [newUserRows] = await db.query('SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?', [result.insertId]);
     const newUser = newUserRows[0];
 
-    // 6. Generate a JWT for the new user
-    const token = signToken(newUser.id, newUser.username, newUser.email, newUser.role);
+    // Email a link to verify the address; a failure here shouldn't undo the signup (the user can ask for another)
+    emailVerificationService.sendVerificationEmail(newUser)
+      .catch(error => console.error(`Failed to send the verification email to user ${newUser.id}:`, error));
+
+    // 6. Start a session: a short-lived access token and a refresh token to renew it
+    const { token, refreshToken } = await authTokenService.startSession(newUser, req);
 
-    // 7. Send a successful response with the token and user data
+    // 7. Send a successful response with the tokens and user data
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: newUser,
     });
 
@@ -76,40 +109,234 @@ exports.login = async (req, res) => {
     return res.status(400).json({ message: 'Please enter both email and password.' });
   }
 
+  // Failed attempts are counted per email address, whether or not an account exists for it
+  const accountKey = String(email).trim().toLowerCase();
+
   try {
-    // 2. Find the user by email
-    const [rows] = await db.query('SELECT id, username, email, password, role, created_at FROM users WHERE email = ?', [email]);
-    const user = rows[0];
+    // 2. Refuse the attempt while the account is locked or cooling down after failed attempts
+    await rateLimitService.assertCanAttempt('login', accountKey);
 
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password.' });
-    }
+    // 3. Find the user by email
+    const [rows] = await db.query(`SELECT ${LOGIN_COLUMNS} FROM users WHERE email = ?`, [email]);
+    const user = rows[0];
 
-    // 3. Compare the provided password with the stored hashed password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // 4. Compare the provided password with the stored hashed password
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
 
     if (!isMatch) {
+      const { locked, lockoutMinutes } = await rateLimitService.recordFailedAttempt('login', accountKey);
+      if (locked) {
+        if (user) {
+          notifyAccountLocked(user, lockoutMinutes);
+        }
+        res.set('Retry-After', String(lockoutMinutes * 60));
+        return res.status(429).json({
+          message: 'Too many failed attempts. This account is temporarily locked; please try again later.',
+          retryAfter: lockoutMinutes * 60
+        });
+      }
       return res.status(401).json({ message: 'Invalid email or password.' });
     }
+    await rateLimitService.recordSuccessfulAttempt('login', accountKey);
+    if (user.disabled_at) {
+      return res.status(403).json({ message: 'This account has been disabled.', accountDisabled: true });
+    }
 
-    // 4. Generate a JWT for the authenticated user
-    const token = signToken(user.id, user.username, user.email, user.role);
+    // 5. With two-factor authentication on, the password only earns a challenge token; the session
+    // is started once the code is given to POST /api/auth/login/2fa
+    if (user.two_factor_enabled_at) {
+      return res.status(200).json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user),
+      });
+    }
+
+    // 6. Start a session: a short-lived access token and a refresh token to renew it
+    const { token, refreshToken } = await authTokenService.startSession(user, req);
 
-    // 5. Send a successful response with the token and user data (excluding password)
+    // 7. Send a successful response with the tokens and user data (excluding password)
     res.status(200).json({
       message: 'Logged in successfully',
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        created_at: user.created_at,
-      },
+      refreshToken,
+      user: formatLoginUser(user),
     });
 
   } catch (error) {
-    console.error('Error during user login:', error);
-    res.status(500).json({ message: 'Server error during login.' });
+    // Refused attempts are expected under attack, so only unexpected errors are logged
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    } else {
+      console.error('Error during user login:', error);
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during login.', ...error.details });
+  }
+};
+
+
+// --- Two-Factor Login ---
+exports.loginTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  // 1. Validate input
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Please provide the challenge token and a code from your authenticator app or a recovery code.' });
+  }
+
+  try {
+    // 2. Find out who passed the password step, and refuse while too many wrong codes have been tried
+    const userId = twoFactorService.readChallengeToken(challengeToken);
+    await rateLimitService.assertCanAttempt('two-factor', userId);
+
+    // 3. Check the code and start a session that counts as two-factor verified
+    const result = await withTransaction(async connection => {
+      const factor = await twoFactorService.verifySecondFactor(userId, { code, recoveryCode }, connection);
+      if (!factor.valid) {
+        return { valid: false };
+      }
+      const [rows] = await connection.query(`SELECT ${LOGIN_COLUMNS} FROM users WHERE id = ?`, [userId]);
+      const user = rows[0];
+      if (user.disabled_at) {
+        throw httpError(403, 'This account has been disabled.', { accountDisabled: true });
+      }
+      const tokens = await authTokenService.startSession(user, req, connection, { twoFactorVerified: true });
+      return { valid: true, user, tokens, usedRecoveryCode: factor.usedRecoveryCode };
+    });
+
+    if (!result.valid) {
+      const { locked, lockoutMinutes } = await rateLimitService.recordFailedAttempt('two-factor', userId);
+      if (locked) {
+        res.set('Retry-After', String(lockoutMinutes * 60));
+        return res.status(429).json({ message: 'Too many invalid codes. Please try again later.', retryAfter: lockoutMinutes * 60 });
+      }
+      return res.status(401).json({ message: 'Invalid code.' });
+    }
+    await rateLimitService.recordSuccessfulAttempt('two-factor', userId);
+
+    // 4. Send the tokens, warning the user when they are running out of recovery codes
+    const response = { message: 'Logged in successfully', ...result.tokens, user: formatLoginUser(result.user) };
+    if (result.usedRecoveryCode) {
+      response.recoveryCodesRemaining = await twoFactorModel.countUnusedRecoveryCodes(userId);
+    }
+    res.status(200).json(response);
+  } catch (error) {
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    } else {
+      console.error('Error during two-factor login:', error);
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during login.', ...error.details });
+  }
+};
+
+
+// --- Token Refresh ---
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // 1. Validate input
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ message: 'Please provide a refresh token.' });
+  }
+
+  try {
+    // 2. Exchange it for a new access token and refresh token (the old one stops working)
+    const tokens = await authTokenService.rotateRefreshToken(refreshToken);
+    res.status(200).json({ message: 'Session refreshed', ...tokens });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during token refresh.', ...error.details });
+  }
+};
+
+
+// --- Logout ---
+exports.logout = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ message: 'Please provide a refresh token.' });
+  }
+
+  try {
+    // Ending the session also stops its access tokens working
+    await authTokenService.endSession(refreshToken);
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ message: 'Server error during logout.' });
+  }
+};
+
+
+// --- Forgotten Password ---
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  // 1. Validate input
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ message: 'Please provide your email address.' });
+  }
+
+  try {
+    // 2. Email a reset link if the account exists. The answer is the same either way,
+    // so this can't be used to find out who has an account.
+    await passwordResetService.requestPasswordReset(email);
+    res.status(200).json({ message: 'If an account exists for that email, we have sent it a link to reset the password.' });
+  } catch (error) {
+    console.error('Error requesting a password reset:', error);
+    res.status(500).json({ message: 'Server error while requesting a password reset.' });
+  }
+};
+
+
+// --- Password Reset ---
+exports.resetPassword = async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // 1. Validate input
+  if (!token || typeof token !== 'string' || !newPassword) {
+    return res.status(400).json({ message: 'Please provide the reset token and a new password.' });
+  }
+
+  try {
+    // 2. Set the new password; the token stops working and every session is logged out
+    await passwordResetService.resetPassword(token, newPassword);
+    res.status(200).json({ message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during password reset.', ...error.details });
+  }
+};
+
+
+// --- Email Verification ---
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.query;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: 'The verification token is missing.' });
+  }
+
+  try {
+    await emailVerificationService.verifyEmail(token);
+    res.status(200).json({ message: 'Your email address has been verified.' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during email verification.', ...error.details });
+  }
+};
+
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    await emailVerificationService.resendVerificationEmail(req.user);
+    res.status(200).json({ message: `We have sent a new verification link to ${req.user.email}.` });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error while sending the verification email.', ...error.details });
   }
 };
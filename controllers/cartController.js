@@ -1,13 +1,16 @@
 // backend/controllers/cartController.js
 
 const cartModel = require('../models/cartModel');
+const wishlistModel = require('../models/wishlistModel');
+const variantService = require('../services/variantService');
+const pricingService = require('../services/pricingService');
 
 const cartController = {
   /**
    * Adds an item to the user's cart or updates its quantity.
    */
   addItemToCart: async (req, res) => {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
     // The user's ID is attached to the request by the 'protect' middleware
     const userId = req.user.id;
 
@@ -17,11 +20,14 @@ const cartController = {
     }
 
     try {
-      const result = await cartModel.addItem(userId, productId, quantity);
+      // A product sold in variants must be added as one of its active variants.
+      await variantService.assertSelectableVariant(productId, variantId);
+
+      const result = await cartModel.addItem(userId, productId, quantity, variantId || null);
       res.status(200).json(result);
     } catch (error) {
       console.error('Error in addItemToCart controller:', error);
-      res.status(500).json({ message: error.message || 'Failed to add item to cart.' });
+      res.status(error.statusCode || 500).json({ message: error.message || 'Failed to add item to cart.' });
     }
   },
 
@@ -82,6 +88,28 @@ const cartController = {
     }
   },
 
+  /**
+   * Moves an item from the user's cart to their wishlist ("save for later").
+   */
+  saveForLater: async (req, res) => {
+    const { cartItemId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const cartItem = await cartModel.getCartItem(cartItemId, userId);
+      if (!cartItem) {
+        return res.status(404).json({ message: 'Cart item not found or does not belong to the user.' });
+      }
+
+      const result = await wishlistModel.addItem(userId, cartItem.product_id, cartItem.variant_id);
+      await cartModel.removeCartItem(cartItem.id, userId);
+      res.status(200).json({ message: 'Item saved for later.', wishlistItemId: result.wishlistItemId });
+    } catch (error) {
+      console.error('Error in saveForLater controller:', error);
+      res.status(500).json({ message: error.message || 'Failed to save item for later.' });
+    }
+  },
+
   /**
    * Clears all items from the user's cart.
    */
@@ -95,6 +123,27 @@ const cartController = {
       console.error('Error in clearUserCart controller:', error);
       res.status(500).json({ message: error.message || 'Failed to clear cart.' });
     }
+  },
+
+  /**
+   * Previews a coupon on the user's cart, returning the priced cart with the discount applied.
+   * Nothing is reserved; the coupon is checked again when the order is placed.
+   */
+  applyCoupon: async (req, res) => {
+    const { code } = req.body;
+    const userId = req.user.id;
+
+    if (!code) {
+      return res.status(400).json({ message: 'A coupon code is required.' });
+    }
+
+    try {
+      const quote = await pricingService.quoteCart(userId, { couponCode: code });
+      res.status(200).json({ message: 'Coupon applied.', ...quote });
+    } catch (error) {
+      console.error('Error in applyCoupon controller:', error);
+      res.status(error.statusCode || 500).json({ message: error.message || 'Failed to apply coupon.', ...error.details });
+    }
   }
 };
 
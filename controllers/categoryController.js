@@ -0,0 +1,182 @@
+// backend/controllers/categoryController.js
+
+const fs = require('fs');
+const categoryModel = require('../models/categoryModel');
+const categoryService = require('../services/categoryService');
+const { uploadImage, deleteImage } = require('../services/cloudinaryService');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+/**
+ * Converts the COUNT column of a category row.
+ */
+const formatCategory = (category) => ({ ...category, product_count: parseInt(category.product_count, 10) });
+
+/**
+ * Rejects a name that only differs in case, spacing or punctuation from another category's name,
+ * since products and coupons refer to categories by name.
+ * @param {Array} categories - Every category.
+ * @param {string} name - The requested name.
+ * @param {number|null} categoryId - The ID of the category being saved (null when creating one).
+ */
+const assertNameAvailable = (categories, name, categoryId) => {
+  const key = categoryService.categoryKey(name);
+  const clash = categories.find(category => category.id !== categoryId && categoryService.categoryKey(category.name) === key);
+  if (clash) {
+    throw httpError(409, `A category named "${clash.name}" already exists.`, { categoryId: clash.id });
+  }
+};
+
+/**
+ * Removes multer's temporary file when a request is rejected before the upload.
+ */
+const removeTempFile = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+// --- Public Category Operations ---
+
+// Fetch all categories, nested under their parents (or as a flat list with ?flat=true)
+exports.getCategories = async (req, res) => {
+  try {
+    const categories = (await categoryModel.getAllCategories()).map(formatCategory);
+    const flat = req.query.flat === 'true' || req.query.flat === '1';
+    res.status(200).json(flat ? categories : categoryService.buildCategoryTree(categories));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ message: 'Failed to fetch categories.' });
+  }
+};
+
+// Fetch a single category by its ID or slug, with its subcategories and its path from the top level
+exports.getCategory = async (req, res) => {
+  const { idOrSlug } = req.params;
+  try {
+    const categories = (await categoryModel.getAllCategories()).map(formatCategory);
+    const category = /^\d+$/.test(idOrSlug)
+      ? categories.find(c => c.id === parseInt(idOrSlug, 10))
+      : categories.find(c => c.slug === idOrSlug.toLowerCase());
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+
+    const breadcrumb = [];
+    for (let current = category; current; current = categories.find(c => c.id === current.parent_id)) {
+      breadcrumb.unshift({ id: current.id, name: current.name, slug: current.slug });
+    }
+
+    res.status(200).json({
+      ...category,
+      children: categories.filter(c => c.parent_id === category.id),
+      breadcrumb,
+    });
+  } catch (error) {
+    console.error(`Error fetching category ${idOrSlug}:`, error);
+    res.status(500).json({ message: 'Failed to fetch category.' });
+  }
+};
+
+
+// --- Admin Category Management ---
+
+// Admin: Create a category, with an optional image
+exports.createCategory = async (req, res) => {
+  try {
+    // 1. Validate input
+    const category = categoryService.parseCategoryInput(req.body);
+    const categories = await categoryModel.getAllCategories();
+    categoryService.assertValidParent(categories, null, category.parent_id);
+    assertNameAvailable(categories, category.name, null);
+
+    // 2. Upload the image to Cloudinary
+    if (req.file) {
+      const uploadedImage = await uploadImage(req.file.path, req.file.originalname);
+      category.image_url = uploadedImage.url;
+      category.image_public_id = uploadedImage.public_id;
+    }
+
+    // 3. Insert the category
+    const categoryId = await categoryModel.createCategory(category);
+    res.status(201).json({ message: 'Category created successfully!', categoryId, slug: category.slug });
+  } catch (error) {
+    removeTempFile(req.file);
+    console.error('Error creating category:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A category with this slug already exists.' });
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to create category.', ...error.details });
+  }
+};
+
+// Admin: Update a category (rename, move under another parent, replace its image)
+exports.updateCategory = async (req, res) => {
+  const categoryId = parseInt(req.params.id, 10);
+  try {
+    // 1. Validate input
+    const categories = await categoryModel.getAllCategories();
+    const existing = categories.find(c => c.id === categoryId);
+    if (!existing) {
+      removeTempFile(req.file);
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+    const category = categoryService.parseCategoryInput(req.body);
+    categoryService.assertValidParent(categories, categoryId, category.parent_id);
+    assertNameAvailable(categories, category.name, categoryId);
+
+    // 2. Upload the new image to Cloudinary
+    if (req.file) {
+      const uploadedImage = await uploadImage(req.file.path, req.file.originalname);
+      category.image_url = uploadedImage.url;
+      category.image_public_id = uploadedImage.public_id;
+    }
+
+    // 3. Save the category; a rename is copied to its products
+    await withTransaction(connection => categoryModel.updateCategory(categoryId, category, existing.name, connection));
+
+    // 4. Delete the replaced image from Cloudinary
+    if (req.file && existing.image_public_id) {
+      await deleteImage(existing.image_public_id);
+    }
+
+    res.status(200).json({ message: 'Category updated successfully!' });
+  } catch (error) {
+    removeTempFile(req.file);
+    console.error(`Error updating category with ID ${categoryId}:`, error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A category with this slug already exists.' });
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update category.', ...error.details });
+  }
+};
+
+// Admin: Delete an empty category
+exports.deleteCategory = async (req, res) => {
+  const categoryId = parseInt(req.params.id, 10);
+  try {
+    // 1. Only categories without subcategories or products can be deleted
+    const categories = (await categoryModel.getAllCategories()).map(formatCategory);
+    const category = categories.find(c => c.id === categoryId);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+    if (categories.some(c => c.parent_id === categoryId)) {
+      return res.status(409).json({ message: 'Move or delete the subcategories of this category first.' });
+    }
+    if (category.product_count > 0) {
+      return res.status(409).json({ message: `Move the ${category.product_count} product(s) in this category to another category first.` });
+    }
+
+    // 2. Delete the category and its image
+    await categoryModel.deleteCategory(categoryId);
+    if (category.image_public_id) {
+      await deleteImage(category.image_public_id);
+    }
+
+    res.status(200).json({ message: 'Category deleted successfully.' });
+  } catch (error) {
+    console.error(`Error deleting category with ID ${categoryId}:`, error);
+    res.status(500).json({ message: 'Failed to delete category.' });
+  }
+};
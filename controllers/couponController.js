@@ -0,0 +1,86 @@
+// backend/controllers/couponController.js
+
+const couponModel = require('../models/couponModel');
+const couponService = require('../services/couponService');
+const withTransaction = require('../utils/withTransaction');
+
+// --- Admin Coupon Management ---
+
+// Admin: Fetch all coupons
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const coupons = await couponModel.getAllCoupons();
+    res.status(200).json(coupons);
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ message: 'Failed to fetch coupons.' });
+  }
+};
+
+// Admin: Fetch a single coupon by its ID
+exports.getCouponById = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const coupon = await couponModel.getCouponById(id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found.' });
+    }
+    res.status(200).json(coupon);
+  } catch (error) {
+    console.error(`Error fetching coupon with ID ${id}:`, error);
+    res.status(500).json({ message: 'Failed to fetch coupon.' });
+  }
+};
+
+// Admin: Create a new coupon
+exports.createCoupon = async (req, res) => {
+  try {
+    // 1. Validate input
+    const coupon = couponService.parseCouponInput(req.body);
+
+    // 2. Insert the coupon and its product/category scope
+    const couponId = await withTransaction(connection => couponModel.createCoupon(coupon, connection));
+
+    res.status(201).json({ message: 'Coupon created successfully!', couponId, code: coupon.code });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A coupon with this code already exists.' });
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to create coupon.' });
+  }
+};
+
+// Admin: Update an existing coupon
+exports.updateCoupon = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const coupon = couponService.parseCouponInput(req.body);
+    const updated = await withTransaction(connection => couponModel.updateCoupon(id, coupon, connection));
+    if (!updated) {
+      return res.status(404).json({ message: 'Coupon not found.' });
+    }
+    res.status(200).json({ message: 'Coupon updated successfully!' });
+  } catch (error) {
+    console.error(`Error updating coupon with ID ${id}:`, error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A coupon with this code already exists.' });
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update coupon.' });
+  }
+};
+
+// Admin: Delete a coupon
+exports.deleteCoupon = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const deleted = await couponModel.deleteCoupon(id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Coupon not found.' });
+    }
+    res.status(200).json({ message: 'Coupon deleted successfully.' });
+  } catch (error) {
+    console.error(`Error deleting coupon with ID ${id}:`, error);
+    res.status(500).json({ message: 'Failed to delete coupon.' });
+  }
+};
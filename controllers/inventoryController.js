@@ -0,0 +1,151 @@
+// backend/controllers/inventoryController.js
+
+const productController = require('./productController');
+const productVariantModel = require('../models/productVariantModel');
+const stockMovementModel = require('../models/stockMovementModel');
+const lowStockAlertModel = require('../models/lowStockAlertModel');
+const inventoryService = require('../services/inventoryService');
+const variantService = require('../services/variantService');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// --- Admin Stock Ledger ---
+
+/**
+ * Records a manual stock change (a restock, or an adjustment up or down with a reason) against
+ * a product, or against one of its variants for products sold by variant.
+ */
+exports.adjustStock = async (req, res) => {
+  const productId = parseInt(req.params.id, 10);
+  try {
+    // 1. Validate input
+    const adjustment = inventoryService.parseAdjustmentInput(req.body);
+    const variants = (await productVariantModel.getVariantsForProducts([productId])).get(productId);
+    if (adjustment.variantId === null && variants.length > 0) {
+      throw httpError(400, 'This product is stocked by variant; choose the variant to adjust.');
+    }
+    if (adjustment.variantId !== null && !variants.some(variant => variant.id === adjustment.variantId)) {
+      throw httpError(404, 'Variant not found.');
+    }
+
+    const stockQuantity = await withTransaction(async connection => {
+      // 2. Lock the product and check that the stock can't go below zero
+      const [products] = await connection.query('SELECT id FROM products WHERE id = ? FOR UPDATE', [productId]);
+      if (products.length === 0) {
+        throw httpError(404, 'Product not found.');
+      }
+      const level = await stockMovementModel.getStockLevel(productId, adjustment.variantId, connection);
+      if (level.stock_quantity + adjustment.quantity < 0) {
+        throw httpError(409, `Only ${level.stock_quantity} unit(s) are in stock.`, { stockQuantity: level.stock_quantity });
+      }
+
+      // 3. Apply the change; the stock helpers write it to the ledger
+      const movement = { type: adjustment.type, userId: req.user.id, reason: adjustment.reason };
+      if (adjustment.quantity < 0) {
+        await productController.deductProductStock(productId, -adjustment.quantity, connection, adjustment.variantId, movement);
+      } else {
+        await productController.restoreProductStock(productId, adjustment.quantity, connection, adjustment.variantId, movement);
+      }
+      return level.stock_quantity + adjustment.quantity;
+    });
+
+    res.status(200).json({ message: 'Stock updated successfully.', productId, variantId: adjustment.variantId, stock_quantity: stockQuantity });
+  } catch (error) {
+    console.error(`Error adjusting stock of product ${productId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update stock.', ...error.details });
+  }
+};
+
+/**
+ * Lists a product's stock movements, newest first. Query: variantId, type, page, limit.
+ */
+exports.getStockMovements = async (req, res) => {
+  const productId = parseInt(req.params.id, 10);
+  const { variantId, type } = req.query;
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: 'Page must be a positive whole number.' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+  }
+  if (type && !inventoryService.MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({ message: `Type must be one of: ${inventoryService.MOVEMENT_TYPES.join(', ')}.` });
+  }
+
+  try {
+    const { movements, total } = await stockMovementModel.getMovements(productId, {
+      variantId: variantId ? parseInt(variantId, 10) : undefined, type, page, limit
+    });
+    res.status(200).json({
+      movements,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error(`Error fetching stock movements of product ${productId}:`, error);
+    res.status(500).json({ message: 'Failed to fetch stock movements.' });
+  }
+};
+
+
+// --- Admin Low-Stock Reporting ---
+
+/**
+ * Lists every product and variant at or below its low-stock threshold, lowest stock first.
+ */
+exports.getLowStockReport = async (req, res) => {
+  try {
+    const { lowStockThreshold } = inventoryService.getInventorySettings();
+    const items = await lowStockAlertModel.getLowStockItems(lowStockThreshold);
+    res.status(200).json({
+      default_threshold: lowStockThreshold,
+      items: items.map(({ variant_size, variant_colour, ...item }) => ({
+        ...item,
+        variant_label: item.variant_id === null ? null : variantService.getVariantLabel({ size: variant_size, colour: variant_colour }),
+      })),
+    });
+  } catch (error) {
+    console.error('Error building low-stock report:', error);
+    res.status(500).json({ message: 'Failed to build low-stock report.' });
+  }
+};
+
+/**
+ * Lists low-stock alerts. Query: status ('open' (default), 'acknowledged' or 'all').
+ */
+exports.getLowStockAlerts = async (req, res) => {
+  const status = req.query.status || 'open';
+  const filters = { open: false, acknowledged: true, all: undefined };
+  if (!Object.prototype.hasOwnProperty.call(filters, status)) {
+    return res.status(400).json({ message: 'Status must be one of: open, acknowledged, all.' });
+  }
+  try {
+    const alerts = await lowStockAlertModel.listAlerts(filters[status]);
+    res.status(200).json(alerts);
+  } catch (error) {
+    console.error('Error fetching low-stock alerts:', error);
+    res.status(500).json({ message: 'Failed to fetch low-stock alerts.' });
+  }
+};
+
+/**
+ * Marks a low-stock alert as seen.
+ */
+exports.acknowledgeLowStockAlert = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const acknowledged = await lowStockAlertModel.acknowledgeAlert(id, req.user.id);
+    if (!acknowledged) {
+      return res.status(404).json({ message: 'Open alert not found.' });
+    }
+    res.status(200).json({ message: 'Alert acknowledged.' });
+  } catch (error) {
+    console.error(`Error acknowledging low-stock alert ${id}:`, error);
+    res.status(500).json({ message: 'Failed to acknowledge alert.' });
+  }
+};
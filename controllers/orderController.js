@@ -3,47 +3,142 @@
 const db = require('../db');
 const productController = require('./productController');
 const cartModel = require('../models/cartModel');
+const orderModel = require('../models/orderModel');
+const pricingService = require('../services/pricingService');
+const orderStatusService = require('../services/orderStatusService');
+const couponService = require('../services/couponService');
+const invoiceService = require('../services/invoiceService');
+const shippingService = require('../services/shippingService');
+const reservationService = require('../services/reservationService');
+const reservationModel = require('../models/reservationModel');
+const invoiceModel = require('../models/invoiceModel');
+const returnModel = require('../models/returnModel');
+const withTransaction = require('../utils/withTransaction');
+const { roundMoney } = require('../utils/money');
 
 /**
- * Creates a new order using a database transaction.
+ * Prices the current user's cart (with an optional `couponCode` and `shippingAddress`) without placing an order.
+ * The storefront uses this to show the totals the customer will actually be charged.
+ */
+exports.getOrderQuote = async (req, res) => {
+  const { couponCode, shippingAddress } = req.body;
+  try {
+    const quote = await pricingService.quoteCart(req.user.id, { couponCode, shippingAddress });
+    res.status(200).json(quote);
+  } catch (error) {
+    console.error('Error pricing cart:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to price cart.', ...error.details });
+  }
+};
+
+
+/**
+ * Starts checkout: reserves the stock for everything in the current user's cart for RESERVATION_TTL_MINUTES,
+ * so that no one else can buy it while the customer pays. Accepts the same `couponCode` and `shippingAddress`
+ * as the quote and returns the quote along with when the reservation expires.
+ */
+exports.startCheckout = async (req, res) => {
+  const { couponCode, shippingAddress } = req.body;
+  try {
+    const { quote, reservation } = await withTransaction(connection =>
+      reservationService.reserveCart(connection, req.user.id, { couponCode, shippingAddress })
+    );
+    res.status(200).json({ reservation, quote });
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to start checkout.', ...error.details });
+  }
+};
+
+
+/**
+ * Creates a new order from the user's cart using a database transaction.
+ * Order lines and totals are computed from the database; the client may send the total
+ * it displayed (`expectedTotal`, or the legacy `totalAmount`) and the order is refused
+ * with a fresh quote if that no longer matches. Stock the user reserved at checkout is converted into the
+ * order's stock deduction; stock reserved by other customers is not available to the order.
  */
 exports.createOrder = async (req, res) => {
-  const { items, totalAmount, shippingAddress } = req.body;
+  const { shippingAddress, couponCode } = req.body;
+  const expectedTotal = req.body.expectedTotal ?? req.body.totalAmount;
   const userId = req.user.id;
 
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ message: 'Order must contain at least one item.' });
-  }
-  if (totalAmount === undefined || totalAmount === null) {
-    return res.status(400).json({ message: 'Total amount is required.' });
-  }
   if (!shippingAddress) {
     return res.status(400).json({ message: 'Shipping address is required.' });
   }
+  if (!shippingService.isValidPincode(shippingAddress.pincode)) {
+    return res.status(400).json({ message: 'Shipping address must include a valid 6-digit pincode.' });
+  }
 
   let connection;
   try {
     connection = await db.getConnection();
     await connection.beginTransaction();
 
+    // 1. Lock the stock of the cart's products, so checkouts for them wait until the order is placed
+    await reservationModel.lockCartStock(userId, connection);
+
+    // 2. Price the cart from current product data (this also locks the coupon, if one is applied)
+    const quote = await pricingService.quoteCart(userId, { connection, couponCode, shippingAddress });
+
+    // 3. Refuse the order if the customer was shown a different total
+    if (expectedTotal !== undefined && expectedTotal !== null && !pricingService.totalMatchesQuote(expectedTotal, quote)) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: 'Your order total has changed. Please review the updated prices and try again.',
+        quote,
+      });
+    }
+
+    // 4. Insert the order header with the server-computed amounts
     // CORRECTED: Ensure the shippingAddress object is converted to a JSON string before insertion.
-    const orderSql = 'INSERT INTO orders (user_id, total_amount, shipping_address, status) VALUES (?, ?, ?, ?)';
-    const [orderResult] = await connection.query(orderSql, [userId, totalAmount, JSON.stringify(shippingAddress), 'pending']);
+    const orderSql = `
+      INSERT INTO orders
+        (user_id, subtotal_amount, discount_amount, shipping_amount, tax_amount, cgst_amount, sgst_amount, igst_amount,
+         total_amount, coupon_id, coupon_code, place_of_supply, shipping_address, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [orderResult] = await connection.query(orderSql, [
+      userId, quote.subtotal, quote.discount, quote.shipping, quote.tax,
+      quote.tax_breakdown.cgst, quote.tax_breakdown.sgst, quote.tax_breakdown.igst, quote.total,
+      quote.coupon ? quote.coupon.id : null, quote.coupon ? quote.coupon.code : null, quote.place_of_supply,
+      JSON.stringify(shippingAddress), 'pending'
+    ]);
     const orderId = orderResult.insertId;
+    await orderModel.addStatusHistory({ orderId, fromStatus: null, toStatus: 'pending', changedBy: userId, note: 'Order placed' }, connection);
 
-    for (const item of items) {
-      const orderItemSql = 'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)';
-      // Use item.product_id and item.product_price from the cart items
-      await connection.query(orderItemSql, [orderId, item.product_id, item.quantity, item.product_price]);
-      await productController.deductProductStock(item.product_id, item.quantity, connection);
+    // 5. Insert the order lines at the quoted unit prices, with their GST, and deduct stock
+    for (const item of quote.items) {
+      const orderItemSql = `
+        INSERT INTO order_items
+          (order_id, product_id, variant_id, variant_sku, variant_label, quantity, price, discount_amount, taxable_value,
+           hsn_code, gst_rate, cgst_amount, sgst_amount, igst_amount)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      await connection.query(orderItemSql, [
+        orderId, item.product_id, item.variant_id, item.variant_sku, item.variant_label, item.quantity, item.unit_price,
+        item.discount, item.taxable_value, item.hsn_code, item.gst_rate, item.cgst, item.sgst, item.igst
+      ]);
+      await productController.deductProductStock(item.product_id, item.quantity, connection, item.variant_id, {
+        type: 'sale', orderId, userId
+      });
+    }
+    await reservationModel.convertUserReservations(userId, orderId, connection);
+
+    // 6. Count the coupon's use in the same transaction, so its limits can't be exceeded
+    if (quote.coupon) {
+      await couponService.redeemCoupon(connection, {
+        couponId: quote.coupon.id, userId, orderId, discountAmount: quote.discount
+      });
     }
 
-    await cartModel.clearCart(userId);
+    await cartModel.clearCart(userId, connection);
     await connection.commit();
 
     res.status(201).json({
       message: 'Order placed successfully!',
       orderId: orderId,
+      pricing: quote,
     });
 
   } catch (error) {
@@ -51,7 +146,7 @@ exports.createOrder = async (req, res) => {
       await connection.rollback();
     }
     console.error('Error placing order:', error);
-    res.status(500).json({ message: error.message || 'Failed to place order.' });
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to place order.', ...error.details });
   } finally {
     if (connection) {
       connection.release();
@@ -68,8 +163,8 @@ exports.getUserOrders = async (req, res) => {
   try {
     const sql = `
       SELECT 
-        o.id AS order_id, o.order_date, o.total_amount, o.status, o.shipping_address,
-        oi.quantity, oi.price AS item_price, 
+        o.id AS order_id, o.order_date, o.total_amount, o.refunded_amount, o.status, o.shipping_address,
+        oi.quantity, oi.price AS item_price, oi.variant_sku, oi.variant_label,
         p.name AS product_name, p.image_id AS product_image_id
       FROM orders o
       JOIN order_items oi ON o.id = oi.order_id
@@ -99,19 +194,34 @@ exports.getUserOrders = async (req, res) => {
           order_id: row.order_id,
           order_date: row.order_date,
           total_amount: parseFloat(row.total_amount),
+          refunded_amount: parseFloat(row.refunded_amount),
           status: row.status,
           shipping_address: parsedAddress,
-          items: []
+          items: [],
+          status_history: []
         });
       }
       ordersMap.get(row.order_id).items.push({
         product_name: row.product_name,
+        variant_sku: row.variant_sku,
+        variant_label: row.variant_label,
         quantity: row.quantity,
         item_price: parseFloat(row.item_price),
         image_url: row.product_image_id
       });
     });
 
+    // Attach each order's status timeline
+    const timelines = await orderModel.getStatusHistory(Array.from(ordersMap.keys()));
+    timelines.forEach((entries, orderId) => {
+      ordersMap.get(orderId).status_history = entries.map(entry => ({
+        from_status: entry.from_status,
+        status: entry.to_status,
+        note: entry.note,
+        changed_at: entry.created_at
+      }));
+    });
+
     res.status(200).json(Array.from(ordersMap.values()));
   } catch (error) {
     console.error('Error fetching user orders:', error);
@@ -127,9 +237,9 @@ exports.getAllOrders = async (req, res) => {
   try {
     const sql = `
       SELECT 
-        o.id AS order_id, o.order_date, o.total_amount, o.status, o.shipping_address,
+        o.id AS order_id, o.order_date, o.total_amount, o.refunded_amount, o.status, o.shipping_address,
         u.username AS customer_username, u.email AS customer_email,
-        oi.quantity, oi.price AS item_price, 
+        oi.quantity, oi.price AS item_price, oi.variant_sku, oi.variant_label,
         p.name AS product_name, p.image_id AS product_image_id
       FROM orders o
       JOIN users u ON o.user_id = u.id
@@ -157,23 +267,220 @@ exports.getAllOrders = async (req, res) => {
           order_id: row.order_id,
           order_date: row.order_date,
           total_amount: parseFloat(row.total_amount),
+          refunded_amount: parseFloat(row.refunded_amount),
           status: row.status,
           shipping_address: parsedAddress,
           customer: { username: row.customer_username, email: row.customer_email },
-          items: []
+          items: [],
+          status_history: []
         });
       }
       ordersMap.get(row.order_id).items.push({
         product_name: row.product_name,
+        variant_sku: row.variant_sku,
+        variant_label: row.variant_label,
         quantity: row.quantity,
         item_price: parseFloat(row.item_price),
         image_url: row.product_image_id
       });
     });
 
+    // Attach each order's status timeline, including who made each change
+    const timelines = await orderModel.getStatusHistory(Array.from(ordersMap.keys()));
+    timelines.forEach((entries, orderId) => {
+      ordersMap.get(orderId).status_history = entries.map(entry => ({
+        from_status: entry.from_status,
+        status: entry.to_status,
+        note: entry.note,
+        changed_at: entry.created_at,
+        changed_by: entry.changed_by
+          ? { id: entry.changed_by, username: entry.changed_by_username, role: entry.changed_by_role }
+          : null
+      }));
+    });
+
     res.status(200).json(Array.from(ordersMap.values()));
   } catch (error) {
     console.error('Error fetching all orders:', error);
     res.status(500).json({ message: 'Failed to fetch all orders.' });
   }
 };
+
+
+/**
+ * Changes the status of an order (for admin use).
+ * Only transitions allowed by the order lifecycle are accepted; every change is recorded in the history.
+ * Cancelling goes through cancelOrder instead, which also returns the items to stock, and an order only
+ * becomes 'refunded' through a refund, which records the amount and restocks what was returned.
+ */
+exports.updateOrderStatus = async (req, res) => {
+  const { id } = req.params;
+  const { status, note } = req.body;
+
+  if (!status) {
+    return res.status(400).json({ message: 'A new status is required.' });
+  }
+  if (status === 'cancelled') {
+    return res.status(400).json({ message: `To cancel an order, use POST /api/orders/${id}/cancel so that its items are returned to stock.` });
+  }
+  if (status === 'refunded') {
+    return res.status(400).json({
+      message: `An order is marked refunded once it has been refunded in full: refund its returns through POST /api/returns/:id/refund, or cancel it through POST /api/orders/${id}/cancel before it ships.`
+    });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const result = await orderStatusService.transitionOrderStatus(connection, id, status, {
+      changedBy: req.user.id,
+      note
+    });
+
+    await connection.commit();
+
+    res.status(200).json({
+      message: `Order status updated from '${result.fromStatus}' to '${result.toStatus}'.`,
+      orderId: result.id,
+      status: result.toStatus
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`Error updating status of order ID ${id}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update order status.', ...error.details });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+
+/**
+ * Cancels an order, returns its items to stock and gives back any coupon use.
+ * Customers may cancel their own orders until they are paid for; admins may cancel any order that
+ * has not been shipped yet. Cancelling a paid order records a refund of what is left of its total,
+ * which the store then owes the customer.
+ */
+exports.cancelOrder = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const isAdmin = req.user.role === 'admin';
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // 1. Lock the order and check that the user may cancel it
+    const order = await orderModel.getOrderForUpdate(id, connection);
+    if (!order || (!isAdmin && order.user_id !== req.user.id)) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+    if (!orderStatusService.canTransition(order.status, 'cancelled')) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: `This order is '${order.status}' and can no longer be cancelled.`,
+        currentStatus: order.status
+      });
+    }
+    const isPaid = !orderStatusService.UNPAID_STATUSES.includes(order.status);
+    if (isPaid && !isAdmin) {
+      await connection.rollback();
+      return res.status(409).json({
+        message: 'This order has been paid for. Please contact us to cancel it.',
+        currentStatus: order.status
+      });
+    }
+
+    // 2. Mark the order cancelled, record the reason and give back its coupon use
+    await orderStatusService.transitionOrderStatus(connection, order.id, 'cancelled', {
+      changedBy: req.user.id,
+      note: reason || (isAdmin ? 'Cancelled by admin' : 'Cancelled by customer')
+    });
+    await orderModel.setCancellation(order.id, reason, connection);
+    await couponService.releaseCoupon(connection, order.id);
+
+    // 3. Return every line's quantity to stock
+    const items = await orderModel.getOrderItems(order.id, connection);
+    for (const item of items) {
+      await productController.restoreProductStock(item.product_id, item.quantity, connection, item.variant_id, {
+        type: 'cancellation', orderId: order.id, userId: req.user.id, reason: reason || null
+      });
+    }
+
+    // 4. A paid order is refunded in full: record the refund owed to the customer
+    const refundAmount = isPaid ? roundMoney(parseFloat(order.total_amount) - parseFloat(order.refunded_amount)) : 0;
+    if (refundAmount > 0) {
+      await returnModel.createRefund({
+        orderId: order.id, returnId: null, amount: refundAmount, createdBy: req.user.id,
+        note: `Order cancelled after payment${reason ? `: ${reason}` : ''}`.slice(0, 500), lines: []
+      }, connection);
+    }
+
+    await connection.commit();
+
+    res.status(200).json({
+      message: refundAmount > 0
+        ? `Order cancelled successfully. A refund of ${refundAmount} is owed to the customer.`
+        : 'Order cancelled successfully.',
+      orderId: order.id,
+      status: 'cancelled',
+      refundAmount
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error(`Error cancelling order ID ${id}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to cancel order.', ...error.details });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+
+/**
+ * Renders the GST tax invoice for an order as HTML. Available to the order's owner and to admins
+ * once the order has been paid. Add `?download=1` to receive it as a file.
+ */
+exports.getOrderInvoice = async (req, res) => {
+  const { id } = req.params;
+  try {
+    // 1. Check that the user may see this order and that it has been paid
+    const order = await orderModel.getOrderById(id);
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+    if (!invoiceService.INVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ message: 'An invoice is available once the order has been paid.', currentStatus: order.status });
+    }
+
+    // 2. Orders are invoiced when they are paid; one paid before invoicing was added gets its invoice now
+    let invoice = await invoiceModel.getByOrderId(order.id);
+    if (!invoice) {
+      invoice = await withTransaction(async connection => {
+        await orderModel.getOrderForUpdate(order.id, connection);
+        return invoiceService.issueInvoice(connection, order.id);
+      });
+    }
+    const data = await invoiceModel.getInvoiceData(order.id);
+    const html = invoiceService.renderInvoiceHtml(invoice, data);
+
+    if (req.query.download) {
+      const fileName = `invoice-${invoice.invoice_number.replace(/[^A-Za-z0-9-]/g, '_')}.html`;
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    }
+    res.status(200).type('html').send(html);
+  } catch (error) {
+    console.error(`Error generating invoice for order ID ${id}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to generate invoice.', ...error.details });
+  }
+};
@@ -0,0 +1,111 @@
+// backend/controllers/paymentController.js
+
+const paymentModel = require('../models/paymentModel');
+const orderModel = require('../models/orderModel');
+const paymentService = require('../services/paymentService');
+const mockProvider = require('../services/paymentProviders/mockProvider');
+const withTransaction = require('../utils/withTransaction');
+
+/**
+ * Starts a payment for one of the current user's orders and returns the data the storefront
+ * needs to open the gateway's checkout (Razorpay Checkout options, or the mock intent).
+ */
+exports.createPaymentIntent = async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const intent = await withTransaction(connection =>
+      paymentService.createPaymentIntent(connection, { orderId, user: req.user })
+    );
+    res.status(201).json({ message: 'Payment initiated.', ...intent });
+  } catch (error) {
+    console.error(`Error creating payment intent for order ID ${orderId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to initiate payment.', ...error.details });
+  }
+};
+
+/**
+ * Retrieves the payment attempts for one of the current user's orders.
+ */
+exports.getOrderPayments = async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const order = await orderModel.getOrderById(orderId);
+    if (!order || (order.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+    const payments = await paymentModel.getPaymentsForOrder(order.id);
+    res.status(200).json({ orderId: order.id, status: order.status, payments });
+  } catch (error) {
+    console.error(`Error fetching payments for order ID ${orderId}:`, error);
+    res.status(500).json({ message: 'Failed to fetch payments.' });
+  }
+};
+
+/**
+ * Admin: lists the payments captured for orders that could no longer be paid, which must be refunded.
+ */
+exports.getPaymentsRequiringRefund = async (req, res) => {
+  try {
+    const payments = await paymentModel.getPaymentsRequiringRefund();
+    res.status(200).json({ payments });
+  } catch (error) {
+    console.error('Error fetching payments requiring a refund:', error);
+    res.status(500).json({ message: 'Failed to fetch payments.' });
+  }
+};
+
+/**
+ * Receives payment notifications from the gateway. The HMAC signature is checked against the raw
+ * request body before anything else; unsigned or tampered requests are rejected.
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    const provider = paymentService.getPaymentProvider();
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({ message: 'Invalid webhook signature.' });
+    }
+
+    const result = await withTransaction(connection => paymentService.handleWebhookEvent(connection, req.body));
+    // Always acknowledge a verified webhook so the gateway stops retrying it.
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({ message: 'Failed to process webhook.' });
+  }
+};
+
+/**
+ * Simulates the gateway calling our webhook (mock provider only, and not mounted in production).
+ * Builds a correctly signed webhook for the given intent and runs it through the same code path as a real one.
+ * Only the customer who owns the order, or an admin, may simulate its payment.
+ */
+exports.simulateMockPayment = async (req, res) => {
+  const { intentId, outcome, amount } = req.body;
+
+  if (paymentService.getPaymentProvider().name !== mockProvider.name) {
+    return res.status(404).json({ message: 'Payment simulation is only available with the mock provider.' });
+  }
+  if (!intentId || !['succeeded', 'failed'].includes(outcome)) {
+    return res.status(400).json({ message: "An intentId and an outcome of 'succeeded' or 'failed' are required." });
+  }
+
+  try {
+    const payment = await paymentModel.getByIntent(mockProvider.name, intentId);
+    if (!payment || (payment.user_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Payment intent not found.' });
+    }
+
+    // Pay the full amount unless the caller wants to simulate a short payment.
+    const webhook = mockProvider.buildWebhook({ intentId, outcome, amount: amount === undefined ? payment.amount : amount });
+    if (!mockProvider.verifyWebhook(webhook.rawBody, webhook.headers)) {
+      return res.status(500).json({ message: 'Mock webhook signature could not be verified.' });
+    }
+    const result = await withTransaction(connection =>
+      paymentService.handleWebhookEvent(connection, JSON.parse(webhook.rawBody.toString()))
+    );
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    console.error('Error simulating mock payment:', error);
+    res.status(500).json({ message: 'Failed to simulate payment.' });
+  }
+};
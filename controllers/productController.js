@@ -1,9 +1,28 @@
 // backend/controllers/productController.js
 
 const db = require('../db');
-const { uploadImage, deleteImage } = require('../services/cloudinaryService');
+const productModel = require('../models/productModel');
+const productVariantModel = require('../models/productVariantModel');
+const productImageModel = require('../models/productImageModel');
+const reservationModel = require('../models/reservationModel');
+const variantService = require('../services/variantService');
+const categoryService = require('../services/categoryService');
+const inventoryService = require('../services/inventoryService');
+const productImportService = require('../services/productImportService');
+const { parseSkuField, parseGstFields, parseWeightField, parseLowStockThresholdField } = require('../services/productFieldService');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+const { uploadImage, uniqueFileName, deleteImage } = require('../services/cloudinaryService');
 const fs = require('fs'); // Node.js File System module for utility functions
 
+// Catalog page sizes for GET /api/products
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters that ask GET /api/products for a search result page. Without any of them it returns
+// the plain array of every product, newest first, as it always has.
+const SEARCH_PARAMS = ['q', 'category', 'minPrice', 'maxPrice', 'inStock', 'sort', 'page', 'limit'];
+
 /**
  * Extracts the public_id from a full Cloudinary URL.
  * @param {string} imageUrl - The full URL of the Cloudinary image.
@@ -34,24 +53,138 @@ const getPublicIdFromUrl = (imageUrl) => {
 };
 
 
+/**
+ * Shapes a gallery image for API responses.
+ * @param {object} image - A row from productImageModel.
+ * @returns {object} The public fields of the image.
+ */
+const formatGalleryImage = (image) => ({
+    id: image.id,
+    image_url: image.image_url,
+    alt_text: image.alt_text,
+    sort_order: image.sort_order,
+    is_primary: image.is_primary
+});
+
+/**
+ * Removes multer's temporary files, e.g. when a gallery upload is rejected.
+ * @param {Array} files - The files from req.files.
+ */
+const removeTempFiles = (files) => {
+    (files || []).forEach(file => {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+};
+
+
 // --- Public Product Operations ---
 
-// Fetch all products for public display
+/**
+ * Parses the catalog search parameters of GET /api/products.
+ * @param {object} query - The request query string.
+ * @returns {{filters: object|null, error: string|null}}
+ */
+const parseSearchQuery = (query) => {
+    const optionalPrice = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+    const minPrice = optionalPrice(query.minPrice);
+    const maxPrice = optionalPrice(query.maxPrice);
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    const q = (query.q || '').trim();
+    // Results are ranked by relevance when searching by keyword, and newest first otherwise.
+    const sort = query.sort || (q ? 'relevance' : 'newest');
+
+    if ((minPrice !== undefined && !(minPrice >= 0)) || (maxPrice !== undefined && !(maxPrice >= 0))) {
+        return { error: 'Price filters must be non-negative numbers.' };
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        return { error: 'minPrice cannot be greater than maxPrice.' };
+    }
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'Page must be a positive whole number.' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+    if (!Object.prototype.hasOwnProperty.call(productModel.SEARCH_SORTS, sort)) {
+        return { error: `Sort must be one of: ${Object.keys(productModel.SEARCH_SORTS).join(', ')}.` };
+    }
+
+    return {
+        filters: {
+            q,
+            category: (query.category || '').trim() || undefined,
+            minPrice,
+            maxPrice,
+            inStock: query.inStock === 'true' || query.inStock === '1',
+            sort,
+            page,
+            limit,
+        },
+        error: null,
+    };
+};
+
+// Search, filter, sort and paginate the catalog for public display
 exports.getAllProducts = async (req, res) => {
     try {
-        const sql = 'SELECT * FROM products ORDER BY created_at DESC';
-        const [products] = await db.query(sql);
+        // 1. Validate the search parameters
+        const isSearch = SEARCH_PARAMS.some(param => req.query[param] !== undefined);
+        const { filters, error } = parseSearchQuery(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (!isSearch) {
+            filters.limit = null;
+        }
+
+        // 2. A category filter also matches the products in its subcategories
+        if (filters.category) {
+            Object.assign(filters, { category: undefined }, await categoryService.resolveCategoryFilter(filters.category));
+        }
+
+        // 3. Run the search
+        const { products, total, categoryFacets } = await productModel.searchProducts(filters);
+        const productIds = products.map(p => p.id);
+        const variantsByProduct = await productVariantModel.getVariantsForProducts(productIds);
+        const imagesByProduct = await productImageModel.getImagesForProducts(productIds);
+        const reservedByProduct = await reservationModel.getReservedQuantities(productIds);
 
-        // Ensure price and stock are correctly formatted numbers
-        const formattedProducts = products.map(p => ({
+        // 4. Ensure price and stock are correctly formatted numbers
+        const formattedProducts = products.map(({ relevance, units_sold, ...p }) => ({
             ...p,
             price: parseFloat(p.price),
             stock_quantity: parseInt(p.stock_quantity, 10),
+            // Stock less what customers have reserved at checkout
+            available_quantity: Math.max(parseInt(p.stock_quantity, 10) - reservedByProduct.get(p.id).total, 0),
+            units_sold: parseInt(units_sold, 10),
+            rating_average: parseFloat(p.rating_average),
             // The image_id column now stores the full Cloudinary URL
-            image_url: p.image_id
+            image_url: p.image_id,
+            images: imagesByProduct.get(p.id).map(formatGalleryImage),
+            variants: variantService.buildVariantMatrix(p, variantsByProduct.get(p.id), reservedByProduct.get(p.id).byVariant)
         }));
 
-        res.status(200).json(formattedProducts);
+        if (!isSearch) {
+            return res.status(200).json(formattedProducts);
+        }
+        res.status(200).json({
+            products: formattedProducts,
+            pagination: {
+                page: filters.page,
+                limit: filters.limit,
+                total,
+                totalPages: Math.ceil(total / filters.limit),
+            },
+            facets: {
+                categories: categoryFacets.map(facet => ({
+                    category_id: facet.category_id,
+                    slug: facet.slug,
+                    category: facet.category,
+                    count: facet.count
+                })),
+            },
+        });
     } catch (error) {
         console.error('Error fetching all products:', error);
         res.status(500).json({ message: 'Failed to fetch products.' });
@@ -69,11 +202,18 @@ exports.getProductById = async (req, res) => {
             return res.status(404).json({ message: 'Product not found.' });
         }
 
+        const variantsByProduct = await productVariantModel.getVariantsForProducts([rows[0].id]);
+        const imagesByProduct = await productImageModel.getImagesForProducts([rows[0].id]);
+        const reserved = (await reservationModel.getReservedQuantities([rows[0].id])).get(rows[0].id);
         const product = {
             ...rows[0],
             price: parseFloat(rows[0].price),
             stock_quantity: parseInt(rows[0].stock_quantity, 10),
-            image_url: rows[0].image_id
+            available_quantity: Math.max(parseInt(rows[0].stock_quantity, 10) - reserved.total, 0),
+            rating_average: parseFloat(rows[0].rating_average),
+            image_url: rows[0].image_id,
+            images: imagesByProduct.get(rows[0].id).map(formatGalleryImage),
+            variants: variantService.buildVariantMatrix(rows[0], variantsByProduct.get(rows[0].id), reserved.byVariant)
         };
 
         res.status(200).json(product);
@@ -88,7 +228,7 @@ exports.getProductById = async (req, res) => {
 
 // Admin: Create a new product
 exports.createProduct = async (req, res) => {
-    const { name, description, price, stock_quantity, category } = req.body;
+    const { name, description, price, stock_quantity } = req.body;
     const imageFile = req.file;
 
     // 1. Validate input
@@ -100,17 +240,33 @@ exports.createProduct = async (req, res) => {
     if (!imageFile) {
         return res.status(400).json({ message: 'Product image is required.' });
     }
+    const gst = parseGstFields(req.body);
+    const weight = parseWeightField(req.body);
+    const threshold = parseLowStockThresholdField(req.body);
+    const sku = parseSkuField(req.body);
+    if (gst.error || weight.error || threshold.error || sku.error) {
+        fs.unlinkSync(imageFile.path);
+        return res.status(400).json({ message: gst.error || weight.error || threshold.error || sku.error });
+    }
 
     try {
-        // 2. Upload image to Cloudinary
-        const uploadedImage = await uploadImage(imageFile.path, imageFile.originalname);
+        // 2. Match the category (category_id, or the free-text category) to a category row
+        const productCategory = await categoryService.resolveProductCategory(req.body);
+
+        // 3. Upload image to Cloudinary
+        const uploadedImage = await uploadImage(imageFile.path, uniqueFileName('product'));
         const imageUrl = uploadedImage.url;
 
-        // 3. Insert product into the database with the Cloudinary URL
-        const sql = 'INSERT INTO products (name, description, price, stock_quantity, image_id, category) VALUES (?, ?, ?, ?, ?, ?)';
-        const [result] = await db.query(sql, [name, description, parseFloat(price), parseInt(stock_quantity, 10), imageUrl, category || null]);
+        // 4. Insert product into the database with the Cloudinary URL
+        const sql = 'INSERT INTO products (sku, name, description, price, stock_quantity, image_id, category_id, category, hsn_code, gst_rate, weight_grams, low_stock_threshold) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+        const [result] = await db.query(sql, [sku.sku, name, description, parseFloat(price), parseInt(stock_quantity, 10), imageUrl, productCategory.categoryId, productCategory.categoryName, gst.hsnCode, gst.gstRate, weight.weightGrams, threshold.lowStockThreshold]);
+        await inventoryService.recordStockMovement(db, {
+            productId: result.insertId, type: 'restock', change: parseInt(stock_quantity, 10), userId: req.user.id, reason: 'Initial stock'
+        });
+        // The main image is also the first, primary image of the product's gallery
+        await productImageModel.replacePrimaryImage(result.insertId, { url: imageUrl, publicId: uploadedImage.public_id });
 
-        // 4. Send success response
+        // 5. Send success response
         res.status(201).json({
             message: 'Product created successfully!',
             productId: result.insertId,
@@ -118,57 +274,99 @@ exports.createProduct = async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating product:', error);
-        // Note: The uploadImage service already cleans up the temp file on failure.
-        res.status(500).json({ message: error.message || 'Failed to create product.' });
+        // Note: The uploadImage service already cleans up the temp file once it has been called.
+        if (fs.existsSync(imageFile.path)) fs.unlinkSync(imageFile.path);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A product with this SKU already exists.' });
+        }
+        res.status(error.statusCode || 500).json({ message: error.message || 'Failed to create product.' });
     }
 };
 
 // Admin: Update an existing product
 exports.updateProduct = async (req, res) => {
     const { id } = req.params;
-    const { name, description, price, stock_quantity, category } = req.body;
+    const { name, description, price, stock_quantity } = req.body;
     const imageFile = req.file;
 
-    // 1. Validate input
-    if (!name || !price || !stock_quantity) {
+    // 1. Validate input. Stock isn't edited here: it is changed through stock adjustments, so that a sale made
+    //    while the form was open is never undone. A stock_quantity sent with the form must still be current.
+    if (!name || !price) {
+        if (imageFile) fs.unlinkSync(imageFile.path);
+        return res.status(400).json({ message: 'Name and price are required.' });
+    }
+    const expectedStock = stock_quantity === undefined || stock_quantity === '' ? null : Number(stock_quantity);
+    if (expectedStock !== null && !Number.isInteger(expectedStock)) {
         if (imageFile) fs.unlinkSync(imageFile.path);
-        return res.status(400).json({ message: 'Name, price, and stock quantity are required.' });
+        return res.status(400).json({ message: 'Stock quantity must be a whole number.' });
+    }
+    const gst = parseGstFields(req.body);
+    const weight = parseWeightField(req.body);
+    const threshold = parseLowStockThresholdField(req.body);
+    const sku = parseSkuField(req.body);
+    if (gst.error || weight.error || threshold.error || sku.error) {
+        if (imageFile) fs.unlinkSync(imageFile.path);
+        return res.status(400).json({ message: gst.error || weight.error || threshold.error || sku.error });
     }
 
+    let uploadedImage = null;
     try {
-        // 2. Fetch the current product to get the old image URL
-        const [existingProducts] = await db.query('SELECT image_id FROM products WHERE id = ?', [id]);
+        // 2. Match the category (category_id, or the free-text category) to a category row
+        const productCategory = await categoryService.resolveProductCategory(req.body);
+
+        // 3. Check that the product exists
+        const [existingProducts] = await db.query('SELECT id FROM products WHERE id = ?', [id]);
         if (existingProducts.length === 0) {
             if (imageFile) fs.unlinkSync(imageFile.path);
             return res.status(404).json({ message: 'Product not found.' });
         }
-        const oldImageUrl = existingProducts[0].image_id;
-        let newImageUrl = oldImageUrl;
 
-        // 3. If a new image is provided, upload it and delete the old one
+        // 4. If a new image is provided, upload it (it is deleted again if the update fails)
         if (imageFile) {
-            const uploadedImage = await uploadImage(imageFile.path, imageFile.originalname);
-            newImageUrl = uploadedImage.url;
+            uploadedImage = await uploadImage(imageFile.path, uniqueFileName(`product-${parseInt(id, 10)}`));
+        }
 
-            // Delete the old image from Cloudinary
+        // 5. Update the product and its primary image together
+        const { oldImageUrl, newImageUrl } = await withTransaction(async connection => {
+            const [before] = await connection.query('SELECT stock_quantity, image_id FROM products WHERE id = ? FOR UPDATE', [id]);
+            if (before.length === 0) {
+                throw httpError(404, 'Product not found.');
+            }
+            if (expectedStock !== null && expectedStock !== before[0].stock_quantity) {
+                throw httpError(409, `The stock is now ${before[0].stock_quantity}. Change it through POST /api/products/${parseInt(id, 10)}/stock-adjustments, then save the product again.`, {
+                    stock_quantity: before[0].stock_quantity,
+                });
+            }
+            const imageUrl = uploadedImage ? uploadedImage.url : before[0].image_id;
+            if (uploadedImage) {
+                await productImageModel.replacePrimaryImage(id, { url: uploadedImage.url, publicId: uploadedImage.public_id }, connection);
+            }
+            const sql = 'UPDATE products SET sku = ?, name = ?, description = ?, price = ?, image_id = ?, category_id = ?, category = ?, hsn_code = ?, gst_rate = ?, weight_grams = ?, low_stock_threshold = ? WHERE id = ?';
+            await connection.query(sql, [sku.sku, name, description, parseFloat(price), imageUrl, productCategory.categoryId, productCategory.categoryName, gst.hsnCode, gst.gstRate, weight.weightGrams, threshold.lowStockThreshold, id]);
+            return { oldImageUrl: before[0].image_id, newImageUrl: imageUrl };
+        });
+
+        // 6. Once the update is saved, delete the replaced image from Cloudinary, unless another gallery image still uses it
+        if (uploadedImage) {
             const oldPublicId = getPublicIdFromUrl(oldImageUrl);
-            if (oldPublicId) {
+            if (oldPublicId && !(await productImageModel.isPublicIdInUse(oldPublicId))) {
                 await deleteImage(oldPublicId);
             }
         }
 
-        // 4. Update the product in the database
-        const sql = 'UPDATE products SET name = ?, description = ?, price = ?, stock_quantity = ?, image_id = ?, category = ? WHERE id = ?';
-        await db.query(sql, [name, description, parseFloat(price), parseInt(stock_quantity, 10), newImageUrl, category || null, id]);
-
-        // 5. Send success response
+        // 7. Send success response
         res.status(200).json({
             message: 'Product updated successfully!',
             image_url: newImageUrl
         });
     } catch (error) {
         console.error(`Error updating product with ID ${id}:`, error);
-        res.status(500).json({ message: error.message || 'Failed to update product.' });
+        if (imageFile && fs.existsSync(imageFile.path)) fs.unlinkSync(imageFile.path);
+        if (uploadedImage) await deleteImage(uploadedImage.public_id);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A product with this SKU already exists.' });
+        }
+        res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update product.', ...error.details });
     }
 };
 
@@ -183,18 +381,22 @@ exports.deleteProduct = async (req, res) => {
             return res.status(404).json({ message: 'Product not found.' });
         }
         const imageUrl = products[0].image_id;
+        const galleryByProduct = await productImageModel.getImagesForProducts([parseInt(id, 10)]);
+        const gallery = galleryByProduct.get(parseInt(id, 10)) || [];
 
-        // 2. Delete the product from the database
+        // 2. Delete the product (and, through the foreign key, its gallery rows) from the database
         const [result] = await db.query('DELETE FROM products WHERE id = ?', [id]);
         if (result.affectedRows === 0) {
             // This case is unlikely if the previous check passed, but it's good practice
             return res.status(404).json({ message: 'Product not found for deletion.' });
         }
 
-        // 3. Delete the associated image from Cloudinary
-        const publicId = getPublicIdFromUrl(imageUrl);
-        if (publicId) {
-            await deleteImage(publicId);
+        // 3. Delete the main image and every gallery image from Cloudinary
+        const publicIds = new Set([getPublicIdFromUrl(imageUrl), ...gallery.map(image => image.public_id || getPublicIdFromUrl(image.image_url))]);
+        for (const publicId of publicIds) {
+            if (publicId && !(await productImageModel.isPublicIdInUse(publicId))) {
+                await deleteImage(publicId);
+            }
         }
 
         // 4. Send success response
@@ -206,9 +408,337 @@ exports.deleteProduct = async (req, res) => {
 };
 
 
+// --- Admin Variant Management ---
+
+// Admin: Fetch all variants of a product, including inactive ones
+exports.getProductVariants = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const variantsByProduct = await productVariantModel.getVariantsForProducts([parseInt(id, 10)]);
+        res.status(200).json(variantsByProduct.get(parseInt(id, 10)));
+    } catch (error) {
+        console.error(`Error fetching variants of product ${id}:`, error);
+        res.status(500).json({ message: 'Failed to fetch product variants.' });
+    }
+};
+
+// Admin: Add a variant to a product
+exports.createProductVariant = async (req, res) => {
+    const { id } = req.params;
+    try {
+        // 1. Validate input
+        const variant = variantService.parseVariantInput(req.body);
+        const [products] = await db.query('SELECT id FROM products WHERE id = ?', [id]);
+        if (products.length === 0) {
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+
+        // 2. Insert the variant and refresh the product's total stock
+        const variantId = await withTransaction(async connection => {
+            const newId = await productVariantModel.createVariant(id, variant, connection);
+            await productVariantModel.syncProductStock(id, connection);
+            await inventoryService.recordStockMovement(connection, {
+                productId: parseInt(id, 10), variantId: newId, type: 'restock', change: variant.stock_quantity,
+                userId: req.user.id, reason: 'Initial stock'
+            });
+            return newId;
+        });
+
+        res.status(201).json({ message: 'Variant created successfully!', variantId, sku: variant.sku });
+    } catch (error) {
+        console.error(`Error creating variant for product ${id}:`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A variant with this SKU or these options already exists.' });
+        }
+        res.status(error.statusCode || 500).json({ message: error.message || 'Failed to create variant.' });
+    }
+};
+
+// Admin: Update a product variant
+exports.updateProductVariant = async (req, res) => {
+    const { id, variantId } = req.params;
+    try {
+        const variant = variantService.parseVariantInput(req.body);
+        const updated = await withTransaction(async connection => {
+            const previous = await productVariantModel.getVariantById(variantId, connection);
+            const found = await productVariantModel.updateVariant(id, variantId, variant, connection);
+            if (found) {
+                await productVariantModel.syncProductStock(id, connection);
+                await inventoryService.recordStockMovement(connection, {
+                    productId: parseInt(id, 10), variantId: parseInt(variantId, 10), type: 'adjustment',
+                    change: variant.stock_quantity - previous.stock_quantity, userId: req.user.id, reason: 'Stock set on variant edit'
+                });
+            }
+            return found;
+        });
+        if (!updated) {
+            return res.status(404).json({ message: 'Variant not found.' });
+        }
+        res.status(200).json({ message: 'Variant updated successfully!' });
+    } catch (error) {
+        console.error(`Error updating variant ${variantId} of product ${id}:`, error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'A variant with this SKU or these options already exists.' });
+        }
+        res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update variant.' });
+    }
+};
+
+// Admin: Delete a product variant
+exports.deleteProductVariant = async (req, res) => {
+    const { id, variantId } = req.params;
+    try {
+        const deleted = await withTransaction(async connection => {
+            // The variant's remaining stock leaves the product's total with it
+            const variant = await productVariantModel.getVariantById(variantId, connection);
+            if (variant && variant.product_id === parseInt(id, 10)) {
+                await inventoryService.recordStockMovement(connection, {
+                    productId: variant.product_id, variantId: variant.id, type: 'adjustment', change: -variant.stock_quantity,
+                    quantityAfter: 0, userId: req.user.id, reason: `Variant ${variant.sku} deleted`
+                });
+            }
+            const found = await productVariantModel.deleteVariant(id, variantId, connection);
+            if (found) {
+                await productVariantModel.syncProductStock(id, connection);
+            }
+            return found;
+        });
+        if (!deleted) {
+            return res.status(404).json({ message: 'Variant not found.' });
+        }
+        res.status(200).json({ message: 'Variant deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting variant ${variantId} of product ${id}:`, error);
+        res.status(500).json({ message: 'Failed to delete variant.' });
+    }
+};
+
+
+// --- Admin Gallery Management ---
+
+// Admin: Upload one or more images to the end of a product's gallery
+exports.addProductImages = async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    // 1. Validate input. alt_text may be sent once per file, in the same order as the files.
+    if (files.length === 0) {
+        return res.status(400).json({ message: 'At least one image is required.' });
+    }
+    const altTexts = [].concat(req.body.alt_text === undefined ? [] : req.body.alt_text);
+
+    const uploaded = [];
+    try {
+        const [products] = await db.query('SELECT id FROM products WHERE id = ?', [id]);
+        if (products.length === 0) {
+            removeTempFiles(files);
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+
+        // 2. Upload the images to Cloudinary
+        for (const [index, file] of files.entries()) {
+            const image = await uploadImage(file.path, uniqueFileName(`product-${parseInt(id, 10)}`));
+            uploaded.push({ url: image.url, publicId: image.public_id, altText: altTexts[index] || null });
+        }
+
+        // 3. Add them to the gallery. A product without a primary image gets the first new one.
+        const gallery = await withTransaction(async connection => {
+            const imageIds = await productImageModel.addImages(id, uploaded, connection);
+            const imagesByProduct = await productImageModel.getImagesForProducts([parseInt(id, 10)], connection);
+            if (!imagesByProduct.get(parseInt(id, 10)).some(image => image.is_primary)) {
+                await productImageModel.setPrimaryImage(id, imageIds[0], connection);
+            }
+            return (await productImageModel.getImagesForProducts([parseInt(id, 10)], connection)).get(parseInt(id, 10));
+        });
+
+        res.status(201).json({ message: 'Images added successfully!', images: gallery.map(formatGalleryImage) });
+    } catch (error) {
+        console.error(`Error adding images to product ${id}:`, error);
+        // Don't leave orphaned uploads behind when the gallery could not be saved
+        removeTempFiles(files);
+        for (const image of uploaded) {
+            await deleteImage(image.publicId);
+        }
+        res.status(500).json({ message: error.message || 'Failed to add images.' });
+    }
+};
+
+// Admin: Change an image's alt text and/or make it the primary image
+exports.updateProductImage = async (req, res) => {
+    const { id, imageId } = req.params;
+    const { alt_text, is_primary } = req.body;
+
+    try {
+        const found = await withTransaction(async connection => {
+            const image = await productImageModel.getImage(id, imageId, connection);
+            if (!image) {
+                return false;
+            }
+            if (alt_text !== undefined) {
+                await productImageModel.updateAltText(id, imageId, alt_text ? String(alt_text).trim() : null, connection);
+            }
+            if (is_primary === true && !image.is_primary) {
+                await productImageModel.setPrimaryImage(id, image.id, connection);
+            }
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ message: 'Image not found.' });
+        }
+        res.status(200).json({ message: 'Image updated successfully!' });
+    } catch (error) {
+        console.error(`Error updating image ${imageId} of product ${id}:`, error);
+        res.status(500).json({ message: 'Failed to update image.' });
+    }
+};
+
+// Admin: Reorder a product's gallery
+exports.reorderProductImages = async (req, res) => {
+    const { id } = req.params;
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+        return res.status(400).json({ message: 'imageIds must list the gallery images in their new order.' });
+    }
+
+    try {
+        const imagesByProduct = await productImageModel.getImagesForProducts([parseInt(id, 10)]);
+        const currentIds = imagesByProduct.get(parseInt(id, 10)).map(image => image.id).sort((a, b) => a - b);
+        const requestedIds = imageIds.map(imageId => parseInt(imageId, 10));
+
+        // The new order must contain every image of the product exactly once
+        const sortedRequestedIds = [...requestedIds].sort((a, b) => a - b);
+        if (sortedRequestedIds.length !== currentIds.length || sortedRequestedIds.some((imageId, i) => imageId !== currentIds[i])) {
+            return res.status(400).json({ message: 'imageIds must contain each image of this product exactly once.' });
+        }
+
+        await withTransaction(connection => productImageModel.reorderImages(id, requestedIds, connection));
+        res.status(200).json({ message: 'Gallery reordered successfully!' });
+    } catch (error) {
+        console.error(`Error reordering images of product ${id}:`, error);
+        res.status(500).json({ message: 'Failed to reorder images.' });
+    }
+};
+
+// Admin: Delete a single image from a product's gallery
+exports.deleteProductImage = async (req, res) => {
+    const { id, imageId } = req.params;
+
+    try {
+        // 1. Remove the row; if it was the primary image, the next image in the gallery takes its place
+        const image = await withTransaction(async connection => {
+            const existing = await productImageModel.getImage(id, imageId, connection);
+            if (!existing) {
+                return undefined;
+            }
+            await productImageModel.deleteImage(id, imageId, connection);
+            if (existing.is_primary) {
+                const remaining = (await productImageModel.getImagesForProducts([parseInt(id, 10)], connection)).get(parseInt(id, 10));
+                await productImageModel.setPrimaryImage(id, remaining.length > 0 ? remaining[0].id : null, connection);
+            }
+            return existing;
+        });
+        if (!image) {
+            return res.status(404).json({ message: 'Image not found.' });
+        }
+
+        // 2. Delete the file from Cloudinary, unless another gallery image still uses it
+        const publicId = image.public_id || getPublicIdFromUrl(image.image_url);
+        if (publicId && !(await productImageModel.isPublicIdInUse(publicId))) {
+            await deleteImage(publicId);
+        }
+
+        res.status(200).json({ message: 'Image deleted successfully.' });
+    } catch (error) {
+        console.error(`Error deleting image ${imageId} of product ${id}:`, error);
+        res.status(500).json({ message: 'Failed to delete image.' });
+    }
+};
+
+
+// --- Admin Catalog Import/Export ---
+
+// Admin: Create and update products from a CSV ('file'), with images given as URLs or as file names in a zip ('images').
+// Rows are matched to products by SKU. With ?dryRun=true nothing is saved and every row's outcome is reported;
+// otherwise the import is all-or-nothing, and any invalid row stops it.
+exports.importProducts = async (req, res) => {
+    const csvFile = req.files && req.files.file ? req.files.file[0] : null;
+    const zipFile = req.files && req.files.images ? req.files.images[0] : null;
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun || req.body.dryRun));
+
+    try {
+        // 1. Read and validate the file
+        if (!csvFile) {
+            return res.status(400).json({ message: "A CSV file is required (field name 'file')." });
+        }
+        const rows = productImportService.readCatalogCsv(fs.readFileSync(csvFile.path, 'utf8'));
+        const zipEntries = productImportService.readImageZip(zipFile ? zipFile.path : null);
+        const plan = await productImportService.planImport(rows, zipEntries);
+
+        const report = plan.map(({ row, sku, action, errors }) => ({ row, sku, action, errors }));
+        const summary = {
+            rows: plan.length,
+            create: plan.filter(entry => entry.action === 'create' && entry.errors.length === 0).length,
+            update: plan.filter(entry => entry.action === 'update' && entry.errors.length === 0).length,
+            invalid: plan.filter(entry => entry.errors.length > 0).length,
+        };
+
+        // 2. Report without saving on a dry run, or when any row is invalid
+        if (dryRun) {
+            return res.status(200).json({ dryRun: true, valid: summary.invalid === 0, summary, rows: report });
+        }
+        if (summary.invalid > 0) {
+            return res.status(400).json({
+                message: `${summary.invalid} row(s) have errors. Nothing was imported.`,
+                summary,
+                rows: report.filter(entry => entry.errors.length > 0),
+            });
+        }
+
+        // 3. Apply every row in one transaction
+        const { created, updated } = await productImportService.applyImport(plan, zipEntries, req.user.id);
+        res.status(200).json({ message: 'Products imported successfully!', created, updated });
+    } catch (error) {
+        console.error('Error importing products:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ message: 'Another product was saved with one of these SKUs during the import. Please try again.' });
+        }
+        res.status(error.statusCode || 500).json({ message: error.message || 'Failed to import products.', ...error.details });
+    } finally {
+        removeTempFiles([csvFile, zipFile].filter(Boolean));
+    }
+};
+
+// Admin: Download the catalog as a CSV in the format accepted by the import
+exports.exportProducts = async (req, res) => {
+    try {
+        const csv = await productImportService.exportCatalogCsv();
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+        res.status(200).send(csv);
+    } catch (error) {
+        console.error('Error exporting products:', error);
+        res.status(500).json({ message: 'Failed to export products.' });
+    }
+};
+
+
 // --- Internal Stock Management (used by the order controller) ---
 
-exports.deductProductStock = async (productId, quantity, connection) => {
+// Takes units out of stock. Pass a variantId for products sold by variant; the variant's stock is used.
+// `movement` describes the change for the stock ledger: { type, orderId, userId, reason } (type defaults to 'sale').
+exports.deductProductStock = async (productId, quantity, connection, variantId, movement = {}) => {
+    if (variantId) {
+        const deducted = await productVariantModel.deductStock(productId, variantId, quantity, connection);
+        if (!deducted) {
+            throw new Error(`Insufficient stock or variant not found for product ID: ${productId}, variant ID: ${variantId}`);
+        }
+        await productVariantModel.syncProductStock(productId, connection);
+        await inventoryService.recordStockMovement(connection, { type: 'sale', ...movement, productId, variantId, change: -quantity });
+        return true;
+    }
+
     // Use the provided database connection (for transactions) or the main pool
     const dbConnection = connection || db;
     const sql = 'UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ? AND stock_quantity >= ?';
@@ -217,5 +747,30 @@ exports.deductProductStock = async (productId, quantity, connection) => {
     if (result.affectedRows === 0) {
         throw new Error(`Insufficient stock or product not found for product ID: ${productId}`);
     }
+    await inventoryService.recordStockMovement(dbConnection, { type: 'sale', ...movement, productId, change: -quantity });
+    return true;
+};
+
+// The inverse of deductProductStock: puts units back on the shelf (e.g., when an order is cancelled).
+// `movement` is as for deductProductStock (type defaults to 'cancellation').
+exports.restoreProductStock = async (productId, quantity, connection, variantId, movement = {}) => {
+    if (variantId) {
+        const restored = await productVariantModel.restoreStock(productId, variantId, quantity, connection);
+        if (!restored) {
+            throw new Error(`Variant not found for product ID: ${productId}, variant ID: ${variantId}`);
+        }
+        await productVariantModel.syncProductStock(productId, connection);
+        await inventoryService.recordStockMovement(connection, { type: 'cancellation', ...movement, productId, variantId, change: quantity });
+        return true;
+    }
+
+    const dbConnection = connection || db;
+    const sql = 'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?';
+    const [result] = await dbConnection.query(sql, [quantity, productId]);
+
+    if (result.affectedRows === 0) {
+        throw new Error(`Product not found for product ID: ${productId}`);
+    }
+    await inventoryService.recordStockMovement(dbConnection, { type: 'cancellation', ...movement, productId, change: quantity });
     return true;
 };
@@ -0,0 +1,153 @@
+// backend/controllers/returnController.js
+
+const returnModel = require('../models/returnModel');
+const returnService = require('../services/returnService');
+const withTransaction = require('../utils/withTransaction');
+
+/**
+ * Attaches each return request's lines and refunds to it.
+ * @param {Array} returns - Return request rows.
+ * @returns {Promise<Array>} The return requests with `items` and `refunds` arrays.
+ */
+const withItemsAndRefunds = async (returns) => {
+  const returnIds = returns.map(r => r.id);
+  const [items, refunds] = await Promise.all([
+    returnModel.getReturnItems(returnIds),
+    returnModel.getRefundsForReturns(returnIds)
+  ]);
+
+  return returns.map(r => ({
+    ...r,
+    items: items.filter(item => item.return_id === r.id),
+    refunds: refunds.filter(refund => refund.return_id === r.id)
+  }));
+};
+
+/**
+ * Sends the response for a failed return operation.
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({ message: error.message || fallbackMessage, ...error.details });
+};
+
+
+// --- Customer Return Operations ---
+
+/**
+ * Opens a return request for specific lines of one of the user's delivered orders.
+ */
+exports.createReturn = async (req, res) => {
+  const { orderId, reason, items } = req.body;
+
+  // 1. Validate input
+  if (!orderId || !reason || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'An order ID, a reason and at least one item to return are required.' });
+  }
+
+  try {
+    // 2. Check eligibility and create the return request
+    const returnId = await withTransaction(connection =>
+      returnService.openReturn(connection, { userId: req.user.id, orderId, reason, items })
+    );
+
+    res.status(201).json({ message: 'Return request submitted successfully.', returnId });
+  } catch (error) {
+    console.error('Error creating return request:', error);
+    sendError(res, error, 'Failed to create return request.');
+  }
+};
+
+/**
+ * Retrieves the current user's return requests.
+ */
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await returnModel.listReturns({ userId: req.user.id });
+    res.status(200).json(await withItemsAndRefunds(returns));
+  } catch (error) {
+    console.error('Error fetching user returns:', error);
+    res.status(500).json({ message: 'Failed to fetch return requests.' });
+  }
+};
+
+
+// --- Admin Return Management ---
+
+/**
+ * Retrieves all return requests, optionally filtered by `?status=`.
+ */
+exports.getAllReturns = async (req, res) => {
+  try {
+    const returns = await returnModel.listReturns({ status: req.query.status });
+    res.status(200).json(await withItemsAndRefunds(returns));
+  } catch (error) {
+    console.error('Error fetching all returns:', error);
+    res.status(500).json({ message: 'Failed to fetch return requests.' });
+  }
+};
+
+/**
+ * Approves a return request so the customer can send the goods back.
+ */
+exports.approveReturn = async (req, res) => {
+  const { id } = req.params;
+  try {
+    await withTransaction(connection =>
+      returnService.reviewReturn(connection, id, 'approved', { adminId: req.user.id, note: req.body.note })
+    );
+    res.status(200).json({ message: 'Return request approved.', returnId: Number(id), status: 'approved' });
+  } catch (error) {
+    console.error(`Error approving return ID ${id}:`, error);
+    sendError(res, error, 'Failed to approve return request.');
+  }
+};
+
+/**
+ * Rejects a return request.
+ */
+exports.rejectReturn = async (req, res) => {
+  const { id } = req.params;
+  try {
+    await withTransaction(connection =>
+      returnService.reviewReturn(connection, id, 'rejected', { adminId: req.user.id, note: req.body.note })
+    );
+    res.status(200).json({ message: 'Return request rejected.', returnId: Number(id), status: 'rejected' });
+  } catch (error) {
+    console.error(`Error rejecting return ID ${id}:`, error);
+    sendError(res, error, 'Failed to reject return request.');
+  }
+};
+
+/**
+ * Marks the returned goods as received. Send `restock: true` to put the units back into stock.
+ */
+exports.receiveReturn = async (req, res) => {
+  const { id } = req.params;
+  const { restock, note } = req.body;
+  try {
+    await withTransaction(connection =>
+      returnService.receiveReturn(connection, id, { adminId: req.user.id, restock: Boolean(restock), note })
+    );
+    res.status(200).json({ message: 'Returned items received.', returnId: Number(id), status: 'received', restocked: Boolean(restock) });
+  } catch (error) {
+    console.error(`Error receiving return ID ${id}:`, error);
+    sendError(res, error, 'Failed to receive return.');
+  }
+};
+
+/**
+ * Issues a full or partial refund for a received return.
+ */
+exports.refundReturn = async (req, res) => {
+  const { id } = req.params;
+  const { lines, note } = req.body;
+  try {
+    const refund = await withTransaction(connection =>
+      returnService.refundReturn(connection, id, { adminId: req.user.id, lines, note })
+    );
+    res.status(201).json({ message: 'Refund issued successfully.', returnId: Number(id), ...refund });
+  } catch (error) {
+    console.error(`Error refunding return ID ${id}:`, error);
+    sendError(res, error, 'Failed to issue refund.');
+  }
+};
@@ -0,0 +1,208 @@
+// backend/controllers/reviewController.js
+
+const fs = require('fs');
+const reviewModel = require('../models/reviewModel');
+const reviewService = require('../services/reviewService');
+const { uploadImage, uniqueFileName, deleteImage } = require('../services/cloudinaryService');
+const withTransaction = require('../utils/withTransaction');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Parses the page, limit and sort query parameters of the review listings.
+ * @param {object} query - The request query string.
+ * @returns {{page: number, limit: number, sort: string, error: string|null}}
+ */
+const parseListQuery = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const sort = query.sort || 'newest';
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'Page must be a positive whole number.' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+  if (!Object.prototype.hasOwnProperty.call(reviewModel.REVIEW_SORTS, sort)) {
+    return { error: `Sort must be one of: ${Object.keys(reviewModel.REVIEW_SORTS).join(', ')}.` };
+  }
+  return { page, limit, sort, error: null };
+};
+
+/**
+ * Attaches each review's photos and builds the pagination block.
+ */
+const withPhotosAndPagination = async ({ reviews, total }, { page, limit }) => {
+  const photosByReview = await reviewModel.getPhotosForReviews(reviews.map(review => review.id));
+  return {
+    reviews: reviews.map(review => ({ ...review, photos: photosByReview.get(review.id) })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Removes multer's temporary files when a review is rejected.
+ */
+const removeTempFiles = (files) => {
+  (files || []).forEach(file => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
+
+// --- Public Review Operations ---
+
+/**
+ * Lists a product's approved reviews with its rating summary.
+ */
+exports.getProductReviews = async (req, res) => {
+  const productId = parseInt(req.params.id, 10);
+  const { page, limit, sort, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const rating = await reviewModel.getProductRating(productId);
+    if (!rating) {
+      return res.status(404).json({ message: 'Product not found.' });
+    }
+
+    const result = await reviewModel.listReviews({ productId, status: 'approved', sort, page, limit });
+    const { reviews, pagination } = await withPhotosAndPagination(result, { page, limit });
+
+    res.status(200).json({
+      summary: { ...rating, distribution: await reviewModel.getRatingDistribution(productId) },
+      reviews: reviews.map(review => ({
+        id: review.id,
+        rating: review.rating,
+        title: review.title,
+        body: review.body,
+        is_verified_purchase: review.is_verified_purchase,
+        helpful_count: review.helpful_count,
+        reviewer_username: review.reviewer_username,
+        photos: review.photos,
+        created_at: review.created_at
+      })),
+      pagination,
+    });
+  } catch (error) {
+    console.error(`Error fetching reviews of product ${productId}:`, error);
+    res.status(500).json({ message: 'Failed to fetch reviews.' });
+  }
+};
+
+/**
+ * Submits the logged-in user's review of a product, with optional photos.
+ */
+exports.createReview = async (req, res) => {
+  const productId = parseInt(req.params.id, 10);
+  const userId = req.user.id;
+  const files = req.files || [];
+  const uploaded = [];
+
+  try {
+    // 1. Validate input; a customer can review each product once
+    const fields = reviewService.parseReviewInput(req.body);
+    if (!(await reviewModel.getProductRating(productId))) {
+      removeTempFiles(files);
+      return res.status(404).json({ message: 'Product not found.' });
+    }
+    if (await reviewModel.getUserReview(productId, userId)) {
+      removeTempFiles(files);
+      return res.status(409).json({ message: 'You have already reviewed this product.' });
+    }
+
+    // 2. Upload the photos to Cloudinary, each under a new public_id (a failed attempt racing this one
+    //    deletes only its own uploads)
+    for (const file of files) {
+      const image = await uploadImage(file.path, uniqueFileName(`review-${productId}-${userId}`));
+      uploaded.push({ url: image.url, publicId: image.public_id });
+    }
+
+    // 3. Save the review and refresh the product's rating
+    const result = await withTransaction(connection => reviewService.submitReview(connection, {
+      productId, userId, fields, photos: uploaded
+    }));
+
+    res.status(201).json({
+      message: result.status === 'approved' ? 'Thank you for your review!' : 'Thank you! Your review will appear once it has been approved.',
+      reviewId: result.reviewId,
+      status: result.status,
+      is_verified_purchase: result.isVerifiedPurchase,
+    });
+  } catch (error) {
+    console.error(`Error creating review for product ${productId}:`, error);
+    removeTempFiles(files);
+    for (const photo of uploaded) {
+      await deleteImage(photo.publicId);
+    }
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'You have already reviewed this product.' });
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to submit review.' });
+  }
+};
+
+/**
+ * Marks a review as helpful for the logged-in user.
+ */
+exports.voteHelpful = async (req, res) => {
+  try {
+    const helpfulCount = await withTransaction(connection => reviewService.setHelpfulVote(connection, parseInt(req.params.id, 10), req.user.id, true));
+    res.status(200).json({ message: 'Thanks for your feedback!', helpful_count: helpfulCount });
+  } catch (error) {
+    console.error(`Error voting on review ${req.params.id}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to record vote.' });
+  }
+};
+
+/**
+ * Withdraws the logged-in user's helpful vote on a review.
+ */
+exports.removeHelpfulVote = async (req, res) => {
+  try {
+    const helpfulCount = await withTransaction(connection => reviewService.setHelpfulVote(connection, parseInt(req.params.id, 10), req.user.id, false));
+    res.status(200).json({ message: 'Vote removed.', helpful_count: helpfulCount });
+  } catch (error) {
+    console.error(`Error removing vote on review ${req.params.id}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to remove vote.' });
+  }
+};
+
+// --- Admin Review Moderation ---
+
+/**
+ * Lists reviews of every product for moderation, optionally filtered by status (e.g. ?status=pending).
+ */
+exports.getAllReviews = async (req, res) => {
+  const { page, limit, sort, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const result = await reviewModel.listReviews({ status: req.query.status, sort, page, limit });
+    res.status(200).json(await withPhotosAndPagination(result, { page, limit }));
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ message: 'Failed to fetch reviews.' });
+  }
+};
+
+/**
+ * Approves or hides a review.
+ */
+exports.moderateReview = async (req, res) => {
+  const reviewId = parseInt(req.params.id, 10);
+  const { status } = req.body;
+
+  try {
+    await withTransaction(connection => reviewService.moderateReview(connection, reviewId, status, req.user.id));
+    res.status(200).json({ message: `Review ${status === 'approved' ? 'approved' : 'hidden'}.` });
+  } catch (error) {
+    console.error(`Error moderating review ${reviewId}:`, error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to update review.' });
+  }
+};
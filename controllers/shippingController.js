@@ -0,0 +1,113 @@
+// backend/controllers/shippingController.js
+
+const shippingModel = require('../models/shippingModel');
+const shippingService = require('../services/shippingService');
+const pricingService = require('../services/pricingService');
+const withTransaction = require('../utils/withTransaction');
+
+/**
+ * Sends the response for a failed shipping operation.
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({ message: error.message || fallbackMessage, ...error.details });
+};
+
+
+// --- Public Shipping Operations ---
+
+// Check whether we deliver to a pincode
+exports.checkServiceability = async (req, res) => {
+  const { pincode } = req.params;
+  try {
+    const zone = await shippingService.findZone(pincode);
+    res.status(200).json({
+      pincode,
+      serviceable: Boolean(zone),
+      zone: zone ? { id: zone.id, name: zone.name } : null
+    });
+  } catch (error) {
+    console.error(`Error checking serviceability of pincode ${pincode}:`, error);
+    sendError(res, error, 'Failed to check pincode.');
+  }
+};
+
+
+// --- Customer Shipping Operations ---
+
+// Quote shipping for the current user's cart to a pincode
+exports.getShippingQuote = async (req, res) => {
+  const { pincode, couponCode } = req.body;
+
+  if (!shippingService.isValidPincode(pincode)) {
+    return res.status(400).json({ message: 'Please provide a valid 6-digit pincode.' });
+  }
+
+  try {
+    const quote = await pricingService.quoteCart(req.user.id, { couponCode, shippingAddress: { pincode } });
+    res.status(200).json({
+      pincode,
+      ...quote.shipping_details,
+      order_total: quote.total
+    });
+  } catch (error) {
+    console.error('Error quoting shipping:', error);
+    sendError(res, error, 'Failed to quote shipping.');
+  }
+};
+
+
+// --- Admin Shipping Zone Management ---
+
+// Admin: Fetch all shipping zones with their pincodes and rate cards
+exports.getAllZones = async (req, res) => {
+  try {
+    const zones = await shippingModel.getAllZones();
+    res.status(200).json(zones);
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({ message: 'Failed to fetch shipping zones.' });
+  }
+};
+
+// Admin: Create a shipping zone
+exports.createZone = async (req, res) => {
+  try {
+    const zone = shippingService.parseZoneInput(req.body);
+    const zoneId = await withTransaction(connection => shippingModel.saveZone(null, zone, connection));
+    res.status(201).json({ message: 'Shipping zone created successfully!', zoneId });
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+    sendError(res, error, 'Failed to create shipping zone.');
+  }
+};
+
+// Admin: Replace a shipping zone's settings, pincodes and rate card
+exports.updateZone = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const zone = shippingService.parseZoneInput(req.body);
+    const zoneId = await withTransaction(connection => shippingModel.saveZone(id, zone, connection));
+    if (!zoneId) {
+      return res.status(404).json({ message: 'Shipping zone not found.' });
+    }
+    res.status(200).json(await shippingModel.getZoneById(zoneId));
+  } catch (error) {
+    console.error(`Error updating shipping zone with ID ${id}:`, error);
+    sendError(res, error, 'Failed to update shipping zone.');
+  }
+};
+
+// Admin: Delete a shipping zone
+exports.deleteZone = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const deleted = await shippingModel.deleteZone(id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Shipping zone not found.' });
+    }
+    res.status(200).json({ message: 'Shipping zone deleted successfully.' });
+  } catch (error) {
+    console.error(`Error deleting shipping zone with ID ${id}:`, error);
+    res.status(500).json({ message: 'Failed to delete shipping zone.' });
+  }
+};
@@ -0,0 +1,105 @@
+// backend/controllers/twoFactorController.js
+
+const twoFactorModel = require('../models/twoFactorModel');
+const twoFactorService = require('../services/twoFactorService');
+
+// --- Two-Factor Authentication (TOTP) ---
+
+/**
+ * Reports whether the current user has two-factor authentication on, and whether they must.
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const enabled = req.user.twoFactorEnabled;
+    res.status(200).json({
+      enabled,
+      required: req.user.role === 'admin' && twoFactorService.getTwoFactorSettings().requiredForAdmins,
+      sessionVerified: req.user.twoFactorVerified,
+      recoveryCodesRemaining: enabled ? await twoFactorModel.countUnusedRecoveryCodes(req.user.id) : 0,
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor status.' });
+  }
+};
+
+/**
+ * Starts setting up two-factor authentication: returns a new secret and the otpauth:// URI for the
+ * authenticator app (to show as a QR code). Nothing changes until the setup is confirmed.
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+    res.status(200).json({ message: 'Scan the QR code with your authenticator app, then confirm with a code.', ...enrollment });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to start two-factor setup.', ...error.details });
+  }
+};
+
+/**
+ * Turns two-factor authentication on with the first code from the app, and returns the recovery codes.
+ * Other sessions are logged out. The current session stays unverified; logging in again with a code gives
+ * a two-factor verified session.
+ */
+exports.confirmTwoFactor = async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'Please provide a code from your authenticator app.' });
+  }
+
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user, code);
+    res.status(200).json({
+      message: 'Two-factor authentication is on, and your other sessions have been logged out. Store these recovery codes somewhere safe; each can be used once if you lose your device. Log in again with a code to use pages that require two-factor authentication.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error confirming two-factor setup:', error);
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to confirm two-factor setup.', ...error.details });
+  }
+};
+
+/**
+ * Replaces the current user's recovery codes. Body: code (from the authenticator app).
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'Please provide a code from your authenticator app.' });
+  }
+
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, code);
+    res.status(200).json({ message: 'New recovery codes issued; the old ones no longer work.', recoveryCodes });
+  } catch (error) {
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    } else {
+      console.error('Error regenerating recovery codes:', error);
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to regenerate recovery codes.', ...error.details });
+  }
+};
+
+/**
+ * Turns two-factor authentication off. Body: password, and code or recoveryCode.
+ */
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Please provide your password and a code from your authenticator app or a recovery code.' });
+  }
+
+  try {
+    await twoFactorService.disableTwoFactor(req.user, { password, code, recoveryCode });
+    res.status(200).json({ message: 'Two-factor authentication is off.' });
+  } catch (error) {
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    } else {
+      console.error('Error disabling two-factor authentication:', error);
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Failed to disable two-factor authentication.', ...error.details });
+  }
+};
@@ -2,6 +2,11 @@
 
 const db = require('../db');
 const bcrypt = require('bcryptjs');
+const userModel = require('../models/userModel');
+const sessionModel = require('../models/sessionModel');
+const authTokenService = require('../services/authTokenService');
+const rateLimitService = require('../services/rateLimitService');
+const withTransaction = require('../utils/withTransaction');
 
 /**
  * Update the password for the currently authenticated user.
@@ -19,29 +24,48 @@ exports.updatePassword = async (req, res) => {
   }
 
   try {
-    // 2. Fetch the user's current hashed password from the database
+    // 2. Refuse the attempt while too many wrong current passwords have been tried
+    await rateLimitService.assertCanAttempt('password-change', userId);
+
+    // 3. Fetch the user's current hashed password from the database
     const [userRows] = await db.query('SELECT password FROM users WHERE id = ?', [userId]);
     if (userRows.length === 0) {
       return res.status(404).json({ message: 'User not found.' });
     }
     const user = userRows[0];
 
-    // 3. Verify if the provided current password matches the one in the database
+    // 4. Verify if the provided current password matches the one in the database
     const isMatch = await bcrypt.compare(currentPassword, user.password);
     if (!isMatch) {
+      const { locked, lockoutMinutes } = await rateLimitService.recordFailedAttempt('password-change', userId);
+      if (locked) {
+        res.set('Retry-After', String(lockoutMinutes * 60));
+        return res.status(429).json({ message: 'Too many incorrect passwords. Please try again later.', retryAfter: lockoutMinutes * 60 });
+      }
       return res.status(401).json({ message: 'Incorrect current password.' });
     }
+    await rateLimitService.recordSuccessfulAttempt('password-change', userId);
 
-    // 4. Hash the new password
+    // 5. Hash the new password
     const hashedNewPassword = await bcrypt.hash(newPassword, 10);
 
-    // 5. Update the user's password in the database
-    await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedNewPassword, userId]);
+    // 6. Update the user's password in the database (which also satisfies a forced password reset),
+    // log out every session in case the old password was stolen, and start a new one for this client
+    // (two-factor verified if the current session was)
+    const tokens = await withTransaction(async connection => {
+      await connection.query('UPDATE users SET password = ?, password_reset_required = FALSE WHERE id = ?', [hashedNewPassword, userId]);
+      await sessionModel.revokeUserSessions(userId, 'password_change', connection);
+      return authTokenService.startSession(req.user, req, connection, { twoFactorVerified: req.user.twoFactorVerified });
+    });
 
-    res.status(200).json({ message: 'Password updated successfully!' });
+    res.status(200).json({ message: 'Password updated successfully!', ...tokens });
   } catch (error) {
-    console.error('Error updating password:', error);
-    res.status(500).json({ message: 'Server error during password update.' });
+    if (error.statusCode === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    } else {
+      console.error('Error updating password:', error);
+    }
+    res.status(error.statusCode || 500).json({ message: error.message || 'Server error during password update.', ...error.details });
   }
 };
 
@@ -52,8 +76,7 @@ exports.getAddresses = async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const sql = 'SELECT id, full_name as fullName, address_line1 as address1, address_line2 as address2, city, state, pincode, phone_number as phone FROM user_addresses WHERE user_id = ? ORDER BY id DESC';
-    const [addresses] = await db.query(sql, [userId]);
+    const addresses = await userModel.getAddresses(userId);
     res.status(200).json(addresses);
   } catch (error) {
     console.error('Error fetching addresses:', error);
@@ -0,0 +1,106 @@
+// backend/controllers/wishlistController.js
+
+const wishlistModel = require('../models/wishlistModel');
+const cartModel = require('../models/cartModel');
+const variantService = require('../services/variantService');
+const { roundMoney } = require('../utils/money');
+
+const wishlistController = {
+  /**
+   * Retrieves the user's wishlist with current prices, stock, and a flag on items that got cheaper since they were saved.
+   */
+  getWishlist: async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+      const items = await wishlistModel.getItems(userId);
+      res.status(200).json(items.map(item => ({
+        ...item,
+        variant_label: item.variant_id === null
+          ? null
+          : variantService.getVariantLabel({ size: item.variant_size, colour: item.variant_colour }),
+        in_stock: item.stock_quantity > 0 && item.variant_is_active !== false,
+        price_dropped: item.current_price < item.saved_price,
+        price_drop_amount: Math.max(0, roundMoney(item.saved_price - item.current_price))
+      })));
+    } catch (error) {
+      console.error('Error in getWishlist controller:', error);
+      res.status(500).json({ message: error.message || 'Failed to retrieve wishlist.' });
+    }
+  },
+
+  /**
+   * Adds a product (or one of its variants) to the user's wishlist.
+   */
+  addItemToWishlist: async (req, res) => {
+    const { productId, variantId } = req.body;
+    const userId = req.user.id;
+
+    if (!productId) {
+      return res.status(400).json({ message: 'A valid Product ID is required.' });
+    }
+
+    try {
+      await variantService.assertSelectableVariant(productId, variantId);
+      const result = await wishlistModel.addItem(userId, productId, variantId || null);
+      if (!result) {
+        return res.status(404).json({ message: 'Product not found.' });
+      }
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Error in addItemToWishlist controller:', error);
+      res.status(error.statusCode || 500).json({ message: error.message || 'Failed to add item to wishlist.' });
+    }
+  },
+
+  /**
+   * Removes an item from the user's wishlist.
+   */
+  removeWishlistItem: async (req, res) => {
+    const { wishlistItemId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const removed = await wishlistModel.removeItem(wishlistItemId, userId);
+      if (!removed) {
+        return res.status(404).json({ message: 'Wishlist item not found or does not belong to the user.' });
+      }
+      res.status(200).json({ message: 'Removed from your wishlist.' });
+    } catch (error) {
+      console.error('Error in removeWishlistItem controller:', error);
+      res.status(500).json({ message: error.message || 'Failed to remove wishlist item.' });
+    }
+  },
+
+  /**
+   * Moves an item from the user's wishlist into their cart.
+   */
+  moveToCart: async (req, res) => {
+    const { wishlistItemId } = req.params;
+    const quantity = req.body.quantity === undefined ? 1 : req.body.quantity;
+    const userId = req.user.id;
+
+    if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ message: 'A valid positive quantity is required.' });
+    }
+
+    try {
+      const item = await wishlistModel.getItem(wishlistItemId, userId);
+      if (!item) {
+        return res.status(404).json({ message: 'Wishlist item not found or does not belong to the user.' });
+      }
+
+      // The saved variant may have been withdrawn since the item was wishlisted
+      await variantService.assertSelectableVariant(item.product_id, item.variant_id);
+
+      const result = await cartModel.addItem(userId, item.product_id, quantity, item.variant_id);
+      await wishlistModel.removeItem(item.id, userId);
+      res.status(200).json({ message: 'Moved to your cart.', cartItemId: result.cartItemId });
+    } catch (error) {
+      console.error('Error in moveToCart controller:', error);
+      res.status(error.statusCode || 500).json({ message: error.message || 'Failed to move item to cart.' });
+    }
+  }
+};
+
+module.exports = wishlistController;
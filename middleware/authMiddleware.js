@@ -1,14 +1,21 @@
 // backend/middleware/authMiddleware.js
 
 const jwt = require('jsonwebtoken');
-const db = require('../db');
+const userModel = require('../models/userModel');
+const { getEmailVerificationSettings } = require('../services/emailVerificationService');
+const { getTwoFactorSettings } = require('../services/twoFactorService');
 
 /**
- * Middleware to protect routes by verifying JWT.
- * It checks for a token in the Authorization header, verifies it,
- * and attaches the decoded user payload to the request object.
+ * Builds the middleware that protects routes by verifying the JWT.
+ * It checks for a token in the Authorization header, verifies it, loads the user it belongs to
+ * and attaches the user to the request object. The user and their session are read from the database
+ * on every request, so logging out, disabling an account or changing its role takes effect immediately,
+ * even for tokens already issued.
+ * @param {object} [options]
+ * @param {boolean} [options.allowPasswordReset] - Let users who must change their password through
+ *   (only the routes they need to do so should set this).
  */
-exports.protect = async (req, res, next) => {
+const authenticate = ({ allowPasswordReset = false } = {}) => async (req, res, next) => {
   let token;
 
   // 1. Check if the token exists in the 'Authorization' header and starts with 'Bearer'
@@ -20,30 +27,69 @@ exports.protect = async (req, res, next) => {
     return res.status(401).json({ message: 'Not authorized, no token provided.' });
   }
 
+  // 2. Verify the token using the secret key
+  let decoded;
   try {
-    // 2. Verify the token using the secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    console.error('Token verification failed:', error);
+    return res.status(401).json({ message: 'Not authorized, token failed.' });
+  }
 
-    // 3. Attach the decoded user information to the request object
+  try {
+    // 3. Check that the session is still open and the account may be used
+    const user = await userModel.getAuthState(decoded.id, decoded.sid || null);
+    if (!user) {
+      return res.status(401).json({ message: 'Not authorized, user no longer exists.' });
+    }
+    if (!user.session_active) {
+      return res.status(401).json({ message: 'Not authorized, your session has ended. Please log in again.' });
+    }
+    if (user.disabled_at) {
+      return res.status(403).json({ message: 'This account has been disabled.', accountDisabled: true });
+    }
+    if (user.password_reset_required && !allowPasswordReset) {
+      return res.status(403).json({ message: 'You must change your password before continuing.', passwordResetRequired: true });
+    }
+
+    // 4. Attach the user's information to the request object
     // This makes the user's ID, role, etc., available in subsequent controllers
     req.user = {
-        id: decoded.id,
-        username: decoded.username,
-        email: decoded.email,
-        role: decoded.role
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        sessionId: decoded.sid,
+        emailVerified: Boolean(user.email_verified_at),
+        twoFactorEnabled: Boolean(user.two_factor_enabled_at),
+        twoFactorVerified: Boolean(user.two_factor_verified),
+        passwordResetRequired: Boolean(user.password_reset_required)
     };
 
-    // 4. Proceed to the next middleware or route handler
+    // 5. Proceed to the next middleware or route handler
     next();
   } catch (error) {
-    console.error('Token verification failed:', error);
-    return res.status(401).json({ message: 'Not authorized, token failed.' });
+    console.error('Error loading the authenticated user:', error);
+    return res.status(500).json({ message: 'Server error during authentication.' });
   }
 };
 
+/**
+ * Middleware to protect routes by verifying JWT.
+ */
+exports.protect = authenticate();
+
+/**
+ * Like `protect`, but also lets through users who have been told to change their password,
+ * for the routes they need in order to do so.
+ */
+exports.protectAllowingPasswordReset = authenticate({ allowPasswordReset: true });
+
 /**
  * Middleware to authorize users based on their roles.
  * This should be used *after* the 'protect' middleware.
+ * When TWO_FACTOR_REQUIRED_FOR_ADMINS is on, admins are only let through if their session completed
+ * two-factor authentication.
  * @param {...string} roles - A list of roles that are allowed to access the route.
  */
 exports.authorizeRoles = (...roles) => {
@@ -52,7 +98,27 @@ exports.authorizeRoles = (...roles) => {
     if (!req.user || !roles.includes(req.user.role)) {
       return res.status(403).json({ message: `User role '${req.user?.role}' is not authorized to access this route.` });
     }
+    // Admin sessions must have completed two-factor authentication, if that is enforced
+    if (req.user.role === 'admin' && getTwoFactorSettings().requiredForAdmins && !req.user.twoFactorVerified) {
+      return res.status(403).json({
+        message: req.user.twoFactorEnabled
+          ? 'Admin access requires two-factor authentication. Please log in again with your authenticator code.'
+          : 'Admin access requires two-factor authentication. Please set it up, then log in again.',
+        twoFactorRequired: true
+      });
+    }
     // If authorized, proceed to the next middleware or route handler
     next();
   };
 };
+
+/**
+ * Middleware that stops users with an unverified email address from placing orders, when
+ * REQUIRE_VERIFIED_EMAIL_FOR_ORDERS is on. This should be used *after* the 'protect' middleware.
+ */
+exports.requireVerifiedEmailForOrders = (req, res, next) => {
+  if (getEmailVerificationSettings().requiredForOrders && !req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address before placing an order.', emailVerificationRequired: true });
+  }
+  next();
+};
@@ -0,0 +1,137 @@
+// backend/middleware/idempotencyMiddleware.js
+
+const crypto = require('crypto');
+const idempotencyModel = require('../models/idempotencyModel');
+
+// How long a completed response is kept for replay.
+const getRetentionSeconds = () => parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10) * 60 * 60;
+
+// How long a duplicate request waits for the original to finish before giving up with a 409.
+const WAIT_TIMEOUT_MS = 5000;
+const WAIT_INTERVAL_MS = 250;
+
+// The request holding an 'in_progress' key refreshes its heartbeat this often for as long as it runs, however
+// long that is (placing an order can wait on row locks for minutes). A key whose heartbeat is older than the
+// stale window belongs to a server that died without finishing, and a retry may take it over.
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const STALE_IN_PROGRESS_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hashes the parts of a request that must match for a key to be reused.
+ * @param {object} req - The Express request.
+ * @returns {string} The hex-encoded SHA-256 fingerprint.
+ */
+const fingerprintRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Waits for another request holding the same key to finish.
+ * @returns {Promise<object|undefined>} The key once completed, or undefined if it was released or is still running.
+ */
+const waitForCompletion = async (userId, key, scope) => {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await sleep(WAIT_INTERVAL_MS);
+    const stored = await idempotencyModel.getKey(userId, key, scope);
+    if (!stored || stored.status === 'completed') {
+      return stored;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Middleware factory that makes a route honour the `Idempotency-Key` header.
+ * This should be used *after* the 'protect' middleware; keys are stored per user.
+ *
+ * - The first request with a key runs normally, and its response is stored.
+ * - A retry with the same key replays the stored status and body instead of running again.
+ * - A retry that arrives while the first request is still running waits for it, or gets a 409.
+ * - Server errors (5xx) are not stored, so the client may retry with the same key.
+ * Requests without the header are not affected.
+ * @param {string} scope - A name for the operation, so the same key can't collide across routes.
+ */
+exports.idempotent = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+    if (key.length > 255) {
+      return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters.' });
+    }
+
+    const userId = req.user.id;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      // 1. Forget this user's keys that are past the retention window, then try to claim the key
+      await idempotencyModel.deleteExpiredKeys(userId, getRetentionSeconds());
+      let claimedId = await idempotencyModel.claimKey({ userId, key, scope, fingerprint });
+
+      if (!claimedId) {
+        let stored = await idempotencyModel.getKey(userId, key, scope);
+
+        if (stored && stored.request_fingerprint !== fingerprint) {
+          return res.status(422).json({ message: 'This Idempotency-Key was already used for a different request.' });
+        }
+
+        // 2. Another request with this key is still running: wait for it, or take over if it died
+        if (stored && stored.status === 'in_progress') {
+          if (stored.heartbeat_age_ms > STALE_IN_PROGRESS_MS && await idempotencyModel.deleteStaleKey(stored.id, STALE_IN_PROGRESS_MS)) {
+            stored = undefined;
+          } else {
+            stored = await waitForCompletion(userId, key, scope);
+            if (stored === undefined) {
+              const current = await idempotencyModel.getKey(userId, key, scope);
+              if (current) {
+                return res.status(409).json({ message: 'A request with this Idempotency-Key is already being processed.' });
+              }
+            }
+          }
+        }
+
+        // 3. Replay the original response
+        if (stored && stored.status === 'completed') {
+          const body = typeof stored.response_body === 'string' ? JSON.parse(stored.response_body) : stored.response_body;
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(stored.response_status).json(body);
+        }
+
+        // The original request failed and released the key; run this one instead.
+        claimedId = await idempotencyModel.claimKey({ userId, key, scope, fingerprint });
+        if (!claimedId) {
+          return res.status(409).json({ message: 'A request with this Idempotency-Key is already being processed.' });
+        }
+      }
+
+      // 4. Run the handler, keeping the key's heartbeat going until the response is sent, and store the response
+      const heartbeat = setInterval(() => {
+        idempotencyModel.touchKey(claimedId)
+          .catch(error => console.error(`Failed to refresh idempotency key '${key}':`, error));
+      }, HEARTBEAT_INTERVAL_MS);
+      heartbeat.unref();
+      res.on('finish', () => clearInterval(heartbeat));
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        clearInterval(heartbeat);
+        const settle = res.statusCode >= 500
+          ? idempotencyModel.deleteKey(claimedId)
+          : idempotencyModel.completeKey(claimedId, res.statusCode, body);
+        settle.catch(error => console.error(`Failed to store idempotent response for key '${key}':`, error));
+        return originalJson(body);
+      };
+
+      next();
+    } catch (error) {
+      console.error('Idempotency check failed:', error);
+      res.status(500).json({ message: 'Failed to process the Idempotency-Key.' });
+    }
+  };
+};
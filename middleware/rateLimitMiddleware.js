@@ -0,0 +1,24 @@
+// backend/middleware/rateLimitMiddleware.js
+
+const rateLimitService = require('../services/rateLimitService');
+
+/**
+ * Middleware factory that limits how often one IP address can call a route (see rateLimitService.IP_LIMITS).
+ * Requests over the limit get a 429 with a `Retry-After` header. If the store can't be reached the request
+ * is let through: an outage of the limiter shouldn't lock everyone out of their accounts.
+ * @param {string} limitName - The limit to apply, e.g. 'login'.
+ */
+exports.limitByIp = (limitName) => {
+  return async (req, res, next) => {
+    try {
+      await rateLimitService.consumeIpLimit(limitName, req.ip);
+    } catch (error) {
+      if (error.statusCode === 429) {
+        res.set('Retry-After', String(error.details.retryAfter));
+        return res.status(429).json({ message: error.message, ...error.details });
+      }
+      console.error(`Rate limiter '${limitName}' failed; letting the request through:`, error);
+    }
+    next();
+  };
+};
@@ -0,0 +1,68 @@
+// backend/middleware/uploadMiddleware.js
+
+const multer = require('multer');
+const fs = require('fs');
+const httpError = require('../utils/httpError');
+
+// --- Multer Configuration for Image Uploads ---
+
+// Define the path for the uploads directory
+const uploadDir = 'uploads/';
+
+// Ensure the uploads directory exists, create it if it doesn't
+if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir);
+}
+
+// Configure multer storage to save files temporarily on the server
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, uploadDir); // Save files to the 'uploads/' directory
+    },
+    filename: function (req, file, cb) {
+        // Create a unique filename to prevent conflicts: timestamp + original filename
+        cb(null, Date.now() + '-' + file.originalname);
+    }
+});
+
+// Initialize multer with the storage configuration.
+// Shared by every route that accepts images; the files are uploaded to Cloudinary by the controllers.
+exports.upload = multer({ storage: storage });
+
+// --- Review Photo Uploads ---
+
+// Review photos come from customers, so they are limited in number and size, and must be images.
+const MAX_REVIEW_PHOTOS = 5;
+const MAX_REVIEW_PHOTO_MB = 5;
+const REVIEW_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const reviewPhotoUpload = multer({
+    storage: storage,
+    limits: { fileSize: MAX_REVIEW_PHOTO_MB * 1024 * 1024, files: MAX_REVIEW_PHOTOS },
+    fileFilter: function (req, file, cb) {
+        if (!REVIEW_PHOTO_TYPES.includes(file.mimetype)) {
+            return cb(httpError(400, 'Review photos must be JPEG, PNG, WebP or GIF images.'));
+        }
+        cb(null, true);
+    }
+}).array('photos', MAX_REVIEW_PHOTOS);
+
+// Accepts up to MAX_REVIEW_PHOTOS files in the 'photos' field. A rejected upload gets a 400 (multer removes
+// any file it had already saved).
+exports.uploadReviewPhotos = (req, res, next) => {
+    reviewPhotoUpload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Each photo can be at most ${MAX_REVIEW_PHOTO_MB} MB.`
+                : `You can attach at most ${MAX_REVIEW_PHOTOS} photos, in the 'photos' field.`;
+            return res.status(400).json({ message });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        next(error);
+    });
+};
@@ -0,0 +1,73 @@
+// backend/models/accountTokenModel.js
+
+const db = require('../db');
+
+const accountTokenModel = {
+  /**
+   * Stores the hash of a new one-time token.
+   * @param {object} token
+   * @param {number} token.userId - The ID of the user the token was issued to.
+   * @param {string} token.purpose - What the token is for: 'password_reset' or 'email_verification'.
+   * @param {string} token.tokenHash - The SHA-256 hash of the token.
+   * @param {number} token.ttlMinutes - How many minutes the token is valid for.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async createToken({ userId, purpose, tokenHash, ttlMinutes }, connection) {
+    const sql = 'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)';
+    await (connection || db).query(sql, [userId, purpose, tokenHash, ttlMinutes]);
+  },
+
+  /**
+   * Finds an unused, unexpired token by its hash and locks its row until the surrounding transaction ends,
+   * so that it can only be used once.
+   * @param {string} purpose - What the token must be for.
+   * @param {string} tokenHash - The SHA-256 hash of the token.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the token, or undefined if it can't be used.
+   */
+  async getUsableTokenForUpdate(purpose, tokenHash, connection) {
+    const sql = `
+      SELECT id, user_id
+      FROM account_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+      FOR UPDATE;
+    `;
+    const [rows] = await connection.query(sql, [tokenHash, purpose]);
+    return rows[0];
+  },
+
+  /**
+   * Describes the tokens recently issued to a user for a purpose, so that resending them can be throttled.
+   * @param {number} userId - The ID of the user.
+   * @param {string} purpose - What the tokens are for.
+   * @returns {Promise<{seconds_since_last: number|null, issued_last_day: number}>} How long ago the latest token
+   *   was issued (null if none ever was) and how many were issued in the last 24 hours.
+   */
+  async getIssueStats(userId, purpose) {
+    const sql = `
+      SELECT
+        TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last,
+        COALESCE(SUM(created_at > NOW() - INTERVAL 1 DAY), 0) AS issued_last_day
+      FROM account_tokens
+      WHERE user_id = ? AND purpose = ?;
+    `;
+    const [rows] = await db.query(sql, [userId, purpose]);
+    return { seconds_since_last: rows[0].seconds_since_last, issued_last_day: parseInt(rows[0].issued_last_day, 10) };
+  },
+
+  /**
+   * Marks every unused token a user holds for a purpose as used, e.g. once one of them has been
+   * used or before a newer one is sent.
+   * @param {number} userId - The ID of the user.
+   * @param {string} purpose - What the tokens are for.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async useUserTokens(userId, purpose, connection) {
+    const sql = 'UPDATE account_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL';
+    await (connection || db).query(sql, [userId, purpose]);
+  }
+};
+
+module.exports = accountTokenModel;
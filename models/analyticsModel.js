@@ -0,0 +1,201 @@
+// backend/models/analyticsModel.js
+
+const db = require('../db');
+
+// Orders in these statuses have been paid for and count towards revenue.
+const REVENUE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'refunded'];
+
+// SQL expressions giving the first day (YYYY-MM-DD) of the period an order falls in. Weeks start on Monday.
+const PERIOD_EXPRESSIONS = {
+  day: "DATE_FORMAT(o.order_date, '%Y-%m-%d')",
+  week: "DATE_FORMAT(DATE_SUB(DATE(o.order_date), INTERVAL WEEKDAY(o.order_date) DAY), '%Y-%m-%d')",
+  month: "DATE_FORMAT(o.order_date, '%Y-%m-01')",
+};
+
+// Selects the revenue orders placed in a date range ([from, to), as 'YYYY-MM-DD' strings).
+const REVENUE_ORDERS_IN_RANGE = 'o.status IN (?) AND o.order_date >= ? AND o.order_date < ?';
+
+const analyticsModel = {
+  /**
+   * Totals the revenue orders of each period in a date range.
+   * @param {object} range
+   * @param {string} range.from - The first day of the range (inclusive).
+   * @param {string} range.to - The day after the range (exclusive).
+   * @param {string} range.interval - 'day', 'week' or 'month'.
+   * @returns {Promise<Array>} One row per period with orders: `{ period, orders, revenue, refunded }`.
+   */
+  async getSalesByPeriod({ from, to, interval }) {
+    const sql = `
+      SELECT
+        ${PERIOD_EXPRESSIONS[interval]} AS period,
+        COUNT(*) AS orders,
+        COALESCE(SUM(o.total_amount), 0) AS revenue,
+        COALESCE(SUM(o.refunded_amount), 0) AS refunded
+      FROM orders o
+      WHERE ${REVENUE_ORDERS_IN_RANGE}
+      GROUP BY period
+      ORDER BY period ASC;
+    `;
+    const [rows] = await db.query(sql, [REVENUE_STATUSES, from, to]);
+    return rows;
+  },
+
+  /**
+   * Ranks products by units sold or by revenue (after discounts, before tax) in a date range.
+   * @param {object} range - `{ from, to }` as for getSalesByPeriod.
+   * @param {string} rankBy - 'units' or 'revenue'.
+   * @param {number} limit - The number of products to return.
+   * @returns {Promise<Array>} The products: `{ product_id, product_name, category, units, revenue, orders }`.
+   */
+  async getTopProducts({ from, to }, rankBy, limit) {
+    const sql = `
+      SELECT
+        oi.product_id, p.name AS product_name, p.category,
+        SUM(oi.quantity) AS units,
+        SUM(oi.taxable_value) AS revenue,
+        COUNT(DISTINCT o.id) AS orders
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE ${REVENUE_ORDERS_IN_RANGE}
+      GROUP BY oi.product_id, p.name, p.category
+      ORDER BY ${rankBy === 'units' ? 'units DESC, revenue DESC' : 'revenue DESC, units DESC'}, oi.product_id ASC
+      LIMIT ?;
+    `;
+    const [rows] = await db.query(sql, [REVENUE_STATUSES, from, to, limit]);
+    return rows;
+  },
+
+  /**
+   * Ranks categories by units sold or by revenue (after discounts, before tax) in a date range.
+   * Products are counted under their current category.
+   * @param {object} range - `{ from, to }` as for getSalesByPeriod.
+   * @param {string} rankBy - 'units' or 'revenue'.
+   * @param {number} limit - The number of categories to return.
+   * @returns {Promise<Array>} The categories: `{ category_id, category, units, revenue, orders }`.
+   */
+  async getTopCategories({ from, to }, rankBy, limit) {
+    const sql = `
+      SELECT
+        p.category_id, COALESCE(c.name, p.category) AS category,
+        SUM(oi.quantity) AS units,
+        SUM(oi.taxable_value) AS revenue,
+        COUNT(DISTINCT o.id) AS orders
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      LEFT JOIN categories c ON p.category_id = c.id
+      WHERE ${REVENUE_ORDERS_IN_RANGE}
+      GROUP BY p.category_id, COALESCE(c.name, p.category)
+      ORDER BY ${rankBy === 'units' ? 'units DESC, revenue DESC' : 'revenue DESC, units DESC'}, category ASC
+      LIMIT ?;
+    `;
+    const [rows] = await db.query(sql, [REVENUE_STATUSES, from, to, limit]);
+    return rows;
+  },
+
+  /**
+   * Splits the customers who placed revenue orders in a date range into new customers (whose first
+   * revenue order ever falls in the range) and returning ones, with the orders and revenue of each group.
+   * @param {object} range - `{ from, to }` as for getSalesByPeriod.
+   * @returns {Promise<Array>} Up to two rows: `{ customer_type: 'new' | 'returning', customers, orders, revenue }`.
+   */
+  async getCustomerSplit({ from, to }) {
+    const sql = `
+      SELECT
+        IF(first_orders.first_order_date >= ?, 'new', 'returning') AS customer_type,
+        COUNT(*) AS customers,
+        SUM(range_orders.orders) AS orders,
+        SUM(range_orders.revenue) AS revenue
+      FROM (
+        SELECT o.user_id, COUNT(*) AS orders, SUM(o.total_amount) AS revenue
+        FROM orders o
+        WHERE ${REVENUE_ORDERS_IN_RANGE}
+        GROUP BY o.user_id
+      ) range_orders
+      JOIN (
+        SELECT o.user_id, MIN(o.order_date) AS first_order_date
+        FROM orders o
+        WHERE o.status IN (?) AND o.order_date < ?
+        GROUP BY o.user_id
+      ) first_orders ON first_orders.user_id = range_orders.user_id
+      GROUP BY customer_type;
+    `;
+    const [rows] = await db.query(sql, [from, REVENUE_STATUSES, from, to, REVENUE_STATUSES, to]);
+    return rows;
+  },
+
+  /**
+   * Counts the orders placed in a date range that were cancelled, and the orders and units that customers
+   * asked to return (return requests that were not rejected).
+   * @param {object} range - `{ from, to }` as for getSalesByPeriod.
+   * @returns {Promise<object>} `{ placed_orders, cancelled_orders, revenue_orders, returned_orders, units_sold, units_returned }`.
+   */
+  async getOrderOutcomes({ from, to }) {
+    const ordersSql = `
+      SELECT
+        COUNT(*) AS placed_orders,
+        COALESCE(SUM(o.status = 'cancelled'), 0) AS cancelled_orders,
+        COALESCE(SUM(o.status IN (?)), 0) AS revenue_orders,
+        COALESCE(SUM(EXISTS (
+          SELECT 1 FROM return_requests r WHERE r.order_id = o.id AND r.status <> 'rejected'
+        )), 0) AS returned_orders
+      FROM orders o
+      WHERE o.order_date >= ? AND o.order_date < ?;
+    `;
+    const unitsSql = `
+      SELECT
+        COALESCE(SUM(oi.quantity), 0) AS units_sold,
+        COALESCE(SUM((
+          SELECT SUM(ri.quantity)
+          FROM return_items ri
+          JOIN return_requests r ON ri.return_id = r.id
+          WHERE ri.order_item_id = oi.id AND r.status <> 'rejected'
+        )), 0) AS units_returned
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE ${REVENUE_ORDERS_IN_RANGE};
+    `;
+    const [[[orders]], [[units]]] = await Promise.all([
+      db.query(ordersSql, [REVENUE_STATUSES, from, to]),
+      db.query(unitsSql, [REVENUE_STATUSES, from, to]),
+    ]);
+    return { ...orders, ...units };
+  },
+
+  /**
+   * Values the stock on hand at current selling prices, by category. Products sold by variant are valued
+   * by their active variants' stock and prices.
+   * @returns {Promise<Array>} One row per category: `{ category_id, category, products, units, value }`.
+   */
+  async getInventoryValue() {
+    const sql = `
+      SELECT
+        p.category_id, COALESCE(c.name, p.category) AS category,
+        COUNT(DISTINCT p.id) AS products,
+        COALESCE(SUM(stock.units), 0) AS units,
+        COALESCE(SUM(stock.value), 0) AS value
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      JOIN (
+        SELECT p2.id AS product_id, p2.stock_quantity AS units, p2.stock_quantity * p2.price AS value
+        FROM products p2
+        WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p2.id)
+        UNION ALL
+        SELECT v.product_id, v.stock_quantity, v.stock_quantity * COALESCE(v.price, p2.price)
+        FROM product_variants v
+        JOIN products p2 ON v.product_id = p2.id
+        WHERE v.is_active = TRUE
+      ) stock ON stock.product_id = p.id
+      GROUP BY p.category_id, COALESCE(c.name, p.category)
+      ORDER BY value DESC, category ASC;
+    `;
+    const [rows] = await db.query(sql);
+    return rows;
+  }
+};
+
+analyticsModel.REVENUE_STATUSES = REVENUE_STATUSES;
+analyticsModel.PERIOD_EXPRESSIONS = PERIOD_EXPRESSIONS;
+
+module.exports = analyticsModel;
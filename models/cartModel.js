@@ -4,60 +4,93 @@ const db = require('../db');
 
 const cartModel = {
   /**
-   * Adds an item to the cart or updates its quantity if it already exists.
+   * Adds an item to the cart or updates its quantity if it already exists. A single statement does both,
+   * so concurrent requests for the same item can't create two lines or lose a quantity.
    * @param {number} userId - The ID of the user.
    * @param {number} productId - The ID of the product to add.
    * @param {number} quantity - The quantity of the product to add.
+   * @param {number|null} [variantId] - The ID of the chosen variant, for products sold by variant.
    * @returns {Promise<object>} A promise that resolves to an object with a success message and the cart item ID.
    */
-  async addItem(userId, productId, quantity) {
-    // First, check if the item already exists in the user's cart.
-    const checkSql = 'SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?';
-    const [existingItems] = await db.query(checkSql, [userId, productId]);
+  async addItem(userId, productId, quantity, variantId = null) {
+    // The unique key on (user_id, product_id, variant_key) turns a second insert of the same item into an update.
+    // LAST_INSERT_ID(id) makes insertId the existing line's ID in that case.
+    const sql = `
+      INSERT INTO cart_items (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity), id = LAST_INSERT_ID(id)
+    `;
+    const [result] = await db.query(sql, [userId, productId, variantId, quantity]);
 
-    if (existingItems.length > 0) {
-      // If the item exists, update its quantity by adding the new quantity.
-      const existingCartItem = existingItems[0];
-      const newQuantity = existingCartItem.quantity + quantity;
-      const updateSql = 'UPDATE cart_items SET quantity = ? WHERE id = ?';
-      await db.query(updateSql, [newQuantity, existingCartItem.id]);
-      return { message: 'Cart item quantity updated successfully.', cartItemId: existingCartItem.id };
-    } else {
-      // If the item does not exist, insert it as a new entry in the cart.
-      const insertSql = 'INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)';
-      const [result] = await db.query(insertSql, [userId, productId, quantity]);
+    // MySQL reports 1 affected row for an insert and 2 for an update.
+    if (result.affectedRows === 1) {
       return { message: 'Product added to cart successfully.', cartItemId: result.insertId };
     }
+    return { message: 'Cart item quantity updated successfully.', cartItemId: result.insertId };
   },
 
   /**
    * Retrieves all items in a user's cart, joining with the products table to get details.
+   * For a line in a variant, the price and stock are the variant's. `available_quantity` is the stock
+   * less what other customers have reserved at checkout.
    * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
    * @returns {Promise<Array>} A promise that resolves to an array of cart items.
    */
-  async getCartItems(userId) {
+  async getCartItems(userId, connection) {
     const sql = `
       SELECT
         ci.id AS cart_item_id,
         ci.product_id,
+        ci.variant_id,
         ci.quantity,
         p.name AS product_name,
-        p.price AS product_price,
+        COALESCE(v.price, p.price) AS product_price,
         p.image_id AS product_image_id,
-        p.stock_quantity AS product_stock_quantity
+        IF(v.id IS NULL, p.stock_quantity, v.stock_quantity) AS product_stock_quantity,
+        GREATEST(IF(v.id IS NULL, p.stock_quantity, v.stock_quantity) - COALESCE(r.reserved_quantity, 0), 0) AS available_quantity,
+        v.sku AS variant_sku,
+        v.size AS variant_size,
+        v.colour AS variant_colour,
+        v.is_active AS variant_is_active,
+        p.category AS product_category,
+        p.hsn_code AS product_hsn_code,
+        p.gst_rate AS product_gst_rate,
+        p.weight_grams AS product_weight_grams
       FROM cart_items ci
       JOIN products p ON ci.product_id = p.id
+      LEFT JOIN product_variants v ON ci.variant_id = v.id
+      LEFT JOIN (
+        SELECT product_id, variant_id, SUM(quantity) AS reserved_quantity
+        FROM stock_reservations
+        WHERE status = 'active' AND expires_at > NOW() AND user_id <> ?
+        GROUP BY product_id, variant_id
+      ) r ON r.product_id = ci.product_id AND r.variant_id <=> ci.variant_id
       WHERE ci.user_id = ?;
     `;
-    const [items] = await db.query(sql, [userId]);
+    const [items] = await (connection || db).query(sql, [userId, userId]);
     
     // CORRECTED: Ensure product_price is a number before sending to the frontend.
     return items.map(item => ({
       ...item,
-      product_price: parseFloat(item.product_price)
+      product_price: parseFloat(item.product_price),
+      available_quantity: parseInt(item.available_quantity, 10),
+      product_gst_rate: item.product_gst_rate === null ? null : parseFloat(item.product_gst_rate),
+      variant_is_active: item.variant_id === null ? null : Boolean(item.variant_is_active)
     }));
   },
 
+  /**
+   * Retrieves a single item of a user's cart.
+   * @param {number} cartItemId - The ID of the cart item.
+   * @param {number} userId - The ID of the user (for verification).
+   * @returns {Promise<object|undefined>} A promise that resolves to the cart item, or undefined if not found.
+   */
+  async getCartItem(cartItemId, userId) {
+    const sql = 'SELECT id, product_id, variant_id, quantity FROM cart_items WHERE id = ? AND user_id = ?';
+    const [items] = await db.query(sql, [cartItemId, userId]);
+    return items[0];
+  },
+
   /**
    * Updates the quantity of a specific item in the cart.
    * @param {number} cartItemId - The ID of the cart item to update.
@@ -92,11 +125,12 @@ const cartModel = {
   /**
    * Clears all items from a user's cart.
    * @param {number} userId - The ID of the user whose cart will be cleared.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
    * @returns {Promise<object>} A promise that resolves to an object with a success message.
    */
-  async clearCart(userId) {
+  async clearCart(userId, connection) {
     const sql = 'DELETE FROM cart_items WHERE user_id = ?';
-    const [result] = await db.query(sql, [userId]);
+    const [result] = await (connection || db).query(sql, [userId]);
     return { message: 'Cart cleared successfully.', affectedRows: result.affectedRows };
   }
 };
@@ -0,0 +1,93 @@
+// backend/models/categoryModel.js
+
+const db = require('../db');
+
+const categoryModel = {
+  /**
+   * Retrieves every category with the number of products filed directly under it.
+   * The table is small, so nesting is worked out in memory (see categoryService).
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Array>} A promise that resolves to the categories, sorted by name.
+   */
+  async getAllCategories(connection) {
+    const sql = `
+      SELECT c.*, COUNT(p.id) AS product_count
+      FROM categories c
+      LEFT JOIN products p ON p.category_id = c.id
+      GROUP BY c.id
+      ORDER BY c.name ASC;
+    `;
+    const [rows] = await (connection || db).query(sql);
+    return rows;
+  },
+
+  /**
+   * Creates a category.
+   * @param {object} category - The category fields (see categoryService.parseCategoryInput).
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new category.
+   */
+  async createCategory(category, connection) {
+    const sql = 'INSERT INTO categories (parent_id, name, slug, description, image_url, image_public_id) VALUES (?, ?, ?, ?, ?, ?)';
+    const [result] = await (connection || db).query(sql, [
+      category.parent_id, category.name, category.slug, category.description,
+      category.image_url || null, category.image_public_id || null,
+    ]);
+    return result.insertId;
+  },
+
+  /**
+   * Replaces a category's fields. Products keep a copy of their category's name in
+   * products.category (read by coupons and the return policy), so a rename is copied to them,
+   * and coupons restricted to the old name follow it.
+   * @param {number} categoryId - The ID of the category.
+   * @param {object} category - The category fields. The image is only changed when `image_url` is present.
+   * @param {string} previousName - The category's name before the update.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async updateCategory(categoryId, category, previousName, connection) {
+    const sql = `
+      UPDATE categories
+      SET parent_id = ?, name = ?, slug = ?, description = ?,
+        image_public_id = IF(? IS NULL, image_public_id, ?), image_url = COALESCE(?, image_url)
+      WHERE id = ?
+    `;
+    const imageUrl = category.image_url || null;
+    await connection.query(sql, [
+      category.parent_id, category.name, category.slug, category.description,
+      imageUrl, category.image_public_id || null, imageUrl, categoryId,
+    ]);
+
+    if (category.name !== previousName) {
+      await connection.query('UPDATE products SET category = ? WHERE category_id = ?', [category.name, categoryId]);
+      await connection.query('UPDATE coupon_categories SET category = ? WHERE category = ?', [category.name, previousName]);
+    }
+  },
+
+  /**
+   * Deletes a category.
+   * @param {number} categoryId - The ID of the category.
+   * @returns {Promise<boolean>} A promise that resolves to false if the category does not exist.
+   */
+  async deleteCategory(categoryId) {
+    const [result] = await db.query('DELETE FROM categories WHERE id = ?', [categoryId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Files every product whose free-text category is one of `values` under a category.
+   * @param {number} categoryId - The ID of the category.
+   * @param {string} categoryName - The category's name, copied to products.category.
+   * @param {Array<string>} values - The free-text values to map.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the number of products updated.
+   */
+  async assignProducts(categoryId, categoryName, values, connection) {
+    const sql = 'UPDATE products SET category_id = ?, category = ? WHERE category_id IS NULL AND category IN (?)';
+    const [result] = await connection.query(sql, [categoryId, categoryName, values]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = categoryModel;
@@ -0,0 +1,202 @@
+// backend/models/couponModel.js
+
+const db = require('../db');
+
+/**
+ * Converts the DECIMAL columns of a coupon row to numbers.
+ */
+const formatCoupon = (coupon) => ({
+  ...coupon,
+  discount_value: parseFloat(coupon.discount_value),
+  max_discount_amount: coupon.max_discount_amount === null ? null : parseFloat(coupon.max_discount_amount),
+  min_cart_value: parseFloat(coupon.min_cart_value),
+  is_active: Boolean(coupon.is_active),
+});
+
+const couponModel = {
+  /**
+   * Retrieves all coupons, newest first, each with its product and category scope.
+   * @returns {Promise<Array>} A promise that resolves to an array of coupons.
+   */
+  async getAllCoupons() {
+    const [coupons] = await db.query('SELECT * FROM coupons ORDER BY created_at DESC, id DESC');
+    return Promise.all(coupons.map(async coupon => ({
+      ...formatCoupon(coupon),
+      ...(await couponModel.getScope(coupon.id)),
+    })));
+  },
+
+  /**
+   * Retrieves a single coupon by its ID, with its product and category scope.
+   * @param {number} couponId - The ID of the coupon.
+   * @returns {Promise<object|undefined>} A promise that resolves to the coupon, or undefined if not found.
+   */
+  async getCouponById(couponId) {
+    const [rows] = await db.query('SELECT * FROM coupons WHERE id = ?', [couponId]);
+    if (rows.length === 0) {
+      return undefined;
+    }
+    return { ...formatCoupon(rows[0]), ...(await couponModel.getScope(couponId)) };
+  },
+
+  /**
+   * Retrieves a coupon by its code, with its product and category scope.
+   * When a transaction connection is given, the coupon row is locked until the transaction ends,
+   * so that concurrent checkouts can't both use the last redemption.
+   * @param {string} code - The (normalised) coupon code.
+   * @param {object} [connection] - Optional database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the coupon, or undefined if not found.
+   */
+  async getCouponByCode(code, connection) {
+    const sql = connection
+      ? 'SELECT * FROM coupons WHERE code = ? FOR UPDATE'
+      : 'SELECT * FROM coupons WHERE code = ?';
+    const [rows] = await (connection || db).query(sql, [code]);
+    if (rows.length === 0) {
+      return undefined;
+    }
+    return { ...formatCoupon(rows[0]), ...(await couponModel.getScope(rows[0].id, connection)) };
+  },
+
+  /**
+   * Retrieves the products and categories a coupon is restricted to. Empty lists mean "the whole cart".
+   * @param {number} couponId - The ID of the coupon.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<{product_ids: Array<number>, categories: Array<string>}>} The coupon's scope.
+   */
+  async getScope(couponId, connection) {
+    const [products] = await (connection || db).query('SELECT product_id FROM coupon_products WHERE coupon_id = ?', [couponId]);
+    const [categories] = await (connection || db).query('SELECT category FROM coupon_categories WHERE coupon_id = ?', [couponId]);
+    return {
+      product_ids: products.map(row => row.product_id),
+      categories: categories.map(row => row.category),
+    };
+  },
+
+  /**
+   * Creates a coupon and its scope.
+   * @param {object} coupon - The coupon fields (see saveScope for product_ids and categories).
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new coupon.
+   */
+  async createCoupon(coupon, connection) {
+    const sql = `
+      INSERT INTO coupons
+        (code, description, discount_type, discount_value, max_discount_amount, min_cart_value,
+         starts_at, ends_at, usage_limit, per_user_limit, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await connection.query(sql, [
+      coupon.code, coupon.description, coupon.discount_type, coupon.discount_value, coupon.max_discount_amount,
+      coupon.min_cart_value, coupon.starts_at, coupon.ends_at, coupon.usage_limit, coupon.per_user_limit, coupon.is_active,
+    ]);
+    await couponModel.saveScope(result.insertId, coupon, connection);
+    return result.insertId;
+  },
+
+  /**
+   * Replaces a coupon's fields and scope.
+   * @param {number} couponId - The ID of the coupon.
+   * @param {object} coupon - The coupon fields.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the coupon does not exist.
+   */
+  async updateCoupon(couponId, coupon, connection) {
+    const sql = `
+      UPDATE coupons SET
+        code = ?, description = ?, discount_type = ?, discount_value = ?, max_discount_amount = ?, min_cart_value = ?,
+        starts_at = ?, ends_at = ?, usage_limit = ?, per_user_limit = ?, is_active = ?
+      WHERE id = ?
+    `;
+    const [result] = await connection.query(sql, [
+      coupon.code, coupon.description, coupon.discount_type, coupon.discount_value, coupon.max_discount_amount,
+      coupon.min_cart_value, coupon.starts_at, coupon.ends_at, coupon.usage_limit, coupon.per_user_limit, coupon.is_active,
+      couponId,
+    ]);
+    if (result.affectedRows === 0) {
+      return false;
+    }
+    await couponModel.saveScope(couponId, coupon, connection);
+    return true;
+  },
+
+  /**
+   * Replaces the products and categories a coupon is restricted to.
+   * @param {number} couponId - The ID of the coupon.
+   * @param {object} scope
+   * @param {Array<number>} scope.product_ids - The IDs of the products the coupon applies to.
+   * @param {Array<string>} scope.categories - The categories the coupon applies to.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async saveScope(couponId, { product_ids, categories }, connection) {
+    await connection.query('DELETE FROM coupon_products WHERE coupon_id = ?', [couponId]);
+    await connection.query('DELETE FROM coupon_categories WHERE coupon_id = ?', [couponId]);
+    for (const productId of product_ids) {
+      await connection.query('INSERT INTO coupon_products (coupon_id, product_id) VALUES (?, ?)', [couponId, productId]);
+    }
+    for (const category of categories) {
+      await connection.query('INSERT INTO coupon_categories (coupon_id, category) VALUES (?, ?)', [couponId, category]);
+    }
+  },
+
+  /**
+   * Deletes a coupon. Past redemptions keep the code recorded on their orders.
+   * @param {number} couponId - The ID of the coupon.
+   * @returns {Promise<boolean>} A promise that resolves to false if the coupon does not exist.
+   */
+  async deleteCoupon(couponId) {
+    const [result] = await db.query('DELETE FROM coupons WHERE id = ?', [couponId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Counts how many times a user has redeemed a coupon.
+   * @param {number} couponId - The ID of the coupon.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection. Inside a transaction the count is a locking
+   *   read, so it sees redemptions committed after the transaction's snapshot was taken, and the user's
+   *   redemptions stay locked until it ends.
+   * @returns {Promise<number>} A promise that resolves to the number of redemptions.
+   */
+  async countUserRedemptions(couponId, userId, connection) {
+    const sql = `SELECT COUNT(*) AS count FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ? ${connection ? 'FOR UPDATE' : ''}`;
+    const [rows] = await (connection || db).query(sql, [couponId, userId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Records a redemption and increments the coupon's global usage count.
+   * @param {object} redemption
+   * @param {number} redemption.couponId - The ID of the coupon.
+   * @param {number} redemption.userId - The ID of the user.
+   * @param {number} redemption.orderId - The ID of the order the coupon was applied to.
+   * @param {number} redemption.discountAmount - The discount granted.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async recordRedemption({ couponId, userId, orderId, discountAmount }, connection) {
+    const sql = 'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount) VALUES (?, ?, ?, ?)';
+    await connection.query(sql, [couponId, userId, orderId, discountAmount]);
+    await connection.query('UPDATE coupons SET times_used = times_used + 1 WHERE id = ?', [couponId]);
+  },
+
+  /**
+   * Deletes the redemption recorded for an order and gives the use back to the coupon's global usage count.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async deleteRedemptionForOrder(orderId, connection) {
+    const sql = `
+      UPDATE coupons c
+      JOIN coupon_redemptions r ON r.coupon_id = c.id
+      SET c.times_used = GREATEST(c.times_used - 1, 0)
+      WHERE r.order_id = ?;
+    `;
+    await connection.query(sql, [orderId]);
+    await connection.query('DELETE FROM coupon_redemptions WHERE order_id = ?', [orderId]);
+  }
+};
+
+module.exports = couponModel;
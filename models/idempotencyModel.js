@@ -0,0 +1,107 @@
+// backend/models/idempotencyModel.js
+
+const db = require('../db');
+
+const idempotencyModel = {
+  /**
+   * Claims an idempotency key for a user by inserting it in the 'in_progress' state.
+   * @param {object} key
+   * @param {number} key.userId - The ID of the user.
+   * @param {string} key.key - The client-supplied Idempotency-Key.
+   * @param {string} key.scope - The operation the key is used for (e.g., 'create-order').
+   * @param {string} key.fingerprint - A hash of the request, to detect a key reused for a different request.
+   * @returns {Promise<number|null>} A promise that resolves to the ID of the claimed key, or null if the key already exists.
+   */
+  async claimKey({ userId, key, scope, fingerprint }) {
+    const sql = `
+      INSERT INTO idempotency_keys (user_id, idempotency_key, scope, request_fingerprint, status)
+      VALUES (?, ?, ?, ?, 'in_progress')
+    `;
+    try {
+      const [result] = await db.query(sql, [userId, key, scope, fingerprint]);
+      return result.insertId;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves a stored idempotency key, with the time since its request last reported it was still running
+   * (`heartbeat_age_ms`).
+   * @param {number} userId - The ID of the user.
+   * @param {string} key - The client-supplied Idempotency-Key.
+   * @param {string} scope - The operation the key is used for.
+   * @returns {Promise<object|undefined>} A promise that resolves to the stored key, or undefined if not found.
+   */
+  async getKey(userId, key, scope) {
+    const sql = `
+      SELECT *, TIMESTAMPDIFF(MICROSECOND, heartbeat_at, NOW(6)) DIV 1000 AS heartbeat_age_ms
+      FROM idempotency_keys
+      WHERE user_id = ? AND idempotency_key = ? AND scope = ?
+    `;
+    const [rows] = await db.query(sql, [userId, key, scope]);
+    return rows[0];
+  },
+
+  /**
+   * Records that the request holding an 'in_progress' key is still running.
+   * @param {number} id - The ID of the stored key.
+   * @returns {Promise<void>}
+   */
+  async touchKey(id) {
+    await db.query("UPDATE idempotency_keys SET heartbeat_at = NOW(6) WHERE id = ? AND status = 'in_progress'", [id]);
+  },
+
+  /**
+   * Stores the response produced for an idempotency key so that retries can replay it.
+   * @param {number} id - The ID of the stored key.
+   * @param {number} statusCode - The HTTP status code of the response.
+   * @param {object} body - The JSON body of the response.
+   * @returns {Promise<void>}
+   */
+  async completeKey(id, statusCode, body) {
+    const sql = "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?";
+    await db.query(sql, [statusCode, JSON.stringify(body), id]);
+  },
+
+  /**
+   * Deletes a stored idempotency key (when the request failed and may be retried, or the key has expired).
+   * @param {number} id - The ID of the stored key.
+   * @returns {Promise<void>}
+   */
+  async deleteKey(id) {
+    await db.query('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+  },
+
+  /**
+   * Deletes an 'in_progress' key whose request has stopped sending heartbeats, so that a retry can run.
+   * Nothing is deleted if a heartbeat arrived in the meantime.
+   * @param {number} id - The ID of the stored key.
+   * @param {number} staleMs - How long without a heartbeat makes a key stale.
+   * @returns {Promise<boolean>} A promise that resolves to true if the key was deleted.
+   */
+  async deleteStaleKey(id, staleMs) {
+    const sql = `
+      DELETE FROM idempotency_keys
+      WHERE id = ? AND status = 'in_progress' AND heartbeat_at < NOW(6) - INTERVAL ? MICROSECOND
+    `;
+    const [result] = await db.query(sql, [id, staleMs * 1000]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Deletes a user's keys that are older than the retention window.
+   * @param {number} userId - The ID of the user.
+   * @param {number} retentionSeconds - How long keys are kept.
+   * @returns {Promise<void>}
+   */
+  async deleteExpiredKeys(userId, retentionSeconds) {
+    const sql = 'DELETE FROM idempotency_keys WHERE user_id = ? AND created_at < NOW() - INTERVAL ? SECOND';
+    await db.query(sql, [userId, retentionSeconds]);
+  }
+};
+
+module.exports = idempotencyModel;
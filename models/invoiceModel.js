@@ -0,0 +1,74 @@
+// backend/models/invoiceModel.js
+
+const db = require('../db');
+
+const invoiceModel = {
+  /**
+   * Retrieves the invoice issued for an order.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the invoice, or undefined if none was issued.
+   */
+  async getByOrderId(orderId, connection) {
+    const [rows] = await (connection || db).query('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+    return rows[0];
+  },
+
+  /**
+   * Takes the next invoice number for a financial year. The sequence row stays locked until the
+   * transaction ends, so numbers are issued without gaps or duplicates.
+   * @param {string} financialYear - The financial year, e.g. '2026-27'.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the next number in the sequence.
+   */
+  async nextNumber(financialYear, connection) {
+    const sql = `
+      INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, LAST_INSERT_ID(1))
+      ON DUPLICATE KEY UPDATE last_number = LAST_INSERT_ID(last_number + 1)
+    `;
+    const [result] = await connection.query(sql, [financialYear]);
+    return result.insertId;
+  },
+
+  /**
+   * Records an issued invoice.
+   * @param {object} invoice - `{ orderId, invoiceNumber, financialYear }`.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new invoice.
+   */
+  async createInvoice({ orderId, invoiceNumber, financialYear }, connection) {
+    const sql = 'INSERT INTO invoices (order_id, invoice_number, financial_year) VALUES (?, ?, ?)';
+    const [result] = await connection.query(sql, [orderId, invoiceNumber, financialYear]);
+    return result.insertId;
+  },
+
+  /**
+   * Retrieves everything printed on an order's invoice: the order, the customer and the tax lines.
+   * @param {number} orderId - The ID of the order.
+   * @returns {Promise<object|undefined>} A promise that resolves to `{ order, items }`, or undefined if not found.
+   */
+  async getInvoiceData(orderId) {
+    const orderSql = `
+      SELECT o.*, u.username AS customer_name, u.email AS customer_email
+      FROM orders o
+      JOIN users u ON o.user_id = u.id
+      WHERE o.id = ?;
+    `;
+    const [orders] = await db.query(orderSql, [orderId]);
+    if (orders.length === 0) {
+      return undefined;
+    }
+
+    const itemsSql = `
+      SELECT oi.*, p.name AS product_name
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?
+      ORDER BY oi.id ASC;
+    `;
+    const [items] = await db.query(itemsSql, [orderId]);
+    return { order: orders[0], items };
+  }
+};
+
+module.exports = invoiceModel;
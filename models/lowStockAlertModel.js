@@ -0,0 +1,91 @@
+// backend/models/lowStockAlertModel.js
+
+const db = require('../db');
+
+const lowStockAlertModel = {
+  /**
+   * Lists every product (without active variants) and active variant whose stock is at or below its threshold,
+   * lowest stock first.
+   * @param {number} defaultThreshold - The threshold for products without their own low_stock_threshold.
+   * @returns {Promise<Array>} A promise that resolves to the low-stock items.
+   */
+  async getLowStockItems(defaultThreshold) {
+    const sql = `
+      SELECT * FROM (
+        SELECT
+          p.id AS product_id, p.name AS product_name, p.category,
+          NULL AS variant_id, NULL AS variant_sku, NULL AS variant_size, NULL AS variant_colour,
+          p.stock_quantity, COALESCE(p.low_stock_threshold, ?) AS threshold
+        FROM products p
+        WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = TRUE)
+        UNION ALL
+        SELECT
+          p.id, p.name, p.category,
+          v.id, v.sku, v.size, v.colour,
+          v.stock_quantity, COALESCE(p.low_stock_threshold, ?)
+        FROM product_variants v
+        JOIN products p ON v.product_id = p.id
+        WHERE v.is_active = TRUE
+      ) stock
+      WHERE stock.stock_quantity <= stock.threshold
+      ORDER BY stock.stock_quantity ASC, stock.product_name ASC, stock.variant_sku ASC;
+    `;
+    const [rows] = await db.query(sql, [defaultThreshold, defaultThreshold]);
+    return rows;
+  },
+
+  /**
+   * Raises a low-stock alert.
+   * @param {object} alert
+   * @param {number} alert.productId - The ID of the product.
+   * @param {number|null} alert.variantId - The ID of the variant, if the variant's stock is low.
+   * @param {number} alert.stockQuantity - The stock level that raised the alert.
+   * @param {number} alert.threshold - The threshold it fell to.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new alert.
+   */
+  async createAlert({ productId, variantId, stockQuantity, threshold }, connection) {
+    const sql = 'INSERT INTO low_stock_alerts (product_id, variant_id, stock_quantity, threshold) VALUES (?, ?, ?, ?)';
+    const [result] = await (connection || db).query(sql, [productId, variantId || null, stockQuantity, threshold]);
+    return result.insertId;
+  },
+
+  /**
+   * Lists low-stock alerts, newest first, with each item's current stock.
+   * @param {boolean|undefined} acknowledged - True for acknowledged alerts only, false for open alerts only,
+   *   undefined for all alerts.
+   * @returns {Promise<Array>} A promise that resolves to the alerts.
+   */
+  async listAlerts(acknowledged) {
+    let where = '';
+    if (acknowledged !== undefined) {
+      where = acknowledged ? 'WHERE a.acknowledged_at IS NOT NULL' : 'WHERE a.acknowledged_at IS NULL';
+    }
+    const sql = `
+      SELECT
+        a.*, p.name AS product_name, v.sku AS variant_sku,
+        IF(v.id IS NULL, p.stock_quantity, v.stock_quantity) AS current_stock_quantity
+      FROM low_stock_alerts a
+      JOIN products p ON a.product_id = p.id
+      LEFT JOIN product_variants v ON a.variant_id = v.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC;
+    `;
+    const [rows] = await db.query(sql);
+    return rows;
+  },
+
+  /**
+   * Marks an open alert as seen by an admin.
+   * @param {number} alertId - The ID of the alert.
+   * @param {number} adminId - The ID of the admin.
+   * @returns {Promise<boolean>} A promise that resolves to false if the alert was not found or already acknowledged.
+   */
+  async acknowledgeAlert(alertId, adminId) {
+    const sql = 'UPDATE low_stock_alerts SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ? WHERE id = ? AND acknowledged_at IS NULL';
+    const [result] = await db.query(sql, [adminId, alertId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = lowStockAlertModel;
@@ -0,0 +1,154 @@
+// backend/models/orderModel.js
+
+const db = require('../db');
+
+const orderModel = {
+  /**
+   * Retrieves an order header.
+   * @param {number} orderId - The ID of the order.
+   * @returns {Promise<object|undefined>} A promise that resolves to the order row, or undefined if not found.
+   */
+  async getOrderById(orderId) {
+    const sql = 'SELECT id, user_id, status, total_amount, refunded_amount FROM orders WHERE id = ?';
+    const [rows] = await db.query(sql, [orderId]);
+    return rows[0];
+  },
+
+  /**
+   * Retrieves an order header and locks the row until the surrounding transaction ends.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the order row, or undefined if not found.
+   */
+  async getOrderForUpdate(orderId, connection) {
+    const sql = 'SELECT id, user_id, status, total_amount, shipping_amount, refunded_amount FROM orders WHERE id = ? FOR UPDATE';
+    const [rows] = await connection.query(sql, [orderId]);
+    return rows[0];
+  },
+
+  /**
+   * Retrieves the lines of an order.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Array>} A promise that resolves to the order's items.
+   */
+  async getOrderItems(orderId, connection) {
+    const sql = 'SELECT id, product_id, variant_id, quantity, price FROM order_items WHERE order_id = ?';
+    const [items] = await (connection || db).query(sql, [orderId]);
+    return items;
+  },
+
+  /**
+   * Records why and when an order was cancelled.
+   * @param {number} orderId - The ID of the order.
+   * @param {string|null} reason - The reason given for the cancellation.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async setCancellation(orderId, reason, connection) {
+    const sql = 'UPDATE orders SET cancellation_reason = ?, cancelled_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await (connection || db).query(sql, [reason || null, orderId]);
+  },
+
+  /**
+   * Sets the status of an order.
+   * @param {number} orderId - The ID of the order.
+   * @param {string} status - The new status.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async updateStatus(orderId, status, connection) {
+    const sql = 'UPDATE orders SET status = ? WHERE id = ?';
+    await (connection || db).query(sql, [status, orderId]);
+  },
+
+  /**
+   * Appends an entry to an order's status history.
+   * @param {object} entry
+   * @param {number} entry.orderId - The ID of the order.
+   * @param {string|null} entry.fromStatus - The previous status (null when the order is created).
+   * @param {string} entry.toStatus - The new status.
+   * @param {number|null} entry.changedBy - The ID of the user who made the change (null for system changes).
+   * @param {string|null} entry.note - An optional note explaining the change.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new history entry.
+   */
+  async addStatusHistory({ orderId, fromStatus, toStatus, changedBy, note }, connection) {
+    const sql = `
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const [result] = await (connection || db).query(sql, [orderId, fromStatus || null, toStatus, changedBy || null, note || null]);
+    return result.insertId;
+  },
+
+  /**
+   * Retrieves the status history of several orders, oldest entry first.
+   * @param {Array<number>} orderIds - The IDs of the orders.
+   * @returns {Promise<Map<number, Array>>} A promise that resolves to a map of order ID to its timeline entries.
+   */
+  async getStatusHistory(orderIds) {
+    const timelines = new Map();
+    if (orderIds.length === 0) {
+      return timelines;
+    }
+
+    const sql = `
+      SELECT
+        h.order_id, h.from_status, h.to_status, h.note, h.created_at,
+        h.changed_by, u.username AS changed_by_username, u.role AS changed_by_role
+      FROM order_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.order_id IN (?)
+      ORDER BY h.created_at ASC, h.id ASC;
+    `;
+    const [rows] = await db.query(sql, [orderIds]);
+
+    rows.forEach(row => {
+      if (!timelines.has(row.order_id)) {
+        timelines.set(row.order_id, []);
+      }
+      timelines.get(row.order_id).push(row);
+    });
+    return timelines;
+  },
+
+  /**
+   * Finds orders that have been in 'payment_failed' for longer than the customer is given to retry the payment.
+   * @param {number} retryMinutes - How long a customer may retry a failed payment.
+   * @returns {Promise<Array<number>>} A promise that resolves to the IDs of the orders.
+   */
+  async getAbandonedPaymentFailedOrderIds(retryMinutes) {
+    const sql = `
+      SELECT o.id
+      FROM orders o
+      WHERE o.status = 'payment_failed'
+        AND (SELECT MAX(h.created_at) FROM order_status_history h WHERE h.order_id = o.id) <= NOW() - INTERVAL ? MINUTE
+      ORDER BY o.id ASC;
+    `;
+    const [rows] = await db.query(sql, [retryMinutes]);
+    return rows.map(row => row.id);
+  },
+
+  /**
+   * Lists a user's orders, newest first, with the number of lines and units in each (for admin use).
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<Array>} A promise that resolves to the order rows.
+   */
+  async getOrderSummariesForUser(userId) {
+    const sql = `
+      SELECT
+        o.id AS order_id, o.order_date, o.status, o.total_amount, o.refunded_amount, o.coupon_code, o.shipping_address,
+        COUNT(oi.id) AS item_count, COALESCE(SUM(oi.quantity), 0) AS units
+      FROM orders o
+      LEFT JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.user_id = ?
+      GROUP BY o.id
+      ORDER BY o.order_date DESC, o.id DESC;
+    `;
+    const [rows] = await db.query(sql, [userId]);
+    return rows;
+  }
+};
+
+module.exports = orderModel;
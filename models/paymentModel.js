@@ -0,0 +1,106 @@
+// backend/models/paymentModel.js
+
+const db = require('../db');
+
+const paymentModel = {
+  /**
+   * Records a new payment intent for an order.
+   * @param {object} payment
+   * @param {number} payment.orderId - The ID of the order being paid.
+   * @param {string} payment.provider - The payment provider's name (e.g., 'mock', 'razorpay').
+   * @param {string} payment.intentId - The provider's ID for the intent.
+   * @param {number} payment.amount - The amount in paise.
+   * @param {string} payment.currency - The ISO currency code.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new payment.
+   */
+  async createPayment({ orderId, provider, intentId, amount, currency }, connection) {
+    const sql = `
+      INSERT INTO payments (order_id, provider, provider_intent_id, amount, currency, status)
+      VALUES (?, ?, ?, ?, ?, 'created')
+    `;
+    const [result] = await (connection || db).query(sql, [orderId, provider, intentId, amount, currency]);
+    return result.insertId;
+  },
+
+  /**
+   * Retrieves a payment by its provider and intent ID, with the ID of the user who placed the order.
+   * @param {string} provider - The payment provider's name.
+   * @param {string} intentId - The provider's ID for the intent.
+   * @returns {Promise<object|undefined>} A promise that resolves to the payment (plus `user_id`), or undefined if not found.
+   */
+  async getByIntent(provider, intentId) {
+    const sql = `
+      SELECT p.*, o.user_id
+      FROM payments p
+      JOIN orders o ON o.id = p.order_id
+      WHERE p.provider = ? AND p.provider_intent_id = ?
+    `;
+    const [rows] = await db.query(sql, [provider, intentId]);
+    return rows[0];
+  },
+
+  /**
+   * Retrieves a payment by its provider and intent ID and locks the row until the transaction ends.
+   * @param {string} provider - The payment provider's name.
+   * @param {string} intentId - The provider's ID for the intent.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the payment, or undefined if not found.
+   */
+  async getByIntentForUpdate(provider, intentId, connection) {
+    const sql = 'SELECT * FROM payments WHERE provider = ? AND provider_intent_id = ? FOR UPDATE';
+    const [rows] = await connection.query(sql, [provider, intentId]);
+    return rows[0];
+  },
+
+  /**
+   * Records the outcome of a payment.
+   * @param {number} paymentId - The ID of the payment.
+   * @param {object} outcome
+   * @param {string} outcome.status - Either 'paid' or 'failed'.
+   * @param {string|null} outcome.providerPaymentId - The provider's ID for the completed payment attempt.
+   * @param {string|null} outcome.failureReason - Why the payment failed, if it did.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async setOutcome(paymentId, { status, providerPaymentId, failureReason }, connection) {
+    const sql = 'UPDATE payments SET status = ?, provider_payment_id = ?, failure_reason = ? WHERE id = ?';
+    await connection.query(sql, [status, providerPaymentId || null, failureReason || null, paymentId]);
+  },
+
+  /**
+   * Retrieves the payments made against an order, newest first.
+   * @param {number} orderId - The ID of the order.
+   * @returns {Promise<Array>} A promise that resolves to the order's payments.
+   */
+  async getPaymentsForOrder(orderId) {
+    const sql = `
+      SELECT id, provider, provider_intent_id, provider_payment_id, amount, currency, status, failure_reason, created_at, updated_at
+      FROM payments
+      WHERE order_id = ?
+      ORDER BY id DESC;
+    `;
+    const [rows] = await db.query(sql, [orderId]);
+    return rows;
+  },
+
+  /**
+   * Retrieves the payments that were captured for orders that could no longer be paid, and must be
+   * refunded through the provider, oldest first.
+   * @returns {Promise<Array>} A promise that resolves to the payments, with their order's status.
+   */
+  async getPaymentsRequiringRefund() {
+    const sql = `
+      SELECT p.id, p.order_id, o.status AS order_status, p.provider, p.provider_intent_id, p.provider_payment_id,
+        p.amount, p.currency, p.failure_reason, p.updated_at
+      FROM payments p
+      JOIN orders o ON p.order_id = o.id
+      WHERE p.status = 'refund_required'
+      ORDER BY p.updated_at ASC, p.id ASC;
+    `;
+    const [rows] = await db.query(sql);
+    return rows;
+  }
+};
+
+module.exports = paymentModel;
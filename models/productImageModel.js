@@ -0,0 +1,149 @@
+// backend/models/productImageModel.js
+
+const db = require('../db');
+
+/**
+ * Converts the BOOLEAN column of an image row.
+ */
+const formatImage = (image) => ({ ...image, is_primary: Boolean(image.is_primary) });
+
+const productImageModel = {
+  /**
+   * Retrieves the galleries of one or more products, each in display order.
+   * @param {Array<number>} productIds - The IDs of the products.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Map<number, Array>>} A promise that resolves to a map of product ID to its images.
+   */
+  async getImagesForProducts(productIds, connection) {
+    const imagesByProduct = new Map(productIds.map(id => [id, []]));
+    if (productIds.length === 0) {
+      return imagesByProduct;
+    }
+    const sql = 'SELECT * FROM product_images WHERE product_id IN (?) ORDER BY product_id ASC, sort_order ASC, id ASC';
+    const [rows] = await (connection || db).query(sql, [productIds]);
+    rows.forEach(row => imagesByProduct.get(row.product_id).push(formatImage(row)));
+    return imagesByProduct;
+  },
+
+  /**
+   * Retrieves one image of a product.
+   * @param {number} productId - The ID of the product.
+   * @param {number} imageId - The ID of the image.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the image, or undefined if not found.
+   */
+  async getImage(productId, imageId, connection) {
+    const sql = 'SELECT * FROM product_images WHERE id = ? AND product_id = ?';
+    const [rows] = await (connection || db).query(sql, [imageId, productId]);
+    return rows.length === 0 ? undefined : formatImage(rows[0]);
+  },
+
+  /**
+   * Appends images to the end of a product's gallery.
+   * @param {number} productId - The ID of the product.
+   * @param {Array<{url: string, publicId: string, altText: string|null}>} images - The uploaded images.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<Array<number>>} A promise that resolves to the IDs of the new images.
+   */
+  async addImages(productId, images, connection) {
+    const [rows] = await connection.query(
+      'SELECT COALESCE(MAX(sort_order), -1) AS last_position FROM product_images WHERE product_id = ? FOR UPDATE',
+      [productId]
+    );
+    let position = rows[0].last_position;
+
+    const imageIds = [];
+    for (const image of images) {
+      position += 1;
+      const sql = 'INSERT INTO product_images (product_id, image_url, public_id, alt_text, sort_order) VALUES (?, ?, ?, ?, ?)';
+      const [result] = await connection.query(sql, [productId, image.url, image.publicId, image.altText, position]);
+      imageIds.push(result.insertId);
+    }
+    return imageIds;
+  },
+
+  /**
+   * Replaces the URL of a product's primary image, adding a primary image if it has none.
+   * Used when the main image is replaced through the product form.
+   * @param {number} productId - The ID of the product.
+   * @param {{url: string, publicId: string}} image - The new primary image.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async replacePrimaryImage(productId, { url, publicId }, connection) {
+    const updateSql = 'UPDATE product_images SET image_url = ?, public_id = ? WHERE product_id = ? AND is_primary = TRUE';
+    const [result] = await (connection || db).query(updateSql, [url, publicId, productId]);
+    if (result.affectedRows === 0) {
+      const insertSql = `
+        INSERT INTO product_images (product_id, image_url, public_id, sort_order, is_primary)
+        SELECT ?, ?, ?, COALESCE(MIN(sort_order), 1) - 1, TRUE FROM product_images WHERE product_id = ?
+      `;
+      await (connection || db).query(insertSql, [productId, url, publicId, productId]);
+    }
+  },
+
+  /**
+   * Makes one image the product's primary image and mirrors its URL into products.image_id,
+   * which listings and older clients still read.
+   * @param {number} productId - The ID of the product.
+   * @param {number|null} imageId - The ID of the new primary image, or null if the gallery is empty.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async setPrimaryImage(productId, imageId, connection) {
+    await connection.query('UPDATE product_images SET is_primary = (id <=> ?) WHERE product_id = ?', [imageId, productId]);
+    const sql = 'UPDATE products SET image_id = (SELECT image_url FROM product_images WHERE id = ? AND product_id = ?) WHERE id = ?';
+    await connection.query(sql, [imageId, productId, productId]);
+  },
+
+  /**
+   * Updates an image's alt text.
+   * @param {number} productId - The ID of the product.
+   * @param {number} imageId - The ID of the image.
+   * @param {string|null} altText - The new alt text.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async updateAltText(productId, imageId, altText, connection) {
+    await connection.query('UPDATE product_images SET alt_text = ? WHERE id = ? AND product_id = ?', [altText, imageId, productId]);
+  },
+
+  /**
+   * Stores a new display order for a product's gallery.
+   * @param {number} productId - The ID of the product.
+   * @param {Array<number>} imageIds - Every image ID of the product, in the new order.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async reorderImages(productId, imageIds, connection) {
+    for (const [position, imageId] of imageIds.entries()) {
+      await connection.query('UPDATE product_images SET sort_order = ? WHERE id = ? AND product_id = ?', [position, imageId, productId]);
+    }
+  },
+
+  /**
+   * Deletes an image from a product's gallery.
+   * @param {number} productId - The ID of the product.
+   * @param {number} imageId - The ID of the image.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the image does not exist.
+   */
+  async deleteImage(productId, imageId, connection) {
+    const [result] = await connection.query('DELETE FROM product_images WHERE id = ? AND product_id = ?', [imageId, productId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Checks whether any gallery image still uses a Cloudinary asset. Images uploaded before public_ids were
+   * made unique may share one, and the asset must only be deleted once nothing points to it.
+   * @param {string} publicId - The Cloudinary public_id.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<boolean>}
+   */
+  async isPublicIdInUse(publicId, connection) {
+    const [rows] = await (connection || db).query('SELECT 1 FROM product_images WHERE public_id = ? LIMIT 1', [publicId]);
+    return rows.length > 0;
+  }
+};
+
+module.exports = productImageModel;
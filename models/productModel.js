@@ -1,5 +1,30 @@
 const db = require('../db'); // Correct path: db.js is in the root backend folder
 
+// ORDER BY clauses for each supported sort key. Ties fall back to the newest product first.
+const SEARCH_SORTS = {
+  relevance: 'relevance DESC, p.created_at DESC, p.id DESC',
+  newest: 'p.created_at DESC, p.id DESC',
+  price_asc: 'p.price ASC, p.id DESC',
+  price_desc: 'p.price DESC, p.id DESC',
+  popularity: 'units_sold DESC, p.created_at DESC, p.id DESC',
+  rating: 'p.rating_average DESC, p.rating_count DESC, p.created_at DESC, p.id DESC',
+};
+
+/**
+ * Turns free-text keywords into a MySQL BOOLEAN MODE query that matches word prefixes
+ * ("hand saree" → "hand* saree*"). Characters with special meaning in boolean mode are dropped.
+ * @param {string} keywords - The keywords typed by the customer.
+ * @returns {string} The boolean query, or an empty string if there is nothing to search for.
+ */
+const toBooleanQuery = (keywords) => {
+  return String(keywords || '')
+    .replace(/[+\-><()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => `${word}*`)
+    .join(' ');
+};
+
 const productModel = {
   /**
    * Retrieves all products from the database.
@@ -86,19 +111,194 @@ const productModel = {
   },
 
   /**
-   * Searches for products based on a search term in name or description.
-   * @param {string} searchTerm - The term to search for.
-   * @param {function} callback - Callback function (err, results).
+   * Searches the catalog with keyword search, filters, sorting and page-based pagination.
+   * Keyword search uses the FULLTEXT index over name and description.
+   * @param {Object} filters - Parsed query parameters.
+   * @param {string} [filters.q] - Keywords to search for.
+   * @param {Array<number>} [filters.categoryIds] - Only products filed under one of these categories.
+   * @param {string} [filters.category] - Only products with this free-text category (for products not yet migrated).
+   * @param {number} [filters.minPrice] - Only products at or above this price.
+   * @param {number} [filters.maxPrice] - Only products at or below this price.
+   * @param {boolean} [filters.inStock] - Only products with stock left.
+   * @param {string} filters.sort - One of the keys of SEARCH_SORTS.
+   * @param {number} filters.page - The page to return (1-based).
+   * @param {number|null} filters.limit - The number of products per page, or null for every product (page is then ignored).
+   * @returns {Promise<{products: Array, total: number, categoryFacets: Array}>}
    */
-  searchProducts: (searchTerm, callback) => {
-    const query = `
-      SELECT * FROM products
-      WHERE name LIKE ? OR description LIKE ?
-      ORDER BY created_at DESC
+  searchProducts: async (filters) => {
+    // Build the conditions shared by the page query, the count and the facets.
+    // The category condition is kept apart so the facets can show counts for every category.
+    const conditions = [];
+    const values = [];
+    let relevanceSql = '0';
+    const relevanceValues = [];
+
+    const booleanQuery = toBooleanQuery(filters.q);
+    if (booleanQuery) {
+      conditions.push('MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE)');
+      values.push(booleanQuery);
+      relevanceSql = 'MATCH(p.name, p.description) AGAINST (? IN BOOLEAN MODE)';
+      relevanceValues.push(booleanQuery);
+    }
+    if (filters.minPrice !== undefined) {
+      conditions.push('p.price >= ?');
+      values.push(filters.minPrice);
+    }
+    if (filters.maxPrice !== undefined) {
+      conditions.push('p.price <= ?');
+      values.push(filters.maxPrice);
+    }
+    if (filters.inStock) {
+      conditions.push('p.stock_quantity > 0');
+    }
+
+    let categoryConditions = conditions;
+    let categoryValues = values;
+    if (filters.categoryIds) {
+      categoryConditions = [...conditions, 'p.category_id IN (?)'];
+      categoryValues = [...values, filters.categoryIds];
+    } else if (filters.category) {
+      categoryConditions = [...conditions, 'p.category = ?'];
+      categoryValues = [...values, filters.category];
+    }
+    const where = (list) => (list.length > 0 ? `WHERE ${list.join(' AND ')}` : '');
+
+    const pageSql = `
+      SELECT p.*, ${relevanceSql} AS relevance, COALESCE(sales.units_sold, 0) AS units_sold
+      FROM products p
+      LEFT JOIN (
+        SELECT oi.product_id, SUM(oi.quantity) AS units_sold
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status NOT IN ('pending', 'payment_failed', 'cancelled')
+        GROUP BY oi.product_id
+      ) sales ON sales.product_id = p.id
+      ${where(categoryConditions)}
+      ORDER BY ${SEARCH_SORTS[filters.sort]}
+      ${filters.limit === null ? '' : 'LIMIT ? OFFSET ?'}
+    `;
+    const countSql = `SELECT COUNT(*) AS total FROM products p ${where(categoryConditions)}`;
+    const facetSql = `
+      SELECT p.category_id, c.slug, p.category, COUNT(*) AS count
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ${where(conditions)}
+      GROUP BY p.category_id, c.slug, p.category
+      ORDER BY p.category ASC
+    `;
+
+    const [[products], [countRows], [categoryFacets]] = await Promise.all([
+      db.query(pageSql, [...relevanceValues, ...categoryValues, ...(filters.limit === null ? [] : [filters.limit, (filters.page - 1) * filters.limit])]),
+      db.query(countSql, categoryValues),
+      db.query(facetSql, values),
+    ]);
+
+    return { products, total: countRows[0].total, categoryFacets };
+  },
+
+  /**
+   * Retrieves the products with the given SKUs, with whether each one is stocked by variant.
+   * @param {Array<string>} skus - The SKUs to look up.
+   * @param {object} [connection] - Optional database connection; inside a transaction the rows are locked.
+   * @returns {Promise<Map<string, Object>>} A map of SKU to product.
+   */
+  getProductsBySku: async (skus, connection) => {
+    const productsBySku = new Map();
+    if (skus.length === 0) {
+      return productsBySku;
+    }
+    const sql = `
+      SELECT p.id, p.sku, p.stock_quantity, p.image_id,
+        EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) AS has_variants
+      FROM products p
+      WHERE p.sku IN (?)
+      ${connection ? 'FOR UPDATE' : ''};
     `;
-    const searchPattern = `%${searchTerm}%`;
-    db.query(query, [searchPattern, searchPattern], callback);
+    const [rows] = await (connection || db).query(sql, [skus]);
+    rows.forEach(row => productsBySku.set(row.sku, { ...row, has_variants: Boolean(row.has_variants) }));
+    return productsBySku;
+  },
+
+  /**
+   * Retrieves the products that have no SKU among the given IDs, with whether each one is stocked by variant.
+   * Imports match these by ID, since they have no SKU to be matched by.
+   * @param {Array<number>} productIds - The IDs to look up.
+   * @param {object} [connection] - Optional database connection; inside a transaction the rows are locked.
+   * @returns {Promise<Map<number, Object>>} A map of ID to product.
+   */
+  getProductsWithoutSkuById: async (productIds, connection) => {
+    const productsById = new Map();
+    if (productIds.length === 0) {
+      return productsById;
+    }
+    const sql = `
+      SELECT p.id, p.sku, p.stock_quantity, p.image_id,
+        EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) AS has_variants
+      FROM products p
+      WHERE p.id IN (?) AND p.sku IS NULL
+      ${connection ? 'FOR UPDATE' : ''};
+    `;
+    const [rows] = await (connection || db).query(sql, [productIds]);
+    rows.forEach(row => productsById.set(row.id, { ...row, has_variants: Boolean(row.has_variants) }));
+    return productsById;
+  },
+
+  /**
+   * Creates a product from imported fields.
+   * @param {Object} product - The product's columns (sku, name, description, price, stock_quantity, image_id,
+   *   category_id, category, hsn_code, gst_rate, weight_grams, low_stock_threshold).
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} The ID of the new product.
+   */
+  insertProduct: async (product, connection) => {
+    const sql = `
+      INSERT INTO products
+        (sku, name, description, price, stock_quantity, image_id, category_id, category, hsn_code, gst_rate, weight_grams, low_stock_threshold)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await connection.query(sql, [
+      product.sku, product.name, product.description, product.price, product.stock_quantity, product.image_id,
+      product.category_id, product.category, product.hsn_code, product.gst_rate, product.weight_grams, product.low_stock_threshold,
+    ]);
+    return result.insertId;
+  },
+
+  /**
+   * Overwrites a product's fields with imported ones. The image is only replaced when `image_id` is set.
+   * @param {number} productId - The ID of the product.
+   * @param {Object} product - The product's columns (see insertProduct).
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  updateProductFields: async (productId, product, connection) => {
+    const sql = `
+      UPDATE products
+      SET name = ?, description = ?, price = ?, stock_quantity = ?, image_id = COALESCE(?, image_id),
+        category_id = ?, category = ?, hsn_code = ?, gst_rate = ?, weight_grams = ?, low_stock_threshold = ?
+      WHERE id = ?
+    `;
+    await connection.query(sql, [
+      product.name, product.description, product.price, product.stock_quantity, product.image_id,
+      product.category_id, product.category, product.hsn_code, product.gst_rate, product.weight_grams, product.low_stock_threshold,
+      productId,
+    ]);
+  },
+
+  /**
+   * Retrieves every product's exportable columns, oldest first.
+   * @returns {Promise<Array>} The products.
+   */
+  getProductsForExport: async () => {
+    const sql = `
+      SELECT id, sku, name, description, price, stock_quantity, category, image_id, hsn_code, gst_rate, weight_grams, low_stock_threshold
+      FROM products
+      ORDER BY id ASC
+    `;
+    const [rows] = await db.query(sql);
+    return rows;
   }
 };
 
+productModel.SEARCH_SORTS = SEARCH_SORTS;
+
 module.exports = productModel;
\ No newline at end of file
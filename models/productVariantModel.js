@@ -0,0 +1,152 @@
+// backend/models/productVariantModel.js
+
+const db = require('../db');
+
+/**
+ * Converts the DECIMAL and BOOLEAN columns of a variant row.
+ */
+const formatVariant = (variant) => ({
+  ...variant,
+  price: variant.price === null ? null : parseFloat(variant.price),
+  stock_quantity: parseInt(variant.stock_quantity, 10),
+  is_active: Boolean(variant.is_active),
+});
+
+const productVariantModel = {
+  /**
+   * Retrieves the variants of one or more products.
+   * @param {Array<number>} productIds - The IDs of the products.
+   * @returns {Promise<Map<number, Array>>} A promise that resolves to a map of product ID to its variants.
+   */
+  async getVariantsForProducts(productIds) {
+    const variantsByProduct = new Map(productIds.map(id => [id, []]));
+    if (productIds.length === 0) {
+      return variantsByProduct;
+    }
+    const sql = 'SELECT * FROM product_variants WHERE product_id IN (?) ORDER BY product_id ASC, id ASC';
+    const [rows] = await db.query(sql, [productIds]);
+    rows.forEach(row => variantsByProduct.get(row.product_id).push(formatVariant(row)));
+    return variantsByProduct;
+  },
+
+  /**
+   * Retrieves a single variant by its ID.
+   * @param {number} variantId - The ID of the variant.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the variant, or undefined if not found.
+   */
+  async getVariantById(variantId, connection) {
+    const [rows] = await (connection || db).query('SELECT * FROM product_variants WHERE id = ?', [variantId]);
+    return rows.length === 0 ? undefined : formatVariant(rows[0]);
+  },
+
+  /**
+   * Counts a product's active variants. A product with active variants can only be bought by variant.
+   * @param {number} productId - The ID of the product.
+   * @returns {Promise<number>} A promise that resolves to the number of active variants.
+   */
+  async countActiveVariants(productId) {
+    const sql = 'SELECT COUNT(*) AS count FROM product_variants WHERE product_id = ? AND is_active = TRUE';
+    const [rows] = await db.query(sql, [productId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Creates a variant.
+   * @param {number} productId - The ID of the product.
+   * @param {object} variant - The variant fields (see variantService.parseVariantInput).
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new variant.
+   */
+  async createVariant(productId, variant, connection) {
+    const sql = `
+      INSERT INTO product_variants (product_id, sku, size, colour, price, stock_quantity, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await connection.query(sql, [
+      productId, variant.sku, variant.size, variant.colour, variant.price, variant.stock_quantity, variant.is_active,
+    ]);
+    return result.insertId;
+  },
+
+  /**
+   * Replaces a variant's fields.
+   * @param {number} productId - The ID of the product the variant belongs to.
+   * @param {number} variantId - The ID of the variant.
+   * @param {object} variant - The variant fields.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the variant does not exist.
+   */
+  async updateVariant(productId, variantId, variant, connection) {
+    const sql = `
+      UPDATE product_variants
+      SET sku = ?, size = ?, colour = ?, price = ?, stock_quantity = ?, is_active = ?
+      WHERE id = ? AND product_id = ?
+    `;
+    const [result] = await connection.query(sql, [
+      variant.sku, variant.size, variant.colour, variant.price, variant.stock_quantity, variant.is_active,
+      variantId, productId,
+    ]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Deletes a variant. Past order lines keep its SKU and options.
+   * @param {number} productId - The ID of the product the variant belongs to.
+   * @param {number} variantId - The ID of the variant.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the variant does not exist.
+   */
+  async deleteVariant(productId, variantId, connection) {
+    const [result] = await connection.query('DELETE FROM product_variants WHERE id = ? AND product_id = ?', [variantId, productId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Takes units out of a variant's stock, failing if there are not enough.
+   * @param {number} productId - The ID of the product the variant belongs to.
+   * @param {number} variantId - The ID of the variant.
+   * @param {number} quantity - The number of units.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<boolean>} A promise that resolves to false if the variant is missing or short of stock.
+   */
+  async deductStock(productId, variantId, quantity, connection) {
+    const sql = 'UPDATE product_variants SET stock_quantity = stock_quantity - ? WHERE id = ? AND product_id = ? AND stock_quantity >= ?';
+    const [result] = await (connection || db).query(sql, [quantity, variantId, productId, quantity]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Puts units back into a variant's stock.
+   * @param {number} productId - The ID of the product the variant belongs to.
+   * @param {number} variantId - The ID of the variant.
+   * @param {number} quantity - The number of units.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<boolean>} A promise that resolves to false if the variant does not exist.
+   */
+  async restoreStock(productId, variantId, quantity, connection) {
+    const sql = 'UPDATE product_variants SET stock_quantity = stock_quantity + ? WHERE id = ? AND product_id = ?';
+    const [result] = await (connection || db).query(sql, [quantity, variantId, productId]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Sets a product's stock to the total stock of its active variants, so catalog listings and
+   * the in-stock filter stay correct. Products without variants are left untouched.
+   * @param {number} productId - The ID of the product.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async syncProductStock(productId, connection) {
+    const sql = `
+      UPDATE products p
+      SET p.stock_quantity = (
+        SELECT COALESCE(SUM(v.stock_quantity), 0) FROM product_variants v WHERE v.product_id = p.id AND v.is_active = TRUE
+      )
+      WHERE p.id = ? AND EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    `;
+    await (connection || db).query(sql, [productId]);
+  }
+};
+
+module.exports = productVariantModel;
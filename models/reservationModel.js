@@ -0,0 +1,126 @@
+// backend/models/reservationModel.js
+
+const db = require('../db');
+
+const reservationModel = {
+  /**
+   * Locks the product rows of everything in a user's cart, in ID order, until the transaction ends.
+   * Checkouts and orders touching the same products then run one at a time, so two customers
+   * can't both be given the last unit.
+   * @param {number} userId - The ID of the user.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async lockCartStock(userId, connection) {
+    const sql = `
+      SELECT p.id
+      FROM products p
+      WHERE p.id IN (SELECT product_id FROM cart_items WHERE user_id = ?)
+      ORDER BY p.id
+      FOR UPDATE;
+    `;
+    await connection.query(sql, [userId]);
+  },
+
+  /**
+   * Totals the stock held by active, unexpired reservations of one or more products.
+   * @param {Array<number>} productIds - The IDs of the products.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Map<number, {total: number, byVariant: Map<number, number>}>>} A promise that resolves to
+   *   a map of product ID to the units reserved in total and per variant.
+   */
+  async getReservedQuantities(productIds, connection) {
+    const reservedByProduct = new Map(productIds.map(id => [id, { total: 0, byVariant: new Map() }]));
+    if (productIds.length === 0) {
+      return reservedByProduct;
+    }
+    const sql = `
+      SELECT product_id, variant_id, SUM(quantity) AS reserved_quantity
+      FROM stock_reservations
+      WHERE product_id IN (?) AND status = 'active' AND expires_at > NOW()
+      GROUP BY product_id, variant_id;
+    `;
+    const [rows] = await (connection || db).query(sql, [productIds]);
+    rows.forEach(row => {
+      const reserved = reservedByProduct.get(row.product_id);
+      const quantity = parseInt(row.reserved_quantity, 10);
+      reserved.total += quantity;
+      if (row.variant_id !== null) {
+        reserved.byVariant.set(row.variant_id, quantity);
+      }
+    });
+    return reservedByProduct;
+  },
+
+  /**
+   * Reserves stock for a user until a number of minutes from now.
+   * @param {number} userId - The ID of the user.
+   * @param {Array<{product_id: number, variant_id: number|null, quantity: number}>} items - The lines to reserve.
+   * @param {number} ttlMinutes - How long the reservations last.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async createReservations(userId, items, ttlMinutes, connection) {
+    const sql = `
+      INSERT INTO stock_reservations (user_id, product_id, variant_id, quantity, expires_at)
+      VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)
+    `;
+    for (const item of items) {
+      await connection.query(sql, [userId, item.product_id, item.variant_id, item.quantity, ttlMinutes]);
+    }
+  },
+
+  /**
+   * Retrieves a user's active, unexpired reservations.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Array>} A promise that resolves to the reservations.
+   */
+  async getActiveReservations(userId, connection) {
+    const sql = `
+      SELECT id, product_id, variant_id, quantity, expires_at
+      FROM stock_reservations
+      WHERE user_id = ? AND status = 'active' AND expires_at > NOW()
+      ORDER BY id ASC;
+    `;
+    const [rows] = await (connection || db).query(sql, [userId]);
+    return rows;
+  },
+
+  /**
+   * Releases all of a user's active reservations, e.g. when they start checkout again.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the number of reservations released.
+   */
+  async releaseUserReservations(userId, connection) {
+    const sql = "UPDATE stock_reservations SET status = 'released', released_at = NOW() WHERE user_id = ? AND status = 'active'";
+    const [result] = await (connection || db).query(sql, [userId]);
+    return result.affectedRows;
+  },
+
+  /**
+   * Marks a user's active reservations as converted into an order, once the order's stock has been deducted.
+   * @param {number} userId - The ID of the user.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the number of reservations converted.
+   */
+  async convertUserReservations(userId, orderId, connection) {
+    const sql = "UPDATE stock_reservations SET status = 'converted', order_id = ? WHERE user_id = ? AND status = 'active'";
+    const [result] = await connection.query(sql, [orderId, userId]);
+    return result.affectedRows;
+  },
+
+  /**
+   * Marks every active reservation past its expiry time as expired.
+   * @returns {Promise<number>} A promise that resolves to the number of reservations expired.
+   */
+  async expireReservations() {
+    const sql = "UPDATE stock_reservations SET status = 'expired', released_at = NOW() WHERE status = 'active' AND expires_at <= NOW()";
+    const [result] = await db.query(sql);
+    return result.affectedRows;
+  }
+};
+
+module.exports = reservationModel;
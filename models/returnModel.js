@@ -0,0 +1,216 @@
+// backend/models/returnModel.js
+
+const db = require('../db');
+
+const returnModel = {
+  /**
+   * Retrieves an order's lines together with the product details needed to check returnability.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Array>} A promise that resolves to the order's items.
+   */
+  async getOrderItemsWithProducts(orderId, connection) {
+    const sql = `
+      SELECT oi.id, oi.product_id, oi.variant_label, oi.quantity, oi.price, p.name AS product_name, p.category
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?;
+    `;
+    const [items] = await (connection || db).query(sql, [orderId]);
+    return items.map(item => ({ ...item, price: parseFloat(item.price) }));
+  },
+
+  /**
+   * Retrieves when an order was (most recently) marked as delivered.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Date|null>} A promise that resolves to the delivery time, or null if never delivered.
+   */
+  async getDeliveredAt(orderId, connection) {
+    const sql = "SELECT MAX(created_at) AS delivered_at FROM order_status_history WHERE order_id = ? AND to_status = 'delivered'";
+    const [rows] = await (connection || db).query(sql, [orderId]);
+    return rows[0].delivered_at;
+  },
+
+  /**
+   * Totals the quantity of each order line already covered by a return that was not rejected.
+   * @param {number} orderId - The ID of the order.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Map<number, number>>} A promise that resolves to a map of order item ID to returned quantity.
+   */
+  async getReturnedQuantities(orderId, connection) {
+    const sql = `
+      SELECT ri.order_item_id, SUM(ri.quantity) AS quantity
+      FROM return_items ri
+      JOIN return_requests r ON ri.return_id = r.id
+      WHERE r.order_id = ? AND r.status <> 'rejected'
+      GROUP BY ri.order_item_id;
+    `;
+    const [rows] = await (connection || db).query(sql, [orderId]);
+    return new Map(rows.map(row => [row.order_item_id, parseInt(row.quantity, 10)]));
+  },
+
+  /**
+   * Creates a return request and its lines.
+   * @param {object} returnRequest
+   * @param {number} returnRequest.orderId - The ID of the order being returned.
+   * @param {number} returnRequest.userId - The ID of the customer.
+   * @param {string} returnRequest.reason - The customer's reason for the return.
+   * @param {Array<{orderItemId: number, quantity: number}>} returnRequest.items - The lines being returned.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new return request.
+   */
+  async createReturn({ orderId, userId, reason, items }, connection) {
+    const returnSql = "INSERT INTO return_requests (order_id, user_id, reason, status) VALUES (?, ?, ?, 'requested')";
+    const [result] = await connection.query(returnSql, [orderId, userId, reason]);
+    const returnId = result.insertId;
+
+    for (const item of items) {
+      const itemSql = 'INSERT INTO return_items (return_id, order_item_id, quantity) VALUES (?, ?, ?)';
+      await connection.query(itemSql, [returnId, item.orderItemId, item.quantity]);
+    }
+    return returnId;
+  },
+
+  /**
+   * Retrieves a return request and locks the row until the surrounding transaction ends.
+   * @param {number} returnId - The ID of the return request.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the return request, or undefined if not found.
+   */
+  async getReturnForUpdate(returnId, connection) {
+    const sql = 'SELECT * FROM return_requests WHERE id = ? FOR UPDATE';
+    const [rows] = await connection.query(sql, [returnId]);
+    return rows[0];
+  },
+
+  /**
+   * Retrieves the lines of one or more return requests, with the order line and product they refer to.
+   * @param {Array<number>} returnIds - The IDs of the return requests.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<Array>} A promise that resolves to the return lines.
+   */
+  async getReturnItems(returnIds, connection) {
+    if (returnIds.length === 0) {
+      return [];
+    }
+    const sql = `
+      SELECT
+        ri.id, ri.return_id, ri.order_item_id, ri.quantity, ri.restocked_quantity, ri.refunded_quantity,
+        oi.order_id, oi.product_id, oi.variant_id, oi.variant_label, oi.price AS unit_price,
+        oi.quantity AS ordered_quantity, oi.taxable_value, oi.cgst_amount + oi.sgst_amount + oi.igst_amount AS tax_amount,
+        p.name AS product_name
+      FROM return_items ri
+      JOIN order_items oi ON ri.order_item_id = oi.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE ri.return_id IN (?)
+      ORDER BY ri.id ASC;
+    `;
+    const [items] = await (connection || db).query(sql, [returnIds]);
+    return items.map(item => ({
+      ...item,
+      unit_price: parseFloat(item.unit_price),
+      taxable_value: parseFloat(item.taxable_value),
+      tax_amount: parseFloat(item.tax_amount),
+    }));
+  },
+
+  /**
+   * Lists return requests, newest first.
+   * @param {object} [filters]
+   * @param {number} [filters.userId] - Only return requests opened by this user.
+   * @param {string} [filters.status] - Only return requests in this status.
+   * @returns {Promise<Array>} A promise that resolves to the return requests.
+   */
+  async listReturns({ userId, status } = {}) {
+    const conditions = [];
+    const values = [];
+    if (userId) {
+      conditions.push('r.user_id = ?');
+      values.push(userId);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      values.push(status);
+    }
+
+    const sql = `
+      SELECT r.*, u.username AS customer_username, u.email AS customer_email
+      FROM return_requests r
+      JOIN users u ON r.user_id = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.created_at DESC, r.id DESC;
+    `;
+    const [rows] = await db.query(sql, values);
+    return rows;
+  },
+
+  /**
+   * Moves a return request to a new status.
+   * @param {number} returnId - The ID of the return request.
+   * @param {string} status - The new status.
+   * @param {object} changes
+   * @param {number} changes.resolvedBy - The ID of the admin making the change.
+   * @param {string} [changes.adminNote] - An optional note from the admin.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async updateStatus(returnId, status, { resolvedBy, adminNote }, connection) {
+    const sql = 'UPDATE return_requests SET status = ?, resolved_by = ?, admin_note = COALESCE(?, admin_note) WHERE id = ?';
+    await connection.query(sql, [status, resolvedBy, adminNote || null, returnId]);
+  },
+
+  /**
+   * Records how many units of a return line were put back into stock.
+   * @param {number} returnItemId - The ID of the return line.
+   * @param {number} quantity - The quantity restocked.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async setRestockedQuantity(returnItemId, quantity, connection) {
+    await connection.query('UPDATE return_items SET restocked_quantity = ? WHERE id = ?', [quantity, returnItemId]);
+  },
+
+  /**
+   * Creates a refund record with its per-line breakdown and adds it to the order's refunded amount.
+   * @param {object} refund
+   * @param {number} refund.orderId - The ID of the refunded order.
+   * @param {number} refund.returnId - The ID of the return request the refund settles.
+   * @param {number} refund.amount - The total refunded amount.
+   * @param {number} refund.createdBy - The ID of the admin issuing the refund.
+   * @param {string} [refund.note] - An optional note.
+   * @param {Array<{returnItemId: number, orderItemId: number, quantity: number, amount: number}>} refund.lines - The refunded lines.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new refund.
+   */
+  async createRefund({ orderId, returnId, amount, createdBy, note, lines }, connection) {
+    const refundSql = 'INSERT INTO refunds (order_id, return_id, amount, created_by, note) VALUES (?, ?, ?, ?, ?)';
+    const [result] = await connection.query(refundSql, [orderId, returnId, amount, createdBy, note || null]);
+    const refundId = result.insertId;
+
+    for (const line of lines) {
+      const lineSql = 'INSERT INTO refund_items (refund_id, order_item_id, quantity, amount) VALUES (?, ?, ?, ?)';
+      await connection.query(lineSql, [refundId, line.orderItemId, line.quantity, line.amount]);
+      await connection.query('UPDATE return_items SET refunded_quantity = ? WHERE id = ?', [line.quantity, line.returnItemId]);
+    }
+
+    await connection.query('UPDATE orders SET refunded_amount = refunded_amount + ? WHERE id = ?', [amount, orderId]);
+    return refundId;
+  },
+
+  /**
+   * Retrieves the refunds issued against one or more return requests.
+   * @param {Array<number>} returnIds - The IDs of the return requests.
+   * @returns {Promise<Array>} A promise that resolves to the refunds.
+   */
+  async getRefundsForReturns(returnIds) {
+    if (returnIds.length === 0) {
+      return [];
+    }
+    const sql = 'SELECT id, return_id, order_id, amount, note, created_at FROM refunds WHERE return_id IN (?) ORDER BY id ASC';
+    const [rows] = await db.query(sql, [returnIds]);
+    return rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+  }
+};
+
+module.exports = returnModel;
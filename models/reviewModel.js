@@ -0,0 +1,239 @@
+// backend/models/reviewModel.js
+
+const db = require('../db');
+
+// ORDER BY clauses for each supported review sort key.
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC, r.id DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC, r.id DESC',
+};
+
+/**
+ * Converts the BOOLEAN column of a review row.
+ */
+const formatReview = (review) => ({ ...review, is_verified_purchase: Boolean(review.is_verified_purchase) });
+
+const reviewModel = {
+  /**
+   * Checks whether a user has received a product in a delivered order.
+   * @param {number} userId - The ID of the user.
+   * @param {number} productId - The ID of the product.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<boolean>} A promise that resolves to true if the purchase is verified.
+   */
+  async hasDeliveredPurchase(userId, productId, connection) {
+    const sql = `
+      SELECT 1
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE o.user_id = ? AND oi.product_id = ? AND o.status = 'delivered'
+      LIMIT 1;
+    `;
+    const [rows] = await (connection || db).query(sql, [userId, productId]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Creates a review.
+   * @param {object} review
+   * @param {number} review.productId - The ID of the product.
+   * @param {number} review.userId - The ID of the reviewer.
+   * @param {number} review.rating - 1 to 5 stars.
+   * @param {string|null} review.title - An optional headline.
+   * @param {string|null} review.body - The review text.
+   * @param {boolean} review.isVerifiedPurchase - Whether the reviewer received the product.
+   * @param {string} review.status - 'pending' or 'approved'.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number>} A promise that resolves to the ID of the new review.
+   */
+  async createReview({ productId, userId, rating, title, body, isVerifiedPurchase, status }, connection) {
+    const sql = `
+      INSERT INTO product_reviews (product_id, user_id, rating, title, body, is_verified_purchase, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await connection.query(sql, [productId, userId, rating, title, body, isVerifiedPurchase, status]);
+    return result.insertId;
+  },
+
+  /**
+   * Attaches photos to a review.
+   * @param {number} reviewId - The ID of the review.
+   * @param {Array<{url: string, publicId: string}>} photos - The uploaded photos.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async addPhotos(reviewId, photos, connection) {
+    for (const photo of photos) {
+      await connection.query('INSERT INTO review_photos (review_id, image_url, public_id) VALUES (?, ?, ?)', [reviewId, photo.url, photo.publicId]);
+    }
+  },
+
+  /**
+   * Retrieves the photos of one or more reviews.
+   * @param {Array<number>} reviewIds - The IDs of the reviews.
+   * @returns {Promise<Map<number, Array>>} A promise that resolves to a map of review ID to its photos.
+   */
+  async getPhotosForReviews(reviewIds) {
+    const photosByReview = new Map(reviewIds.map(id => [id, []]));
+    if (reviewIds.length === 0) {
+      return photosByReview;
+    }
+    const [rows] = await db.query('SELECT id, review_id, image_url FROM review_photos WHERE review_id IN (?) ORDER BY id ASC', [reviewIds]);
+    rows.forEach(row => photosByReview.get(row.review_id).push({ id: row.id, image_url: row.image_url }));
+    return photosByReview;
+  },
+
+  /**
+   * Retrieves a user's review of a product.
+   * @param {number} productId - The ID of the product.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<object|undefined>} A promise that resolves to the review, or undefined if there is none.
+   */
+  async getUserReview(productId, userId) {
+    const [rows] = await db.query('SELECT * FROM product_reviews WHERE product_id = ? AND user_id = ?', [productId, userId]);
+    return rows.length === 0 ? undefined : formatReview(rows[0]);
+  },
+
+  /**
+   * Retrieves a single review by its ID.
+   * @param {number} reviewId - The ID of the review.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the review, or undefined if not found.
+   */
+  async getReviewById(reviewId, connection) {
+    const [rows] = await (connection || db).query('SELECT * FROM product_reviews WHERE id = ?', [reviewId]);
+    return rows.length === 0 ? undefined : formatReview(rows[0]);
+  },
+
+  /**
+   * Lists reviews with their authors' usernames, a page at a time.
+   * @param {object} filters
+   * @param {number} [filters.productId] - Only reviews of this product.
+   * @param {string} [filters.status] - Only reviews in this status.
+   * @param {string} filters.sort - One of the keys of REVIEW_SORTS.
+   * @param {number} filters.page - The page to return (1-based).
+   * @param {number} filters.limit - The number of reviews per page.
+   * @returns {Promise<{reviews: Array, total: number}>} A promise that resolves to the page and the total count.
+   */
+  async listReviews({ productId, status, sort, page, limit }) {
+    const conditions = [];
+    const values = [];
+    if (productId) {
+      conditions.push('r.product_id = ?');
+      values.push(productId);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      values.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT r.*, u.username AS reviewer_username, p.name AS product_name
+      FROM product_reviews r
+      JOIN users u ON r.user_id = u.id
+      JOIN products p ON r.product_id = p.id
+      ${where}
+      ORDER BY ${REVIEW_SORTS[sort]}
+      LIMIT ? OFFSET ?;
+    `;
+    const [[reviews], [countRows]] = await Promise.all([
+      db.query(sql, [...values, limit, (page - 1) * limit]),
+      db.query(`SELECT COUNT(*) AS total FROM product_reviews r ${where}`, values),
+    ]);
+    return { reviews: reviews.map(formatReview), total: countRows[0].total };
+  },
+
+  /**
+   * Retrieves a product's stored rating summary.
+   * @param {number} productId - The ID of the product.
+   * @returns {Promise<object|undefined>} A promise that resolves to `{ rating_average, rating_count }`, or undefined if the product does not exist.
+   */
+  async getProductRating(productId) {
+    const [rows] = await db.query('SELECT rating_average, rating_count FROM products WHERE id = ?', [productId]);
+    return rows.length === 0 ? undefined : { rating_average: parseFloat(rows[0].rating_average), rating_count: rows[0].rating_count };
+  },
+
+  /**
+   * Counts a product's approved reviews by star rating.
+   * @param {number} productId - The ID of the product.
+   * @returns {Promise<object>} A promise that resolves to a map of rating (1-5) to count.
+   */
+  async getRatingDistribution(productId) {
+    const sql = "SELECT rating, COUNT(*) AS count FROM product_reviews WHERE product_id = ? AND status = 'approved' GROUP BY rating";
+    const [rows] = await db.query(sql, [productId]);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    rows.forEach(row => { distribution[row.rating] = row.count; });
+    return distribution;
+  },
+
+  /**
+   * Moves a review to a new moderation status.
+   * @param {number} reviewId - The ID of the review.
+   * @param {string} status - 'approved' or 'hidden'.
+   * @param {number} moderatedBy - The ID of the admin.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async updateStatus(reviewId, status, moderatedBy, connection) {
+    await connection.query('UPDATE product_reviews SET status = ?, moderated_by = ? WHERE id = ?', [status, moderatedBy, reviewId]);
+  },
+
+  /**
+   * Records a user's helpful vote on a review. Voting twice has no further effect.
+   * @param {number} reviewId - The ID of the review.
+   * @param {number} userId - The ID of the voter.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the user had already voted.
+   */
+  async addVote(reviewId, userId, connection) {
+    const [result] = await connection.query('INSERT IGNORE INTO review_votes (review_id, user_id) VALUES (?, ?)', [reviewId, userId]);
+    if (result.affectedRows === 0) {
+      return false;
+    }
+    await connection.query('UPDATE product_reviews SET helpful_count = helpful_count + 1 WHERE id = ?', [reviewId]);
+    return true;
+  },
+
+  /**
+   * Withdraws a user's helpful vote on a review.
+   * @param {number} reviewId - The ID of the review.
+   * @param {number} userId - The ID of the voter.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to false if the user had not voted.
+   */
+  async removeVote(reviewId, userId, connection) {
+    const [result] = await connection.query('DELETE FROM review_votes WHERE review_id = ? AND user_id = ?', [reviewId, userId]);
+    if (result.affectedRows === 0) {
+      return false;
+    }
+    await connection.query('UPDATE product_reviews SET helpful_count = helpful_count - 1 WHERE id = ?', [reviewId]);
+    return true;
+  },
+
+  /**
+   * Recomputes a product's average rating and review count from its approved reviews.
+   * @param {number} productId - The ID of the product.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async refreshProductRating(productId, connection) {
+    const sql = `
+      UPDATE products p
+      JOIN (
+        SELECT COALESCE(AVG(rating), 0) AS rating_average, COUNT(*) AS rating_count
+        FROM product_reviews
+        WHERE product_id = ? AND status = 'approved'
+      ) stats
+      SET p.rating_average = stats.rating_average, p.rating_count = stats.rating_count
+      WHERE p.id = ?;
+    `;
+    await connection.query(sql, [productId, productId]);
+  }
+};
+
+reviewModel.REVIEW_SORTS = REVIEW_SORTS;
+
+module.exports = reviewModel;
@@ -0,0 +1,110 @@
+// backend/models/sessionModel.js
+
+const db = require('../db');
+
+const sessionModel = {
+  /**
+   * Starts a login session.
+   * @param {object} session
+   * @param {number} session.userId - The ID of the user who logged in.
+   * @param {string|null} session.userAgent - The client's User-Agent header.
+   * @param {string|null} session.ipAddress - The client's IP address.
+   * @param {boolean} [session.twoFactorVerified] - Whether the user completed two-factor authentication to log in.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new session.
+   */
+  async createSession({ userId, userAgent, ipAddress, twoFactorVerified = false }, connection) {
+    const sql = 'INSERT INTO auth_sessions (user_id, user_agent, ip_address, two_factor_verified) VALUES (?, ?, ?, ?)';
+    const [result] = await (connection || db).query(sql, [userId, userAgent ? userAgent.slice(0, 255) : null, ipAddress || null, twoFactorVerified]);
+    return result.insertId;
+  },
+
+  /**
+   * Stores the hash of a new refresh token for a session.
+   * @param {number} sessionId - The ID of the session.
+   * @param {string} tokenHash - The SHA-256 hash of the token.
+   * @param {number} ttlDays - How many days the token is valid for.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async addRefreshToken(sessionId, tokenHash, ttlDays, connection) {
+    const sql = 'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, NOW() + INTERVAL ? DAY)';
+    await (connection || db).query(sql, [sessionId, tokenHash, ttlDays]);
+  },
+
+  /**
+   * Finds a refresh token by its hash, with the state of its session and user, and locks the token's row
+   * until the surrounding transaction ends (so that it can only be rotated once).
+   * @param {string} tokenHash - The SHA-256 hash of the token.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to the token, or undefined if it is unknown.
+   */
+  async getRefreshTokenForUpdate(tokenHash, connection) {
+    const sql = `
+      SELECT
+        t.id, t.session_id, t.used_at, t.expires_at <= NOW() AS is_expired,
+        s.user_id, s.revoked_at AS session_revoked_at,
+        u.username, u.email, u.role, u.disabled_at
+      FROM refresh_tokens t
+      JOIN auth_sessions s ON t.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE t.token_hash = ?
+      FOR UPDATE;
+    `;
+    const [rows] = await connection.query(sql, [tokenHash]);
+    return rows[0];
+  },
+
+  /**
+   * Marks a refresh token as used and records the session's activity.
+   * @param {object} token - The token, as returned by getRefreshTokenForUpdate.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async markRefreshTokenUsed(token, connection) {
+    await connection.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [token.id]);
+    await connection.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?', [token.session_id]);
+  },
+
+  /**
+   * Ends a session. Its access and refresh tokens stop working.
+   * @param {number} sessionId - The ID of the session.
+   * @param {string} reason - 'logout', 'password_change', 'token_reuse', 'account_disabled', 'two_factor_reset'
+   *   or 'two_factor_enabled'.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId, reason, connection) {
+    const sql = 'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL';
+    await (connection || db).query(sql, [reason, sessionId]);
+  },
+
+  /**
+   * Ends every open session of a user.
+   * @param {number} userId - The ID of the user.
+   * @param {string} reason - As for revokeSession.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the number of sessions ended.
+   */
+  async revokeUserSessions(userId, reason, connection) {
+    const sql = 'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL';
+    const [result] = await (connection || db).query(sql, [reason, userId]);
+    return result.affectedRows;
+  },
+
+  /**
+   * Ends every open session of a user except one (usually the one making the request).
+   * @param {number} userId - The ID of the user.
+   * @param {number} keepSessionId - The ID of the session to keep.
+   * @param {string} reason - As for revokeSession.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the number of sessions ended.
+   */
+  async revokeOtherSessions(userId, keepSessionId, reason, connection) {
+    const sql = 'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND id <> ? AND revoked_at IS NULL';
+    const [result] = await (connection || db).query(sql, [reason, userId, keepSessionId]);
+    return result.affectedRows;
+  }
+};
+
+module.exports = sessionModel;
@@ -0,0 +1,151 @@
+// backend/models/shippingModel.js
+
+const db = require('../db');
+
+/**
+ * Converts the DECIMAL columns of a zone row to numbers.
+ */
+const formatZone = (zone) => ({
+  ...zone,
+  free_shipping_threshold: zone.free_shipping_threshold === null ? null : parseFloat(zone.free_shipping_threshold),
+  is_active: Boolean(zone.is_active),
+});
+
+const shippingModel = {
+  /**
+   * Counts the active shipping zones. With none configured, checkout falls back to the flat rate.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the number of active zones.
+   */
+  async countActiveZones(connection) {
+    const [rows] = await (connection || db).query('SELECT COUNT(*) AS count FROM shipping_zones WHERE is_active = 1');
+    return rows[0].count;
+  },
+
+  /**
+   * Finds the active zone that delivers to a pincode. An explicit range wins over a prefix,
+   * and a longer prefix wins over a shorter one.
+   * @param {string} pincode - The six-digit pincode.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the zone, or undefined if the pincode isn't serviceable.
+   */
+  async findZoneForPincode(pincode, connection) {
+    const sql = `
+      SELECT z.*
+      FROM shipping_zone_pincodes zp
+      JOIN shipping_zones z ON zp.zone_id = z.id
+      WHERE z.is_active = 1
+        AND (
+          (zp.range_start IS NOT NULL AND ? BETWEEN zp.range_start AND zp.range_end)
+          OR (zp.pincode_prefix IS NOT NULL AND ? LIKE CONCAT(zp.pincode_prefix, '%'))
+        )
+      ORDER BY (zp.range_start IS NOT NULL) DESC, CHAR_LENGTH(zp.pincode_prefix) DESC
+      LIMIT 1;
+    `;
+    const [rows] = await (connection || db).query(sql, [parseInt(pincode, 10), pincode]);
+    return rows[0] && formatZone(rows[0]);
+  },
+
+  /**
+   * Finds the zone's rate for a parcel weight.
+   * @param {number} zoneId - The ID of the zone.
+   * @param {number} weightGrams - The parcel weight in grams.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the matching rate slab, or undefined if none covers the weight.
+   */
+  async findRate(zoneId, weightGrams, connection) {
+    const sql = `
+      SELECT * FROM shipping_rates
+      WHERE zone_id = ? AND min_weight_grams <= ? AND (max_weight_grams IS NULL OR max_weight_grams >= ?)
+      ORDER BY min_weight_grams DESC
+      LIMIT 1;
+    `;
+    const [rows] = await (connection || db).query(sql, [zoneId, weightGrams, weightGrams]);
+    return rows[0] && { ...rows[0], rate: parseFloat(rows[0].rate) };
+  },
+
+  /**
+   * Retrieves all zones with their pincode rules and rate card.
+   * @returns {Promise<Array>} A promise that resolves to the zones.
+   */
+  async getAllZones() {
+    const [zones] = await db.query('SELECT * FROM shipping_zones ORDER BY name ASC');
+    return Promise.all(zones.map(zone => shippingModel.withRules(formatZone(zone))));
+  },
+
+  /**
+   * Retrieves a zone with its pincode rules and rate card.
+   * @param {number} zoneId - The ID of the zone.
+   * @returns {Promise<object|undefined>} A promise that resolves to the zone, or undefined if not found.
+   */
+  async getZoneById(zoneId) {
+    const [rows] = await db.query('SELECT * FROM shipping_zones WHERE id = ?', [zoneId]);
+    return rows[0] && shippingModel.withRules(formatZone(rows[0]));
+  },
+
+  /**
+   * Attaches a zone's pincode rules and rate slabs to it.
+   * @param {object} zone - A zone row.
+   * @returns {Promise<object>} The zone with `pincodes` and `rates` arrays.
+   */
+  async withRules(zone) {
+    const [pincodes] = await db.query(
+      'SELECT pincode_prefix AS prefix, range_start AS `from`, range_end AS `to` FROM shipping_zone_pincodes WHERE zone_id = ? ORDER BY id',
+      [zone.id]
+    );
+    const [rates] = await db.query(
+      'SELECT min_weight_grams, max_weight_grams, rate FROM shipping_rates WHERE zone_id = ? ORDER BY min_weight_grams',
+      [zone.id]
+    );
+    return {
+      ...zone,
+      pincodes: pincodes.map(rule => (rule.prefix ? { prefix: rule.prefix } : { from: rule.from, to: rule.to })),
+      rates: rates.map(rate => ({ ...rate, rate: parseFloat(rate.rate) })),
+    };
+  },
+
+  /**
+   * Creates or replaces a zone together with its pincode rules and rate card.
+   * @param {number|null} zoneId - The ID of the zone to replace, or null to create one.
+   * @param {object} zone - `{ name, free_shipping_threshold, is_active, pincodes, rates }`.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<number|null>} A promise that resolves to the zone's ID, or null if the zone to replace does not exist.
+   */
+  async saveZone(zoneId, zone, connection) {
+    if (zoneId) {
+      const sql = 'UPDATE shipping_zones SET name = ?, free_shipping_threshold = ?, is_active = ? WHERE id = ?';
+      const [result] = await connection.query(sql, [zone.name, zone.free_shipping_threshold, zone.is_active, zoneId]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      await connection.query('DELETE FROM shipping_zone_pincodes WHERE zone_id = ?', [zoneId]);
+      await connection.query('DELETE FROM shipping_rates WHERE zone_id = ?', [zoneId]);
+    } else {
+      const sql = 'INSERT INTO shipping_zones (name, free_shipping_threshold, is_active) VALUES (?, ?, ?)';
+      const [result] = await connection.query(sql, [zone.name, zone.free_shipping_threshold, zone.is_active]);
+      zoneId = result.insertId;
+    }
+
+    for (const rule of zone.pincodes) {
+      const sql = 'INSERT INTO shipping_zone_pincodes (zone_id, pincode_prefix, range_start, range_end) VALUES (?, ?, ?, ?)';
+      await connection.query(sql, [zoneId, rule.prefix || null, rule.from || null, rule.to || null]);
+    }
+    for (const rate of zone.rates) {
+      const sql = 'INSERT INTO shipping_rates (zone_id, min_weight_grams, max_weight_grams, rate) VALUES (?, ?, ?, ?)';
+      await connection.query(sql, [zoneId, rate.min_weight_grams, rate.max_weight_grams, rate.rate]);
+    }
+    return zoneId;
+  },
+
+  /**
+   * Deletes a zone (its pincode rules and rates are deleted with it).
+   * @param {number} zoneId - The ID of the zone.
+   * @returns {Promise<boolean>} A promise that resolves to false if the zone does not exist.
+   */
+  async deleteZone(zoneId) {
+    const [result] = await db.query('DELETE FROM shipping_zones WHERE id = ?', [zoneId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = shippingModel;
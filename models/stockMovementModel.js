@@ -0,0 +1,91 @@
+// backend/models/stockMovementModel.js
+
+const db = require('../db');
+
+const stockMovementModel = {
+  /**
+   * Retrieves the current stock of a product, or of one of its variants, with the product's low-stock threshold.
+   * @param {number} productId - The ID of the product.
+   * @param {number|null} variantId - The ID of the variant, or null for the product's own stock.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to `{ product_name, variant_sku, stock_quantity,
+   *   low_stock_threshold }`, or undefined if the product or variant does not exist.
+   */
+  async getStockLevel(productId, variantId, connection) {
+    const sql = variantId
+      ? `SELECT p.name AS product_name, v.sku AS variant_sku, v.stock_quantity, p.low_stock_threshold
+         FROM product_variants v JOIN products p ON v.product_id = p.id
+         WHERE v.id = ? AND v.product_id = ?`
+      : `SELECT p.name AS product_name, NULL AS variant_sku, p.stock_quantity, p.low_stock_threshold
+         FROM products p WHERE p.id = ?`;
+    const [rows] = await (connection || db).query(sql, variantId ? [variantId, productId] : [productId]);
+    return rows[0];
+  },
+
+  /**
+   * Appends a stock change to the ledger. Movements are never updated or deleted.
+   * @param {object} movement
+   * @param {number} movement.productId - The ID of the product.
+   * @param {number|null} movement.variantId - The ID of the variant whose stock changed, if any.
+   * @param {string} movement.type - 'sale', 'cancellation', 'return', 'adjustment' or 'restock'.
+   * @param {number} movement.change - The change in units (negative when stock went down).
+   * @param {number} movement.quantityAfter - The stock level after the change.
+   * @param {number|null} [movement.orderId] - The order behind the change.
+   * @param {number|null} [movement.userId] - The user who made the change.
+   * @param {string|null} [movement.reason] - Why the stock changed.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<number>} A promise that resolves to the ID of the new movement.
+   */
+  async recordMovement({ productId, variantId, type, change, quantityAfter, orderId, userId, reason }, connection) {
+    const sql = `
+      INSERT INTO stock_movements
+        (product_id, variant_id, movement_type, quantity_change, quantity_after, order_id, user_id, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await (connection || db).query(sql, [
+      productId, variantId || null, type, change, quantityAfter, orderId || null, userId || null, reason || null,
+    ]);
+    return result.insertId;
+  },
+
+  /**
+   * Lists a product's stock movements, newest first, a page at a time.
+   * @param {number} productId - The ID of the product.
+   * @param {object} filters
+   * @param {number} [filters.variantId] - Only movements of this variant.
+   * @param {string} [filters.type] - Only movements of this type.
+   * @param {number} filters.page - The page to return (1-based).
+   * @param {number} filters.limit - The number of movements per page.
+   * @returns {Promise<{movements: Array, total: number}>} A promise that resolves to the page and the total count.
+   */
+  async getMovements(productId, { variantId, type, page, limit }) {
+    const conditions = ['m.product_id = ?'];
+    const values = [productId];
+    if (variantId) {
+      conditions.push('m.variant_id = ?');
+      values.push(variantId);
+    }
+    if (type) {
+      conditions.push('m.movement_type = ?');
+      values.push(type);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const sql = `
+      SELECT m.*, v.sku AS variant_sku, u.username
+      FROM stock_movements m
+      LEFT JOIN product_variants v ON m.variant_id = v.id
+      LEFT JOIN users u ON m.user_id = u.id
+      ${where}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ? OFFSET ?;
+    `;
+    const [[movements], [countRows]] = await Promise.all([
+      db.query(sql, [...values, limit, (page - 1) * limit]),
+      db.query(`SELECT COUNT(*) AS total FROM stock_movements m ${where}`, values),
+    ]);
+    return { movements, total: countRows[0].total };
+  }
+};
+
+module.exports = stockMovementModel;
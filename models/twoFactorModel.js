@@ -0,0 +1,118 @@
+// backend/models/twoFactorModel.js
+
+const db = require('../db');
+
+const twoFactorModel = {
+  /**
+   * Fetches a user's two-factor settings and locks the row until the surrounding transaction ends,
+   * so that a code can't be accepted twice by concurrent requests.
+   * @param {number} userId - The ID of the user.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<object|undefined>} A promise that resolves to `{ id, email, role, password, two_factor_secret,
+   *   two_factor_pending_secret, two_factor_enabled_at, two_factor_last_step }`.
+   */
+  async getStateForUpdate(userId, connection) {
+    const sql = `
+      SELECT id, email, role, password, two_factor_secret, two_factor_pending_secret, two_factor_enabled_at, two_factor_last_step
+      FROM users
+      WHERE id = ?
+      FOR UPDATE;
+    `;
+    const [rows] = await connection.query(sql, [userId]);
+    return rows[0];
+  },
+
+  /**
+   * Stores the secret a user is enrolling, until they confirm it.
+   * @param {number} userId - The ID of the user.
+   * @param {string} encryptedSecret - The encrypted secret.
+   * @returns {Promise<void>}
+   */
+  async setPendingSecret(userId, encryptedSecret) {
+    await db.query('UPDATE users SET two_factor_pending_secret = ? WHERE id = ?', [encryptedSecret, userId]);
+  },
+
+  /**
+   * Turns two-factor authentication on with the pending secret.
+   * @param {number} userId - The ID of the user.
+   * @param {number} step - The time step of the code that confirmed the secret.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async enable(userId, step, connection) {
+    const sql = `
+      UPDATE users
+      SET two_factor_secret = two_factor_pending_secret, two_factor_pending_secret = NULL,
+          two_factor_enabled_at = NOW(), two_factor_last_step = ?
+      WHERE id = ?;
+    `;
+    await connection.query(sql, [step, userId]);
+  },
+
+  /**
+   * Turns two-factor authentication off and deletes the user's recovery codes.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async disable(userId, connection) {
+    const sql = `
+      UPDATE users
+      SET two_factor_secret = NULL, two_factor_pending_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+      WHERE id = ?;
+    `;
+    await (connection || db).query(sql, [userId]);
+    await (connection || db).query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  },
+
+  /**
+   * Records the time step of a code that was just accepted.
+   * @param {number} userId - The ID of the user.
+   * @param {number} step - The time step.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async setLastStep(userId, step, connection) {
+    await connection.query('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, userId]);
+  },
+
+  /**
+   * Replaces a user's recovery codes.
+   * @param {number} userId - The ID of the user.
+   * @param {Array<string>} codeHashes - The SHA-256 hashes of the new codes.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<void>}
+   */
+  async replaceRecoveryCodes(userId, codeHashes, connection) {
+    await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+      [codeHashes.map(codeHash => [userId, codeHash])]
+    );
+  },
+
+  /**
+   * Uses up one of a user's recovery codes.
+   * @param {number} userId - The ID of the user.
+   * @param {string} codeHash - The SHA-256 hash of the code.
+   * @param {object} connection - A database connection with an open transaction.
+   * @returns {Promise<boolean>} A promise that resolves to true if the code was valid and unused.
+   */
+  async useRecoveryCode(userId, codeHash, connection) {
+    const sql = 'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL';
+    const [result] = await connection.query(sql, [userId, codeHash]);
+    return result.affectedRows === 1;
+  },
+
+  /**
+   * Counts the recovery codes a user has left.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<number>}
+   */
+  async countUnusedRecoveryCodes(userId) {
+    const [rows] = await db.query('SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+    return rows[0].remaining;
+  }
+};
+
+module.exports = twoFactorModel;
@@ -0,0 +1,175 @@
+// backend/models/userModel.js
+
+const db = require('../db');
+
+// The columns of a user that are safe to send back (everything but the password hash).
+const PUBLIC_COLUMNS = 'u.id, u.username, u.email, u.role, u.email_verified_at, u.two_factor_enabled_at, u.disabled_at, u.password_reset_required, u.created_at';
+
+const userModel = {
+  /**
+   * Fetches what the auth middleware needs to know about a user, and the session their token belongs to,
+   * on every request.
+   * @param {number} userId - The ID of the user.
+   * @param {number} sessionId - The ID of the session named in the access token.
+   * @returns {Promise<object|undefined>} A promise that resolves to the user, or undefined if it no longer exists.
+   *   `session_active` is 1 only if the session belongs to the user and has not been revoked, and
+   *   `two_factor_verified` is 1 if the user completed two-factor authentication for it.
+   */
+  async getAuthState(userId, sessionId) {
+    const sql = `
+      SELECT
+        u.id, u.username, u.email, u.role, u.email_verified_at, u.disabled_at, u.password_reset_required,
+        u.two_factor_enabled_at, s.id IS NOT NULL AS session_active, COALESCE(s.two_factor_verified, FALSE) AS two_factor_verified
+      FROM users u
+      LEFT JOIN auth_sessions s ON s.id = ? AND s.user_id = u.id AND s.revoked_at IS NULL
+      WHERE u.id = ?;
+    `;
+    const [rows] = await db.query(sql, [sessionId, userId]);
+    return rows[0];
+  },
+
+  /**
+   * Fetches a user by ID, without the password hash.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<object|undefined>} A promise that resolves to the user, or undefined if not found.
+   */
+  async getUserById(userId, connection) {
+    const [rows] = await (connection || db).query(`SELECT ${PUBLIC_COLUMNS} FROM users u WHERE u.id = ?`, [userId]);
+    return rows[0];
+  },
+
+  /**
+   * Fetches a user by email address, without the password hash.
+   * @param {string} email - The email address.
+   * @returns {Promise<object|undefined>} A promise that resolves to the user, or undefined if not found.
+   */
+  async getUserByEmail(email) {
+    const [rows] = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM users u WHERE u.email = ?`, [email]);
+    return rows[0];
+  },
+
+  /**
+   * Sets a user's password, which also satisfies a forced password reset.
+   * @param {number} userId - The ID of the user.
+   * @param {string} hashedPassword - The bcrypt hash of the new password.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async updatePassword(userId, hashedPassword, connection) {
+    const sql = 'UPDATE users SET password = ?, password_reset_required = FALSE WHERE id = ?';
+    await (connection || db).query(sql, [hashedPassword, userId]);
+  },
+
+  /**
+   * Marks a user's email address as verified.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async markEmailVerified(userId, connection) {
+    await (connection || db).query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?', [userId]);
+  },
+
+  /**
+   * Searches users by name or email, newest first, with how many orders each has placed.
+   * @param {object} filters
+   * @param {string} [filters.search] - Text to look for in the name or email.
+   * @param {string} [filters.role] - 'user' or 'admin'.
+   * @param {string} [filters.status] - 'active' or 'disabled'.
+   * @param {number} filters.page - The page to return (from 1).
+   * @param {number} filters.limit - The number of users per page.
+   * @returns {Promise<{users: Array, total: number}>} A promise that resolves to the page of users and the total matching.
+   */
+  async searchUsers({ search, role, status, page, limit }) {
+    const conditions = [];
+    const values = [];
+    if (search) {
+      conditions.push('(u.username LIKE ? OR u.email LIKE ?)');
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+      values.push(pattern, pattern);
+    }
+    if (role) {
+      conditions.push('u.role = ?');
+      values.push(role);
+    }
+    if (status === 'active') {
+      conditions.push('u.disabled_at IS NULL');
+    } else if (status === 'disabled') {
+      conditions.push('u.disabled_at IS NOT NULL');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const sql = `
+      SELECT ${PUBLIC_COLUMNS}, (SELECT COUNT(*) FROM orders o WHERE o.user_id = u.id) AS order_count
+      FROM users u
+      ${where}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT ? OFFSET ?;
+    `;
+    const [[users], [countRows]] = await Promise.all([
+      db.query(sql, [...values, limit, (page - 1) * limit]),
+      db.query(`SELECT COUNT(*) AS total FROM users u ${where}`, values),
+    ]);
+    return { users, total: countRows[0].total };
+  },
+
+  /**
+   * Fetches a user's saved addresses, newest first.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<Array>} A promise that resolves to the addresses.
+   */
+  async getAddresses(userId) {
+    const sql = 'SELECT id, full_name as fullName, address_line1 as address1, address_line2 as address2, city, state, pincode, phone_number as phone FROM user_addresses WHERE user_id = ? ORDER BY id DESC';
+    const [addresses] = await db.query(sql, [userId]);
+    return addresses;
+  },
+
+  /**
+   * Counts the admins whose accounts are enabled, locking their rows so that two admins
+   * can't demote or disable each other at the same time.
+   * @param {object} connection - The transaction's database connection.
+   * @returns {Promise<number>} A promise that resolves to the number of active admins.
+   */
+  async countActiveAdminsForUpdate(connection) {
+    const [rows] = await connection.query("SELECT id FROM users WHERE role = 'admin' AND disabled_at IS NULL FOR UPDATE");
+    return rows.length;
+  },
+
+  /**
+   * Changes a user's role.
+   * @param {number} userId - The ID of the user.
+   * @param {string} role - 'user' or 'admin'.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async updateRole(userId, role, connection) {
+    await (connection || db).query('UPDATE users SET role = ? WHERE id = ?', [role, userId]);
+  },
+
+  /**
+   * Disables or re-enables a user's account. A disabled user can't log in, and their tokens stop working.
+   * @param {number} userId - The ID of the user.
+   * @param {boolean} disabled - True to disable the account, false to enable it.
+   * @param {object} [connection] - Optional database connection (for use inside a transaction).
+   * @returns {Promise<void>}
+   */
+  async setDisabled(userId, disabled, connection) {
+    const sql = disabled
+      ? 'UPDATE users SET disabled_at = COALESCE(disabled_at, NOW()) WHERE id = ?'
+      : 'UPDATE users SET disabled_at = NULL WHERE id = ?';
+    await (connection || db).query(sql, [userId]);
+  },
+
+  /**
+   * Sets or clears the flag that makes a user change their password before doing anything else.
+   * @param {number} userId - The ID of the user.
+   * @param {boolean} required - True to require a new password, false once it has been changed.
+   * @returns {Promise<void>}
+   */
+  async setPasswordResetRequired(userId, required) {
+    await db.query('UPDATE users SET password_reset_required = ? WHERE id = ?', [required, userId]);
+  }
+};
+
+module.exports = userModel;
@@ -0,0 +1,101 @@
+// backend/models/wishlistModel.js
+
+const db = require('../db');
+
+const wishlistModel = {
+  /**
+   * Adds a product (or one of its variants) to a user's wishlist, remembering its current price
+   * so that later price drops can be flagged. Adding an item that is already saved keeps the original price,
+   * and concurrent requests for the same item can't save it twice.
+   * @param {number} userId - The ID of the user.
+   * @param {number} productId - The ID of the product.
+   * @param {number|null} [variantId] - The ID of the chosen variant, for products sold by variant.
+   * @returns {Promise<object|null>} A promise that resolves to a success message and the wishlist item ID,
+   *   or null if the product does not exist.
+   */
+  async addItem(userId, productId, variantId = null) {
+    const checkSql = 'SELECT id FROM wishlist_items WHERE user_id = ? AND product_id = ? AND variant_id <=> ?';
+    const [existingItems] = await db.query(checkSql, [userId, productId, variantId]);
+    if (existingItems.length > 0) {
+      return { message: 'This item is already in your wishlist.', wishlistItemId: existingItems[0].id };
+    }
+
+    // The unique key on (user_id, product_id, variant_key) turns an insert racing another one for the same
+    // item into a no-op. LAST_INSERT_ID(id) makes insertId the existing item's ID in that case.
+    const insertSql = `
+      INSERT INTO wishlist_items (user_id, product_id, variant_id, saved_price)
+      SELECT ?, p.id, ?, COALESCE(v.price, p.price)
+      FROM products p
+      LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+      WHERE p.id = ?
+      ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(wishlist_items.id);
+    `;
+    const [result] = await db.query(insertSql, [userId, variantId, variantId, productId]);
+    if (result.affectedRows === 0) {
+      return null;
+    }
+    return { message: 'Added to your wishlist.', wishlistItemId: result.insertId };
+  },
+
+  /**
+   * Retrieves a user's wishlist with each item's current price and stock, newest first.
+   * For an item in a variant, the price and stock are the variant's.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<Array>} A promise that resolves to the wishlist items.
+   */
+  async getItems(userId) {
+    const sql = `
+      SELECT
+        w.id AS wishlist_item_id,
+        w.product_id,
+        w.variant_id,
+        w.saved_price,
+        w.created_at AS added_at,
+        p.name AS product_name,
+        p.image_id AS product_image_id,
+        COALESCE(v.price, p.price) AS current_price,
+        IF(v.id IS NULL, p.stock_quantity, v.stock_quantity) AS stock_quantity,
+        v.sku AS variant_sku,
+        v.size AS variant_size,
+        v.colour AS variant_colour,
+        v.is_active AS variant_is_active
+      FROM wishlist_items w
+      JOIN products p ON w.product_id = p.id
+      LEFT JOIN product_variants v ON w.variant_id = v.id
+      WHERE w.user_id = ?
+      ORDER BY w.created_at DESC, w.id DESC;
+    `;
+    const [items] = await db.query(sql, [userId]);
+    return items.map(item => ({
+      ...item,
+      saved_price: parseFloat(item.saved_price),
+      current_price: parseFloat(item.current_price),
+      variant_is_active: item.variant_id === null ? null : Boolean(item.variant_is_active)
+    }));
+  },
+
+  /**
+   * Retrieves a single item of a user's wishlist.
+   * @param {number} wishlistItemId - The ID of the wishlist item.
+   * @param {number} userId - The ID of the user (for verification).
+   * @returns {Promise<object|undefined>} A promise that resolves to the item, or undefined if not found.
+   */
+  async getItem(wishlistItemId, userId) {
+    const sql = 'SELECT id, product_id, variant_id, saved_price FROM wishlist_items WHERE id = ? AND user_id = ?';
+    const [items] = await db.query(sql, [wishlistItemId, userId]);
+    return items[0];
+  },
+
+  /**
+   * Removes an item from a user's wishlist.
+   * @param {number} wishlistItemId - The ID of the wishlist item.
+   * @param {number} userId - The ID of the user (for verification).
+   * @returns {Promise<boolean>} A promise that resolves to false if the item was not found.
+   */
+  async removeItem(wishlistItemId, userId) {
+    const [result] = await db.query('DELETE FROM wishlist_items WHERE id = ? AND user_id = ?', [wishlistItemId, userId]);
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = wishlistModel;
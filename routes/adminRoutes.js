@@ -0,0 +1,89 @@
+// backend/routes/adminRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const adminUserController = require('../controllers/adminUserController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// --- Admin Analytics Routes ---
+// Every report takes a date range: from and to ('YYYY-MM-DD', inclusive; default the last 30 days).
+
+// @route   GET /api/admin/analytics/sales
+// @desc    Revenue, order count and average order value. Query: from, to, interval ('day', 'week' or 'month')
+// @access  Private/Admin
+router.get('/analytics/sales', protect, authorizeRoles('admin'), analyticsController.getSalesReport);
+
+// @route   GET /api/admin/analytics/top-products
+// @desc    Best-selling products. Query: from, to, by ('revenue' or 'units'), limit
+// @access  Private/Admin
+router.get('/analytics/top-products', protect, authorizeRoles('admin'), analyticsController.getTopProducts);
+
+// @route   GET /api/admin/analytics/top-categories
+// @desc    Best-selling categories. Query: from, to, by ('revenue' or 'units'), limit
+// @access  Private/Admin
+router.get('/analytics/top-categories', protect, authorizeRoles('admin'), analyticsController.getTopCategories);
+
+// @route   GET /api/admin/analytics/customers
+// @desc    New vs returning customers. Query: from, to
+// @access  Private/Admin
+router.get('/analytics/customers', protect, authorizeRoles('admin'), analyticsController.getCustomerReport);
+
+// @route   GET /api/admin/analytics/order-rates
+// @desc    Cancellation and return rates. Query: from, to
+// @access  Private/Admin
+router.get('/analytics/order-rates', protect, authorizeRoles('admin'), analyticsController.getOrderRates);
+
+// @route   GET /api/admin/analytics/inventory-value
+// @desc    Value of the stock on hand at current prices, by category
+// @access  Private/Admin
+router.get('/analytics/inventory-value', protect, authorizeRoles('admin'), analyticsController.getInventoryValue);
+
+// --- Admin User Management Routes ---
+
+// @route   GET /api/admin/users
+// @desc    Search users. Query: search (name or email), role, status ('active' or 'disabled'), page, limit
+// @access  Private/Admin
+router.get('/users', protect, authorizeRoles('admin'), adminUserController.getUsers);
+
+// @route   GET /api/admin/users/:id
+// @desc    Fetch a user with their saved addresses
+// @access  Private/Admin
+router.get('/users/:id', protect, authorizeRoles('admin'), adminUserController.getUser);
+
+// @route   GET /api/admin/users/:id/orders
+// @desc    Fetch a user's orders
+// @access  Private/Admin
+router.get('/users/:id/orders', protect, authorizeRoles('admin'), adminUserController.getUserOrders);
+
+// @route   GET /api/admin/users/:id/addresses
+// @desc    Fetch a user's saved addresses
+// @access  Private/Admin
+router.get('/users/:id/addresses', protect, authorizeRoles('admin'), adminUserController.getUserAddresses);
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role. Body: role ('user' or 'admin')
+// @access  Private/Admin
+router.patch('/users/:id/role', protect, authorizeRoles('admin'), adminUserController.updateUserRole);
+
+// @route   POST /api/admin/users/:id/disable
+// @desc    Disable a user's account (their tokens stop working at once)
+// @access  Private/Admin
+router.post('/users/:id/disable', protect, authorizeRoles('admin'), adminUserController.disableUser);
+
+// @route   POST /api/admin/users/:id/enable
+// @desc    Re-enable a disabled account
+// @access  Private/Admin
+router.post('/users/:id/enable', protect, authorizeRoles('admin'), adminUserController.enableUser);
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Make a user change their password before doing anything else
+// @access  Private/Admin
+router.post('/users/:id/force-password-reset', protect, authorizeRoles('admin'), adminUserController.forcePasswordReset);
+
+// @route   POST /api/admin/users/:id/reset-two-factor
+// @desc    Turn off two-factor authentication for a user who has lost their device and recovery codes
+// @access  Private/Admin
+router.post('/users/:id/reset-two-factor', protect, authorizeRoles('admin'), adminUserController.resetTwoFactor);
+
+module.exports = router;
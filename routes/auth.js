@@ -3,27 +3,66 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { limitByIp } = require('../middleware/rateLimitMiddleware');
 
 // --- Public Authentication Routes ---
+// Signup, login and password reset are rate limited per IP address (429 with Retry-After when exceeded);
+// login also delays and then locks an account after repeated failed attempts.
 
 // @route   POST api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', authController.signup);
+router.post('/signup', limitByIp('signup'), authController.signup);
 
 // @route   POST api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', authController.login);
+router.post('/login', limitByIp('login'), authController.login);
+
+// @route   POST api/auth/login/2fa
+// @desc    Finish logging in with two-factor authentication. Body: challengeToken (from login), and code or recoveryCode
+// @access  Public (requires a challenge token)
+router.post('/login/2fa', limitByIp('login'), authController.loginTwoFactor);
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a refresh token)
+router.post('/refresh', authController.refresh);
+
+// @route   POST api/auth/logout
+// @desc    End the session a refresh token belongs to
+// @access  Public (requires a refresh token)
+router.post('/logout', authController.logout);
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link (the response doesn't say whether the account exists)
+// @access  Public
+router.post('/forgot-password', limitByIp('password-reset'), authController.forgotPassword);
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with the token from a reset link
+// @access  Public
+router.post('/reset-password', limitByIp('password-reset'), authController.resetPassword);
+
+// @route   GET api/auth/verify-email
+// @desc    Verify an email address with the token from the link emailed at signup. Query: token
+// @access  Public
+router.get('/verify-email', authController.verifyEmail);
+
+// @route   POST api/auth/resend-verification
+// @desc    Email another verification link (throttled)
+// @access  Private
+router.post('/resend-verification', authMiddleware.protect, authController.resendVerificationEmail);
 
 
 // --- Protected Route Example ---
 
 // @route   GET api/auth/me
 // @desc    Get current user's data (requires token)
-// @access  Private
-router.get('/me', authMiddleware.protect, (req, res) => {
+// @access  Private (also open to users who must change their password, so the client can tell them)
+router.get('/me', authMiddleware.protectAllowingPasswordReset, (req, res) => {
   // The 'protect' middleware adds the user object to the request.
   // We can now send back the user's information.
   res.status(200).json({
@@ -32,4 +71,32 @@ router.get('/me', authMiddleware.protect, (req, res) => {
   });
 });
 
+// --- Two-Factor Authentication Routes ---
+// Admins who must use two-factor authentication can reach these before setting it up.
+
+// @route   GET api/auth/2fa
+// @desc    Whether two-factor authentication is on (and required) for the current user
+// @access  Private
+router.get('/2fa', authMiddleware.protect, twoFactorController.getTwoFactorStatus);
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start setting up two-factor authentication; returns the secret and otpauth:// URI (QR code payload)
+// @access  Private
+router.post('/2fa/setup', authMiddleware.protect, twoFactorController.setupTwoFactor);
+
+// @route   POST api/auth/2fa/confirm
+// @desc    Turn two-factor authentication on with a first code and log out the other sessions; returns the recovery codes
+// @access  Private
+router.post('/2fa/confirm', authMiddleware.protect, twoFactorController.confirmTwoFactor);
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes. Body: code
+// @access  Private
+router.post('/2fa/recovery-codes', authMiddleware.protect, twoFactorController.regenerateRecoveryCodes);
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor authentication off. Body: password, and code or recoveryCode
+// @access  Private
+router.post('/2fa/disable', authMiddleware.protect, twoFactorController.disableTwoFactor);
+
 module.exports = router;
@@ -20,6 +20,11 @@ router.get('/', cartController.getCart);
 // @access  Private
 router.post('/', cartController.addItemToCart);
 
+// @route   POST /api/cart/apply-coupon
+// @desc    Preview a coupon code on the user's cart
+// @access  Private
+router.post('/apply-coupon', cartController.applyCoupon);
+
 // CORRECTED: The specific '/clear' route is now placed BEFORE the parameterized '/:cartItemId' route.
 // This ensures that requests to '/api/cart/clear' are handled by the correct controller function.
 // @route   DELETE /api/cart/clear
@@ -27,6 +32,11 @@ router.post('/', cartController.addItemToCart);
 // @access  Private
 router.delete('/clear', cartController.clearUserCart);
 
+// @route   POST /api/cart/:cartItemId/save-for-later
+// @desc    Move an item from the cart to the wishlist
+// @access  Private
+router.post('/:cartItemId/save-for-later', cartController.saveForLater);
+
 // @route   PUT /api/cart/:cartItemId
 // @desc    Update the quantity of a specific item in the cart
 // @access  Private
@@ -0,0 +1,38 @@
+// backend/routes/categoryRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+
+// --- Public Category Routes ---
+
+// @route   GET /api/categories
+// @desc    Fetch the category tree (or a flat list with ?flat=true)
+// @access  Public
+router.get('/', categoryController.getCategories);
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    Fetch a single category with its subcategories and breadcrumb
+// @access  Public
+router.get('/:idOrSlug', categoryController.getCategory);
+
+// --- Admin Category Routes ---
+
+// @route   POST /api/categories
+// @desc    Create a category (name, slug, parent_id, description, optional 'image' file)
+// @access  Private/Admin
+router.post('/', protect, authorizeRoles('admin'), upload.single('image'), categoryController.createCategory);
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category
+// @access  Private/Admin
+router.put('/:id', protect, authorizeRoles('admin'), upload.single('image'), categoryController.updateCategory);
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category without subcategories or products
+// @access  Private/Admin
+router.delete('/:id', protect, authorizeRoles('admin'), categoryController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// backend/routes/couponRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// --- Admin Coupon Routes ---
+
+// Every coupon route requires a logged-in admin.
+router.use(protect, authorizeRoles('admin'));
+
+// @route   GET /api/coupons
+// @desc    Fetch all coupons
+// @access  Private/Admin
+router.get('/', couponController.getAllCoupons);
+
+// @route   GET /api/coupons/:id
+// @desc    Fetch a single coupon by its ID
+// @access  Private/Admin
+router.get('/:id', couponController.getCouponById);
+
+// @route   POST /api/coupons
+// @desc    Create a coupon (percentage, flat or free_shipping)
+// @access  Private/Admin
+router.post('/', couponController.createCoupon);
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private/Admin
+router.put('/:id', couponController.updateCoupon);
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon
+// @access  Private/Admin
+router.delete('/:id', couponController.deleteCoupon);
+
+module.exports = router;
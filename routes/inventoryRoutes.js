@@ -0,0 +1,27 @@
+// backend/routes/inventoryRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventoryController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Stock adjustments and movement history of a single product are under /api/products/:id.
+
+// --- Admin Inventory Routes ---
+
+// @route   GET /api/inventory/low-stock
+// @desc    Report every product and variant at or below its low-stock threshold
+// @access  Private/Admin
+router.get('/low-stock', protect, authorizeRoles('admin'), inventoryController.getLowStockReport);
+
+// @route   GET /api/inventory/alerts
+// @desc    Fetch low-stock alerts. Query: status ('open', 'acknowledged' or 'all')
+// @access  Private/Admin
+router.get('/alerts', protect, authorizeRoles('admin'), inventoryController.getLowStockAlerts);
+
+// @route   POST /api/inventory/alerts/:id/acknowledge
+// @desc    Mark a low-stock alert as seen
+// @access  Private/Admin
+router.post('/alerts/:id/acknowledge', protect, authorizeRoles('admin'), inventoryController.acknowledgeLowStockAlert);
+
+module.exports = router;
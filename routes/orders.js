@@ -3,15 +3,28 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+const { protect, authorizeRoles, requireVerifiedEmailForOrders } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotencyMiddleware');
 
 // --- Protected Order Routes ---
 
+// @route   POST /api/orders/quote
+// @desc    Price the user's cart (subtotal, discount, shipping, tax, total) without placing an order; accepts an optional couponCode
+// @access  Private
+router.post('/quote', protect, orderController.getOrderQuote);
+
+// @route   POST /api/orders/checkout
+// @desc    Start checkout: reserve the stock for the user's cart for a limited time and return the quote with the reservation's expiry
+// @access  Private
+router.post('/checkout', protect, requireVerifiedEmailForOrders, orderController.startCheckout);
+
 // @route   POST /api/orders
 // @desc    Create a new order from the user's cart
 // @access  Private
 // The 'protect' middleware ensures the user is logged in before they can place an order.
-router.post('/', protect, orderController.createOrder);
+// Send an 'Idempotency-Key' header so that retries (double-clicks, flaky networks) can't place the order twice.
+// When REQUIRE_VERIFIED_EMAIL_FOR_ORDERS is on, only users who have verified their email address can order.
+router.post('/', protect, requireVerifiedEmailForOrders, idempotent('create-order'), orderController.createOrder);
 
 // @route   GET /api/orders/my
 // @desc    Get all orders for the currently logged-in user
@@ -25,4 +38,21 @@ router.get('/my', protect, orderController.getUserOrders);
 // This route is protected by both authentication and role-based authorization.
 router.get('/all', protect, authorizeRoles('admin'), orderController.getAllOrders);
 
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancel an order and return its items to stock. Customers can cancel unpaid orders; admins can cancel
+//          any order that has not shipped yet, which records a full refund if it was paid
+// @access  Private (order owner or admin)
+router.post('/:id/cancel', protect, orderController.cancelOrder);
+
+// @route   GET /api/orders/:id/invoice
+// @desc    Get the GST tax invoice for a paid order (HTML; add ?download=1 to download)
+// @access  Private (order owner or admin)
+router.get('/:id/invoice', protect, orderController.getOrderInvoice);
+
+// @route   PATCH /api/orders/:id/status
+// @desc    Move an order to a new status (pending, paid, processing, shipped, delivered); cancel through POST /:id/cancel,
+//          refund through POST /api/returns/:id/refund
+// @access  Private/Admin
+router.patch('/:id/status', protect, authorizeRoles('admin'), orderController.updateOrderStatus);
+
 module.exports = router;
@@ -0,0 +1,39 @@
+// backend/routes/paymentRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// --- Public Webhook Route ---
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment notifications from the gateway (HMAC-signed)
+// @access  Public (verified by signature)
+router.post('/webhook', paymentController.handleWebhook);
+
+// --- Protected Payment Routes ---
+
+// @route   POST /api/payments/orders/:orderId/intent
+// @desc    Start a payment for an order and get the gateway's client data
+// @access  Private (order owner)
+router.post('/orders/:orderId/intent', protect, paymentController.createPaymentIntent);
+
+// @route   GET /api/payments/orders/:orderId
+// @desc    Get the payment attempts for an order
+// @access  Private (order owner or admin)
+router.get('/orders/:orderId', protect, paymentController.getOrderPayments);
+
+// @route   GET /api/payments/refund-required
+// @desc    List the payments captured for orders that could no longer be paid (e.g., cancelled), to refund
+// @access  Private/Admin
+router.get('/refund-required', protect, authorizeRoles('admin'), paymentController.getPaymentsRequiringRefund);
+
+// @route   POST /api/payments/mock/simulate
+// @desc    Simulate the gateway's webhook for a mock payment intent (only with PAYMENT_PROVIDER=mock, never in production)
+// @access  Private (order owner or admin)
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/mock/simulate', protect, paymentController.simulateMockPayment);
+}
+
+module.exports = router;
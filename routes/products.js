@@ -3,43 +3,40 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
+const reviewController = require('../controllers/reviewController');
+const inventoryController = require('../controllers/inventoryController');
 const { protect, authorizeRoles } = require('../middleware/authMiddleware');
-const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
+const { upload, uploadReviewPhotos } = require('../middleware/uploadMiddleware');
 
-// --- Multer Configuration for Image Uploads ---
-
-// Define the path for the uploads directory
-const uploadDir = 'uploads/';
-
-// Ensure the uploads directory exists, create it if it doesn't
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir);
-}
-
-// Configure multer storage to save files temporarily on the server
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir); // Save files to the 'uploads/' directory
-    },
-    filename: function (req, file, cb) {
-        // Create a unique filename to prevent conflicts: timestamp + original filename
-        cb(null, Date.now() + '-' + file.originalname);
-    }
-});
-
-// Initialize multer with the storage configuration
-const upload = multer({ storage: storage });
+// The most images that can be added to a gallery in one request
+const MAX_GALLERY_UPLOADS = 10;
 
 
 // --- Product Routes ---
 
 // @route   GET /api/products
-// @desc    Fetch all products
+// @desc    Search the catalog. Query: q, category, minPrice, maxPrice, inStock, sort, page, limit.
+//          With any of these it returns { products, pagination, facets }; without, the array of every product
 // @access  Public
 router.get('/', productController.getAllProducts);
 
+// @route   GET /api/products/export
+// @desc    Download the catalog as a CSV, in the format accepted by the import
+// @access  Private/Admin
+router.get('/export', protect, authorizeRoles('admin'), productController.exportProducts);
+
+// @route   POST /api/products/import
+// @desc    Create and update products (matched by SKU) from a CSV ('file'), with an optional zip of images ('images').
+//          Add ?dryRun=true to validate the rows without saving anything.
+// @access  Private/Admin
+router.post(
+    '/import',
+    protect,
+    authorizeRoles('admin'),
+    upload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]),
+    productController.importProducts
+);
+
 // @route   GET /api/products/:id
 // @desc    Fetch a single product by its ID
 // @access  Public
@@ -57,7 +54,8 @@ router.post(
 );
 
 // @route   PUT /api/products/:id
-// @desc    Update an existing product by its ID
+// @desc    Update an existing product by its ID. Stock is changed through stock-adjustments; a stock_quantity
+//          sent here must match the current stock (409 otherwise)
 // @access  Private/Admin
 router.put(
     '/:id',
@@ -77,4 +75,78 @@ router.delete(
     productController.deleteProduct
 );
 
+// --- Product Review Routes ---
+
+// @route   GET /api/products/:id/reviews
+// @desc    Fetch a product's approved reviews and rating summary. Query: sort, page, limit
+// @access  Public
+router.get('/:id/reviews', reviewController.getProductReviews);
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product (rating 1-5, title, body, up to 5 'photos': JPEG, PNG, WebP or GIF, 5 MB each)
+// @access  Private
+router.post('/:id/reviews', protect, uploadReviewPhotos, reviewController.createReview);
+
+// --- Product Gallery Routes ---
+
+// @route   POST /api/products/:id/images
+// @desc    Upload images (field name 'images', optional 'alt_text' per file) to the end of a product's gallery
+// @access  Private/Admin
+router.post(
+    '/:id/images',
+    protect,
+    authorizeRoles('admin'),
+    upload.array('images', MAX_GALLERY_UPLOADS),
+    productController.addProductImages
+);
+
+// @route   PUT /api/products/:id/images/order
+// @desc    Reorder a product's gallery. Body: { imageIds: [...] }
+// @access  Private/Admin
+router.put('/:id/images/order', protect, authorizeRoles('admin'), productController.reorderProductImages);
+
+// @route   PATCH /api/products/:id/images/:imageId
+// @desc    Update an image's alt text or make it the primary image
+// @access  Private/Admin
+router.patch('/:id/images/:imageId', protect, authorizeRoles('admin'), productController.updateProductImage);
+
+// @route   DELETE /api/products/:id/images/:imageId
+// @desc    Delete an image from a product's gallery
+// @access  Private/Admin
+router.delete('/:id/images/:imageId', protect, authorizeRoles('admin'), productController.deleteProductImage);
+
+// --- Product Variant Routes ---
+
+// @route   GET /api/products/:id/variants
+// @desc    Fetch all variants of a product, including inactive ones
+// @access  Private/Admin
+router.get('/:id/variants', protect, authorizeRoles('admin'), productController.getProductVariants);
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant (SKU, size/colour, optional price override, stock) to a product
+// @access  Private/Admin
+router.post('/:id/variants', protect, authorizeRoles('admin'), productController.createProductVariant);
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a product variant
+// @access  Private/Admin
+router.put('/:id/variants/:variantId', protect, authorizeRoles('admin'), productController.updateProductVariant);
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Delete a product variant
+// @access  Private/Admin
+router.delete('/:id/variants/:variantId', protect, authorizeRoles('admin'), productController.deleteProductVariant);
+
+// --- Product Stock Routes ---
+
+// @route   POST /api/products/:id/stock-adjustments
+// @desc    Restock or adjust a product's stock. Body: { type: 'restock' | 'adjustment', quantity, variantId, reason }
+// @access  Private/Admin
+router.post('/:id/stock-adjustments', protect, authorizeRoles('admin'), inventoryController.adjustStock);
+
+// @route   GET /api/products/:id/stock-movements
+// @desc    Fetch a product's stock movement history. Query: variantId, type, page, limit
+// @access  Private/Admin
+router.get('/:id/stock-movements', protect, authorizeRoles('admin'), inventoryController.getStockMovements);
+
 module.exports = router;
@@ -0,0 +1,50 @@
+// backend/routes/returnRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// --- Protected Return Routes ---
+
+// Apply the 'protect' middleware to all routes in this file.
+router.use(protect);
+
+// @route   POST /api/returns
+// @desc    Open a return request for lines of a delivered order
+// @access  Private
+router.post('/', returnController.createReturn);
+
+// @route   GET /api/returns/my
+// @desc    Get the logged-in user's return requests
+// @access  Private
+router.get('/my', returnController.getMyReturns);
+
+// --- Admin Return Routes ---
+
+// @route   GET /api/returns/all
+// @desc    Get all return requests (optionally filtered by ?status=)
+// @access  Private/Admin
+router.get('/all', authorizeRoles('admin'), returnController.getAllReturns);
+
+// @route   PATCH /api/returns/:id/approve
+// @desc    Approve a return request
+// @access  Private/Admin
+router.patch('/:id/approve', authorizeRoles('admin'), returnController.approveReturn);
+
+// @route   PATCH /api/returns/:id/reject
+// @desc    Reject a return request
+// @access  Private/Admin
+router.patch('/:id/reject', authorizeRoles('admin'), returnController.rejectReturn);
+
+// @route   PATCH /api/returns/:id/receive
+// @desc    Mark returned goods as received, optionally restocking them
+// @access  Private/Admin
+router.patch('/:id/receive', authorizeRoles('admin'), returnController.receiveReturn);
+
+// @route   POST /api/returns/:id/refund
+// @desc    Issue a full or partial refund for a received return
+// @access  Private/Admin
+router.post('/:id/refund', authorizeRoles('admin'), returnController.refundReturn);
+
+module.exports = router;
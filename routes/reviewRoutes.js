@@ -0,0 +1,34 @@
+// backend/routes/reviewRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// Reviews of a single product are listed and submitted under /api/products/:id/reviews.
+
+// --- Protected Review Routes ---
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Mark a review as helpful
+// @access  Private
+router.post('/:id/helpful', protect, reviewController.voteHelpful);
+
+// @route   DELETE /api/reviews/:id/helpful
+// @desc    Withdraw a helpful vote
+// @access  Private
+router.delete('/:id/helpful', protect, reviewController.removeHelpfulVote);
+
+// --- Admin Review Routes ---
+
+// @route   GET /api/reviews
+// @desc    Fetch reviews of all products for moderation. Query: status, sort, page, limit
+// @access  Private/Admin
+router.get('/', protect, authorizeRoles('admin'), reviewController.getAllReviews);
+
+// @route   PATCH /api/reviews/:id/status
+// @desc    Approve or hide a review. Body: { status: 'approved' | 'hidden' }
+// @access  Private/Admin
+router.patch('/:id/status', protect, authorizeRoles('admin'), reviewController.moderateReview);
+
+module.exports = router;
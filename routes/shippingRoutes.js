@@ -0,0 +1,44 @@
+// backend/routes/shippingRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+const { protect, authorizeRoles } = require('../middleware/authMiddleware');
+
+// --- Public Shipping Routes ---
+
+// @route   GET /api/shipping/serviceability/:pincode
+// @desc    Check whether we deliver to a pincode
+// @access  Public
+router.get('/serviceability/:pincode', shippingController.checkServiceability);
+
+// --- Protected Shipping Routes ---
+
+// @route   POST /api/shipping/quote
+// @desc    Quote shipping for the user's cart to a pincode (by zone and parcel weight)
+// @access  Private
+router.post('/quote', protect, shippingController.getShippingQuote);
+
+// --- Admin Shipping Zone Routes ---
+
+// @route   GET /api/shipping/zones
+// @desc    Fetch all shipping zones with their pincodes and rate cards
+// @access  Private/Admin
+router.get('/zones', protect, authorizeRoles('admin'), shippingController.getAllZones);
+
+// @route   POST /api/shipping/zones
+// @desc    Create a shipping zone (pincode prefixes/ranges and weight slab rates)
+// @access  Private/Admin
+router.post('/zones', protect, authorizeRoles('admin'), shippingController.createZone);
+
+// @route   PUT /api/shipping/zones/:id
+// @desc    Replace a shipping zone
+// @access  Private/Admin
+router.put('/zones/:id', protect, authorizeRoles('admin'), shippingController.updateZone);
+
+// @route   DELETE /api/shipping/zones/:id
+// @desc    Delete a shipping zone
+// @access  Private/Admin
+router.delete('/zones/:id', protect, authorizeRoles('admin'), shippingController.deleteZone);
+
+module.exports = router;
@@ -3,18 +3,19 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, protectAllowingPasswordReset } = require('../middleware/authMiddleware');
+const { limitByIp } = require('../middleware/rateLimitMiddleware');
 
 // --- Protected User Routes ---
 
-// Apply the 'protect' middleware to all routes defined in this file.
-// This ensures that a user must be logged in to access any of these endpoints.
-router.use(protect);
-
 // @route   PATCH /api/users/updatePassword
 // @desc    Update the password for the currently logged-in user
-// @access  Private
-router.patch('/updatePassword', userController.updatePassword);
+// @access  Private (also open to users an admin has told to change their password)
+router.patch('/updatePassword', protectAllowingPasswordReset, limitByIp('password-change'), userController.updatePassword);
+
+// Apply the 'protect' middleware to all routes defined below.
+// This ensures that a user must be logged in to access any of these endpoints.
+router.use(protect);
 
 // @route   GET /api/users/addresses
 // @desc    Get all addresses for the logged-in user
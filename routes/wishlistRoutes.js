@@ -0,0 +1,33 @@
+// backend/routes/wishlistRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/wishlistController');
+const { protect } = require('../middleware/authMiddleware');
+
+// --- Protected Wishlist Routes ---
+
+// Apply the 'protect' middleware to all routes in this file.
+router.use(protect);
+
+// @route   GET /api/wishlist
+// @desc    Get the user's wishlist with current prices, stock and price-drop flags
+// @access  Private
+router.get('/', wishlistController.getWishlist);
+
+// @route   POST /api/wishlist
+// @desc    Add a product (or variant) to the wishlist
+// @access  Private
+router.post('/', wishlistController.addItemToWishlist);
+
+// @route   POST /api/wishlist/:wishlistItemId/move-to-cart
+// @desc    Move a wishlist item into the cart
+// @access  Private
+router.post('/:wishlistItemId/move-to-cart', wishlistController.moveToCart);
+
+// @route   DELETE /api/wishlist/:wishlistItemId
+// @desc    Remove an item from the wishlist
+// @access  Private
+router.delete('/:wishlistItemId', wishlistController.removeWishlistItem);
+
+module.exports = router;
@@ -12,20 +12,145 @@ CREATE TABLE IF NOT EXISTS `users` (
   `email` VARCHAR(255) NOT NULL UNIQUE,
   `password` VARCHAR(255) NOT NULL,
   `role` ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+  `disabled_at` TIMESTAMP NULL, -- Set when an admin disables the account; disabled users can't log in or use their tokens
+  `password_reset_required` BOOLEAN NOT NULL DEFAULT FALSE, -- Set by an admin to make the user change their password before doing anything else
+  `email_verified_at` TIMESTAMP NULL, -- Set when the user opens the verification link emailed at signup
+  `two_factor_secret` VARCHAR(255) NULL, -- TOTP secret, encrypted (see services/twoFactorService.js)
+  `two_factor_pending_secret` VARCHAR(255) NULL, -- Secret being enrolled, until the user confirms it with a first code
+  `two_factor_enabled_at` TIMESTAMP NULL,
+  `two_factor_last_step` BIGINT NULL, -- Time step of the last code accepted, so a code can't be used twice
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB;
 
+-- Table for login sessions. A session lasts as long as its refresh tokens keep being rotated;
+-- revoking it ends every access and refresh token issued for it.
+CREATE TABLE IF NOT EXISTS `auth_sessions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `user_agent` VARCHAR(255) NULL,
+  `ip_address` VARCHAR(45) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `last_used_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `revoked_at` TIMESTAMP NULL,
+  `revoked_reason` ENUM('logout', 'password_change', 'token_reuse', 'account_disabled', 'two_factor_reset', 'two_factor_enabled') NULL,
+  `two_factor_verified` BOOLEAN NOT NULL DEFAULT FALSE, -- The user completed two-factor authentication for this session
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  INDEX `idx_auth_sessions_user` (`user_id`, `revoked_at`)
+) ENGINE=InnoDB;
+
+-- Table for refresh tokens, stored as SHA-256 hashes. Each token can be used once: using it issues
+-- the next token of the session, and presenting a used token again revokes the whole session.
+CREATE TABLE IF NOT EXISTS `refresh_tokens` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `session_id` INT NOT NULL,
+  `token_hash` CHAR(64) NOT NULL UNIQUE,
+  `expires_at` TIMESTAMP NOT NULL,
+  `used_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`session_id`) REFERENCES `auth_sessions`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table for two-factor recovery codes, stored as SHA-256 hashes. Each code can be used once.
+CREATE TABLE IF NOT EXISTS `two_factor_recovery_codes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `code_hash` CHAR(64) NOT NULL,
+  `used_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `user_code_unique` (`user_id`, `code_hash`)
+) ENGINE=InnoDB;
+
+-- Table for rate-limit counters, used when RATE_LIMIT_STORE=mysql so that every server instance shares them
+CREATE TABLE IF NOT EXISTS `rate_limit_counters` (
+  `counter_key` VARCHAR(255) NOT NULL PRIMARY KEY, -- e.g. 'ip:login:203.0.113.7' or 'failures:login:user@example.com'
+  `count` INT NOT NULL,
+  `reset_at` TIMESTAMP NOT NULL, -- When the counter's window ends
+  INDEX `idx_rate_limit_counters_reset` (`reset_at`)
+) ENGINE=InnoDB;
+
+-- Table for the one-time tokens emailed to users (password reset and email verification links), stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS `account_tokens` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `purpose` ENUM('password_reset', 'email_verification') NOT NULL,
+  `token_hash` CHAR(64) NOT NULL UNIQUE,
+  `expires_at` TIMESTAMP NOT NULL,
+  `used_at` TIMESTAMP NULL, -- Set when the token is used, or when a newer token replaces it
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  INDEX `idx_account_tokens_user` (`user_id`, `purpose`)
+) ENGINE=InnoDB;
+
+-- Table for the product categories. A category may be nested under a parent category.
+CREATE TABLE IF NOT EXISTS `categories` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `parent_id` INT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `slug` VARCHAR(120) NOT NULL UNIQUE,
+  `description` TEXT NULL,
+  `image_url` VARCHAR(255) NULL, -- Cloudinary URL
+  `image_public_id` VARCHAR(255) NULL, -- Cloudinary public_id, used to delete the image
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`parent_id`) REFERENCES `categories`(`id`) ON DELETE RESTRICT
+) ENGINE=InnoDB;
+
 -- Table for storing product information
 CREATE TABLE IF NOT EXISTS `products` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `sku` VARCHAR(64) NULL UNIQUE, -- Stock keeping unit; the key the CSV import matches products on
   `name` VARCHAR(255) NOT NULL,
   `description` TEXT,
   `price` DECIMAL(10, 2) NOT NULL,
   `stock_quantity` INT NOT NULL DEFAULT 0,
   `image_id` VARCHAR(255) NULL, -- This will store the Cloudinary URL
-  `category` VARCHAR(100),
+  `category_id` INT NULL,
+  `category` VARCHAR(100), -- The category's name, kept in step with categories.name; free text on databases not yet migrated
+  `hsn_code` VARCHAR(8) NULL, -- Harmonized System of Nomenclature code printed on GST invoices
+  `gst_rate` DECIMAL(5, 2) NULL, -- GST rate in percent; NULL uses DEFAULT_GST_RATE
+  `weight_grams` INT NULL, -- Shipping weight; NULL uses DEFAULT_PRODUCT_WEIGHT_GRAMS
+  `low_stock_threshold` INT NULL, -- Stock at or below this is reported as low; NULL uses LOW_STOCK_THRESHOLD
+  `rating_average` DECIMAL(3, 2) NOT NULL DEFAULT 0.00, -- Average of the approved reviews, kept up to date by reviewService
+  `rating_count` INT NOT NULL DEFAULT 0, -- Number of approved reviews
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`category_id`) REFERENCES `categories`(`id`) ON DELETE RESTRICT,
+  INDEX `idx_products_category` (`category`),
+  INDEX `idx_products_price` (`price`),
+  INDEX `idx_products_created_at` (`created_at`),
+  FULLTEXT INDEX `ft_products_name_description` (`name`, `description`) -- Catalog keyword search
+) ENGINE=InnoDB;
+
+-- Table for the images in a product's gallery. The primary image's URL is mirrored into products.image_id.
+CREATE TABLE IF NOT EXISTS `product_images` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `image_url` VARCHAR(255) NOT NULL, -- Cloudinary URL
+  `public_id` VARCHAR(255) NULL, -- Cloudinary public_id, used to delete the image
+  `alt_text` VARCHAR(255) NULL,
+  `sort_order` INT NOT NULL DEFAULT 0,
+  `is_primary` BOOLEAN NOT NULL DEFAULT FALSE,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  INDEX `idx_product_images_order` (`product_id`, `sort_order`)
+) ENGINE=InnoDB;
+
+-- Table for the sellable variants of a product (e.g., a T-shirt in size M, colour Black).
+-- When a product has active variants, their stock is authoritative and products.stock_quantity holds the total.
+CREATE TABLE IF NOT EXISTS `product_variants` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `sku` VARCHAR(64) NOT NULL UNIQUE,
+  `size` VARCHAR(50) NULL,
+  `colour` VARCHAR(50) NULL,
+  `price` DECIMAL(10, 2) NULL, -- Price override; NULL uses the product's price
+  `stock_quantity` INT NOT NULL DEFAULT 0,
+  `is_active` BOOLEAN NOT NULL DEFAULT TRUE,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `product_options_unique` (`product_id`, `size`, `colour`)
 ) ENGINE=InnoDB;
 
 -- Table for storing items in users' shopping carts
@@ -33,22 +158,106 @@ CREATE TABLE IF NOT EXISTS `cart_items` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NOT NULL,
   `product_id` INT NOT NULL,
+  `variant_id` INT NULL, -- Required when the product has variants
+  `variant_key` INT AS (COALESCE(`variant_id`, 0)) VIRTUAL, -- variant_id with NULL as 0, because a unique key treats NULLs as distinct
   `quantity` INT NOT NULL DEFAULT 1,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
   FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
-  UNIQUE KEY `user_product_unique` (`user_id`, `product_id`) -- Ensures a user can't have the same product twice in the cart; quantity should be updated instead.
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `user_product_variant_key_unique` (`user_id`, `product_id`, `variant_key`) -- Ensures a user can't have the same product (variant) twice in the cart; quantity should be updated instead.
+) ENGINE=InnoDB;
+
+-- Table for storing shipping zones (groups of pincodes that share a rate card)
+CREATE TABLE IF NOT EXISTS `shipping_zones` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `name` VARCHAR(100) NOT NULL,
+  `free_shipping_threshold` DECIMAL(10, 2) NULL, -- NULL uses FREE_SHIPPING_THRESHOLD
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- Table mapping pincodes to zones, by prefix (e.g., '575') or by inclusive range
+CREATE TABLE IF NOT EXISTS `shipping_zone_pincodes` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `zone_id` INT NOT NULL,
+  `pincode_prefix` VARCHAR(6) NULL,
+  `range_start` INT NULL,
+  `range_end` INT NULL,
+  FOREIGN KEY (`zone_id`) REFERENCES `shipping_zones`(`id`) ON DELETE CASCADE,
+  INDEX `idx_zone_pincodes_prefix` (`pincode_prefix`)
+) ENGINE=InnoDB;
+
+-- Table storing each zone's rate card by weight slab
+CREATE TABLE IF NOT EXISTS `shipping_rates` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `zone_id` INT NOT NULL,
+  `min_weight_grams` INT NOT NULL DEFAULT 0,
+  `max_weight_grams` INT NULL, -- NULL = no upper limit
+  `rate` DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (`zone_id`) REFERENCES `shipping_zones`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table for storing coupon codes and promotions
+CREATE TABLE IF NOT EXISTS `coupons` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `code` VARCHAR(50) NOT NULL UNIQUE, -- Stored upper-case
+  `description` VARCHAR(255) NULL,
+  `discount_type` ENUM('percentage', 'flat', 'free_shipping') NOT NULL,
+  `discount_value` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- Percent for 'percentage', rupees for 'flat'
+  `max_discount_amount` DECIMAL(10, 2) NULL, -- Cap for percentage discounts
+  `min_cart_value` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `starts_at` DATETIME NULL,
+  `ends_at` DATETIME NULL,
+  `usage_limit` INT NULL, -- Total redemptions allowed across all users; NULL = unlimited
+  `per_user_limit` INT NULL, -- Redemptions allowed per user; NULL = unlimited
+  `times_used` INT NOT NULL DEFAULT 0,
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- Tables restricting a coupon to specific products and/or categories (no rows = the whole cart)
+CREATE TABLE IF NOT EXISTS `coupon_products` (
+  `coupon_id` INT NOT NULL,
+  `product_id` INT NOT NULL,
+  PRIMARY KEY (`coupon_id`, `product_id`),
+  FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS `coupon_categories` (
+  `coupon_id` INT NOT NULL,
+  `category` VARCHAR(100) NOT NULL,
+  PRIMARY KEY (`coupon_id`, `category`),
+  FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
 -- Table for storing order headers
 CREATE TABLE IF NOT EXISTS `orders` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NOT NULL,
-  `total_amount` DECIMAL(10, 2) NOT NULL,
+  `subtotal_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- Sum of the order lines at the time of purchase
+  `discount_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `shipping_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `tax_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- cgst_amount + sgst_amount + igst_amount
+  `cgst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `sgst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `igst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `total_amount` DECIMAL(10, 2) NOT NULL, -- Amount charged: subtotal - discount + shipping + tax
+  `coupon_id` INT NULL,
+  `coupon_code` VARCHAR(50) NULL, -- Kept even if the coupon is later deleted
+  `place_of_supply` VARCHAR(100) NULL, -- The state the order ships to (decides CGST/SGST vs IGST)
   `shipping_address` JSON NOT NULL,
-  `status` VARCHAR(50) NOT NULL DEFAULT 'pending', -- e.g., pending, processing, shipped, delivered, cancelled
+  `status` ENUM('pending', 'payment_failed', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending', -- See services/orderStatusService.js for the allowed transitions
+  `refunded_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- Running total of refunds issued against this order
+  `cancellation_reason` VARCHAR(500) NULL,
+  `cancelled_at` TIMESTAMP NULL,
   `order_date` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE SET NULL,
+  INDEX `idx_orders_date_status` (`order_date`, `status`), -- Admin analytics scan orders by date range
+  INDEX `idx_orders_user_date` (`user_id`, `order_date`)
 ) ENGINE=InnoDB;
 
 -- Table for storing individual items within an order
@@ -56,12 +265,223 @@ CREATE TABLE IF NOT EXISTS `order_items` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `order_id` INT NOT NULL,
   `product_id` INT NOT NULL,
+  `variant_id` INT NULL,
+  `variant_sku` VARCHAR(64) NULL, -- The variant's SKU and options at the time of purchase
+  `variant_label` VARCHAR(120) NULL,
   `quantity` INT NOT NULL,
   `price` DECIMAL(10, 2) NOT NULL, -- Price of the item at the time of purchase
+  `discount_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- This line's share of the order discount
+  `taxable_value` DECIMAL(10, 2) NOT NULL DEFAULT 0.00, -- price * quantity - discount_amount
+  `hsn_code` VARCHAR(8) NULL,
+  `gst_rate` DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+  `cgst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `sgst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  `igst_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
   FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE SET NULL,
   FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE -- Or ON DELETE SET NULL if you want to keep order history even if a product is deleted
 ) ENGINE=InnoDB;
 
+-- Table for holding stock for a customer between the start of checkout and the order being placed
+CREATE TABLE IF NOT EXISTS `stock_reservations` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `product_id` INT NOT NULL,
+  `variant_id` INT NULL, -- Set for products sold by variant; the variant's stock is held
+  `quantity` INT NOT NULL,
+  `status` ENUM('active', 'converted', 'released', 'expired') NOT NULL DEFAULT 'active', -- 'converted' once the order is placed and its stock deducted
+  `order_id` INT NULL, -- The order the reservation was converted into
+  `expires_at` TIMESTAMP NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `released_at` TIMESTAMP NULL, -- When an active reservation was released or expired
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  INDEX `idx_stock_reservations_active` (`status`, `product_id`, `expires_at`),
+  INDEX `idx_stock_reservations_user` (`user_id`, `status`)
+) ENGINE=InnoDB;
+
+-- Append-only ledger of every change to a product's (or variant's) stock
+CREATE TABLE IF NOT EXISTS `stock_movements` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `variant_id` INT NULL, -- Set when the variant's stock changed
+  `movement_type` ENUM('sale', 'cancellation', 'return', 'adjustment', 'restock') NOT NULL,
+  `quantity_change` INT NOT NULL, -- Negative when stock went down
+  `quantity_after` INT NOT NULL, -- The stock level after the change
+  `order_id` INT NULL, -- The order behind a sale, cancellation or return
+  `user_id` INT NULL, -- Who made the change; NULL for system changes (e.g., the reservation sweeper)
+  `reason` VARCHAR(500) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_stock_movements_product` (`product_id`, `created_at`)
+) ENGINE=InnoDB;
+
+-- Table for the low-stock notifications raised when a product's (or variant's) stock falls to its threshold
+CREATE TABLE IF NOT EXISTS `low_stock_alerts` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `variant_id` INT NULL,
+  `stock_quantity` INT NOT NULL, -- The stock level that raised the alert
+  `threshold` INT NOT NULL,
+  `acknowledged_by` INT NULL,
+  `acknowledged_at` TIMESTAMP NULL, -- NULL while the alert is open
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`acknowledged_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_low_stock_alerts_open` (`acknowledged_at`, `created_at`)
+) ENGINE=InnoDB;
+
+-- Table for recording each use of a coupon (per-user limits are counted from here)
+CREATE TABLE IF NOT EXISTS `coupon_redemptions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `coupon_id` INT NOT NULL,
+  `user_id` INT NOT NULL,
+  `order_id` INT NOT NULL,
+  `discount_amount` DECIMAL(10, 2) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  INDEX `idx_coupon_redemptions_user` (`coupon_id`, `user_id`)
+) ENGINE=InnoDB;
+
+-- Table for recording every change to an order's status (the order timeline)
+CREATE TABLE IF NOT EXISTS `order_status_history` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `from_status` VARCHAR(50) NULL, -- NULL for the entry written when the order is placed
+  `to_status` VARCHAR(50) NOT NULL,
+  `changed_by` INT NULL, -- NULL for system changes (e.g., payment webhooks)
+  `note` VARCHAR(500) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`changed_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_order_status_history_order` (`order_id`)
+) ENGINE=InnoDB;
+
+-- Table for storing payment attempts made against an order through a payment provider
+CREATE TABLE IF NOT EXISTS `payments` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `provider` VARCHAR(50) NOT NULL, -- e.g., mock, razorpay
+  `provider_intent_id` VARCHAR(255) NOT NULL, -- The provider's order/intent ID
+  `provider_payment_id` VARCHAR(255) NULL, -- The provider's ID for the completed payment attempt
+  `amount` INT NOT NULL, -- In paise
+  `currency` CHAR(3) NOT NULL DEFAULT 'INR',
+  `status` ENUM('created', 'paid', 'failed', 'refund_required') NOT NULL DEFAULT 'created', -- refund_required: captured for an order that could no longer be paid
+  `failure_reason` VARCHAR(500) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `provider_intent_unique` (`provider`, `provider_intent_id`)
+) ENGINE=InnoDB;
+
+-- Table for storing the last invoice number issued in each financial year
+CREATE TABLE IF NOT EXISTS `invoice_sequences` (
+  `financial_year` VARCHAR(7) PRIMARY KEY, -- e.g., 2026-27
+  `last_number` INT NOT NULL DEFAULT 0
+) ENGINE=InnoDB;
+
+-- Table for storing the GST invoice issued for an order
+CREATE TABLE IF NOT EXISTS `invoices` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL UNIQUE,
+  `invoice_number` VARCHAR(50) NOT NULL UNIQUE, -- e.g., TLS/2026-27/000042
+  `financial_year` VARCHAR(7) NOT NULL,
+  `issued_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table for storing customer return requests (RMAs)
+CREATE TABLE IF NOT EXISTS `return_requests` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `user_id` INT NOT NULL,
+  `status` ENUM('requested', 'approved', 'rejected', 'received', 'refunded') NOT NULL DEFAULT 'requested',
+  `reason` VARCHAR(500) NOT NULL,
+  `admin_note` VARCHAR(500) NULL,
+  `resolved_by` INT NULL, -- The admin who last acted on the request
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`resolved_by`) REFERENCES `users`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Table for storing the order lines (and quantities) included in a return request
+CREATE TABLE IF NOT EXISTS `return_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `return_id` INT NOT NULL,
+  `order_item_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  `restocked_quantity` INT NOT NULL DEFAULT 0,
+  `refunded_quantity` INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (`return_id`) REFERENCES `return_requests`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_item_id`) REFERENCES `order_items`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table for storing refunds issued against an order
+CREATE TABLE IF NOT EXISTS `refunds` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `order_id` INT NOT NULL,
+  `return_id` INT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `note` VARCHAR(500) NULL,
+  `created_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`order_id`) REFERENCES `orders`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`return_id`) REFERENCES `return_requests`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Table for storing the per-line breakdown of a refund
+CREATE TABLE IF NOT EXISTS `refund_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `refund_id` INT NOT NULL,
+  `order_item_id` INT NOT NULL,
+  `quantity` INT NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  FOREIGN KEY (`refund_id`) REFERENCES `refunds`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`order_item_id`) REFERENCES `order_items`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table for storing Idempotency-Key headers and the response first produced for each key
+CREATE TABLE IF NOT EXISTS `idempotency_keys` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `idempotency_key` VARCHAR(255) NOT NULL,
+  `scope` VARCHAR(50) NOT NULL, -- The operation the key was used for, e.g. create-order
+  `request_fingerprint` CHAR(64) NOT NULL, -- SHA-256 of the request, to reject a key reused for a different request
+  `status` ENUM('in_progress', 'completed') NOT NULL DEFAULT 'in_progress',
+  `response_status` SMALLINT NULL,
+  `response_body` JSON NULL,
+  `heartbeat_at` TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6), -- Refreshed while the request holding the key is still running
+  `created_at` TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6),
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `user_key_scope_unique` (`user_id`, `idempotency_key`, `scope`)
+) ENGINE=InnoDB;
+
+-- Table for storing the products users have saved for later
+CREATE TABLE IF NOT EXISTS `wishlist_items` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `product_id` INT NOT NULL,
+  `variant_id` INT NULL,
+  `variant_key` INT AS (COALESCE(`variant_id`, 0)) VIRTUAL, -- variant_id with NULL as 0, because a unique key treats NULLs as distinct
+  `saved_price` DECIMAL(10, 2) NOT NULL, -- The price when the item was saved, to flag later price drops
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `user_product_variant_key_unique` (`user_id`, `product_id`, `variant_key`)
+) ENGINE=InnoDB;
+
 -- Table for storing user shipping addresses
 CREATE TABLE IF NOT EXISTS `user_addresses` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -77,3 +497,43 @@ CREATE TABLE IF NOT EXISTS `user_addresses` (
   FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
+-- Table for product reviews. Each customer can review a product once.
+CREATE TABLE IF NOT EXISTS `product_reviews` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `product_id` INT NOT NULL,
+  `user_id` INT NOT NULL,
+  `rating` TINYINT NOT NULL, -- 1 to 5 stars
+  `title` VARCHAR(150) NULL,
+  `body` TEXT NULL,
+  `is_verified_purchase` BOOLEAN NOT NULL DEFAULT FALSE, -- The reviewer received the product in a delivered order
+  `status` ENUM('pending', 'approved', 'hidden') NOT NULL DEFAULT 'approved',
+  `helpful_count` INT NOT NULL DEFAULT 0,
+  `moderated_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`product_id`) REFERENCES `products`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`moderated_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  UNIQUE KEY `product_user_unique` (`product_id`, `user_id`),
+  INDEX `idx_product_reviews_status` (`product_id`, `status`),
+  CHECK (`rating` BETWEEN 1 AND 5)
+) ENGINE=InnoDB;
+
+-- Table for the photos attached to a review
+CREATE TABLE IF NOT EXISTS `review_photos` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `review_id` INT NOT NULL,
+  `image_url` VARCHAR(255) NOT NULL, -- Cloudinary URL
+  `public_id` VARCHAR(255) NULL, -- Cloudinary public_id, used to delete the image
+  FOREIGN KEY (`review_id`) REFERENCES `product_reviews`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Table recording which users found a review helpful (one vote per user per review)
+CREATE TABLE IF NOT EXISTS `review_votes` (
+  `review_id` INT NOT NULL,
+  `user_id` INT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`review_id`, `user_id`),
+  FOREIGN KEY (`review_id`) REFERENCES `product_reviews`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,87 @@
+// backend/scripts/migrateCategories.js
+//
+// Maps the free-text values of products.category onto rows of the categories table.
+// Spellings that only differ in case, spacing or punctuation ("Handloom", "handloom", "Hand loom")
+// become one category, named after the spelling used by the most products. Values matching an
+// existing category are filed under it. Safe to run more than once: mapped products are skipped.
+//
+// Usage: npm run migrate:categories [-- --dry-run]
+
+const db = require('../db');
+const categoryModel = require('../models/categoryModel');
+const categoryService = require('../services/categoryService');
+const withTransaction = require('../utils/withTransaction');
+
+/**
+ * Groups the unmapped free-text values by their comparison key.
+ * @param {Array<{category: string, product_count: number}>} rows - The values, most used first.
+ * @returns {Array<{name: string, values: Array<string>, productCount: number}>} One group per category to map.
+ */
+const groupValues = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = categoryService.categoryKey(row.category);
+    if (!key) {
+      return;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { name: row.category.trim(), values: [], productCount: 0 });
+    }
+    const group = groups.get(key);
+    group.values.push(row.category);
+    group.productCount += row.product_count;
+  });
+  return Array.from(groups.values());
+};
+
+const migrateCategories = async ({ dryRun }) => {
+  const [rows] = await db.query(`
+    SELECT category, COUNT(*) AS product_count
+    FROM products
+    WHERE category_id IS NULL AND category IS NOT NULL
+    GROUP BY category
+    ORDER BY product_count DESC, category ASC
+  `);
+  const groups = groupValues(rows);
+  if (groups.length === 0) {
+    console.log('Every product is already filed under a category.');
+    return;
+  }
+
+  await withTransaction(async connection => {
+    const categories = await categoryModel.getAllCategories(connection);
+    const takenSlugs = new Set(categories.map(category => category.slug));
+
+    for (const group of groups) {
+      // 1. Reuse a matching category, or create one
+      let category = categoryService.findCategory(categories, group.name);
+      let action = 'existing';
+      if (!category) {
+        const slug = categoryService.uniqueSlug(categoryService.slugify(group.name), takenSlugs);
+        category = { id: null, name: group.name, slug, parent_id: null };
+        if (!dryRun) {
+          category.id = await categoryModel.createCategory({ ...category, description: null }, connection);
+        }
+        categories.push(category);
+        takenSlugs.add(slug);
+        action = 'new';
+      }
+
+      // 2. File the products under it
+      if (!dryRun) {
+        await categoryModel.assignProducts(category.id, category.name, group.values, connection);
+      }
+      console.log(`${JSON.stringify(group.values)} -> "${category.name}" (${action}, slug "${category.slug}"): ${group.productCount} product(s)`);
+    }
+  });
+
+  console.log(dryRun ? 'Dry run: nothing was changed.' : `Mapped ${groups.length} category name(s).`);
+};
+
+migrateCategories({ dryRun: process.argv.includes('--dry-run') })
+  .then(() => db.end())
+  .catch(async error => {
+    console.error('Category migration failed:', error);
+    await db.end();
+    process.exitCode = 1;
+  });
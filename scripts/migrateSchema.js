@@ -0,0 +1,250 @@
+// backend/scripts/migrateSchema.js
+//
+// Brings a database created from an older schema.sql up to date. schema.sql only uses
+// CREATE TABLE IF NOT EXISTS, so re-running it adds new tables but leaves the columns, keys and
+// ENUM values added to existing tables since then missing. Each step below checks
+// information_schema first and is skipped if it is already in place, so the script is safe to
+// run more than once and on databases created from the current schema.sql.
+//
+// Run schema.sql first (for the new tables), then this script.
+//
+// Usage: npm run migrate:schema [-- --dry-run]
+
+const db = require('../db');
+
+/**
+ * A column added to an existing table. `backfill` (optional) runs once, right after the column is added.
+ * Any step may also have `before`: statements that run first, only when the step is applied.
+ */
+const column = (table, name, definition, backfill) => ({ kind: 'column', table, name, definition, backfill });
+
+/**
+ * A column whose type changed (e.g. new ENUM values). Applied when the current type differs.
+ */
+const modify = (table, name, definition) => ({ kind: 'modify', table, name, definition });
+
+/**
+ * An index (or unique or fulltext key) added to an existing table.
+ */
+const index = (table, name, definition) => ({ kind: 'index', table, name, definition });
+
+/**
+ * An index replaced by another one (added before this step), dropped if it is still there.
+ */
+const dropIndex = (table, name) => ({ kind: 'dropIndex', table, name });
+
+/**
+ * A foreign key added on an existing column.
+ */
+const foreignKey = (table, name, definition) => ({ kind: 'foreignKey', table, name, definition });
+
+// Every change to a table that existed before it, in the order the changes were made.
+const STEPS = [
+  // Order totals and status lifecycle
+  column('orders', 'subtotal_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00',
+    'UPDATE orders SET subtotal_amount = total_amount'),
+  column('orders', 'discount_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('orders', 'shipping_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('orders', 'tax_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  modify('orders', 'status', "ENUM('pending', 'payment_failed', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded') NOT NULL DEFAULT 'pending'"),
+  column('orders', 'cancellation_reason', 'VARCHAR(500) NULL'),
+  column('orders', 'cancelled_at', 'TIMESTAMP NULL'),
+  column('orders', 'refunded_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+
+  // Coupons
+  column('orders', 'coupon_id', 'INT NULL'),
+  column('orders', 'coupon_code', 'VARCHAR(50) NULL'),
+  foreignKey('orders', 'coupon_id', 'FOREIGN KEY (`coupon_id`) REFERENCES `coupons`(`id`) ON DELETE SET NULL'),
+
+  // GST
+  column('products', 'hsn_code', 'VARCHAR(8) NULL'),
+  column('products', 'gst_rate', 'DECIMAL(5, 2) NULL'),
+  column('orders', 'cgst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('orders', 'sgst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('orders', 'igst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('orders', 'place_of_supply', 'VARCHAR(100) NULL'),
+  column('order_items', 'discount_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('order_items', 'taxable_value', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00',
+    'UPDATE order_items SET taxable_value = price * quantity'),
+  column('order_items', 'hsn_code', 'VARCHAR(8) NULL'),
+  column('order_items', 'gst_rate', 'DECIMAL(5, 2) NOT NULL DEFAULT 0.00'),
+  column('order_items', 'cgst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('order_items', 'sgst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+  column('order_items', 'igst_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00'),
+
+  // Shipping
+  column('products', 'weight_grams', 'INT NULL'),
+
+  // Catalog search
+  index('products', 'idx_products_category', 'INDEX `idx_products_category` (`category`)'),
+  index('products', 'idx_products_price', 'INDEX `idx_products_price` (`price`)'),
+  index('products', 'idx_products_created_at', 'INDEX `idx_products_created_at` (`created_at`)'),
+  index('products', 'ft_products_name_description', 'FULLTEXT INDEX `ft_products_name_description` (`name`, `description`)'),
+
+  // Product variants
+  column('cart_items', 'variant_id', 'INT NULL'),
+  foreignKey('cart_items', 'variant_id', 'FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE CASCADE'),
+  column('cart_items', 'variant_key', 'INT AS (COALESCE(`variant_id`, 0)) VIRTUAL'),
+  {
+    ...index('cart_items', 'user_product_variant_key_unique', 'UNIQUE KEY `user_product_variant_key_unique` (`user_id`, `product_id`, `variant_key`)'),
+    // Merge any duplicate lines into the oldest one first, or the unique key can't be added.
+    before: [
+      `UPDATE cart_items c
+       JOIN (
+         SELECT MIN(id) AS keep_id, SUM(quantity) AS total
+         FROM cart_items
+         GROUP BY user_id, product_id, COALESCE(variant_id, 0)
+         HAVING COUNT(*) > 1
+       ) d ON c.id = d.keep_id
+       SET c.quantity = d.total`,
+      `DELETE c FROM cart_items c
+       JOIN cart_items k ON k.user_id = c.user_id AND k.product_id = c.product_id AND k.variant_id <=> c.variant_id AND k.id < c.id`,
+    ],
+  },
+  dropIndex('cart_items', 'user_product_unique'),
+  dropIndex('cart_items', 'user_product_variant_unique'),
+  column('order_items', 'variant_id', 'INT NULL'),
+  column('order_items', 'variant_sku', 'VARCHAR(64) NULL'),
+  column('order_items', 'variant_label', 'VARCHAR(120) NULL'),
+  foreignKey('order_items', 'variant_id', 'FOREIGN KEY (`variant_id`) REFERENCES `product_variants`(`id`) ON DELETE SET NULL'),
+
+  // Categories (then run npm run migrate:categories to file the products under them)
+  column('products', 'category_id', 'INT NULL'),
+  foreignKey('products', 'category_id', 'FOREIGN KEY (`category_id`) REFERENCES `categories`(`id`) ON DELETE RESTRICT'),
+
+  // Reviews
+  column('products', 'rating_average', 'DECIMAL(3, 2) NOT NULL DEFAULT 0.00'),
+  column('products', 'rating_count', 'INT NOT NULL DEFAULT 0'),
+
+  // Wishlist
+  column('wishlist_items', 'variant_key', 'INT AS (COALESCE(`variant_id`, 0)) VIRTUAL'),
+  {
+    ...index('wishlist_items', 'user_product_variant_key_unique', 'UNIQUE KEY `user_product_variant_key_unique` (`user_id`, `product_id`, `variant_key`)'),
+    // Keep the oldest of any duplicate items (and so its saved price), or the unique key can't be added.
+    before: [
+      `DELETE w FROM wishlist_items w
+       JOIN wishlist_items k ON k.user_id = w.user_id AND k.product_id = w.product_id AND k.variant_id <=> w.variant_id AND k.id < w.id`,
+    ],
+  },
+  dropIndex('wishlist_items', 'user_product_variant_unique'),
+
+  // Inventory
+  column('products', 'low_stock_threshold', 'INT NULL'),
+
+  // Catalog import
+  column('products', 'sku', 'VARCHAR(64) NULL UNIQUE'),
+
+  // Admin analytics
+  index('orders', 'idx_orders_date_status', 'INDEX `idx_orders_date_status` (`order_date`, `status`)'),
+  index('orders', 'idx_orders_user_date', 'INDEX `idx_orders_user_date` (`user_id`, `order_date`)'),
+
+  // Account management, email verification and two-factor authentication
+  column('users', 'disabled_at', 'TIMESTAMP NULL'),
+  column('users', 'password_reset_required', 'BOOLEAN NOT NULL DEFAULT FALSE'),
+  column('users', 'email_verified_at', 'TIMESTAMP NULL'),
+  modify('account_tokens', 'purpose', "ENUM('password_reset', 'email_verification') NOT NULL"),
+  column('users', 'two_factor_secret', 'VARCHAR(255) NULL'),
+  column('users', 'two_factor_pending_secret', 'VARCHAR(255) NULL'),
+  column('users', 'two_factor_enabled_at', 'TIMESTAMP NULL'),
+  column('users', 'two_factor_last_step', 'BIGINT NULL'),
+  modify('auth_sessions', 'revoked_reason', "ENUM('logout', 'password_change', 'token_reuse', 'account_disabled', 'two_factor_reset', 'two_factor_enabled') NULL"),
+  column('auth_sessions', 'two_factor_verified', 'BOOLEAN NOT NULL DEFAULT FALSE'),
+
+  // Payments captured for orders that could no longer be paid
+  modify('payments', 'status', "ENUM('created', 'paid', 'failed', 'refund_required') NOT NULL DEFAULT 'created'"),
+
+  // Idempotency keys held by a running request
+  column('idempotency_keys', 'heartbeat_at', 'TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP(6)'),
+];
+
+/**
+ * The column type a definition declares, in the form information_schema reports it
+ * (e.g. "ENUM('a', 'b') NOT NULL" -> "enum('a','b')").
+ * @param {string} definition - The column definition.
+ * @returns {string} The column type.
+ */
+const declaredType = (definition) => definition
+  .replace(/\s+(NOT\s+)?NULL\b.*$/i, '')
+  .replace(/,\s+/g, ',')
+  .toLowerCase();
+
+/**
+ * Checks whether a step is already in place.
+ * @param {object} step - The step.
+ * @returns {Promise<boolean>}
+ */
+const isApplied = async (step) => {
+  if (step.kind === 'column' || step.kind === 'modify') {
+    const [rows] = await db.query(
+      'SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+      [step.table, step.name]
+    );
+    if (step.kind === 'column') {
+      return rows.length > 0;
+    }
+    return rows.length > 0 && rows[0].COLUMN_TYPE.toLowerCase() === declaredType(step.definition);
+  }
+  if (step.kind === 'index' || step.kind === 'dropIndex') {
+    const [rows] = await db.query(
+      'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+      [step.table, step.name]
+    );
+    return step.kind === 'index' ? rows.length > 0 : rows.length === 0;
+  }
+  // A foreign key is identified by the column it is on.
+  const [rows] = await db.query(
+    `SELECT 1 FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL LIMIT 1`,
+    [step.table, step.name]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * The ALTER TABLE statement for a step.
+ * @param {object} step - The step.
+ * @returns {string} The SQL.
+ */
+const alterStatement = (step) => {
+  switch (step.kind) {
+    case 'column':
+      return `ALTER TABLE \`${step.table}\` ADD COLUMN \`${step.name}\` ${step.definition}`;
+    case 'modify':
+      return `ALTER TABLE \`${step.table}\` MODIFY COLUMN \`${step.name}\` ${step.definition}`;
+    case 'dropIndex':
+      return `ALTER TABLE \`${step.table}\` DROP INDEX \`${step.name}\``;
+    default:
+      return `ALTER TABLE \`${step.table}\` ADD ${step.definition}`;
+  }
+};
+
+const migrateSchema = async ({ dryRun }) => {
+  let applied = 0;
+  for (const step of STEPS) {
+    if (await isApplied(step)) {
+      continue;
+    }
+    const statements = [...(step.before || []), alterStatement(step), step.backfill].filter(Boolean);
+    for (const sql of statements) {
+      console.log(`${sql};`);
+      if (!dryRun) {
+        await db.query(sql);
+      }
+    }
+    applied += 1;
+  }
+
+  if (applied === 0) {
+    console.log('The database schema is already up to date.');
+    return;
+  }
+  console.log(dryRun ? `Dry run: ${applied} change(s) pending, nothing was changed.` : `Applied ${applied} change(s).`);
+};
+
+migrateSchema({ dryRun: process.argv.includes('--dry-run') })
+  .then(() => db.end())
+  .catch(async error => {
+    console.error('Schema migration failed:', error);
+    await db.end();
+    process.exitCode = 1;
+  });
@@ -11,10 +11,40 @@ const authRoutes = require('./routes/auth');
 const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cartRoutes');
 const userRoutes = require('./routes/userRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { startReservationSweeper } = require('./services/reservationService');
+const { assertPaymentConfig } = require('./services/paymentService');
+const { getMailTransport } = require('./services/mailService');
+
+// --- Check Required Configuration ---
+// Refuse to start rather than run with a guessable payment setup, or without a way to deliver emails.
+try {
+  assertPaymentConfig();
+  getMailTransport();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY tells Express which X-Forwarded-For entries to believe,
+// so that req.ip (and with it the per-IP rate limits) is the client's address rather than the proxy's.
+// It takes a number of proxy hops, "true", or addresses/subnets (e.g. "loopback, 10.0.0.0/8"); unset, no proxy is trusted.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // --- Middleware ---
 
 // Enable CORS for your frontend application.
@@ -24,7 +54,12 @@ app.use(cors({
 }));
 
 // Parse JSON bodies for incoming requests. This is crucial for POST and PUT requests.
-app.use(express.json());
+// The raw bytes are kept as well, because payment webhook signatures are computed over the exact body.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve static files from the 'uploads' directory if it exists.
 // This is useful for temporarily serving images uploaded via multer before they are sent to Cloudinary.
@@ -38,6 +73,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/admin', adminRoutes);
 
 
 // --- Basic Root Route for Health Check ---
@@ -59,4 +103,6 @@ app.use((err, req, res, next) => {
 // --- Start the Server ---
 app.listen(PORT, () => {
   console.log(`Server is listening on port ${PORT}`);
+  // Release expired checkout reservations and the stock of abandoned unpaid orders in the background
+  startReservationSweeper();
 });
@@ -0,0 +1,194 @@
+// backend/services/analyticsService.js
+
+const analyticsModel = require('../models/analyticsModel');
+const { roundMoney } = require('../utils/money');
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The date range used when none is given, ending today.
+const DEFAULT_RANGE_DAYS = 30;
+
+// The longest range that can be reported on, and the longest that can be broken down by day.
+const MAX_RANGE_DAYS = 3 * 366;
+const MAX_DAILY_RANGE_DAYS = 366;
+
+// How many products or categories the top lists return by default, and at most.
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 100;
+
+const RANK_BY = ['revenue', 'units'];
+
+/**
+ * Formats a UTC date as 'YYYY-MM-DD'.
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Parses a 'YYYY-MM-DD' date as midnight UTC, or returns null if it isn't a real date.
+ */
+const parseDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && formatDate(date) === value ? date : null;
+};
+
+/**
+ * Today's date on the server's clock, as midnight UTC.
+ */
+const today = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+/**
+ * Reads the date range of an analytics request. `from` and `to` are inclusive 'YYYY-MM-DD' dates;
+ * without them the range is the last 30 days.
+ * @param {object} query - The request query string.
+ * @returns {{from: string, to: string, toExclusive: string, days: number}} The range, plus the day after it for queries.
+ */
+const parseDateRange = (query) => {
+  const to = query.to ? parseDate(query.to) : today();
+  if (!to) {
+    throw httpError(400, "'to' must be a date in the form YYYY-MM-DD.");
+  }
+  const from = query.from ? parseDate(query.from) : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (!from) {
+    throw httpError(400, "'from' must be a date in the form YYYY-MM-DD.");
+  }
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days < 1) {
+    throw httpError(400, "'from' cannot be after 'to'.");
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw httpError(400, `The date range cannot be longer than ${MAX_RANGE_DAYS} days.`);
+  }
+  return { from: formatDate(from), to: formatDate(to), toExclusive: formatDate(new Date(to.getTime() + DAY_MS)), days };
+};
+
+/**
+ * Reads the `by` (ranking) and `limit` parameters of the top products and categories.
+ * @param {object} query - The request query string.
+ * @returns {{rankBy: string, limit: number}}
+ */
+const parseTopQuery = (query) => {
+  const rankBy = query.by || 'revenue';
+  const limit = query.limit === undefined ? DEFAULT_TOP_LIMIT : Number(query.limit);
+  if (!RANK_BY.includes(rankBy)) {
+    throw httpError(400, `'by' must be one of: ${RANK_BY.join(', ')}.`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_LIMIT) {
+    throw httpError(400, `Limit must be a whole number between 1 and ${MAX_TOP_LIMIT}.`);
+  }
+  return { rankBy, limit };
+};
+
+/**
+ * Lists the first day of every period that overlaps a date range, so that periods without orders
+ * still appear (with zeros) in a sales series.
+ * @param {{from: string, toExclusive: string}} range - The date range.
+ * @param {string} interval - 'day', 'week' (starting on Monday) or 'month'.
+ * @returns {Array<string>} The periods, as 'YYYY-MM-DD'.
+ */
+const listPeriods = ({ from, toExclusive }, interval) => {
+  const start = parseDate(from);
+  const end = parseDate(toExclusive);
+  let current;
+  if (interval === 'week') {
+    current = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+  } else if (interval === 'month') {
+    current = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  } else {
+    current = start;
+  }
+
+  const periods = [];
+  while (current < end) {
+    periods.push(formatDate(current));
+    current = interval === 'month'
+      ? new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1))
+      : new Date(current.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+  }
+  return periods;
+};
+
+/**
+ * Works out the revenue figures of a number of orders.
+ * @param {number} orders - The number of orders.
+ * @param {number} revenue - Their total amount charged.
+ * @param {number} refunded - The amount refunded against them.
+ */
+const salesFigures = (orders, revenue, refunded) => ({
+  orders,
+  revenue: roundMoney(revenue),
+  refunded: roundMoney(refunded),
+  net_revenue: roundMoney(revenue - refunded),
+  average_order_value: orders === 0 ? 0 : roundMoney(revenue / orders),
+});
+
+/**
+ * Builds the sales report: revenue, order count and average order value for each day, week or month
+ * of a date range, and for the whole range. Only paid orders count; refunds are shown separately.
+ * @param {object} range - The result of parseDateRange.
+ * @param {string} interval - 'day', 'week' or 'month'.
+ * @returns {Promise<object>} `{ from, to, interval, totals, series }`.
+ */
+const getSalesReport = async (range, interval) => {
+  if (!Object.prototype.hasOwnProperty.call(analyticsModel.PERIOD_EXPRESSIONS, interval)) {
+    throw httpError(400, `Interval must be one of: ${Object.keys(analyticsModel.PERIOD_EXPRESSIONS).join(', ')}.`);
+  }
+  if (interval === 'day' && range.days > MAX_DAILY_RANGE_DAYS) {
+    throw httpError(400, `A daily breakdown cannot cover more than ${MAX_DAILY_RANGE_DAYS} days; use interval=week or interval=month.`);
+  }
+
+  const rows = await analyticsModel.getSalesByPeriod({ from: range.from, to: range.toExclusive, interval });
+  const rowsByPeriod = new Map(rows.map(row => [row.period, row]));
+  const series = listPeriods(range, interval).map(period => {
+    const row = rowsByPeriod.get(period);
+    return {
+      period,
+      ...(row ? salesFigures(row.orders, parseFloat(row.revenue), parseFloat(row.refunded)) : salesFigures(0, 0, 0)),
+    };
+  });
+
+  const totals = salesFigures(
+    rows.reduce((sum, row) => sum + row.orders, 0),
+    rows.reduce((sum, row) => sum + parseFloat(row.revenue), 0),
+    rows.reduce((sum, row) => sum + parseFloat(row.refunded), 0)
+  );
+  return { from: range.from, to: range.to, interval, totals, series };
+};
+
+/**
+ * Divides two counts, giving 0 when there is nothing to divide by. Rates are fractions (0.05 is 5%).
+ */
+const rate = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 10000) / 10000);
+
+/**
+ * Builds the cancellation and return rates of the orders placed in a date range.
+ * @param {object} range - The result of parseDateRange.
+ * @returns {Promise<object>} The counts behind each rate and the rates themselves.
+ */
+const getOrderRates = async (range) => {
+  const outcomes = await analyticsModel.getOrderOutcomes({ from: range.from, to: range.toExclusive });
+  const counts = Object.fromEntries(Object.entries(outcomes).map(([key, value]) => [key, parseInt(value, 10)]));
+  return {
+    from: range.from,
+    to: range.to,
+    ...counts,
+    cancellation_rate: rate(counts.cancelled_orders, counts.placed_orders),
+    return_rate: rate(counts.returned_orders, counts.revenue_orders),
+    unit_return_rate: rate(counts.units_returned, counts.units_sold),
+  };
+};
+
+module.exports = {
+  parseDateRange,
+  parseTopQuery,
+  listPeriods,
+  getSalesReport,
+  getOrderRates,
+};
@@ -0,0 +1,123 @@
+// backend/services/authTokenService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sessionModel = require('../models/sessionModel');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+/**
+ * Reads the token lifetimes from the environment.
+ * @returns {{accessTokenExpiresIn: string, refreshTokenTtlDays: number}}
+ */
+const getTokenSettings = () => ({
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+});
+
+/**
+ * Hashes a refresh token for storage. Tokens are random, so a plain SHA-256 is enough.
+ * @param {string} token - The refresh token.
+ * @returns {string} The hex-encoded hash.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Generates a short-lived access token (JWT) for a user's session.
+ * @param {object} user - The user: `{ id, username, email, role }`.
+ * @param {number} sessionId - The ID of the session the token belongs to.
+ * @returns {string} The access token.
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: getTokenSettings().accessTokenExpiresIn }
+);
+
+/**
+ * Issues an access token and a new refresh token for a session.
+ * @param {object} user - The user: `{ id, username, email, role }`.
+ * @param {number} sessionId - The ID of the session.
+ * @param {object} [connection] - Optional database connection (for use inside a transaction).
+ * @returns {Promise<{token: string, refreshToken: string}>} The tokens to send to the client.
+ */
+const issueTokens = async (user, sessionId, connection) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await sessionModel.addRefreshToken(sessionId, hashToken(refreshToken), getTokenSettings().refreshTokenTtlDays, connection);
+  return { token: signAccessToken(user, sessionId), refreshToken };
+};
+
+/**
+ * Starts a session for a user who has just signed up or logged in.
+ * @param {object} user - The user: `{ id, username, email, role }`.
+ * @param {object} req - The request, for the client's User-Agent and IP address.
+ * @param {object} [connection] - Optional database connection (for use inside a transaction).
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified] - Whether the user completed two-factor authentication.
+ * @returns {Promise<{token: string, refreshToken: string}>} The tokens to send to the client.
+ */
+const startSession = async (user, req, connection, { twoFactorVerified = false } = {}) => {
+  const sessionId = await sessionModel.createSession(
+    { userId: user.id, userAgent: req.get('user-agent'), ipAddress: req.ip, twoFactorVerified },
+    connection
+  );
+  return issueTokens(user, sessionId, connection);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token. The old refresh token stops working.
+ * If a refresh token that has already been exchanged is presented again, someone has a copy of it,
+ * so the whole session is revoked and everyone holding its tokens must log in again.
+ * @param {string} refreshToken - The refresh token sent by the client.
+ * @returns {Promise<{token: string, refreshToken: string}>} The new tokens.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const result = await withTransaction(async connection => {
+    const stored = await sessionModel.getRefreshTokenForUpdate(hashToken(refreshToken), connection);
+    if (!stored) {
+      throw httpError(401, 'Invalid refresh token.');
+    }
+    if (stored.used_at) {
+      await sessionModel.revokeSession(stored.session_id, 'token_reuse', connection);
+      return { reused: stored };
+    }
+    if (stored.session_revoked_at || stored.is_expired) {
+      throw httpError(401, 'Your session has expired. Please log in again.');
+    }
+    if (stored.disabled_at) {
+      throw httpError(403, 'This account has been disabled.', { accountDisabled: true });
+    }
+
+    await sessionModel.markRefreshTokenUsed(stored, connection);
+    const user = { id: stored.user_id, username: stored.username, email: stored.email, role: stored.role };
+    return { tokens: await issueTokens(user, stored.session_id, connection) };
+  });
+
+  if (result.reused) {
+    console.warn(`Refresh token reuse detected for user ${result.reused.user_id}; session ${result.reused.session_id} revoked.`);
+    throw httpError(401, 'This refresh token has already been used, so the session has been ended. Please log in again.');
+  }
+  return result.tokens;
+};
+
+/**
+ * Ends the session a refresh token belongs to. Unknown tokens are ignored, so logging out twice is harmless.
+ * @param {string} refreshToken - The refresh token sent by the client.
+ * @returns {Promise<void>}
+ */
+const endSession = async (refreshToken) => {
+  await withTransaction(async connection => {
+    const stored = await sessionModel.getRefreshTokenForUpdate(hashToken(refreshToken), connection);
+    if (stored) {
+      await sessionModel.revokeSession(stored.session_id, 'logout', connection);
+    }
+  });
+};
+
+module.exports = {
+  getTokenSettings,
+  hashToken,
+  startSession,
+  rotateRefreshToken,
+  endSession,
+};
@@ -0,0 +1,187 @@
+// backend/services/categoryService.js
+
+const categoryModel = require('../models/categoryModel');
+const httpError = require('../utils/httpError');
+
+/**
+ * Turns a category name into a URL slug ("Hand Loom & Silk" → "hand-loom-silk").
+ * @param {string} name - The category name.
+ * @returns {string} The slug.
+ */
+const slugify = (name) => String(name || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Reduces a category name to a key that ignores case, spacing and punctuation, so that
+ * "Handloom", "handloom" and "Hand loom" are recognised as the same category.
+ * @param {string} name - The category name.
+ * @returns {string} The comparison key.
+ */
+const categoryKey = (name) => slugify(name).replace(/-/g, '');
+
+/**
+ * Makes a slug unique among the slugs already taken by appending "-2", "-3", ...
+ * @param {string} slug - The wanted slug.
+ * @param {Set<string>} takenSlugs - The slugs in use.
+ * @returns {string} A free slug.
+ */
+const uniqueSlug = (slug, takenSlugs) => {
+  let candidate = slug;
+  for (let suffix = 2; takenSlugs.has(candidate); suffix += 1) {
+    candidate = `${slug}-${suffix}`;
+  }
+  return candidate;
+};
+
+/**
+ * Validates and normalises the category fields sent by an admin.
+ * @param {object} body - The request body.
+ * @returns {object} The category fields, ready for categoryModel.createCategory/updateCategory.
+ */
+const parseCategoryInput = (body) => {
+  const name = String(body.name || '').trim();
+  const slug = slugify(body.slug || name);
+  const parentId = body.parent_id === undefined || body.parent_id === null || body.parent_id === ''
+    ? null
+    : Number(body.parent_id);
+
+  if (!name) {
+    throw httpError(400, 'Category name is required.');
+  }
+  if (!slug) {
+    throw httpError(400, 'Category slug must contain at least one letter or digit.');
+  }
+  if (parentId !== null && !Number.isInteger(parentId)) {
+    throw httpError(400, 'Parent category must be a category ID.');
+  }
+
+  return {
+    name,
+    slug,
+    parent_id: parentId,
+    description: body.description ? String(body.description).trim() : null,
+  };
+};
+
+/**
+ * Finds a category by its ID, its slug, or a name that differs only in case, spacing or punctuation.
+ * @param {Array} categories - Every category (see categoryModel.getAllCategories).
+ * @param {string|number} value - The ID, slug or name to look for.
+ * @returns {object|undefined} The category, or undefined if none matches.
+ */
+const findCategory = (categories, value) => {
+  const text = String(value || '').trim();
+  if (/^\d+$/.test(text)) {
+    return categories.find(category => category.id === parseInt(text, 10));
+  }
+  const key = categoryKey(text);
+  return categories.find(category => category.slug === text.toLowerCase())
+    || categories.find(category => categoryKey(category.name) === key);
+};
+
+/**
+ * Collects a category's ID and the IDs of every category nested below it.
+ * @param {Array} categories - Every category.
+ * @param {number} rootId - The ID of the category at the top of the branch.
+ * @returns {Array<number>} The IDs, starting with rootId.
+ */
+const getDescendantIds = (categories, rootId) => {
+  const ids = [rootId];
+  for (let i = 0; i < ids.length; i += 1) {
+    categories.filter(category => category.parent_id === ids[i]).forEach(child => ids.push(child.id));
+  }
+  return ids;
+};
+
+/**
+ * Nests a flat list of categories under their parents.
+ * @param {Array} categories - Every category.
+ * @returns {Array} The top-level categories, each with a `children` array.
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent_id === null ? undefined : nodes.get(node.parent_id);
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+/**
+ * Checks that a category can be placed under a parent: the parent must exist and must not be
+ * the category itself or one of its descendants (which would create a loop).
+ * @param {Array} categories - Every category.
+ * @param {number|null} categoryId - The ID of the category being saved (null when creating one).
+ * @param {number|null} parentId - The requested parent ID.
+ */
+const assertValidParent = (categories, categoryId, parentId) => {
+  if (parentId === null) {
+    return;
+  }
+  if (!categories.some(category => category.id === parentId)) {
+    throw httpError(400, 'Parent category not found.');
+  }
+  if (categoryId !== null && getDescendantIds(categories, categoryId).includes(parentId)) {
+    throw httpError(400, 'A category cannot be nested under itself or one of its subcategories.');
+  }
+};
+
+/**
+ * Works out which category a product form refers to. `category_id` wins; otherwise the free-text
+ * `category` is matched against existing categories. Unmatched text is kept as-is so that
+ * `npm run migrate:categories` can map it later.
+ * @param {object} body - The product form.
+ * @returns {Promise<{categoryId: number|null, categoryName: string|null}>} The product's category fields.
+ */
+const resolveProductCategory = async (body) => {
+  const categories = await categoryModel.getAllCategories();
+
+  if (body.category_id !== undefined && body.category_id !== '' && body.category_id !== null) {
+    const category = categories.find(c => c.id === Number(body.category_id));
+    if (!category) {
+      throw httpError(400, 'Category not found.');
+    }
+    return { categoryId: category.id, categoryName: category.name };
+  }
+
+  const text = body.category ? String(body.category).trim() : '';
+  if (!text) {
+    return { categoryId: null, categoryName: null };
+  }
+  const category = findCategory(categories, text);
+  return category
+    ? { categoryId: category.id, categoryName: category.name }
+    : { categoryId: null, categoryName: text };
+};
+
+/**
+ * Turns the `category` query parameter of the catalog into search filters. A matching category
+ * includes all of its subcategories; text that matches no category falls back to the free-text column.
+ * @param {string} value - The category ID, slug or name.
+ * @returns {Promise<{categoryIds?: Array<number>, category?: string}>} The filters to apply.
+ */
+const resolveCategoryFilter = async (value) => {
+  const categories = await categoryModel.getAllCategories();
+  const category = findCategory(categories, value);
+  return category
+    ? { categoryIds: getDescendantIds(categories, category.id) }
+    : { category: value };
+};
+
+module.exports = {
+  slugify,
+  categoryKey,
+  uniqueSlug,
+  parseCategoryInput,
+  findCategory,
+  getDescendantIds,
+  buildCategoryTree,
+  assertValidParent,
+  resolveProductCategory,
+  resolveCategoryFilter,
+};
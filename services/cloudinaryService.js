@@ -1,6 +1,7 @@
 // backend/services/cloudinaryService.js
 
 const cloudinary = require('cloudinary').v2;
+const crypto = require('crypto');
 const fs = require('fs');
 
 // Configure Cloudinary using environment variables from your .env file
@@ -48,6 +49,14 @@ const uploadImage = async (filePath, originalFileName) => {
   }
 };
 
+/**
+ * Builds a file name for uploadImage whose public_id no other upload uses, so that uploads with the same
+ * original file name don't overwrite each other.
+ * @param {string} prefix - A readable prefix without dots (e.g., 'product-42').
+ * @returns {string} The file name to pass to uploadImage.
+ */
+const uniqueFileName = (prefix) => `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+
 /**
  * Deletes an image from Cloudinary using its public_id.
  * @param {string} publicId - The public_id of the image to delete.
@@ -76,5 +85,6 @@ const deleteImage = async (publicId) => {
 
 module.exports = {
   uploadImage,
+  uniqueFileName,
   deleteImage,
 };
@@ -0,0 +1,177 @@
+// backend/services/couponService.js
+
+const couponModel = require('../models/couponModel');
+const httpError = require('../utils/httpError');
+
+const DISCOUNT_TYPES = ['percentage', 'flat', 'free_shipping'];
+
+/**
+ * Normalises a coupon code as typed by a customer ("  diwali25 " → "DIWALI25").
+ * @param {string} code - The code.
+ * @returns {string} The normalised code.
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Validates and normalises the coupon fields sent by an admin.
+ * @param {object} body - The request body.
+ * @returns {object} The coupon fields, ready for couponModel.createCoupon/updateCoupon.
+ */
+const parseCouponInput = (body) => {
+  const code = normalizeCode(body.code);
+  const discountType = body.discount_type;
+  const discountValue = discountType === 'free_shipping' ? 0 : parseFloat(body.discount_value);
+
+  if (!code) {
+    throw httpError(400, 'Coupon code is required.');
+  }
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw httpError(400, `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}.`);
+  }
+  if (discountType !== 'free_shipping' && !(discountValue > 0)) {
+    throw httpError(400, 'Discount value must be a positive number.');
+  }
+  if (discountType === 'percentage' && discountValue > 100) {
+    throw httpError(400, 'A percentage discount cannot exceed 100.');
+  }
+
+  const optionalNumber = (value, parse) => (value === undefined || value === null || value === '' ? null : parse(value));
+  const optionalDate = (value) => (value ? new Date(value) : null);
+  const startsAt = optionalDate(body.starts_at);
+  const endsAt = optionalDate(body.ends_at);
+  if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt))) {
+    throw httpError(400, 'Validity dates must be valid dates.');
+  }
+  if (startsAt && endsAt && startsAt > endsAt) {
+    throw httpError(400, 'The coupon must start before it ends.');
+  }
+
+  return {
+    code,
+    description: body.description || null,
+    discount_type: discountType,
+    discount_value: discountValue,
+    max_discount_amount: optionalNumber(body.max_discount_amount, parseFloat),
+    min_cart_value: optionalNumber(body.min_cart_value, parseFloat) || 0,
+    starts_at: startsAt,
+    ends_at: endsAt,
+    usage_limit: optionalNumber(body.usage_limit, v => parseInt(v, 10)),
+    per_user_limit: optionalNumber(body.per_user_limit, v => parseInt(v, 10)),
+    is_active: body.is_active === undefined ? 1 : (body.is_active ? 1 : 0),
+    product_ids: Array.isArray(body.product_ids) ? body.product_ids.map(id => parseInt(id, 10)) : [],
+    categories: Array.isArray(body.categories) ? body.categories.map(c => String(c).trim()).filter(Boolean) : [],
+  };
+};
+
+/**
+ * Checks whether a priced cart line falls within a coupon's product/category scope.
+ * @param {object} coupon - The coupon, with product_ids and categories.
+ * @param {object} item - A priced cart line (product_id, category).
+ * @returns {boolean} True if the coupon discounts this line.
+ */
+const isLineEligible = (coupon, item) => {
+  if (coupon.product_ids.length === 0 && coupon.categories.length === 0) {
+    return true;
+  }
+  const category = (item.category || '').toLowerCase();
+  return coupon.product_ids.includes(item.product_id)
+    || coupon.categories.some(c => c.toLowerCase() === category);
+};
+
+/**
+ * Looks up a coupon and works out what it is worth on a priced cart.
+ * Pass the checkout transaction's connection to lock the coupon while the order is placed.
+ * @param {string} code - The coupon code entered by the customer.
+ * @param {object} cart
+ * @param {number} cart.userId - The ID of the customer.
+ * @param {Array} cart.items - The priced cart lines (see pricingService.quoteCart).
+ * @param {number} cart.subtotal - The cart subtotal.
+ * @param {object} [connection] - Optional database connection with an open transaction.
+ * @returns {Promise<object>} `{ coupon, eligibleSubtotal, discount, freeShipping }`.
+ */
+const evaluateCoupon = async (code, { userId, items, subtotal }, connection) => {
+  const coupon = await couponModel.getCouponByCode(normalizeCode(code), connection);
+  const now = new Date();
+
+  // 1. The coupon must exist and be live
+  if (!coupon || !coupon.is_active) {
+    throw httpError(404, 'This coupon code is not valid.');
+  }
+  if ((coupon.starts_at && now < new Date(coupon.starts_at)) || (coupon.ends_at && now > new Date(coupon.ends_at))) {
+    throw httpError(409, 'This coupon is not valid at this time.');
+  }
+
+  // 2. Usage limits
+  if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+    throw httpError(409, 'This coupon has reached its usage limit.');
+  }
+  if (coupon.per_user_limit !== null) {
+    const used = await couponModel.countUserRedemptions(coupon.id, userId, connection);
+    if (used >= coupon.per_user_limit) {
+      throw httpError(409, 'You have already used this coupon the maximum number of times.');
+    }
+  }
+
+  // 3. Cart requirements
+  if (subtotal < coupon.min_cart_value) {
+    throw httpError(409, `This coupon requires a minimum cart value of ${coupon.min_cart_value}.`, {
+      minCartValue: coupon.min_cart_value,
+    });
+  }
+  const eligibleSubtotal = items
+    .filter(item => isLineEligible(coupon, item))
+    .reduce((sum, item) => sum + item.line_total, 0);
+  if (eligibleSubtotal === 0) {
+    throw httpError(409, 'This coupon does not apply to any item in your cart.');
+  }
+
+  // 4. The discount itself
+  let discount = 0;
+  if (coupon.discount_type === 'percentage') {
+    discount = eligibleSubtotal * coupon.discount_value / 100;
+    if (coupon.max_discount_amount !== null) {
+      discount = Math.min(discount, coupon.max_discount_amount);
+    }
+  } else if (coupon.discount_type === 'flat') {
+    discount = Math.min(coupon.discount_value, eligibleSubtotal);
+  }
+
+  return {
+    coupon,
+    eligibleSubtotal,
+    discount,
+    freeShipping: coupon.discount_type === 'free_shipping',
+  };
+};
+
+/**
+ * Records that a coupon was used on an order. Must run in the same transaction that
+ * evaluated (and locked) the coupon, so usage limits hold under concurrency.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {object} redemption - `{ couponId, userId, orderId, discountAmount }`.
+ * @returns {Promise<void>}
+ */
+const redeemCoupon = async (connection, redemption) => {
+  await couponModel.recordRedemption(redemption, connection);
+};
+
+/**
+ * Gives back the coupon use of an order that was cancelled, so that it counts against neither the
+ * coupon's usage limit nor the customer's per-user limit. Must run in the cancelling transaction.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} orderId - The ID of the cancelled order.
+ * @returns {Promise<void>}
+ */
+const releaseCoupon = async (connection, orderId) => {
+  await couponModel.deleteRedemptionForOrder(orderId, connection);
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  parseCouponInput,
+  isLineEligible,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,94 @@
+// backend/services/emailVerificationService.js
+
+const crypto = require('crypto');
+const userModel = require('../models/userModel');
+const accountTokenModel = require('../models/accountTokenModel');
+const mailService = require('./mailService');
+const { hashToken } = require('./authTokenService');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+const PURPOSE = 'email_verification';
+
+/**
+ * Reads the email verification settings from the environment.
+ * @returns {{ttlHours: number, resendCooldownSeconds: number, maxPerDay: number, requiredForOrders: boolean}}
+ */
+const getEmailVerificationSettings = () => ({
+  ttlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10),
+  resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60', 10),
+  maxPerDay: parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY || '5', 10),
+  requiredForOrders: process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS === 'true',
+});
+
+/**
+ * Emails a user a link to verify their address. Earlier links stop working.
+ * @param {object} user - The user: `{ id, username, email }`.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const { ttlHours } = getEmailVerificationSettings();
+  const token = crypto.randomBytes(32).toString('base64url');
+  await withTransaction(async connection => {
+    await accountTokenModel.useUserTokens(user.id, PURPOSE, connection);
+    await accountTokenModel.createToken({ userId: user.id, purpose: PURPOSE, tokenHash: hashToken(token), ttlMinutes: ttlHours * 60 }, connection);
+  });
+
+  const link = mailService.buildClientUrl('/verify-email', { token });
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Confirm your Tulunad Store email address',
+    text: `Hello ${user.username},\n\n`
+      + `Thanks for signing up to Tulunad Store. Please confirm your email address by opening this link:\n\n${link}\n\n`
+      + `The link expires in ${ttlHours} hours. If you didn't create an account, you can ignore this email.`,
+  });
+};
+
+/**
+ * Sends the user another verification link, at most once a minute and a few times a day (see the settings).
+ * @param {object} user - The user: `{ id, username, email }`.
+ * @returns {Promise<void>}
+ */
+const resendVerificationEmail = async (user) => {
+  const current = await userModel.getUserById(user.id);
+  if (!current) {
+    throw httpError(404, 'User not found.');
+  }
+  if (current.email_verified_at) {
+    throw httpError(409, 'Your email address is already verified.');
+  }
+
+  const { resendCooldownSeconds, maxPerDay } = getEmailVerificationSettings();
+  const stats = await accountTokenModel.getIssueStats(user.id, PURPOSE);
+  if (stats.seconds_since_last !== null && stats.seconds_since_last < resendCooldownSeconds) {
+    const retryAfter = resendCooldownSeconds - stats.seconds_since_last;
+    throw httpError(429, `Please wait ${retryAfter} second(s) before asking for another email.`, { retryAfter });
+  }
+  if (stats.issued_last_day >= maxPerDay) {
+    throw httpError(429, 'Too many verification emails have been sent today. Please try again tomorrow.', { retryAfter: 24 * 60 * 60 });
+  }
+  await sendVerificationEmail(current);
+};
+
+/**
+ * Marks an email address as verified using the token from a verification link.
+ * @param {string} token - The token from the link.
+ * @returns {Promise<void>}
+ */
+const verifyEmail = async (token) => {
+  await withTransaction(async connection => {
+    const stored = await accountTokenModel.getUsableTokenForUpdate(PURPOSE, hashToken(token), connection);
+    if (!stored) {
+      throw httpError(400, 'This verification link is invalid or has expired. Please request a new one.');
+    }
+    await userModel.markEmailVerified(stored.user_id, connection);
+    await accountTokenModel.useUserTokens(stored.user_id, PURPOSE, connection);
+  });
+};
+
+module.exports = {
+  getEmailVerificationSettings,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+};
@@ -0,0 +1,102 @@
+// backend/services/inventoryService.js
+
+const stockMovementModel = require('../models/stockMovementModel');
+const lowStockAlertModel = require('../models/lowStockAlertModel');
+const httpError = require('../utils/httpError');
+
+// Every reason stock can change, as recorded in the stock_movements ledger.
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'restock'];
+
+// The movement types an admin can record by hand.
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'restock'];
+
+/**
+ * Reads the inventory settings from the environment.
+ * LOW_STOCK_THRESHOLD is the stock level at or below which a product without its own threshold is low on stock.
+ */
+const getInventorySettings = () => ({
+  lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD || '5', 10),
+});
+
+/**
+ * Writes a stock change to the ledger, after the stock itself has been updated, and raises a low-stock
+ * alert when the change takes the stock from above its threshold to at or below it.
+ * @param {object} connection - A database connection (with an open transaction, when the stock change has one).
+ * @param {object} movement
+ * @param {number} movement.productId - The ID of the product.
+ * @param {number|null} [movement.variantId] - The ID of the variant whose stock changed, if any.
+ * @param {string} movement.type - One of MOVEMENT_TYPES.
+ * @param {number} movement.change - The change in units (negative when stock went down).
+ * @param {number} [movement.quantityAfter] - The stock level after the change; read from the database when omitted.
+ * @param {number} [movement.orderId] - The order behind the change.
+ * @param {number} [movement.userId] - The user who made the change.
+ * @param {string} [movement.reason] - Why the stock changed.
+ * @returns {Promise<number|null>} The ID of the movement, or null if nothing changed.
+ */
+const recordStockMovement = async (connection, { productId, variantId = null, type, change, quantityAfter, orderId, userId, reason }) => {
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw new Error(`Unknown stock movement type '${type}'.`);
+  }
+  if (change === 0) {
+    return null;
+  }
+
+  const level = await stockMovementModel.getStockLevel(productId, variantId, connection);
+  if (!level) {
+    throw new Error(`Cannot record a stock movement for product ID: ${productId}, variant ID: ${variantId}`);
+  }
+  const after = quantityAfter === undefined ? level.stock_quantity : quantityAfter;
+  const movementId = await stockMovementModel.recordMovement(
+    { productId, variantId, type, change, quantityAfter: after, orderId, userId, reason },
+    connection
+  );
+
+  const threshold = level.low_stock_threshold === null ? getInventorySettings().lowStockThreshold : level.low_stock_threshold;
+  if (after <= threshold && after - change > threshold) {
+    await lowStockAlertModel.createAlert({ productId, variantId, stockQuantity: after, threshold }, connection);
+    const item = level.variant_sku ? `"${level.product_name}" (${level.variant_sku})` : `"${level.product_name}"`;
+    console.warn(`Low stock: ${item} is down to ${after} unit(s) (threshold ${threshold}).`);
+  }
+  return movementId;
+};
+
+/**
+ * Validates a manual stock change sent by an admin.
+ * A restock adds units; an adjustment adds or removes them and needs a reason.
+ * @param {object} body - The request body.
+ * @returns {{type: string, quantity: number, variantId: number|null, reason: string|null}} The stock change.
+ */
+const parseAdjustmentInput = (body) => {
+  const type = body.type || 'adjustment';
+  const quantity = Number(body.quantity);
+  const variantId = body.variantId ? Number(body.variantId) : null;
+  const reason = body.reason ? String(body.reason).trim() : null;
+
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    throw httpError(400, `Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}.`);
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw httpError(400, 'Quantity must be a whole number of units other than zero.');
+  }
+  if (type === 'restock' && quantity < 0) {
+    throw httpError(400, 'A restock must add units; record removals as an adjustment.');
+  }
+  if (variantId !== null && !Number.isInteger(variantId)) {
+    throw httpError(400, 'Variant ID must be a whole number.');
+  }
+  if (type === 'adjustment' && !reason) {
+    throw httpError(400, 'A reason is required for stock adjustments.');
+  }
+  if (reason && reason.length > 500) {
+    throw httpError(400, 'Reason cannot be longer than 500 characters.');
+  }
+  return { type, quantity, variantId, reason };
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  getInventorySettings,
+  recordStockMovement,
+  parseAdjustmentInput,
+};
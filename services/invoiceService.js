@@ -0,0 +1,144 @@
+// backend/services/invoiceService.js
+
+const invoiceModel = require('../models/invoiceModel');
+const taxService = require('./taxService');
+
+// Orders get an invoice once they have been paid.
+const INVOICEABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'refunded'];
+
+/**
+ * Reads the seller details printed on invoices from the environment.
+ */
+const getSellerDetails = () => ({
+  legalName: process.env.STORE_LEGAL_NAME || 'Tulunad Store',
+  gstin: process.env.STORE_GSTIN || '',
+  address: process.env.STORE_ADDRESS || '',
+  state: taxService.getTaxSettings().storeState,
+  invoicePrefix: process.env.INVOICE_PREFIX || 'TLS',
+});
+
+/**
+ * Returns the invoice for an order, issuing the next number of the current financial year
+ * if the order doesn't have one yet. The caller must hold the order's row lock (see
+ * orderModel.getOrderForUpdate), so that two requests can't both issue one.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} orderId - The ID of the order.
+ * @returns {Promise<object>} The invoice (`invoice_number`, `financial_year`, `issued_at`).
+ */
+const issueInvoice = async (connection, orderId) => {
+  const existing = await invoiceModel.getByOrderId(orderId, connection);
+  if (existing) {
+    return existing;
+  }
+
+  const financialYear = taxService.getFinancialYear();
+  const number = await invoiceModel.nextNumber(financialYear, connection);
+  const invoiceNumber = `${getSellerDetails().invoicePrefix}/${financialYear}/${String(number).padStart(6, '0')}`;
+  await invoiceModel.createInvoice({ orderId, invoiceNumber, financialYear }, connection);
+  return invoiceModel.getByOrderId(orderId, connection);
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (value) => parseFloat(value || 0).toFixed(2);
+
+/**
+ * Renders a GST tax invoice as a standalone HTML document (printable to PDF from the browser).
+ * @param {object} invoice - The invoice row.
+ * @param {object} data - `{ order, items }` from invoiceModel.getInvoiceData.
+ * @returns {string} The HTML document.
+ */
+const renderInvoiceHtml = (invoice, { order, items }) => {
+  const seller = getSellerDetails();
+  const address = typeof order.shipping_address === 'string' ? JSON.parse(order.shipping_address) : (order.shipping_address || {});
+  const isInterState = parseFloat(order.igst_amount) > 0;
+
+  const rows = items.map((item, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(item.product_name)}${item.variant_label ? ` (${escapeHtml(item.variant_label)})` : ''}</td>
+          <td>${escapeHtml(item.hsn_code)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${formatAmount(item.price)}</td>
+          <td class="num">${formatAmount(item.discount_amount)}</td>
+          <td class="num">${formatAmount(item.taxable_value)}</td>
+          <td class="num">${formatAmount(item.gst_rate)}%</td>
+          ${isInterState
+            ? `<td class="num">${formatAmount(item.igst_amount)}</td>`
+            : `<td class="num">${formatAmount(item.cgst_amount)}</td><td class="num">${formatAmount(item.sgst_amount)}</td>`}
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; color: #222; margin: 32px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+    .parties { display: flex; justify-content: space-between; margin-top: 16px; }
+    .totals { width: 40%; margin-left: auto; }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div>Invoice No: <strong>${escapeHtml(invoice.invoice_number)}</strong></div>
+  <div>Invoice Date: ${escapeHtml(new Date(invoice.issued_at).toLocaleDateString('en-IN'))}</div>
+  <div>Order No: ${order.id}</div>
+
+  <div class="parties">
+    <div>
+      <strong>Sold by</strong><br>
+      ${escapeHtml(seller.legalName)}<br>
+      ${escapeHtml(seller.address)}<br>
+      State: ${escapeHtml(seller.state)}<br>
+      GSTIN: ${escapeHtml(seller.gstin)}
+    </div>
+    <div>
+      <strong>Ship to</strong><br>
+      ${escapeHtml(address.fullName || order.customer_name)}<br>
+      ${escapeHtml(address.address1)} ${escapeHtml(address.address2)}<br>
+      ${escapeHtml(address.city)} ${escapeHtml(address.pincode)}<br>
+      Place of supply: ${escapeHtml(order.place_of_supply || address.state)}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th class="num">Rate</th>
+        <th class="num">Discount</th><th class="num">Taxable Value</th><th class="num">GST</th>
+        ${isInterState ? '<th class="num">IGST</th>' : '<th class="num">CGST</th><th class="num">SGST</th>'}
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">${formatAmount(order.subtotal_amount)}</td></tr>
+    <tr><td>Discount${order.coupon_code ? ` (${escapeHtml(order.coupon_code)})` : ''}</td><td class="num">-${formatAmount(order.discount_amount)}</td></tr>
+    ${isInterState
+      ? `<tr><td>IGST</td><td class="num">${formatAmount(order.igst_amount)}</td></tr>`
+      : `<tr><td>CGST</td><td class="num">${formatAmount(order.cgst_amount)}</td></tr>
+    <tr><td>SGST</td><td class="num">${formatAmount(order.sgst_amount)}</td></tr>`}
+    <tr><td>Shipping</td><td class="num">${formatAmount(order.shipping_amount)}</td></tr>
+    <tr><td><strong>Total (INR)</strong></td><td class="num"><strong>${formatAmount(order.total_amount)}</strong></td></tr>
+  </table>
+</body>
+</html>`;
+};
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  issueInvoice,
+  renderInvoiceHtml,
+};
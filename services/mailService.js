@@ -0,0 +1,66 @@
+// backend/services/mailService.js
+
+const consoleTransport = require('./mailTransports/consoleTransport');
+const fileTransport = require('./mailTransports/fileTransport');
+const smtpTransport = require('./mailTransports/smtpTransport');
+
+// Every way the store can send email, by name. Each one implements send and says whether it
+// deliversMail (see consoleTransport.js); an email-API transport only needs to be added here.
+const TRANSPORTS = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+/**
+ * Returns the mail transport configured through MAIL_TRANSPORT (defaults to the console outside production).
+ * In production a transport that really delivers mail is required: the emails carry password reset and
+ * verification links, which must not end up in the server log instead of the user's inbox.
+ * @returns {object} The transport.
+ */
+const getMailTransport = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (isProduction ? null : consoleTransport.name);
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production.');
+  }
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport '${name}'.`);
+  }
+  if (isProduction && !transport.deliversMail) {
+    throw new Error(`The '${name}' mail transport does not deliver mail and can't be used in production.`);
+  }
+  return transport;
+};
+
+/**
+ * Builds a link to a page of the storefront, e.g. the password reset page.
+ * @param {string} pagePath - The path of the page, starting with '/'.
+ * @param {object} [query] - Query string parameters.
+ * @returns {string} The full URL.
+ */
+const buildClientUrl = (pagePath, query = {}) => {
+  const url = new URL(pagePath, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} message
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain-text body.
+ * @returns {Promise<{messageId: string}>} The transport's ID for the message.
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'Tulunad Store <no-reply@tulunadstore.local>';
+  return getMailTransport().send({ from, to, subject, text });
+};
+
+module.exports = {
+  getMailTransport,
+  buildClientUrl,
+  sendMail,
+};
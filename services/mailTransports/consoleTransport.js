@@ -0,0 +1,29 @@
+// backend/services/mailTransports/consoleTransport.js
+
+/**
+ * A mail transport that prints each message to the server log instead of sending it.
+ * Handy in development: password reset and verification links can be copied from the console.
+ */
+const consoleTransport = {
+  name: 'console',
+
+  // Messages never leave the server, so this transport can't be used in production.
+  deliversMail: false,
+
+  /**
+   * "Sends" a message by logging it.
+   * @param {object} message
+   * @param {string} message.from - The sender address.
+   * @param {string} message.to - The recipient address.
+   * @param {string} message.subject - The subject line.
+   * @param {string} message.text - The plain-text body.
+   * @returns {Promise<{messageId: string}>} An ID for the message.
+   */
+  async send({ from, to, subject, text }) {
+    const messageId = `console-${Date.now()}`;
+    console.log(`--- Email ${messageId} ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--- End of email ---`);
+    return { messageId };
+  },
+};
+
+module.exports = consoleTransport;
@@ -0,0 +1,42 @@
+// backend/services/mailTransports/fileTransport.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const getMailDir = () => process.env.MAIL_FILE_DIR || 'mail/';
+
+/**
+ * A mail transport that writes each message to a .eml file (MAIL_FILE_DIR, default 'mail/'),
+ * which any mail client can open. Useful for checking emails without an SMTP server.
+ */
+const fileTransport = {
+  name: 'file',
+
+  // Messages never leave the server, so this transport can't be used in production.
+  deliversMail: false,
+
+  /**
+   * Writes a message to a file.
+   * @param {object} message - `{ from, to, subject, text }`, as for consoleTransport.send.
+   * @returns {Promise<{messageId: string}>} The message's file name, without the extension.
+   */
+  async send({ from, to, subject, text }) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const email = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+    ].join('\r\n');
+
+    await fs.promises.mkdir(getMailDir(), { recursive: true });
+    await fs.promises.writeFile(path.join(getMailDir(), `${messageId}.eml`), email);
+    return { messageId };
+  },
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,47 @@
+// backend/services/mailTransports/smtpTransport.js
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Creates the SMTP connection pool on first use, from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD.
+ * @returns {object} The nodemailer transporter.
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send email over SMTP.');
+    }
+    transporter = nodemailer.createTransport({
+      pool: true,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465; otherwise STARTTLS is used when offered
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * A mail transport that delivers messages through an SMTP server (your mail provider's, or a relay).
+ */
+const smtpTransport = {
+  name: 'smtp',
+
+  // Messages actually reach the recipient.
+  deliversMail: true,
+
+  /**
+   * Sends a message over SMTP.
+   * @param {object} message - `{ from, to, subject, text }`, as for consoleTransport.send.
+   * @returns {Promise<{messageId: string}>} The SMTP Message-ID.
+   */
+  async send({ from, to, subject, text }) {
+    const info = await getTransporter().sendMail({ from, to, subject, text });
+    return { messageId: info.messageId };
+  },
+};
+
+module.exports = smtpTransport;
@@ -0,0 +1,79 @@
+// backend/services/orderStatusService.js
+
+const orderModel = require('../models/orderModel');
+const invoiceService = require('./invoiceService');
+const httpError = require('../utils/httpError');
+
+// Every status an order can be in.
+const ORDER_STATUSES = ['pending', 'payment_failed', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// The statuses of an order that hasn't been paid for.
+const UNPAID_STATUSES = ['pending', 'payment_failed'];
+
+// The statuses an order may move to from each status. 'cancelled' and 'refunded' are final.
+const ALLOWED_TRANSITIONS = {
+  pending: ['paid', 'payment_failed', 'cancelled'],
+  payment_failed: ['paid', 'cancelled'], // The customer may retry the payment
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+/**
+ * Checks whether an order may move from one status to another.
+ * @param {string} fromStatus - The order's current status.
+ * @param {string} toStatus - The requested status.
+ * @returns {boolean} True if the transition is allowed.
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Moves an order to a new status and records the change in its history. An order moving to 'paid' is
+ * issued its tax invoice, so that the invoice is numbered and dated when the payment is made.
+ * Must be called inside a transaction; the order row is locked while the transition is checked.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} orderId - The ID of the order.
+ * @param {string} toStatus - The requested status.
+ * @param {object} [options]
+ * @param {number} [options.changedBy] - The ID of the user making the change (omit for system changes).
+ * @param {string} [options.note] - An optional note explaining the change.
+ * @returns {Promise<object>} The order as it was before the change, plus `fromStatus` and `toStatus`.
+ */
+const transitionOrderStatus = async (connection, orderId, toStatus, { changedBy, note } = {}) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw httpError(400, `Unknown order status '${toStatus}'. Valid statuses are: ${ORDER_STATUSES.join(', ')}.`);
+  }
+
+  const order = await orderModel.getOrderForUpdate(orderId, connection);
+  if (!order) {
+    throw httpError(404, 'Order not found.');
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    throw httpError(409, `Cannot change order status from '${order.status}' to '${toStatus}'.`, {
+      currentStatus: order.status,
+      allowedStatuses: ALLOWED_TRANSITIONS[order.status] || [],
+    });
+  }
+
+  await orderModel.updateStatus(orderId, toStatus, connection);
+  await orderModel.addStatusHistory({ orderId, fromStatus: order.status, toStatus, changedBy, note }, connection);
+  if (toStatus === 'paid') {
+    await invoiceService.issueInvoice(connection, order.id);
+  }
+
+  return { ...order, fromStatus: order.status, toStatus };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  UNPAID_STATUSES,
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  transitionOrderStatus,
+};
@@ -0,0 +1,86 @@
+// backend/services/passwordResetService.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const userModel = require('../models/userModel');
+const accountTokenModel = require('../models/accountTokenModel');
+const sessionModel = require('../models/sessionModel');
+const mailService = require('./mailService');
+const { hashToken } = require('./authTokenService');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+const PURPOSE = 'password_reset';
+
+// The shortest password accepted (the same rule as userController.updatePassword).
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Reads the password reset settings from the environment.
+ * @returns {{ttlMinutes: number}} How long a reset link stays valid.
+ */
+const getPasswordResetSettings = () => ({
+  ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+});
+
+/**
+ * Emails a password reset link to the account with this address, if there is one (and it isn't disabled).
+ * The caller answers the same way whether or not the account exists, so the email is sent in the
+ * background rather than awaited: otherwise the response time would give the answer away.
+ * Any earlier link the user was sent stops working.
+ * @param {string} email - The address the user typed in.
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const user = await userModel.getUserByEmail(String(email).trim());
+  if (!user || user.disabled_at) {
+    return;
+  }
+
+  const { ttlMinutes } = getPasswordResetSettings();
+  const token = crypto.randomBytes(32).toString('base64url');
+  await withTransaction(async connection => {
+    await accountTokenModel.useUserTokens(user.id, PURPOSE, connection);
+    await accountTokenModel.createToken({ userId: user.id, purpose: PURPOSE, tokenHash: hashToken(token), ttlMinutes }, connection);
+  });
+
+  const link = mailService.buildClientUrl('/reset-password', { token });
+  mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your Tulunad Store password',
+    text: `Hello ${user.username},\n\n`
+      + `Someone (hopefully you) asked to reset the password of your Tulunad Store account. To choose a new password, open this link:\n\n${link}\n\n`
+      + `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email; your password won't change.`,
+  }).catch(error => console.error(`Failed to send the password reset email to user ${user.id}:`, error));
+};
+
+/**
+ * Sets a new password using a reset token. The token (and any other outstanding reset token) stops working,
+ * and every session of the user is logged out.
+ * @param {string} token - The token from the reset link.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (token, newPassword) => {
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `New password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  await withTransaction(async connection => {
+    const stored = await accountTokenModel.getUsableTokenForUpdate(PURPOSE, hashToken(token), connection);
+    if (!stored) {
+      throw httpError(400, 'This password reset link is invalid or has expired. Please request a new one.');
+    }
+    await userModel.updatePassword(stored.user_id, hashedPassword, connection);
+    await accountTokenModel.useUserTokens(stored.user_id, PURPOSE, connection);
+    await sessionModel.revokeUserSessions(stored.user_id, 'password_change', connection);
+  });
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  getPasswordResetSettings,
+  requestPasswordReset,
+  resetPassword,
+};
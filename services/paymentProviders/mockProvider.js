@@ -0,0 +1,95 @@
+// backend/services/paymentProviders/mockProvider.js
+
+const crypto = require('crypto');
+const { sign, verify } = require('./signature');
+
+// Header carrying the webhook signature.
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+/**
+ * A local payment provider that never leaves the machine.
+ * Intents are just random IDs, and webhooks use the same signed format a real gateway would send,
+ * so the whole checkout → webhook → paid flow can be exercised without network access.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  // The environment variable holding the secret webhooks are signed with.
+  webhookSecretEnv: 'PAYMENT_WEBHOOK_SECRET',
+
+  /**
+   * Creates a payment intent for an order.
+   * @param {object} intent
+   * @param {number} intent.orderId - The ID of the order being paid.
+   * @param {number} intent.amount - The amount in paise.
+   * @param {string} intent.currency - The ISO currency code.
+   * @returns {Promise<object>} The provider's intent ID and the data the client needs to pay.
+   */
+  async createIntent({ orderId, amount, currency }) {
+    const intentId = `mock_intent_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      intentId,
+      clientData: {
+        provider: 'mock',
+        intent_id: intentId,
+        order_id: orderId,
+        amount,
+        currency,
+        methods: ['upi', 'card'],
+      },
+    };
+  },
+
+  /**
+   * Checks the HMAC signature of a webhook request.
+   * @param {Buffer} rawBody - The raw request body.
+   * @param {object} headers - The request headers.
+   * @returns {boolean} True if the webhook was signed with our secret.
+   */
+  verifyWebhook(rawBody, headers) {
+    return verify(rawBody, headers[SIGNATURE_HEADER], getWebhookSecret());
+  },
+
+  /**
+   * Translates a webhook body into a provider-independent payment event.
+   * @param {object} body - The parsed webhook body: `{ event, data: { intent_id, payment_id, amount, reason } }`.
+   * @returns {object} `{ type: 'succeeded' | 'failed' | 'ignored', intentId, providerPaymentId, amount, failureReason }`.
+   */
+  parseWebhookEvent(body) {
+    const data = (body && body.data) || {};
+    const types = { 'payment.succeeded': 'succeeded', 'payment.failed': 'failed' };
+    return {
+      type: types[body && body.event] || 'ignored',
+      intentId: data.intent_id,
+      providerPaymentId: data.payment_id || null,
+      amount: data.amount,
+      failureReason: data.reason || null,
+    };
+  },
+
+  /**
+   * Builds a signed webhook exactly as the gateway would deliver it. Used to simulate payments locally.
+   * @param {object} event
+   * @param {string} event.intentId - The intent being paid.
+   * @param {string} event.outcome - Either 'succeeded' or 'failed'.
+   * @param {number} event.amount - The amount in paise.
+   * @returns {{rawBody: Buffer, headers: object}} The request body and headers.
+   */
+  buildWebhook({ intentId, outcome, amount }) {
+    const body = {
+      event: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        intent_id: intentId,
+        payment_id: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        reason: outcome === 'succeeded' ? undefined : 'Payment declined by the mock gateway.',
+      },
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody, getWebhookSecret()) } };
+  },
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,88 @@
+// backend/services/paymentProviders/razorpayProvider.js
+
+const { verify } = require('./signature');
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+// Header carrying the webhook signature.
+const SIGNATURE_HEADER = 'x-razorpay-signature';
+
+/**
+ * Razorpay (UPI, cards, netbanking). Intents are Razorpay Orders, which the storefront passes to
+ * Razorpay Checkout; the outcome arrives through the signed webhook.
+ */
+const razorpayProvider = {
+  name: 'razorpay',
+
+  // The environment variable holding the secret webhooks are signed with.
+  webhookSecretEnv: 'RAZORPAY_WEBHOOK_SECRET',
+
+  /**
+   * Creates a Razorpay Order for one of our orders.
+   * @param {object} intent
+   * @param {number} intent.orderId - The ID of the order being paid.
+   * @param {number} intent.amount - The amount in paise.
+   * @param {string} intent.currency - The ISO currency code.
+   * @param {object} intent.customer - `{ name, email }`, used to prefill the checkout form.
+   * @returns {Promise<object>} The Razorpay order ID and the options for Razorpay Checkout.
+   */
+  async createIntent({ orderId, amount, currency, customer }) {
+    const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const response = await fetch(`${RAZORPAY_API_URL}/orders`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ amount, currency, receipt: `order_${orderId}`, notes: { order_id: String(orderId) } }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Razorpay order creation failed: ${(data.error && data.error.description) || response.statusText}`);
+    }
+
+    return {
+      intentId: data.id,
+      clientData: {
+        provider: 'razorpay',
+        key: process.env.RAZORPAY_KEY_ID,
+        order_id: data.id,
+        amount: data.amount,
+        currency: data.currency,
+        name: 'Tulunad Store',
+        description: `Order #${orderId}`,
+        prefill: { name: customer.name, email: customer.email },
+      },
+    };
+  },
+
+  /**
+   * Checks the HMAC signature Razorpay sends with every webhook.
+   * @param {Buffer} rawBody - The raw request body.
+   * @param {object} headers - The request headers.
+   * @returns {boolean} True if the webhook was signed with our webhook secret.
+   */
+  verifyWebhook(rawBody, headers) {
+    return verify(rawBody, headers[SIGNATURE_HEADER], process.env.RAZORPAY_WEBHOOK_SECRET);
+  },
+
+  /**
+   * Translates a Razorpay webhook body into a provider-independent payment event.
+   * @param {object} body - The parsed webhook body.
+   * @returns {object} `{ type: 'succeeded' | 'failed' | 'ignored', intentId, providerPaymentId, amount, failureReason }`.
+   */
+  parseWebhookEvent(body) {
+    const payment = (body && body.payload && body.payload.payment && body.payload.payment.entity) || {};
+    const types = { 'payment.captured': 'succeeded', 'order.paid': 'succeeded', 'payment.failed': 'failed' };
+    return {
+      type: types[body && body.event] || 'ignored',
+      intentId: payment.order_id,
+      providerPaymentId: payment.id || null,
+      amount: payment.amount,
+      failureReason: payment.error_description || null,
+    };
+  },
+};
+
+module.exports = razorpayProvider;
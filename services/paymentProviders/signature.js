@@ -0,0 +1,31 @@
+// backend/services/paymentProviders/signature.js
+
+const crypto = require('crypto');
+
+/**
+ * Computes the hex HMAC-SHA256 signature of a payload.
+ * @param {Buffer|string} payload - The exact bytes that were signed.
+ * @param {string} secret - The shared webhook secret.
+ * @returns {string} The hex-encoded signature.
+ */
+const sign = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Checks a hex HMAC-SHA256 signature in constant time.
+ * @param {Buffer|string} payload - The exact bytes that were signed.
+ * @param {string} signature - The signature received with the payload.
+ * @param {string} secret - The shared webhook secret.
+ * @returns {boolean} True if the signature is valid.
+ */
+const verify = (payload, signature, secret) => {
+  if (!payload || !signature || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(sign(payload, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = { sign, verify };
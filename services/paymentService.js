@@ -0,0 +1,153 @@
+// backend/services/paymentService.js
+
+const mockProvider = require('./paymentProviders/mockProvider');
+const razorpayProvider = require('./paymentProviders/razorpayProvider');
+const paymentModel = require('../models/paymentModel');
+const orderModel = require('../models/orderModel');
+const orderStatusService = require('./orderStatusService');
+const httpError = require('../utils/httpError');
+
+// Every payment provider the store can use, by name. Each one implements
+// createIntent, verifyWebhook and parseWebhookEvent (see mockProvider.js).
+const PROVIDERS = {
+  [mockProvider.name]: mockProvider,
+  [razorpayProvider.name]: razorpayProvider,
+};
+
+// Order statuses from which a (new) payment attempt may be started.
+const PAYABLE_STATUSES = ['pending', 'payment_failed'];
+
+/**
+ * Returns the payment provider configured through PAYMENT_PROVIDER. There is no default, so that a
+ * deployment can't end up on the mock provider by accident.
+ * @returns {object} The provider.
+ */
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set.');
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider '${name}'.`);
+  }
+  return provider;
+};
+
+/**
+ * Checks the payment configuration at startup: the provider must be chosen explicitly and its webhook
+ * secret must be set, otherwise anyone could sign webhooks with a well-known value.
+ * @throws {Error} If the configuration is incomplete.
+ */
+const assertPaymentConfig = () => {
+  const provider = getPaymentProvider();
+  if (!process.env[provider.webhookSecretEnv]) {
+    throw new Error(`${provider.webhookSecretEnv} must be set for the '${provider.name}' payment provider.`);
+  }
+};
+
+/**
+ * Converts an amount in rupees to paise, the unit payment gateways work in.
+ * @param {number|string} amount - The amount in rupees.
+ * @returns {number} The amount in paise.
+ */
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Starts a payment for one of the user's orders.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {object} request
+ * @param {number} request.orderId - The ID of the order to pay.
+ * @param {object} request.user - The authenticated user (`{ id, username, email }`).
+ * @returns {Promise<object>} The payment ID, provider name and the data the client needs for the gateway.
+ */
+const createPaymentIntent = async (connection, { orderId, user }) => {
+  const order = await orderModel.getOrderForUpdate(orderId, connection);
+  if (!order || order.user_id !== user.id) {
+    throw httpError(404, 'Order not found.');
+  }
+  if (!PAYABLE_STATUSES.includes(order.status)) {
+    throw httpError(409, `This order is '${order.status}' and cannot be paid.`, { currentStatus: order.status });
+  }
+
+  const provider = getPaymentProvider();
+  const amount = toPaise(order.total_amount);
+  const currency = 'INR';
+  const { intentId, clientData } = await provider.createIntent({
+    orderId: order.id,
+    amount,
+    currency,
+    customer: { name: user.username, email: user.email },
+  });
+
+  const paymentId = await paymentModel.createPayment({ orderId: order.id, provider: provider.name, intentId, amount, currency }, connection);
+  return { paymentId, provider: provider.name, clientData };
+};
+
+/**
+ * Applies a verified webhook from the configured provider: records the payment outcome and moves
+ * the order to 'paid' or 'payment_failed'. Webhooks for payments that were already settled are ignored,
+ * so gateway retries are harmless, except that a failed payment may still succeed: with Razorpay the
+ * customer can retry on the same intent after a failed attempt, and that capture must not be lost.
+ * A capture for an order that can no longer be paid is recorded as 'refund_required'.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {object} body - The parsed webhook body.
+ * @returns {Promise<object>} `{ handled: boolean, reason?: string }`.
+ */
+const handleWebhookEvent = async (connection, body) => {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhookEvent(body);
+  if (event.type === 'ignored' || !event.intentId) {
+    return { handled: false, reason: 'Event type not handled.' };
+  }
+
+  const payment = await paymentModel.getByIntentForUpdate(provider.name, event.intentId, connection);
+  if (!payment) {
+    return { handled: false, reason: 'Unknown payment intent.' };
+  }
+  const isLateSuccess = payment.status === 'failed' && event.type === 'succeeded';
+  if (payment.status !== 'created' && !isLateSuccess) {
+    return { handled: false, reason: `Payment already ${payment.status}.` };
+  }
+
+  // A "successful" payment for the wrong amount is treated as a failure.
+  let outcome = event.type === 'succeeded' ? 'paid' : 'failed';
+  let failureReason = event.failureReason;
+  if (outcome === 'paid' && Number(event.amount) !== Number(payment.amount)) {
+    outcome = 'failed';
+    failureReason = `Amount mismatch: expected ${payment.amount}, received ${event.amount}.`;
+  }
+
+  const order = await orderModel.getOrderForUpdate(payment.order_id, connection);
+  const toStatus = outcome === 'paid' ? 'paid' : 'payment_failed';
+  const canTransition = orderStatusService.canTransition(order.status, toStatus);
+
+  // Money captured for an order that can no longer be paid (e.g., it was cancelled while the customer was
+  // paying) is owed back: the payment is kept as 'refund_required' for an admin to refund.
+  if (outcome === 'paid' && !canTransition) {
+    outcome = 'refund_required';
+    failureReason = `Captured while the order was '${order.status}'; refund it through ${provider.name}.`;
+  }
+  await paymentModel.setOutcome(payment.id, { status: outcome, providerPaymentId: event.providerPaymentId, failureReason }, connection);
+
+  if (canTransition) {
+    await orderStatusService.transitionOrderStatus(connection, order.id, toStatus, {
+      note: outcome === 'paid'
+        ? `Payment ${event.providerPaymentId || payment.provider_intent_id} received via ${provider.name}`
+        : `Payment failed: ${failureReason || 'no reason given'}`,
+    });
+  } else {
+    console.warn(`Payment ${payment.id} ${outcome} but order ${order.id} is '${order.status}'; order status left unchanged.`);
+  }
+
+  return { handled: true };
+};
+
+module.exports = {
+  PROVIDERS,
+  getPaymentProvider,
+  assertPaymentConfig,
+  toPaise,
+  createPaymentIntent,
+  handleWebhookEvent,
+};
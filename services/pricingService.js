@@ -0,0 +1,162 @@
+// backend/services/pricingService.js
+
+const cartModel = require('../models/cartModel');
+const couponService = require('./couponService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const variantService = require('./variantService');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Spreads an order-level discount over the lines it applies to, in proportion to their value.
+ * Any rounding remainder goes to the last eligible line so the line discounts add up exactly.
+ * @param {Array} items - The priced lines.
+ * @param {number} discount - The discount to spread.
+ * @param {function(object): boolean} isEligible - Whether a line receives part of the discount.
+ * @returns {Array<number>} The discount for each line, in the same order as `items`.
+ */
+const allocateDiscount = (items, discount, isEligible) => {
+  const eligible = items.map(isEligible);
+  const eligibleTotal = items.reduce((sum, item, i) => (eligible[i] ? sum + item.line_total : sum), 0);
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+
+  return items.map((item, i) => {
+    if (!eligible[i] || discount === 0) {
+      return 0;
+    }
+    const share = i === lastEligible
+      ? roundMoney(discount - allocated)
+      : roundMoney(discount * item.line_total / eligibleTotal);
+    allocated = roundMoney(allocated + share);
+    return share;
+  });
+};
+
+/**
+ * Builds a priced quote for the user's current cart, using the prices and stock levels
+ * stored in the database. Nothing sent by the client is trusted here.
+ * @param {number} userId - The ID of the user whose cart is being priced.
+ * @param {object} [options]
+ * @param {object} [options.connection] - Optional database connection (for use inside a transaction).
+ *   Inside a transaction the applied coupon is locked until the transaction ends.
+ * @param {string} [options.couponCode] - A coupon code to apply.
+ * @param {object} [options.shippingAddress] - Where the order ships to; its pincode decides the shipping rate
+ *   and its state decides CGST/SGST vs IGST. Without it, shipping is left uncalculated.
+ * @returns {Promise<object>} The quote: priced lines plus subtotal, discount, shipping, tax and total.
+ */
+const quoteCart = async (userId, { connection, couponCode, shippingAddress } = {}) => {
+  const cartItems = await cartModel.getCartItems(userId, connection);
+
+  if (cartItems.length === 0) {
+    throw httpError(400, 'Your cart is empty.');
+  }
+
+  const items = cartItems.map(item => {
+    if (item.variant_id !== null && !item.variant_is_active) {
+      throw httpError(409, `The selected option of "${item.product_name}" is no longer available.`, {
+        productId: item.product_id,
+        variantId: item.variant_id,
+      });
+    }
+    // Stock reserved by other customers at checkout can't be sold again
+    if (item.quantity > item.available_quantity) {
+      throw httpError(409, `Only ${item.available_quantity} unit(s) of "${item.product_name}" are available.`, {
+        productId: item.product_id,
+        variantId: item.variant_id,
+        availableQuantity: item.available_quantity,
+      });
+    }
+    return {
+      product_id: item.product_id,
+      product_name: item.product_name,
+      variant_id: item.variant_id,
+      variant_sku: item.variant_sku,
+      variant_label: item.variant_id === null
+        ? null
+        : variantService.getVariantLabel({ size: item.variant_size, colour: item.variant_colour }),
+      category: item.product_category,
+      hsn_code: item.product_hsn_code,
+      quantity: item.quantity,
+      unit_price: item.product_price,
+      line_total: roundMoney(item.product_price * item.quantity),
+      gst_rate: item.product_gst_rate,
+      weight_grams: item.product_weight_grams,
+    };
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.line_total, 0));
+
+  // Apply the coupon, if any
+  let appliedCoupon = null;
+  let discount = 0;
+  let freeShipping = false;
+  let lineDiscounts = items.map(() => 0);
+  if (couponCode) {
+    const evaluation = await couponService.evaluateCoupon(couponCode, { userId, items, subtotal }, connection);
+    appliedCoupon = evaluation.coupon;
+    discount = roundMoney(evaluation.discount);
+    freeShipping = evaluation.freeShipping;
+    lineDiscounts = allocateDiscount(items, discount, item => couponService.isLineEligible(appliedCoupon, item));
+  }
+
+  // GST is charged on each line's value after its share of the discount
+  const { placeOfSupply, isInterState } = taxService.getPlaceOfSupply(shippingAddress);
+  const taxBreakdown = { cgst: 0, sgst: 0, igst: 0 };
+  items.forEach((item, i) => {
+    item.discount = lineDiscounts[i];
+    item.taxable_value = roundMoney(item.line_total - item.discount);
+    Object.assign(item, taxService.computeLineGst(item.taxable_value, item.gst_rate, isInterState));
+    taxBreakdown.cgst = roundMoney(taxBreakdown.cgst + item.cgst);
+    taxBreakdown.sgst = roundMoney(taxBreakdown.sgst + item.sgst);
+    taxBreakdown.igst = roundMoney(taxBreakdown.igst + item.igst);
+  });
+
+  const taxableAmount = roundMoney(subtotal - discount);
+  const shippingQuote = await shippingService.quoteShipping({
+    pincode: shippingAddress && shippingAddress.pincode,
+    weightGrams: shippingService.getParcelWeight(items),
+    orderValue: taxableAmount,
+    freeShipping,
+  }, connection);
+  const shipping = shippingQuote.amount;
+  const tax = roundMoney(taxBreakdown.cgst + taxBreakdown.sgst + taxBreakdown.igst);
+  const total = roundMoney(taxableAmount + shipping + tax);
+
+  return {
+    currency: 'INR',
+    items,
+    subtotal,
+    discount,
+    shipping,
+    shipping_details: shippingQuote,
+    tax,
+    tax_breakdown: taxBreakdown,
+    place_of_supply: placeOfSupply,
+    is_inter_state: isInterState,
+    total,
+    coupon: appliedCoupon && {
+      id: appliedCoupon.id,
+      code: appliedCoupon.code,
+      description: appliedCoupon.description,
+      discount_type: appliedCoupon.discount_type,
+    },
+  };
+};
+
+/**
+ * Checks whether the total the client expects to pay matches a server-side quote.
+ * @param {number|string} expectedTotal - The total displayed to the customer.
+ * @param {object} quote - A quote produced by quoteCart.
+ * @returns {boolean} True if the amounts agree to the paisa.
+ */
+const totalMatchesQuote = (expectedTotal, quote) => {
+  const expected = parseFloat(expectedTotal);
+  return Number.isFinite(expected) && Math.abs(roundMoney(expected) - quote.total) < 0.005;
+};
+
+module.exports = {
+  quoteCart,
+  totalMatchesQuote,
+};
@@ -0,0 +1,77 @@
+// backend/services/productFieldService.js
+//
+// Parsers for the optional fields of a product, shared by the product form and the CSV import.
+// Each returns the parsed value(s) and an `error` message (null when the value is valid).
+
+/**
+ * Parses the optional SKU of a product. SKUs are stored in upper case.
+ * @param {object} body - The request body.
+ * @returns {{sku: string|null, error: string|null}}
+ */
+const parseSkuField = (body) => {
+  const sku = body.sku === undefined || body.sku === null ? '' : String(body.sku).trim().toUpperCase();
+  if (!sku) {
+    return { sku: null, error: null };
+  }
+  if (sku.length > 64) {
+    return { error: 'SKU cannot be longer than 64 characters.' };
+  }
+  return { sku, error: null };
+};
+
+/**
+ * Parses the optional GST fields of a product.
+ * @param {object} body - The request body.
+ * @returns {{hsnCode: string|null, gstRate: number|null, error: string|null}}
+ */
+const parseGstFields = (body) => {
+  const hsnCode = body.hsn_code ? String(body.hsn_code).trim() : null;
+  const gstRate = body.gst_rate === undefined || body.gst_rate === '' ? null : parseFloat(body.gst_rate);
+
+  if (hsnCode && !/^\d{4,8}$/.test(hsnCode)) {
+    return { error: 'HSN code must be 4 to 8 digits.' };
+  }
+  if (gstRate !== null && (isNaN(gstRate) || gstRate < 0 || gstRate > 28)) {
+    return { error: 'GST rate must be a percentage between 0 and 28.' };
+  }
+  return { hsnCode, gstRate, error: null };
+};
+
+/**
+ * Parses the optional shipping weight of a product.
+ * @param {object} body - The request body.
+ * @returns {{weightGrams: number|null, error: string|null}}
+ */
+const parseWeightField = (body) => {
+  if (body.weight_grams === undefined || body.weight_grams === '') {
+    return { weightGrams: null, error: null };
+  }
+  const weightGrams = Number(body.weight_grams);
+  if (!Number.isInteger(weightGrams) || weightGrams < 0) {
+    return { error: 'Weight must be a whole number of grams.' };
+  }
+  return { weightGrams, error: null };
+};
+
+/**
+ * Parses the optional low-stock threshold of a product.
+ * @param {object} body - The request body.
+ * @returns {{lowStockThreshold: number|null, error: string|null}}
+ */
+const parseLowStockThresholdField = (body) => {
+  if (body.low_stock_threshold === undefined || body.low_stock_threshold === '') {
+    return { lowStockThreshold: null, error: null };
+  }
+  const lowStockThreshold = Number(body.low_stock_threshold);
+  if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+    return { error: 'Low-stock threshold must be a whole number of units.' };
+  }
+  return { lowStockThreshold, error: null };
+};
+
+module.exports = {
+  parseSkuField,
+  parseGstFields,
+  parseWeightField,
+  parseLowStockThresholdField,
+};
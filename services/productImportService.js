@@ -0,0 +1,332 @@
+// backend/services/productImportService.js
+
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const productModel = require('../models/productModel');
+const productImageModel = require('../models/productImageModel');
+const productVariantModel = require('../models/productVariantModel');
+const categoryModel = require('../models/categoryModel');
+const categoryService = require('./categoryService');
+const inventoryService = require('./inventoryService');
+const { parseSkuField, parseGstFields, parseWeightField, parseLowStockThresholdField } = require('./productFieldService');
+const { uploadImage, uniqueFileName, deleteImage } = require('./cloudinaryService');
+const { parseCsv, toCsv } = require('../utils/csv');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+// The columns of the catalog CSV, in export order. The id column only matters for products without a SKU.
+const CSV_COLUMNS = [
+  'id', 'sku', 'name', 'description', 'price', 'stock_quantity', 'category', 'image',
+  'hsn_code', 'gst_rate', 'weight_grams', 'low_stock_threshold',
+];
+
+// Columns every import must have.
+const REQUIRED_COLUMNS = ['sku', 'name', 'price', 'stock_quantity'];
+
+// Other header names accepted for a column.
+const COLUMN_ALIASES = { stock: 'stock_quantity', image_url: 'image' };
+
+// The most rows one import may contain.
+const MAX_IMPORT_ROWS = 5000;
+
+// Where images are extracted from the zip before being uploaded to Cloudinary (the folder multer saves uploads to).
+const UPLOAD_DIR = 'uploads/';
+
+/**
+ * Reads the rows of a catalog CSV. Header names are matched without regard to case.
+ * @param {string} text - The CSV text.
+ * @returns {Array<{row: number, values: object}>} The rows, numbered as in a spreadsheet (the header is row 1).
+ */
+const readCatalogCsv = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw httpError(400, 'The CSV file is empty.');
+  }
+  const columns = header.map(name => {
+    const key = name.trim().toLowerCase().replace(/\s+/g, '_');
+    return COLUMN_ALIASES[key] || key;
+  });
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw httpError(400, `The CSV file is missing the column(s): ${missing.join(', ')}.`, { expectedColumns: CSV_COLUMNS });
+  }
+
+  const rows = records
+    .map((record, i) => ({ row: i + 2, record }))
+    .filter(({ record }) => record.some(value => value.trim() !== ''))
+    .map(({ row, record }) => {
+      const values = {};
+      columns.forEach((column, i) => {
+        if (CSV_COLUMNS.includes(column)) {
+          values[column] = (record[i] || '').trim();
+        }
+      });
+      return { row, values };
+    });
+
+  if (rows.length === 0) {
+    throw httpError(400, 'The CSV file has no product rows.');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, `An import can contain at most ${MAX_IMPORT_ROWS} products.`);
+  }
+  return rows;
+};
+
+/**
+ * Lists the image files in an uploaded zip, by file name (folders inside the zip are ignored).
+ * @param {string|null} zipPath - The path of the uploaded zip, if any.
+ * @returns {Map<string, object>|null} A map of file name to zip entry, or null if no zip was sent.
+ */
+const readImageZip = (zipPath) => {
+  if (!zipPath) {
+    return null;
+  }
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw httpError(400, 'The images file is not a valid zip archive.');
+  }
+  const entries = new Map();
+  zip.getEntries()
+    .filter(entry => !entry.isDirectory)
+    .forEach(entry => entries.set(path.basename(entry.entryName), entry));
+  return entries;
+};
+
+/**
+ * Validates every row and works out what importing it would do. Nothing is written.
+ * @param {Array<{row: number, values: object}>} rows - The rows from readCatalogCsv.
+ * @param {Map<string, object>|null} zipEntries - The images from readImageZip.
+ * @returns {Promise<Array>} One entry per row: `{ row, sku, productId, action, errors, product, image }`, where
+ *   `productId` is set for rows matched by ID, `action` is 'create' or 'update', `product` holds the columns to
+ *   save and `image` is null (keep the current image) or `{ url }` / `{ fileName }`.
+ */
+const planImport = async (rows, zipEntries) => {
+  const categories = await categoryModel.getAllCategories();
+  const skus = rows.map(row => parseSkuField(row.values).sku).filter(Boolean);
+  const existing = await productModel.getProductsBySku([...new Set(skus)]);
+  const ids = rows.filter(row => !parseSkuField(row.values).sku).map(row => Number(row.values.id)).filter(id => Number.isInteger(id) && id > 0);
+  const existingById = await productModel.getProductsWithoutSkuById([...new Set(ids)]);
+  const seenSkus = new Set();
+  const seenIds = new Set();
+
+  return rows.map(({ row, values }) => {
+    const errors = [];
+
+    // 1. The SKU decides whether the row creates or updates a product. A row without one can only
+    //    update a product that has no SKU either, found by its ID.
+    const sku = parseSkuField(values);
+    const productId = !sku.sku && values.id ? Number(values.id) : null;
+    let current;
+    if (sku.error) {
+      errors.push(sku.error);
+    } else if (sku.sku) {
+      if (seenSkus.has(sku.sku)) {
+        errors.push(`SKU ${sku.sku} appears more than once in the file.`);
+      }
+      seenSkus.add(sku.sku);
+      current = existing.get(sku.sku);
+    } else if (productId === null) {
+      errors.push('SKU is required.');
+    } else if (!Number.isInteger(productId) || productId <= 0) {
+      errors.push('ID must be a whole number.');
+    } else if (!existingById.has(productId)) {
+      errors.push(`No product without a SKU has ID ${productId}. Give the row a SKU to create a product.`);
+    } else if (seenIds.has(productId)) {
+      errors.push(`ID ${productId} appears more than once in the file.`);
+    } else {
+      seenIds.add(productId);
+      current = existingById.get(productId);
+    }
+
+    // 2. Validate the fields, as the product form does
+    const price = Number(values.price);
+    const stockQuantity = Number(values.stock_quantity);
+    const gst = parseGstFields(values);
+    const weight = parseWeightField(values);
+    const threshold = parseLowStockThresholdField(values);
+    if (!values.name) {
+      errors.push('Name is required.');
+    } else if (values.name.length > 255) {
+      errors.push('Name cannot be longer than 255 characters.');
+    }
+    if (!values.price || !(price > 0)) {
+      errors.push('Price must be a positive number.');
+    }
+    if (values.stock_quantity === '' || !Number.isInteger(stockQuantity) || stockQuantity < 0) {
+      errors.push('Stock quantity must be a whole number of units.');
+    } else if (current && current.has_variants && stockQuantity !== current.stock_quantity) {
+      errors.push('This product is stocked by variant; change its stock per variant instead.');
+    }
+    [gst, weight, threshold].forEach(field => field.error && errors.push(field.error));
+
+    // 3. A new product needs an image: a URL, or the name of a file in the zip
+    let image = null;
+    if (values.image) {
+      if (/^https?:\/\//i.test(values.image)) {
+        image = current && current.image_id === values.image ? null : { url: values.image };
+      } else if (!zipEntries) {
+        errors.push(`Image "${values.image}" is not a URL, and no zip of images was uploaded.`);
+      } else if (!zipEntries.has(path.basename(values.image))) {
+        errors.push(`Image "${values.image}" is not in the uploaded zip.`);
+      } else {
+        image = { fileName: path.basename(values.image) };
+      }
+    } else if (!current) {
+      errors.push('An image is required for a new product.');
+    }
+
+    const category = values.category ? categoryService.findCategory(categories, values.category) : null;
+    return {
+      row,
+      sku: sku.sku || null,
+      productId: sku.sku ? null : productId,
+      action: current ? 'update' : 'create',
+      errors,
+      product: {
+        sku: sku.sku || null,
+        name: values.name,
+        description: values.description || null,
+        price,
+        stock_quantity: stockQuantity,
+        category_id: category ? category.id : null,
+        category: category ? category.name : (values.category || null),
+        hsn_code: gst.hsnCode,
+        gst_rate: gst.gstRate,
+        weight_grams: weight.weightGrams,
+        low_stock_threshold: threshold.lowStockThreshold,
+      },
+      image,
+    };
+  });
+};
+
+/**
+ * Uploads a row's new image to Cloudinary, named after the product's SKU (or ID). Every upload gets a new
+ * public_id, so re-importing a file never overwrites the image the product currently shows.
+ * @param {object} entry - A planned row.
+ * @param {Map<string, object>|null} zipEntries - The images from readImageZip.
+ * @returns {Promise<{url: string, public_id: string}>} The uploaded image.
+ */
+const uploadRowImage = async (entry, zipEntries) => {
+  const prefix = entry.sku ? entry.sku.toLowerCase().replace(/[^a-z0-9-]+/g, '-') : `product-${entry.productId}`;
+  const fileName = uniqueFileName(prefix);
+  if (entry.image.url) {
+    return uploadImage(entry.image.url, fileName);
+  }
+  const tempPath = path.join(UPLOAD_DIR, `${Date.now()}-${fileName}`);
+  fs.writeFileSync(tempPath, zipEntries.get(entry.image.fileName).getData());
+  return uploadImage(tempPath, fileName);
+};
+
+/**
+ * Imports validated rows in one transaction: new SKUs become products, and known SKUs (or IDs) are updated.
+ * Images are uploaded first; if the transaction fails they are deleted again, and once it commits the
+ * images they replaced are deleted. Stock changes are written to the stock ledger.
+ * @param {Array} plan - The result of planImport, without errors.
+ * @param {Map<string, object>|null} zipEntries - The images from readImageZip.
+ * @param {number} userId - The ID of the admin running the import.
+ * @returns {Promise<{created: number, updated: number}>} How many products were created and updated.
+ */
+const applyImport = async (plan, zipEntries, userId) => {
+  // 1. Upload the new images
+  const uploaded = new Map();
+  try {
+    for (const entry of plan.filter(planned => planned.image)) {
+      uploaded.set(entry, await uploadRowImage(entry, zipEntries));
+    }
+  } catch (error) {
+    await Promise.all(Array.from(uploaded.values()).map(image => deleteImage(image.public_id)));
+    throw httpError(502, `Could not upload the images: ${error.message}`);
+  }
+
+  // 2. Save the products
+  let replacedImages = [];
+  let result;
+  try {
+    result = await withTransaction(async connection => {
+      const existing = await productModel.getProductsBySku(plan.filter(row => row.sku).map(row => row.sku), connection);
+      const existingById = await productModel.getProductsWithoutSkuById(plan.filter(row => !row.sku).map(row => row.productId), connection);
+      const replaced = [];
+      let created = 0;
+      let updated = 0;
+
+      for (const entry of plan) {
+        const image = uploaded.get(entry);
+        const product = { ...entry.product, image_id: image ? image.url : null };
+        const current = entry.sku ? existing.get(entry.sku) : existingById.get(entry.productId);
+
+        if (!current) {
+          if (!entry.sku) {
+            throw httpError(409, `The product with ID ${entry.productId} was deleted or given a SKU during the import. Please import the file again.`);
+          }
+          if (!image) {
+            throw httpError(409, `The product with SKU ${entry.sku} was deleted during the import. Please import the file again.`);
+          }
+          const productId = await productModel.insertProduct(product, connection);
+          await productImageModel.replacePrimaryImage(productId, { url: image.url, publicId: image.public_id }, connection);
+          await inventoryService.recordStockMovement(connection, {
+            productId, type: 'restock', change: product.stock_quantity, userId, reason: 'Initial stock (CSV import)'
+          });
+          created += 1;
+          continue;
+        }
+
+        if (image) {
+          const gallery = (await productImageModel.getImagesForProducts([current.id])).get(current.id);
+          const primary = gallery.find(galleryImage => galleryImage.is_primary);
+          if (primary && primary.public_id) {
+            replaced.push(primary.public_id);
+          }
+          await productImageModel.replacePrimaryImage(current.id, { url: image.url, publicId: image.public_id }, connection);
+        }
+        await productModel.updateProductFields(current.id, product, connection);
+        await productVariantModel.syncProductStock(current.id, connection);
+        await inventoryService.recordStockMovement(connection, {
+          productId: current.id, type: 'adjustment', change: product.stock_quantity - current.stock_quantity,
+          userId, reason: 'CSV import'
+        });
+        updated += 1;
+      }
+
+      replacedImages = replaced;
+      return { created, updated };
+    });
+  } catch (error) {
+    await Promise.all(Array.from(uploaded.values()).map(image => deleteImage(image.public_id)));
+    throw error;
+  }
+
+  // 3. Delete the images that were replaced (never one that was just uploaded)
+  const uploadedIds = new Set(Array.from(uploaded.values()).map(image => image.public_id));
+  for (const publicId of replacedImages.filter(id => !uploadedIds.has(id))) {
+    await deleteImage(publicId);
+  }
+  return result;
+};
+
+/**
+ * Builds the catalog CSV, in the format the import accepts.
+ * @returns {Promise<string>} The CSV text.
+ */
+const exportCatalogCsv = async () => {
+  const products = await productModel.getProductsForExport();
+  const records = products.map(product => [
+    product.id, product.sku, product.name, product.description, parseFloat(product.price), product.stock_quantity, product.category,
+    product.image_id, product.hsn_code, product.gst_rate === null ? null : parseFloat(product.gst_rate),
+    product.weight_grams, product.low_stock_threshold,
+  ]);
+  return toCsv(CSV_COLUMNS, records);
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  readCatalogCsv,
+  readImageZip,
+  planImport,
+  applyImport,
+  exportCatalogCsv,
+};
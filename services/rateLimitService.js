@@ -0,0 +1,153 @@
+// backend/services/rateLimitService.js
+
+const memoryStore = require('./rateLimitStores/memoryStore');
+const mysqlStore = require('./rateLimitStores/mysqlStore');
+const httpError = require('../utils/httpError');
+
+// Every place rate-limit counters can be kept, by name. Each one implements hit, get and reset
+// (see memoryStore.js).
+const STORES = {
+  [memoryStore.name]: memoryStore,
+  [mysqlStore.name]: mysqlStore,
+};
+
+// How many requests one IP address may make to each protected endpoint per window.
+const IP_LIMITS = {
+  login: { max: 20, windowSeconds: 15 * 60 },
+  signup: { max: 5, windowSeconds: 60 * 60 },
+  'password-reset': { max: 10, windowSeconds: 15 * 60 },
+  'password-change': { max: 10, windowSeconds: 15 * 60 },
+};
+
+// The longest a single progressive delay between failed attempts can be.
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Returns the rate-limit store configured through RATE_LIMIT_STORE (defaults to memory).
+ * @returns {object} The store.
+ */
+const getRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || memoryStore.name;
+  const store = STORES[name];
+  if (!store) {
+    throw new Error(`Unknown rate-limit store '${name}'.`);
+  }
+  return store;
+};
+
+/**
+ * Reads the account protection settings from the environment.
+ * @returns {{freeAttempts: number, maxFailures: number, lockoutMinutes: number}} How many failed attempts are
+ *   allowed before each further attempt is delayed, how many lock the account, and for how long.
+ */
+const getAccountProtectionSettings = () => ({
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3', 10),
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '10', 10),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+});
+
+/**
+ * Creates the 429 error for a request that has to wait, with the number of seconds to put in `Retry-After`.
+ */
+const tooManyRequests = (message, retryAfter) => httpError(429, message, { retryAfter });
+
+/**
+ * Runs a store operation for the per-account limits, failing open like limitByIp does for the per-IP ones:
+ * if the store can't be reached the problem is logged and `fallback` is returned, because an outage of the
+ * limiter shouldn't lock everyone out of their accounts.
+ * @param {string} description - What is being done, for the log.
+ * @param {function(): Promise<*>} work - The operation.
+ * @param {*} [fallback] - The result to use if the store fails.
+ * @returns {Promise<*>} The operation's result, or the fallback. 429 errors are passed on.
+ */
+const failOpen = async (description, work, fallback) => {
+  try {
+    return await work();
+  } catch (error) {
+    if (error.statusCode === 429) {
+      throw error;
+    }
+    console.error(`Rate limiter (${description}) failed; letting the request through:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Counts a request from an IP address against an endpoint's limit.
+ * @param {string} limitName - The endpoint, a key of IP_LIMITS.
+ * @param {string} ip - The client's IP address.
+ * @returns {Promise<void>} Rejects with a 429 error once the limit is used up.
+ */
+const consumeIpLimit = async (limitName, ip) => {
+  const { max, windowSeconds } = IP_LIMITS[limitName];
+  const counter = await getRateLimitStore().hit(`ip:${limitName}:${ip}`, windowSeconds);
+  if (counter.count > max) {
+    throw tooManyRequests('Too many requests. Please try again later.', counter.resetInSeconds);
+  }
+};
+
+/**
+ * Checks that an account may attempt to sign in (or confirm its password) right now: it is not locked,
+ * and the delay after its last failed attempt has passed. Accounts are identified by what the client sent
+ * (e.g. the email address), whether or not such an account exists, so the answer reveals nothing.
+ * @param {string} scope - What is being attempted, e.g. 'login'.
+ * @param {string|number} account - The account identifier.
+ * @returns {Promise<void>} Rejects with a 429 error if the account has to wait.
+ */
+const assertCanAttempt = (scope, account) => failOpen(`${scope} check`, async () => {
+  const store = getRateLimitStore();
+  const lock = await store.get(`lock:${scope}:${account}`);
+  if (lock) {
+    throw tooManyRequests('Too many failed attempts. This account is temporarily locked; please try again later.', lock.resetInSeconds);
+  }
+  const delay = await store.get(`delay:${scope}:${account}`);
+  if (delay) {
+    throw tooManyRequests(`Too many failed attempts. Please wait ${delay.resetInSeconds} second(s) before trying again.`, delay.resetInSeconds);
+  }
+});
+
+/**
+ * Records a failed attempt. After a few failures each further attempt must wait twice as long as the last
+ * (up to a minute); after too many, the account is locked for a while.
+ * @param {string} scope - What was attempted, e.g. 'login'.
+ * @param {string|number} account - The account identifier.
+ * @returns {Promise<{locked: boolean, lockoutMinutes: number}>} Whether this failure locked the account.
+ */
+const recordFailedAttempt = (scope, account) => failOpen(`${scope} failure`, async () => {
+  const store = getRateLimitStore();
+  const { freeAttempts, maxFailures, lockoutMinutes } = getAccountProtectionSettings();
+  const failures = await store.hit(`failures:${scope}:${account}`, lockoutMinutes * 60);
+
+  if (failures.count >= maxFailures) {
+    await store.hit(`lock:${scope}:${account}`, lockoutMinutes * 60);
+    await store.reset(`failures:${scope}:${account}`);
+    return { locked: true, lockoutMinutes };
+  }
+  if (failures.count >= freeAttempts) {
+    const delaySeconds = Math.min(2 ** (failures.count - freeAttempts), MAX_DELAY_SECONDS);
+    await store.hit(`delay:${scope}:${account}`, delaySeconds);
+  }
+  return { locked: false, lockoutMinutes };
+}, { locked: false, lockoutMinutes: getAccountProtectionSettings().lockoutMinutes });
+
+/**
+ * Forgets an account's failed attempts after a successful one.
+ * @param {string} scope - What was attempted, e.g. 'login'.
+ * @param {string|number} account - The account identifier.
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulAttempt = (scope, account) => failOpen(`${scope} success`, async () => {
+  const store = getRateLimitStore();
+  await store.reset(`failures:${scope}:${account}`);
+  await store.reset(`delay:${scope}:${account}`);
+});
+
+module.exports = {
+  IP_LIMITS,
+  getRateLimitStore,
+  getAccountProtectionSettings,
+  consumeIpLimit,
+  assertCanAttempt,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+};
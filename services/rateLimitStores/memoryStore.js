@@ -0,0 +1,72 @@
+// backend/services/rateLimitStores/memoryStore.js
+
+// Counters by key: { count, resetAt } (resetAt in milliseconds since the epoch).
+const counters = new Map();
+
+// Expired counters are swept out every this many hits, so the map can't grow without bound.
+const PRUNE_EVERY_HITS = 1000;
+let hitsSincePrune = 0;
+
+const prune = (now) => {
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  });
+};
+
+const describe = (counter, now) => ({ count: counter.count, resetInSeconds: Math.max(1, Math.ceil((counter.resetAt - now) / 1000)) });
+
+/**
+ * A rate-limit store that keeps its counters in this process's memory. It needs no setup, but every
+ * server instance counts separately and the counters are lost on restart; use the MySQL store when
+ * running more than one instance.
+ */
+const memoryStore = {
+  name: 'memory',
+
+  /**
+   * Adds one to a fixed-window counter, starting a new window if the last one has ended.
+   * @param {string} key - The counter.
+   * @param {number} windowSeconds - How long a new window lasts.
+   * @returns {Promise<{count: number, resetInSeconds: number}>} The count so far in this window, and when it ends.
+   */
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    hitsSincePrune += 1;
+    if (hitsSincePrune >= PRUNE_EVERY_HITS) {
+      hitsSincePrune = 0;
+      prune(now);
+    }
+
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return describe(counter, now);
+  },
+
+  /**
+   * Reads a counter without changing it.
+   * @param {string} key - The counter.
+   * @returns {Promise<{count: number, resetInSeconds: number}|null>} The counter, or null if its window has ended.
+   */
+  async get(key) {
+    const now = Date.now();
+    const counter = counters.get(key);
+    return counter && counter.resetAt > now ? describe(counter, now) : null;
+  },
+
+  /**
+   * Clears a counter.
+   * @param {string} key - The counter.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    counters.delete(key);
+  },
+};
+
+module.exports = memoryStore;
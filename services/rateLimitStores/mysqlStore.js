@@ -0,0 +1,65 @@
+// backend/services/rateLimitStores/mysqlStore.js
+
+const db = require('../../db');
+
+// Expired counters are deleted every this many hits.
+const PRUNE_EVERY_HITS = 1000;
+let hitsSincePrune = 0;
+
+/**
+ * A rate-limit store that keeps its counters in the `rate_limit_counters` table, so that every server
+ * instance shares them and they survive restarts. It implements the same methods as memoryStore.js.
+ */
+const mysqlStore = {
+  name: 'mysql',
+
+  /**
+   * Adds one to a fixed-window counter, starting a new window if the last one has ended.
+   * @param {string} key - The counter.
+   * @param {number} windowSeconds - How long a new window lasts.
+   * @returns {Promise<{count: number, resetInSeconds: number}>} The count so far in this window, and when it ends.
+   */
+  async hit(key, windowSeconds) {
+    hitsSincePrune += 1;
+    if (hitsSincePrune >= PRUNE_EVERY_HITS) {
+      hitsSincePrune = 0;
+      await db.query('DELETE FROM rate_limit_counters WHERE reset_at <= NOW()');
+    }
+
+    // The count column is assigned first, so it must test reset_at before reset_at is moved on
+    const sql = `
+      INSERT INTO rate_limit_counters (counter_key, count, reset_at) VALUES (?, 1, NOW() + INTERVAL ? SECOND)
+      ON DUPLICATE KEY UPDATE
+        count = IF(reset_at <= NOW(), 1, count + 1),
+        reset_at = IF(reset_at <= NOW(), NOW() + INTERVAL ? SECOND, reset_at);
+    `;
+    await db.query(sql, [key, windowSeconds, windowSeconds]);
+    return (await mysqlStore.get(key)) || { count: 1, resetInSeconds: windowSeconds };
+  },
+
+  /**
+   * Reads a counter without changing it.
+   * @param {string} key - The counter.
+   * @returns {Promise<{count: number, resetInSeconds: number}|null>} The counter, or null if its window has ended.
+   */
+  async get(key) {
+    const sql = `
+      SELECT count, GREATEST(1, TIMESTAMPDIFF(SECOND, NOW(), reset_at)) AS resetInSeconds
+      FROM rate_limit_counters
+      WHERE counter_key = ? AND reset_at > NOW();
+    `;
+    const [rows] = await db.query(sql, [key]);
+    return rows[0] ? { count: rows[0].count, resetInSeconds: rows[0].resetInSeconds } : null;
+  },
+
+  /**
+   * Clears a counter.
+   * @param {string} key - The counter.
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await db.query('DELETE FROM rate_limit_counters WHERE counter_key = ?', [key]);
+  },
+};
+
+module.exports = mysqlStore;
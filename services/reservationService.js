@@ -0,0 +1,136 @@
+// backend/services/reservationService.js
+
+const reservationModel = require('../models/reservationModel');
+const orderModel = require('../models/orderModel');
+const productController = require('../controllers/productController');
+const pricingService = require('./pricingService');
+const orderStatusService = require('./orderStatusService');
+const couponService = require('./couponService');
+const withTransaction = require('../utils/withTransaction');
+
+/**
+ * Reads the reservation settings from the environment.
+ * RESERVATION_TTL_MINUTES is how long checkout holds the cart's stock; PAYMENT_RETRY_WINDOW_MINUTES is how long
+ * an order whose payment failed keeps its stock before it is cancelled; RESERVATION_SWEEP_INTERVAL_SECONDS is
+ * how often the sweeper looks for both.
+ */
+const getReservationSettings = () => ({
+  ttlMinutes: parseInt(process.env.RESERVATION_TTL_MINUTES || '15', 10),
+  paymentRetryMinutes: parseInt(process.env.PAYMENT_RETRY_WINDOW_MINUTES || '30', 10),
+  sweepIntervalSeconds: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS || '60', 10),
+});
+
+/**
+ * Holds the stock for everything in a user's cart while they check out. Starting checkout again
+ * replaces the user's earlier reservations and restarts the clock.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} userId - The ID of the user.
+ * @param {object} [options] - The `couponCode` and `shippingAddress` to price the cart with (see pricingService.quoteCart).
+ * @returns {Promise<{quote: object, reservation: {expires_at: Date, items: Array}}>} The priced cart and the stock held for it.
+ */
+const reserveCart = async (connection, userId, { couponCode, shippingAddress } = {}) => {
+  // 1. Drop the user's earlier hold, then lock the stock so no other checkout can take it meanwhile
+  await reservationModel.releaseUserReservations(userId, connection);
+  await reservationModel.lockCartStock(userId, connection);
+
+  // 2. Price the cart; this refuses lines that other customers' reservations leave short of stock
+  const quote = await pricingService.quoteCart(userId, { connection, couponCode, shippingAddress });
+
+  // 3. Reserve every line
+  const { ttlMinutes } = getReservationSettings();
+  await reservationModel.createReservations(userId, quote.items, ttlMinutes, connection);
+  const reservations = await reservationModel.getActiveReservations(userId, connection);
+
+  return {
+    quote,
+    reservation: {
+      expires_at: reservations.length > 0 ? reservations[0].expires_at : null,
+      items: reservations.map(({ product_id, variant_id, quantity }) => ({ product_id, variant_id, quantity })),
+    },
+  };
+};
+
+/**
+ * Cancels an order whose payment failed and was not retried in time, and returns its stock and coupon use.
+ * @param {number} orderId - The ID of the order.
+ * @param {number} retryMinutes - The retry window, for the cancellation note.
+ * @returns {Promise<boolean>} False if the order was paid or cancelled in the meantime.
+ */
+const cancelAbandonedOrder = (orderId, retryMinutes) => withTransaction(async connection => {
+  const order = await orderModel.getOrderForUpdate(orderId, connection);
+  if (!order || order.status !== 'payment_failed') {
+    return false;
+  }
+
+  const reason = `Payment not completed within ${retryMinutes} minutes`;
+  await orderStatusService.transitionOrderStatus(connection, order.id, 'cancelled', { note: reason });
+  await orderModel.setCancellation(order.id, reason, connection);
+  await couponService.releaseCoupon(connection, order.id);
+
+  const items = await orderModel.getOrderItems(order.id, connection);
+  for (const item of items) {
+    await productController.restoreProductStock(item.product_id, item.quantity, connection, item.variant_id, {
+      type: 'cancellation', orderId: order.id, reason
+    });
+  }
+  return true;
+});
+
+/**
+ * Releases stock that is no longer held for a customer: checkout reservations past their expiry,
+ * and the stock of orders whose payment failed and was not retried within the retry window.
+ * @returns {Promise<{expiredReservations: number, cancelledOrders: number}>} What was released.
+ */
+const sweepReservations = async () => {
+  const { paymentRetryMinutes } = getReservationSettings();
+  const expiredReservations = await reservationModel.expireReservations();
+
+  let cancelledOrders = 0;
+  const orderIds = await orderModel.getAbandonedPaymentFailedOrderIds(paymentRetryMinutes);
+  for (const orderId of orderIds) {
+    try {
+      if (await cancelAbandonedOrder(orderId, paymentRetryMinutes)) {
+        cancelledOrders += 1;
+      }
+    } catch (error) {
+      console.error(`Error cancelling abandoned order ID ${orderId}:`, error);
+    }
+  }
+  return { expiredReservations, cancelledOrders };
+};
+
+/**
+ * Runs sweepReservations in the background every RESERVATION_SWEEP_INTERVAL_SECONDS.
+ * The timer doesn't keep the process alive on its own, and a sweep is skipped while the previous one is still running.
+ * @returns {object} The interval timer (pass it to clearInterval to stop the sweeper).
+ */
+const startReservationSweeper = () => {
+  let running = false;
+  const sweep = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const { expiredReservations, cancelledOrders } = await sweepReservations();
+      if (expiredReservations > 0 || cancelledOrders > 0) {
+        console.log(`Reservation sweeper: expired ${expiredReservations} reservation(s), cancelled ${cancelledOrders} unpaid order(s).`);
+      }
+    } catch (error) {
+      console.error('Reservation sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(sweep, getReservationSettings().sweepIntervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getReservationSettings,
+  reserveCart,
+  sweepReservations,
+  startReservationSweeper,
+};
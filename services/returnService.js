@@ -0,0 +1,243 @@
+// backend/services/returnService.js
+
+const returnModel = require('../models/returnModel');
+const orderModel = require('../models/orderModel');
+const productController = require('../controllers/productController');
+const orderStatusService = require('./orderStatusService');
+const { roundMoney } = require('../utils/money');
+const httpError = require('../utils/httpError');
+
+// The statuses a return request may move to from each status. 'rejected' and 'refunded' are final.
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+/**
+ * Reads the store's return policy from the environment.
+ * RETURNABLE_CATEGORIES is a comma-separated list; when it is empty every category is returnable.
+ */
+const getReturnPolicy = () => ({
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10),
+  returnableCategories: (process.env.RETURNABLE_CATEGORIES || '')
+    .split(',')
+    .map(category => category.trim().toLowerCase())
+    .filter(Boolean),
+});
+
+/**
+ * Checks whether products in a category may be returned under the given policy.
+ * @param {string|null} category - The product's category.
+ * @param {object} policy - The policy returned by getReturnPolicy.
+ * @returns {boolean} True if the category is returnable.
+ */
+const isCategoryReturnable = (category, policy) => {
+  return policy.returnableCategories.length === 0
+    || policy.returnableCategories.includes((category || '').trim().toLowerCase());
+};
+
+/**
+ * Locks a return request and checks that it may move to the requested status.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} returnId - The ID of the return request.
+ * @param {string} toStatus - The requested status.
+ * @returns {Promise<object>} The locked return request.
+ */
+const lockReturnForTransition = async (connection, returnId, toStatus) => {
+  const returnRequest = await returnModel.getReturnForUpdate(returnId, connection);
+  if (!returnRequest) {
+    throw httpError(404, 'Return request not found.');
+  }
+  if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(toStatus)) {
+    throw httpError(409, `Cannot change return status from '${returnRequest.status}' to '${toStatus}'.`, {
+      currentStatus: returnRequest.status,
+    });
+  }
+  return returnRequest;
+};
+
+/**
+ * Opens a return request for some of the lines of a delivered order.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {object} request
+ * @param {number} request.userId - The ID of the customer opening the return.
+ * @param {number} request.orderId - The ID of the order.
+ * @param {string} request.reason - Why the items are being returned.
+ * @param {Array<{orderItemId: number, quantity: number}>} request.items - The lines and quantities to return.
+ * @returns {Promise<number>} The ID of the new return request.
+ */
+const openReturn = async (connection, { userId, orderId, reason, items }) => {
+  const policy = getReturnPolicy();
+
+  // 1. The order must belong to the customer and have been delivered within the return window
+  const order = await orderModel.getOrderForUpdate(orderId, connection);
+  if (!order || order.user_id !== userId) {
+    throw httpError(404, 'Order not found.');
+  }
+  if (order.status !== 'delivered') {
+    throw httpError(409, 'Only delivered orders can be returned.', { currentStatus: order.status });
+  }
+  const deliveredAt = await returnModel.getDeliveredAt(order.id, connection);
+  const windowEndsAt = new Date(new Date(deliveredAt).getTime() + policy.windowDays * 24 * 60 * 60 * 1000);
+  if (!deliveredAt || Date.now() > windowEndsAt.getTime()) {
+    throw httpError(409, `The ${policy.windowDays}-day return window for this order has closed.`);
+  }
+
+  // 2. Every requested line must be part of the order, returnable, and not already returned
+  const orderItems = await returnModel.getOrderItemsWithProducts(order.id, connection);
+  const alreadyReturned = await returnModel.getReturnedQuantities(order.id, connection);
+  const requestedQuantities = new Map();
+
+  for (const item of items) {
+    const orderItemId = parseInt(item.orderItemId, 10);
+    const quantity = item.quantity;
+    const orderItem = orderItems.find(oi => oi.id === orderItemId);
+
+    if (!orderItem) {
+      throw httpError(400, `Item ${item.orderItemId} is not part of this order.`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, `A positive whole quantity is required for "${orderItem.product_name}".`);
+    }
+    if (!isCategoryReturnable(orderItem.category, policy)) {
+      throw httpError(409, `"${orderItem.product_name}" is not eligible for return.`);
+    }
+
+    const totalRequested = (requestedQuantities.get(orderItemId) || 0) + quantity;
+    const returnable = orderItem.quantity - (alreadyReturned.get(orderItemId) || 0);
+    if (totalRequested > returnable) {
+      throw httpError(409, `Only ${returnable} unit(s) of "${orderItem.product_name}" can still be returned.`);
+    }
+    requestedQuantities.set(orderItemId, totalRequested);
+  }
+
+  // 3. Create the return request
+  return returnModel.createReturn({
+    orderId: order.id,
+    userId,
+    reason,
+    items: Array.from(requestedQuantities, ([orderItemId, quantity]) => ({ orderItemId, quantity })),
+  }, connection);
+};
+
+/**
+ * Approves or rejects a return request.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} returnId - The ID of the return request.
+ * @param {string} toStatus - Either 'approved' or 'rejected'.
+ * @param {object} options
+ * @param {number} options.adminId - The ID of the admin making the decision.
+ * @param {string} [options.note] - An optional note for the customer.
+ * @returns {Promise<void>}
+ */
+const reviewReturn = async (connection, returnId, toStatus, { adminId, note }) => {
+  await lockReturnForTransition(connection, returnId, toStatus);
+  await returnModel.updateStatus(returnId, toStatus, { resolvedBy: adminId, adminNote: note }, connection);
+};
+
+/**
+ * Marks the goods of an approved return as received, optionally putting them back into stock.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} returnId - The ID of the return request.
+ * @param {object} options
+ * @param {number} options.adminId - The ID of the admin receiving the goods.
+ * @param {boolean} [options.restock] - Whether the returned units are fit to be sold again.
+ * @param {string} [options.note] - An optional note.
+ * @returns {Promise<void>}
+ */
+const receiveReturn = async (connection, returnId, { adminId, restock, note }) => {
+  await lockReturnForTransition(connection, returnId, 'received');
+
+  if (restock) {
+    const items = await returnModel.getReturnItems([returnId], connection);
+    for (const item of items) {
+      await productController.restoreProductStock(item.product_id, item.quantity, connection, item.variant_id, {
+        type: 'return', orderId: item.order_id, userId: adminId, reason: `Return #${returnId} received`
+      });
+      await returnModel.setRestockedQuantity(item.id, item.quantity, connection);
+    }
+  }
+
+  await returnModel.updateStatus(returnId, 'received', { resolvedBy: adminId, adminNote: note }, connection);
+};
+
+/**
+ * Issues a refund for a received return. By default every returned unit is refunded at the price
+ * paid, GST included; `lines` may instead refund fewer units or a smaller amount per line (a partial
+ * refund). The shipping charge is not refunded for returns: the delivery did take place. The refund
+ * is added to the order, which moves to 'refunded' once everything but the shipping has been refunded.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} returnId - The ID of the return request.
+ * @param {object} options
+ * @param {number} options.adminId - The ID of the admin issuing the refund.
+ * @param {Array<{returnItemId: number, quantity?: number, amount?: number}>} [options.lines] - Per-line refund overrides.
+ * @param {string} [options.note] - An optional note.
+ * @returns {Promise<object>} The refund's ID and amount.
+ */
+const refundReturn = async (connection, returnId, { adminId, lines, note }) => {
+  const returnRequest = await lockReturnForTransition(connection, returnId, 'refunded');
+  const order = await orderModel.getOrderForUpdate(returnRequest.order_id, connection);
+  const returnItems = await returnModel.getReturnItems([returnId], connection);
+
+  // 1. Work out what is being refunded on each line
+  const requestedLines = Array.isArray(lines) && lines.length > 0
+    ? lines
+    : returnItems.map(item => ({ returnItemId: item.id }));
+
+  const refundLines = requestedLines.map(line => {
+    const returnItem = returnItems.find(item => item.id === parseInt(line.returnItemId, 10));
+    if (!returnItem) {
+      throw httpError(400, `Return line ${line.returnItemId} is not part of this return.`);
+    }
+
+    const quantity = line.quantity === undefined ? returnItem.quantity : line.quantity;
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > returnItem.quantity) {
+      throw httpError(400, `Refund quantity for "${returnItem.product_name}" must be between 1 and ${returnItem.quantity}.`);
+    }
+
+    // At most what was paid for the units: the line's value after its share of the coupon discount, plus its GST
+    const maxAmount = roundMoney((returnItem.taxable_value + returnItem.tax_amount) * quantity / returnItem.ordered_quantity);
+    const amount = line.amount === undefined ? maxAmount : roundMoney(parseFloat(line.amount));
+    if (!Number.isFinite(amount) || amount < 0 || amount > maxAmount) {
+      throw httpError(400, `Refund amount for "${returnItem.product_name}" must be between 0 and ${maxAmount}.`);
+    }
+
+    return { returnItemId: returnItem.id, orderItemId: returnItem.order_item_id, quantity, amount };
+  });
+
+  // 2. Never refund more than what is left on the order, leaving out the shipping charge
+  const amount = roundMoney(refundLines.reduce((sum, line) => sum + line.amount, 0));
+  const remaining = roundMoney(parseFloat(order.total_amount) - parseFloat(order.shipping_amount) - parseFloat(order.refunded_amount));
+  if (amount > remaining) {
+    throw httpError(409, `Only ${remaining} can still be refunded on this order.`);
+  }
+
+  // 3. Record the refund and settle the return
+  const refundId = await returnModel.createRefund({
+    orderId: order.id, returnId, amount, createdBy: adminId, note, lines: refundLines,
+  }, connection);
+  await returnModel.updateStatus(returnId, 'refunded', { resolvedBy: adminId, adminNote: note }, connection);
+
+  // 4. A fully refunded order is moved to 'refunded'
+  if (amount >= remaining && orderStatusService.canTransition(order.status, 'refunded')) {
+    await orderStatusService.transitionOrderStatus(connection, order.id, 'refunded', {
+      changedBy: adminId,
+      note: `Refunded in full via return #${returnId}`,
+    });
+  }
+
+  return { refundId, amount };
+};
+
+module.exports = {
+  RETURN_TRANSITIONS,
+  getReturnPolicy,
+  isCategoryReturnable,
+  openReturn,
+  reviewReturn,
+  receiveReturn,
+  refundReturn,
+};
@@ -0,0 +1,114 @@
+// backend/services/reviewService.js
+
+const reviewModel = require('../models/reviewModel');
+const httpError = require('../utils/httpError');
+
+// The statuses an admin can put a review in.
+const MODERATION_STATUSES = ['approved', 'hidden'];
+
+/**
+ * Reads the review settings from the environment.
+ * With REVIEWS_REQUIRE_APPROVAL=true, new reviews stay hidden until an admin approves them.
+ */
+const getReviewSettings = () => ({
+  requireApproval: process.env.REVIEWS_REQUIRE_APPROVAL === 'true',
+});
+
+/**
+ * Validates and normalises the review fields sent by a customer.
+ * @param {object} body - The request body.
+ * @returns {{rating: number, title: string|null, body: string|null}} The review fields.
+ */
+const parseReviewInput = (body) => {
+  const rating = Number(body.rating);
+  const title = body.title ? String(body.title).trim() : null;
+  const text = body.body ? String(body.body).trim() : null;
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw httpError(400, 'Rating must be a whole number of stars from 1 to 5.');
+  }
+  if (title && title.length > 150) {
+    throw httpError(400, 'Review title cannot be longer than 150 characters.');
+  }
+  if (text && text.length > 5000) {
+    throw httpError(400, 'Review text cannot be longer than 5000 characters.');
+  }
+  return { rating, title: title || null, body: text || null };
+};
+
+/**
+ * Saves a customer's review of a product, flagging it as a verified purchase when the customer
+ * received the product in a delivered order, and refreshes the product's rating.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {object} review
+ * @param {number} review.productId - The ID of the product.
+ * @param {number} review.userId - The ID of the reviewer.
+ * @param {object} review.fields - The fields returned by parseReviewInput.
+ * @param {Array<{url: string, publicId: string}>} review.photos - The uploaded photos.
+ * @returns {Promise<{reviewId: number, status: string, isVerifiedPurchase: boolean}>}
+ */
+const submitReview = async (connection, { productId, userId, fields, photos }) => {
+  const isVerifiedPurchase = await reviewModel.hasDeliveredPurchase(userId, productId, connection);
+  const status = getReviewSettings().requireApproval ? 'pending' : 'approved';
+
+  const reviewId = await reviewModel.createReview({ productId, userId, ...fields, isVerifiedPurchase, status }, connection);
+  await reviewModel.addPhotos(reviewId, photos, connection);
+  if (status === 'approved') {
+    await reviewModel.refreshProductRating(productId, connection);
+  }
+  return { reviewId, status, isVerifiedPurchase };
+};
+
+/**
+ * Approves or hides a review and refreshes its product's rating.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} reviewId - The ID of the review.
+ * @param {string} status - 'approved' or 'hidden'.
+ * @param {number} adminId - The ID of the admin.
+ * @returns {Promise<void>}
+ */
+const moderateReview = async (connection, reviewId, status, adminId) => {
+  if (!MODERATION_STATUSES.includes(status)) {
+    throw httpError(400, `Status must be one of: ${MODERATION_STATUSES.join(', ')}.`);
+  }
+  const review = await reviewModel.getReviewById(reviewId, connection);
+  if (!review) {
+    throw httpError(404, 'Review not found.');
+  }
+  await reviewModel.updateStatus(reviewId, status, adminId, connection);
+  await reviewModel.refreshProductRating(review.product_id, connection);
+};
+
+/**
+ * Adds or withdraws a user's helpful vote on an approved review. Reviewers can't vote on their own reviews.
+ * @param {object} connection - A database connection with an open transaction.
+ * @param {number} reviewId - The ID of the review.
+ * @param {number} userId - The ID of the voter.
+ * @param {boolean} helpful - True to vote, false to withdraw the vote.
+ * @returns {Promise<number>} The review's new helpful count.
+ */
+const setHelpfulVote = async (connection, reviewId, userId, helpful) => {
+  const review = await reviewModel.getReviewById(reviewId, connection);
+  if (!review || review.status !== 'approved') {
+    throw httpError(404, 'Review not found.');
+  }
+  if (review.user_id === userId) {
+    throw httpError(409, 'You cannot vote on your own review.');
+  }
+
+  if (helpful) {
+    await reviewModel.addVote(reviewId, userId, connection);
+  } else {
+    await reviewModel.removeVote(reviewId, userId, connection);
+  }
+  return (await reviewModel.getReviewById(reviewId, connection)).helpful_count;
+};
+
+module.exports = {
+  MODERATION_STATUSES,
+  getReviewSettings,
+  parseReviewInput,
+  submitReview,
+  moderateReview,
+  setHelpfulVote,
+};
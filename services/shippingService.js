@@ -0,0 +1,164 @@
+// backend/services/shippingService.js
+
+const shippingModel = require('../models/shippingModel');
+const httpError = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+/**
+ * Reads the store's shipping settings from the environment.
+ * SHIPPING_FLAT_RATE is only used while no shipping zones have been set up.
+ */
+const getShippingSettings = () => ({
+  flatRate: parseFloat(process.env.SHIPPING_FLAT_RATE || '0'),
+  freeShippingThreshold: parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '0'),
+  defaultProductWeightGrams: parseInt(process.env.DEFAULT_PRODUCT_WEIGHT_GRAMS || '500', 10),
+});
+
+/**
+ * Checks that a pincode looks like an Indian PIN code.
+ * @param {string} pincode - The pincode.
+ * @returns {boolean} True if it is six digits and doesn't start with 0.
+ */
+const isValidPincode = (pincode) => PINCODE_PATTERN.test(String(pincode || '').trim());
+
+/**
+ * Works out the weight of a parcel from its lines, using the default weight for products without one.
+ * @param {Array<{weight_grams: number|null, quantity: number}>} items - The lines.
+ * @returns {number} The total weight in grams.
+ */
+const getParcelWeight = (items) => {
+  const { defaultProductWeightGrams } = getShippingSettings();
+  return items.reduce((sum, item) => {
+    const weight = item.weight_grams === null || item.weight_grams === undefined ? defaultProductWeightGrams : item.weight_grams;
+    return sum + weight * item.quantity;
+  }, 0);
+};
+
+/**
+ * Finds the zone that delivers to a pincode.
+ * @param {string} pincode - The pincode.
+ * @param {object} [connection] - Optional database connection (for use inside a transaction).
+ * @returns {Promise<object|undefined>} The zone, or undefined if the pincode isn't serviceable.
+ */
+const findZone = async (pincode, connection) => {
+  if (!isValidPincode(pincode)) {
+    throw httpError(400, 'Please provide a valid 6-digit pincode.');
+  }
+  return shippingModel.findZoneForPincode(String(pincode).trim(), connection);
+};
+
+/**
+ * Quotes shipping for a parcel. Undeliverable pincodes (and weights beyond the zone's rate card)
+ * are rejected with a 422.
+ * @param {object} parcel
+ * @param {string} [parcel.pincode] - The destination pincode; without one, shipping is not calculated yet.
+ * @param {number} parcel.weightGrams - The parcel weight in grams.
+ * @param {number} parcel.orderValue - The order value after discounts, compared against the free-shipping threshold.
+ * @param {boolean} [parcel.freeShipping] - Whether a free-shipping promotion applies.
+ * @param {object} [connection] - Optional database connection (for use inside a transaction).
+ * @returns {Promise<object>} `{ amount, calculated, zone, weight_grams, base_rate, free_shipping }`.
+ */
+const quoteShipping = async ({ pincode, weightGrams, orderValue, freeShipping = false }, connection) => {
+  const settings = getShippingSettings();
+  const zonesConfigured = (await shippingModel.countActiveZones(connection)) > 0;
+
+  // Before any zones are set up, every order pays the flat rate.
+  if (!zonesConfigured) {
+    const free = freeShipping || (settings.freeShippingThreshold > 0 && orderValue >= settings.freeShippingThreshold);
+    return {
+      amount: free ? 0 : roundMoney(settings.flatRate),
+      calculated: true,
+      zone: null,
+      weight_grams: weightGrams,
+      base_rate: roundMoney(settings.flatRate),
+      free_shipping: free,
+    };
+  }
+
+  if (!pincode) {
+    return { amount: 0, calculated: false, zone: null, weight_grams: weightGrams, base_rate: null, free_shipping: freeShipping };
+  }
+
+  const zone = await findZone(pincode, connection);
+  if (!zone) {
+    throw httpError(422, `Sorry, we don't deliver to pincode ${pincode} yet.`, { pincode, serviceable: false });
+  }
+
+  const rate = await shippingModel.findRate(zone.id, weightGrams, connection);
+  if (!rate) {
+    throw httpError(422, `This order is too heavy (${weightGrams} g) to ship to pincode ${pincode}.`, { pincode, weightGrams });
+  }
+
+  const threshold = zone.free_shipping_threshold !== null ? zone.free_shipping_threshold : settings.freeShippingThreshold;
+  const free = freeShipping || (threshold > 0 && orderValue >= threshold);
+  return {
+    amount: free ? 0 : roundMoney(rate.rate),
+    calculated: true,
+    zone: { id: zone.id, name: zone.name },
+    weight_grams: weightGrams,
+    base_rate: roundMoney(rate.rate),
+    free_shipping: free,
+  };
+};
+
+/**
+ * Validates and normalises a shipping zone sent by an admin.
+ * @param {object} body - The request body: `{ name, free_shipping_threshold, is_active, pincodes, rates }`.
+ * @returns {object} The zone, ready for shippingModel.saveZone.
+ */
+const parseZoneInput = (body) => {
+  if (!body.name) {
+    throw httpError(400, 'Zone name is required.');
+  }
+  if (!Array.isArray(body.pincodes) || body.pincodes.length === 0) {
+    throw httpError(400, 'At least one pincode prefix or range is required.');
+  }
+  if (!Array.isArray(body.rates) || body.rates.length === 0) {
+    throw httpError(400, 'At least one weight slab rate is required.');
+  }
+
+  const pincodes = body.pincodes.map(rule => {
+    if (rule.prefix !== undefined) {
+      const prefix = String(rule.prefix).trim();
+      if (!/^[1-9][0-9]{0,5}$/.test(prefix)) {
+        throw httpError(400, `Invalid pincode prefix '${rule.prefix}'.`);
+      }
+      return { prefix };
+    }
+    const from = parseInt(rule.from, 10);
+    const to = parseInt(rule.to, 10);
+    if (!isValidPincode(from) || !isValidPincode(to) || from > to) {
+      throw httpError(400, `Invalid pincode range '${rule.from}'-'${rule.to}'.`);
+    }
+    return { from, to };
+  });
+
+  const rates = body.rates.map(slab => {
+    const min = parseInt(slab.min_weight_grams || 0, 10);
+    const max = slab.max_weight_grams === undefined || slab.max_weight_grams === null ? null : parseInt(slab.max_weight_grams, 10);
+    const rate = parseFloat(slab.rate);
+    if (isNaN(min) || min < 0 || (max !== null && (isNaN(max) || max < min)) || isNaN(rate) || rate < 0) {
+      throw httpError(400, 'Each rate needs a valid weight range (min_weight_grams, max_weight_grams) and a non-negative rate.');
+    }
+    return { min_weight_grams: min, max_weight_grams: max, rate };
+  });
+
+  const threshold = body.free_shipping_threshold;
+  return {
+    name: String(body.name).trim(),
+    free_shipping_threshold: threshold === undefined || threshold === null || threshold === '' ? null : parseFloat(threshold),
+    is_active: body.is_active === undefined ? 1 : (body.is_active ? 1 : 0),
+    pincodes,
+    rates,
+  };
+};
+
+module.exports = {
+  isValidPincode,
+  getParcelWeight,
+  findZone,
+  quoteShipping,
+  parseZoneInput,
+};
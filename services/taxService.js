@@ -0,0 +1,67 @@
+// backend/services/taxService.js
+
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Reads the store's GST settings from the environment.
+ */
+const getTaxSettings = () => ({
+  storeState: process.env.STORE_STATE || 'Karnataka',
+  defaultGstRate: parseFloat(process.env.DEFAULT_GST_RATE || '0'),
+});
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Works out the place of supply for a shipping address and whether the sale is inter-state.
+ * Without an address (e.g., a cart preview) the sale is treated as intra-state.
+ * @param {object} [shippingAddress] - The shipping address (`state` is used).
+ * @returns {{placeOfSupply: string, isInterState: boolean}}
+ */
+const getPlaceOfSupply = (shippingAddress) => {
+  const { storeState } = getTaxSettings();
+  const placeOfSupply = (shippingAddress && shippingAddress.state) ? String(shippingAddress.state).trim() : storeState;
+  return {
+    placeOfSupply,
+    isInterState: normalizeState(placeOfSupply) !== normalizeState(storeState),
+  };
+};
+
+/**
+ * Computes GST on one order line. Intra-state sales are split equally into CGST and SGST;
+ * inter-state sales carry IGST at the full rate.
+ * @param {number} taxableValue - The line value after discounts.
+ * @param {number|null} gstRate - The product's GST rate in percent (null = the store default).
+ * @param {boolean} isInterState - Whether the goods are shipped to another state.
+ * @returns {{gst_rate: number, cgst: number, sgst: number, igst: number, tax: number}}
+ */
+const computeLineGst = (taxableValue, gstRate, isInterState) => {
+  const rate = gstRate === null || gstRate === undefined || isNaN(gstRate) ? getTaxSettings().defaultGstRate : gstRate;
+
+  if (isInterState) {
+    const igst = roundMoney(taxableValue * rate / 100);
+    return { gst_rate: rate, cgst: 0, sgst: 0, igst, tax: igst };
+  }
+
+  const half = roundMoney(taxableValue * rate / 2 / 100);
+  return { gst_rate: rate, cgst: half, sgst: half, igst: 0, tax: roundMoney(half * 2) };
+};
+
+/**
+ * Returns the Indian financial year (April to March) a date falls in, e.g. '2026-27'.
+ * The date is read in Indian Standard Time.
+ * @param {Date} [date] - The date (defaults to now).
+ * @returns {string} The financial year.
+ */
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  getTaxSettings,
+  getPlaceOfSupply,
+  computeLineGst,
+  getFinancialYear,
+};
@@ -0,0 +1,255 @@
+// backend/services/twoFactorService.js
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const twoFactorModel = require('../models/twoFactorModel');
+const sessionModel = require('../models/sessionModel');
+const rateLimitService = require('./rateLimitService');
+const totp = require('../utils/totp');
+const withTransaction = require('../utils/withTransaction');
+const httpError = require('../utils/httpError');
+
+// How many recovery codes a user gets; each can replace one authenticator code.
+const RECOVERY_CODE_COUNT = 10;
+
+// How long a user has to enter their code after giving the right password.
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = 'two-factor-challenge';
+
+/**
+ * Reads the two-factor settings from the environment.
+ * @returns {{requiredForAdmins: boolean, issuer: string}} Whether admins must use two-factor authentication
+ *   to reach admin routes, and the name authenticator apps show for the store.
+ */
+const getTwoFactorSettings = () => ({
+  requiredForAdmins: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true',
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Tulunad Store',
+});
+
+// Secrets are encrypted at rest (AES-256-GCM), so that a leaked database doesn't leak working second factors.
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Recovery codes are compared without regard to case, spaces or dashes.
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Generates a fresh set of recovery codes for a user, replacing any they had.
+ * @param {number} userId - The ID of the user.
+ * @param {object} connection - A database connection with an open transaction.
+ * @returns {Promise<Array<string>>} The codes, formatted as XXXX-XXXX-XXXX. They are only ever shown once.
+ */
+const issueRecoveryCodes = async (userId, connection) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => totp.base32Encode(crypto.randomBytes(8)).slice(0, 12).match(/.{4}/g).join('-'));
+  await twoFactorModel.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode), connection);
+  return codes;
+};
+
+/**
+ * Fetches a user's two-factor state inside a transaction, or throws a 404.
+ */
+const getState = async (userId, connection) => {
+  const state = await twoFactorModel.getStateForUpdate(userId, connection);
+  if (!state) {
+    throw httpError(404, 'User not found.');
+  }
+  return state;
+};
+
+/**
+ * Counts a wrong code (or password) against the user's 'two-factor' attempts, the same limit that
+ * applies when logging in with a code, and throws the error to send back.
+ * @param {number} userId - The ID of the user.
+ * @param {Error} error - The error to throw while the user may keep trying.
+ * @returns {Promise<never>} Rejects with `error`, or with a 429 error once the user is locked out.
+ */
+const rejectAttempt = async (userId, error) => {
+  const { locked, lockoutMinutes } = await rateLimitService.recordFailedAttempt('two-factor', userId);
+  if (locked) {
+    throw httpError(429, 'Too many invalid codes. Please try again later.', { retryAfter: lockoutMinutes * 60 });
+  }
+  throw error;
+};
+
+/**
+ * Starts enrolling a user: generates a secret to add to their authenticator app. Two-factor authentication
+ * is only turned on once they confirm the secret with a code (see confirmEnrollment).
+ * @param {object} user - The user: `{ id, email }`.
+ * @returns {Promise<{secret: string, otpauthUrl: string}>} The secret, and the otpauth:// URI to show as a QR code.
+ */
+const beginEnrollment = async (user) => {
+  const state = await withTransaction(connection => getState(user.id, connection));
+  if (state.two_factor_enabled_at) {
+    throw httpError(409, 'Two-factor authentication is already on.');
+  }
+  const secret = totp.generateSecret();
+  await twoFactorModel.setPendingSecret(user.id, encryptSecret(secret));
+  return { secret, otpauthUrl: totp.buildOtpauthUrl({ issuer: getTwoFactorSettings().issuer, account: user.email, secret }) };
+};
+
+/**
+ * Turns two-factor authentication on once the user proves their app has the secret, and logs out the
+ * user's other sessions, which were started with the password alone. The current session doesn't count
+ * as two-factor verified either: whoever enrolled may only know the password, and must log in again with
+ * a code to get a verified session.
+ * @param {object} user - The user: `{ id, sessionId }`.
+ * @param {string} code - A code from the authenticator app.
+ * @returns {Promise<Array<string>>} The user's recovery codes.
+ */
+const confirmEnrollment = async (user, code) => {
+  return withTransaction(async connection => {
+    const state = await getState(user.id, connection);
+    if (state.two_factor_enabled_at) {
+      throw httpError(409, 'Two-factor authentication is already on.');
+    }
+    if (!state.two_factor_pending_secret) {
+      throw httpError(400, 'Start the two-factor setup first.');
+    }
+    const step = totp.verifyCode(decryptSecret(state.two_factor_pending_secret), code);
+    if (step === null) {
+      throw httpError(400, 'That code is not valid. Check the time on your device and try again.');
+    }
+
+    await twoFactorModel.enable(user.id, step, connection);
+    await sessionModel.revokeOtherSessions(user.id, user.sessionId, 'two_factor_enabled', connection);
+    return issueRecoveryCodes(user.id, connection);
+  });
+};
+
+/**
+ * Checks a second factor: a code from the authenticator app, or one of the user's recovery codes
+ * (which is then used up). A code can't be accepted twice.
+ * @param {number} userId - The ID of the user.
+ * @param {object} factor - `{ code }` or `{ recoveryCode }`.
+ * @param {object} connection - A database connection with an open transaction.
+ * @returns {Promise<{valid: boolean, usedRecoveryCode: boolean}>} Whether the factor was accepted.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }, connection) => {
+  const state = await getState(userId, connection);
+  if (!state.two_factor_enabled_at) {
+    return { valid: false, usedRecoveryCode: false };
+  }
+  if (code) {
+    const step = totp.verifyCode(decryptSecret(state.two_factor_secret), code, state.two_factor_last_step);
+    if (step !== null) {
+      await twoFactorModel.setLastStep(userId, step, connection);
+      return { valid: true, usedRecoveryCode: false };
+    }
+    return { valid: false, usedRecoveryCode: false };
+  }
+  if (recoveryCode) {
+    const valid = await twoFactorModel.useRecoveryCode(userId, hashRecoveryCode(recoveryCode), connection);
+    return { valid, usedRecoveryCode: valid };
+  }
+  return { valid: false, usedRecoveryCode: false };
+};
+
+/**
+ * Replaces a user's recovery codes, after checking a code from their authenticator app. Wrong codes count
+ * towards the same lockout as logging in with a code.
+ * @param {object} user - The user: `{ id }`.
+ * @param {string} code - A code from the authenticator app.
+ * @returns {Promise<Array<string>>} The new recovery codes.
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  await rateLimitService.assertCanAttempt('two-factor', user.id);
+  const recoveryCodes = await withTransaction(async connection => {
+    const { valid } = await verifySecondFactor(user.id, { code }, connection);
+    return valid ? issueRecoveryCodes(user.id, connection) : null;
+  });
+  if (!recoveryCodes) {
+    return rejectAttempt(user.id, httpError(400, 'That code is not valid.'));
+  }
+  await rateLimitService.recordSuccessfulAttempt('two-factor', user.id);
+  return recoveryCodes;
+};
+
+/**
+ * Turns two-factor authentication off, after checking the user's password and a second factor.
+ * Admins can't turn it off while it is required for them. Wrong passwords and codes count towards the
+ * same lockout as logging in with a code.
+ * @param {object} user - The user: `{ id, role }`.
+ * @param {object} proof - `{ password, code }` or `{ password, recoveryCode }`.
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user, { password, code, recoveryCode }) => {
+  if (user.role === 'admin' && getTwoFactorSettings().requiredForAdmins) {
+    throw httpError(409, 'Two-factor authentication is required for admin accounts.');
+  }
+  await rateLimitService.assertCanAttempt('two-factor', user.id);
+  const failure = await withTransaction(async connection => {
+    const state = await getState(user.id, connection);
+    if (!state.two_factor_enabled_at) {
+      throw httpError(409, 'Two-factor authentication is not on.');
+    }
+    if (!password || !(await bcrypt.compare(String(password), state.password))) {
+      return httpError(401, 'Incorrect password.');
+    }
+    const { valid } = await verifySecondFactor(user.id, { code, recoveryCode }, connection);
+    if (!valid) {
+      return httpError(400, 'That code is not valid.');
+    }
+    await twoFactorModel.disable(user.id, connection);
+    return null;
+  });
+  if (failure) {
+    return rejectAttempt(user.id, failure);
+  }
+  await rateLimitService.recordSuccessfulAttempt('two-factor', user.id);
+};
+
+/**
+ * Creates the token a user gets after giving the right password, to exchange for a session together with
+ * their second factor.
+ * @param {object} user - The user: `{ id }`.
+ * @returns {string} The challenge token.
+ */
+const createChallengeToken = (user) => jwt.sign({ id: user.id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+/**
+ * Reads a challenge token.
+ * @param {string} token - The challenge token.
+ * @returns {number} The ID of the user it was issued to.
+ */
+const readChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    if (decoded.purpose === CHALLENGE_PURPOSE) {
+      return decoded.id;
+    }
+  } catch (error) {
+    // Fall through: expired and forged tokens get the same answer
+  }
+  throw httpError(401, 'Your login has expired. Please enter your email and password again.');
+};
+
+module.exports = {
+  getTwoFactorSettings,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  readChallengeToken,
+};
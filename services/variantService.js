@@ -0,0 +1,119 @@
+// backend/services/variantService.js
+
+const productVariantModel = require('../models/productVariantModel');
+const httpError = require('../utils/httpError');
+
+// The option types a variant can be defined by, in display order.
+const OPTION_TYPES = ['size', 'colour'];
+
+/**
+ * Validates and normalises the variant fields sent by an admin.
+ * @param {object} body - The request body.
+ * @returns {object} The variant fields, ready for productVariantModel.createVariant/updateVariant.
+ */
+const parseVariantInput = (body) => {
+  const sku = String(body.sku || '').trim().toUpperCase();
+  const optionalText = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+  const size = optionalText(body.size);
+  const colour = optionalText(body.colour);
+  const price = body.price === undefined || body.price === null || body.price === '' ? null : parseFloat(body.price);
+  const stockQuantity = Number(body.stock_quantity);
+
+  if (!sku) {
+    throw httpError(400, 'SKU is required.');
+  }
+  if (!size && !colour) {
+    throw httpError(400, 'A variant needs at least a size or a colour.');
+  }
+  if (price !== null && !(price > 0)) {
+    throw httpError(400, 'Variant price must be a positive number, or empty to use the product price.');
+  }
+  if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+    throw httpError(400, 'Variant stock must be a whole number of units.');
+  }
+
+  return {
+    sku,
+    size,
+    colour,
+    price,
+    stock_quantity: stockQuantity,
+    is_active: body.is_active === undefined ? 1 : (body.is_active ? 1 : 0),
+  };
+};
+
+/**
+ * Describes a variant's options for carts, orders and invoices ("M / Black").
+ * @param {object} variant - An object with `size` and `colour`.
+ * @returns {string|null} The label, or null if there are no options.
+ */
+const getVariantLabel = ({ size, colour }) => [size, colour].filter(Boolean).join(' / ') || null;
+
+/**
+ * Builds the variant matrix shown on product pages: the values of each option type in use,
+ * and every active variant with its effective price and availability.
+ * @param {object} product - The product (its `price` is used when a variant has no override).
+ * @param {Array} variants - The product's variants (see productVariantModel.getVariantsForProducts).
+ * @param {Map<number, number>} [reservedByVariant] - Units of each variant reserved at checkout
+ *   (see reservationModel.getReservedQuantities); these are not available to other customers.
+ * @returns {object|null} The matrix, or null if the product has no active variants.
+ */
+const buildVariantMatrix = (product, variants, reservedByVariant = new Map()) => {
+  const active = variants.filter(variant => variant.is_active);
+  if (active.length === 0) {
+    return null;
+  }
+
+  const options = {};
+  OPTION_TYPES.forEach(type => {
+    const values = [...new Set(active.map(variant => variant[type]).filter(Boolean))];
+    if (values.length > 0) {
+      options[type] = values;
+    }
+  });
+
+  return {
+    option_types: Object.keys(options),
+    options,
+    variants: active.map(variant => {
+      const availableQuantity = Math.max(variant.stock_quantity - (reservedByVariant.get(variant.id) || 0), 0);
+      return {
+        id: variant.id,
+        sku: variant.sku,
+        size: variant.size,
+        colour: variant.colour,
+        label: getVariantLabel(variant),
+        price: variant.price === null ? parseFloat(product.price) : variant.price,
+        stock_quantity: variant.stock_quantity,
+        available_quantity: availableQuantity,
+        in_stock: availableQuantity > 0,
+      };
+    }),
+  };
+};
+
+/**
+ * Checks that a product/variant choice can be put in a cart or wishlist: a variant must be an active
+ * variant of the product, and a product sold in variants must be chosen by variant.
+ * @param {number|string} productId - The ID of the product.
+ * @param {number|string|null} variantId - The ID of the chosen variant, if any.
+ * @returns {Promise<void>}
+ */
+const assertSelectableVariant = async (productId, variantId) => {
+  if (variantId) {
+    const variant = await productVariantModel.getVariantById(variantId);
+    if (!variant || variant.product_id !== parseInt(productId, 10) || !variant.is_active) {
+      throw httpError(400, 'The selected variant is not available for this product.');
+    }
+  } else if (await productVariantModel.countActiveVariants(productId) > 0) {
+    throw httpError(400, 'Please choose a size or colour for this product.');
+  }
+};
+
+module.exports = {
+  OPTION_TYPES,
+  parseVariantInput,
+  getVariantLabel,
+  buildVariantMatrix,
+  assertSelectableVariant,
+};
@@ -0,0 +1,87 @@
+// backend/utils/csv.js
+
+// Text starting with one of these is run as a formula when a spreadsheet opens the file. toCsv writes such
+// values with a leading apostrophe, which spreadsheets treat as "this is text", and parseCsv removes it again.
+// Apostrophes already in front of such a value are skipped, so that a value like "'=x" reads back unchanged.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Removes the apostrophe toCsv puts in front of a value that looks like a formula.
+ */
+const unescapeFormula = (text) => (text[0] === "'" && FORMULA_START.test(text) ? text.slice(1) : text);
+
+/**
+ * Parses CSV text (RFC 4180: comma-separated, double-quoted fields may contain commas, quotes and line breaks).
+ * A leading byte-order mark, as written by spreadsheet programs, is ignored, and so is the apostrophe that
+ * toCsv puts in front of values that look like formulas.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The records, each an array of field values.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(unescapeFormula(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(unescapeFormula(field));
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(unescapeFormula(field));
+    records.push(record);
+  }
+  return records;
+};
+
+/**
+ * Formats one CSV field, quoting it when needed. Text that looks like a formula is written with a
+ * leading apostrophe, so that opening the file in a spreadsheet never runs it.
+ * @param {*} value - The value (null and undefined become empty fields).
+ * @returns {string} The field.
+ */
+const formatField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from a header row and records.
+ * @param {Array<string>} header - The column names.
+ * @param {Array<Array<*>>} records - The records, each with one value per column.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+const toCsv = (header, records) => [header, ...records].map(record => record.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
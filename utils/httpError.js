@@ -0,0 +1,18 @@
+// backend/utils/httpError.js
+
+/**
+ * Creates an Error that carries an HTTP status code, so that helpers and services
+ * can signal *why* they failed and the controller can pick the right response.
+ * @param {number} statusCode - The HTTP status code to respond with (e.g., 400, 404, 409).
+ * @param {string} message - A human-readable message, sent back as `message`.
+ * @param {object} [details] - Optional extra fields to merge into the JSON response body.
+ * @returns {Error} The error, with `statusCode` and `details` properties attached.
+ */
+const httpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details || {};
+  return error;
+};
+
+module.exports = httpError;
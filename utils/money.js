@@ -0,0 +1,10 @@
+// backend/utils/money.js
+
+/**
+ * Rounds a monetary amount to two decimal places (paise).
+ * @param {number} amount - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,124 @@
+// backend/utils/totp.js
+//
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1,
+// 6 digits, a new code every 30 seconds. Secrets are exchanged in base32 (RFC 4648).
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes bytes as base32, without padding.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {string} The base32 text.
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let text = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return text;
+};
+
+/**
+ * Decodes base32 text (case, spaces and padding are ignored).
+ * @param {string} text - The base32 text.
+ * @returns {Buffer} The bytes.
+ */
+const base32Decode = (text) => {
+  let bits = '';
+  text.toUpperCase().replace(/[\s=]/g, '').split('').forEach(char => {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character.');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random secret (160 bits, as RFC 4226 recommends).
+ * @returns {string} The secret, in base32.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The number of the 30-second step a moment falls in.
+ * @param {number} [time] - The moment, in milliseconds since the epoch (default now).
+ * @returns {number} The step.
+ */
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Computes the code for a step.
+ * @param {string} secret - The secret, in base32.
+ * @param {number} step - The time step.
+ * @returns {string} The 6-digit code.
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Checks a code against the current step and one step either side (to allow for clock drift).
+ * @param {string} secret - The secret, in base32.
+ * @param {string} code - The code the user typed.
+ * @param {number|null} [lastUsedStep] - The step of the last code accepted for this secret; codes from it
+ *   or earlier steps are refused, so that a code can't be used twice.
+ * @returns {number|null} The step the code matched, or null if it doesn't match.
+ */
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {object} params
+ * @param {string} params.issuer - The service name shown in the app.
+ * @param {string} params.account - The account name shown in the app (e.g. the email address).
+ * @param {string} params.secret - The secret, in base32.
+ * @returns {string} The URI.
+ */
+const buildOtpauthUrl = ({ issuer, account, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+};
@@ -0,0 +1,27 @@
+// backend/utils/withTransaction.js
+
+const db = require('../db');
+
+/**
+ * Runs `work` inside a database transaction on a dedicated pool connection.
+ * The transaction is committed if `work` resolves and rolled back if it throws;
+ * the connection is always released.
+ * @param {function(object): Promise<*>} work - Receives the connection and performs the queries.
+ * @returns {Promise<*>} A promise that resolves to whatever `work` resolved to.
+ */
+const withTransaction = async (work) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = withTransaction;